@@ -89,7 +89,7 @@ PathAdapter.Prototype = function() {
     } else {
       var key = path[path.length-1];
       var obj = this._resolve(path);
-      if (strict && !obj || !obj[key]) {
+      if (strict && !obj || obj[key] === undefined) {
         throw new Error('Invalid path.');
       }
       delete obj[key];
@@ -0,0 +1,134 @@
+'use strict';
+
+var Substance = require('../basics');
+var _ = require('../basics/helpers');
+var DocumentChange = require('../document/document_change');
+
+/**
+ * A hub sequencing the changes of all collaborators working on the same document.
+ *
+ * Every committed change is transformed against all changes the committing client
+ * has not seen yet, gets a version number and is broadcast to all other clients.
+ *
+ * The hub does not know about the transport. A client is represented by an object
+ * with a `send(message)` method, and incoming messages are passed to `receive()`.
+ *
+ * Messages sent by clients:
+ *   - `{ type: 'open', version: Number }`
+ *   - `{ type: 'commit', version: Number, change: Object }`
+ *
+ * Messages sent by the hub:
+ *   - `{ type: 'open', version: Number, changes: Object[] }` with all changes the client has missed
+ *   - `{ type: 'ack', version: Number, changeId: String }` to the client which committed a change
+ *   - `{ type: 'change', version: Number, change: Object }` to all other clients
+ *
+ * @class CollabHub
+ * @extends EventEmitter
+ * @constructor
+ * @param {Object[]} [changes] serialized changes to start with
+ * @module Collab
+ */
+function CollabHub(changes) {
+  Substance.EventEmitter.call(this);
+  this.changes = changes || [];
+  this.clients = {};
+}
+
+CollabHub.Prototype = function() {
+
+  /**
+   * @method getVersion
+   * @return {Number} the number of changes sequenced so far
+   */
+  this.getVersion = function() {
+    return this.changes.length;
+  };
+
+  /**
+   * @method getChanges
+   * @param {Number} version
+   * @return {Object[]} all serialized changes after the given version
+   */
+  this.getChanges = function(version) {
+    return this.changes.slice(version || 0);
+  };
+
+  /**
+   * Register a client.
+   *
+   * @method connect
+   * @param {Object} client an object with a `send(message)` method
+   * @return {String} the client id to be used for `receive()` and `disconnect()`
+   */
+  this.connect = function(client) {
+    var clientId = Substance.uuid();
+    this.clients[clientId] = client;
+    return clientId;
+  };
+
+  this.disconnect = function(clientId) {
+    delete this.clients[clientId];
+  };
+
+  /**
+   * Handle a message sent by a client.
+   *
+   * @method receive
+   * @param {String} clientId
+   * @param {Object} message
+   */
+  this.receive = function(clientId, message) {
+    if (!this.clients[clientId]) {
+      throw new Error('Unknown client: ' + clientId);
+    }
+    switch (message.type) {
+      case 'open':
+        this._open(clientId, message);
+        break;
+      case 'commit':
+        this._commit(clientId, message);
+        break;
+      default:
+        throw new Error('Unsupported message type: ' + message.type);
+    }
+  };
+
+  this._open = function(clientId, message) {
+    this._send(clientId, {
+      type: 'open',
+      version: this.getVersion(),
+      changes: this.getChanges(message.version)
+    });
+  };
+
+  this._commit = function(clientId, message) {
+    var version = message.version;
+    if (!_.isNumber(version) || version < 0 || version > this.getVersion()) {
+      throw new Error('Illegal version: ' + version);
+    }
+    var change = DocumentChange.fromJSON(message.change);
+    // rebase the change on top of all changes the client has not seen yet
+    for (var i = version; i < this.changes.length; i++) {
+      change = DocumentChange.transform(DocumentChange.fromJSON(this.changes[i]), change)[1];
+    }
+    var data = change.toJSON();
+    this.changes.push(data);
+    version = this.getVersion();
+    _.each(this.clients, function(client, id) {
+      if (id === clientId) {
+        this._send(id, { type: 'ack', version: version, changeId: data.id });
+      } else {
+        this._send(id, { type: 'change', version: version, change: data });
+      }
+    }, this);
+    this.emit('change', data, version);
+  };
+
+  this._send = function(clientId, message) {
+    this.clients[clientId].send(message);
+  };
+};
+
+Substance.inherit(CollabHub, Substance.EventEmitter);
+
+module.exports = CollabHub;
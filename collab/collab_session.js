@@ -0,0 +1,170 @@
+'use strict';
+
+var Substance = require('../basics');
+var _ = require('../basics/helpers');
+var DocumentChange = require('../document/document_change');
+
+/* jshint latedef: false */
+
+/**
+ * Connects a document to a CollabHub so that several users can edit it concurrently.
+ *
+ * Every change committed to the document is sent to the hub. Only one change is in
+ * flight at a time; changes committed meanwhile are buffered and sent after the hub
+ * has acknowledged the pending one. Remote changes are rebased on top of all local
+ * changes not yet acknowledged, and are applied without being recorded for undo.
+ *
+ * Emits `remote:change` for each applied remote change.
+ *
+ * @class CollabSession
+ * @extends EventEmitter
+ * @constructor
+ * @param {Document} doc
+ * @param {LocalConnection|WebSocketConnection} connection
+ * @param {Object} [options]
+ * @param {Number} [options.version=0] the hub version the document is based on
+ * @module Collab
+ */
+function CollabSession(doc, connection, options) {
+  Substance.EventEmitter.call(this);
+  options = options || {};
+
+  this.doc = doc;
+  this.connection = connection;
+  this.version = options.version || 0;
+  // the change which has been sent but not yet acknowledged by the hub
+  this.pending = null;
+  // changes which have been committed while waiting for the acknowledgement
+  this.buffer = [];
+  this.isOpen = false;
+
+  this.doc.connect(this, {
+    'document:changed': this.onDocumentChange
+  });
+  this.connection.connect(this, {
+    'open': this.onConnectionOpen,
+    'message': this.onMessage
+  });
+  if (this.connection.isOpen()) {
+    this.onConnectionOpen();
+  }
+}
+
+CollabSession.Prototype = function() {
+
+  this.getVersion = function() {
+    return this.version;
+  };
+
+  /**
+   * @method hasPendingChanges
+   * @return {Boolean} true if there are local changes not yet acknowledged by the hub
+   */
+  this.hasPendingChanges = function() {
+    return !!this.pending || this.buffer.length > 0;
+  };
+
+  this.dispose = function() {
+    this.doc.disconnect(this);
+    this.connection.disconnect(this);
+  };
+
+  this.onConnectionOpen = function() {
+    this.connection.send({
+      type: 'open',
+      version: this.version
+    });
+  };
+
+  this.onDocumentChange = function(change, info) {
+    if (info.remote) return;
+    this.buffer.push(change);
+    this._sendNext();
+  };
+
+  this.onMessage = function(message) {
+    switch (message.type) {
+      case 'open':
+        _.each(message.changes, function(data) {
+          this._applyRemoteChange(DocumentChange.fromJSON(data, this.doc));
+        }, this);
+        this.version = message.version;
+        this.isOpen = true;
+        this._sendNext();
+        break;
+      case 'ack':
+        if (!this.pending || this.pending.id !== message.changeId) {
+          throw new Error('Received acknowledgement for an unknown change: ' + message.changeId);
+        }
+        this.pending = null;
+        this.version = message.version;
+        this._sendNext();
+        break;
+      case 'change':
+        this._applyRemoteChange(DocumentChange.fromJSON(message.change, this.doc));
+        this.version = message.version;
+        break;
+      case 'error':
+        this.emit('error', message);
+        break;
+      default:
+        throw new Error('Unsupported message type: ' + message.type);
+    }
+  };
+
+  this._sendNext = function() {
+    if (!this.isOpen || this.pending || this.buffer.length === 0) return;
+    this.pending = this.buffer.shift();
+    this.connection.send({
+      type: 'commit',
+      version: this.version,
+      change: this.pending.toJSON()
+    });
+  };
+
+  this._applyRemoteChange = function(change) {
+    var t;
+    // the remote change is based on the hub version, i.e., without the local changes.
+    // It has been committed before them, thus it goes first as on the hub,
+    // so that conflicts are resolved the same way everywhere.
+    if (this.pending) {
+      t = DocumentChange.transform(change, this.pending);
+      change = t[0];
+      this.pending = t[1];
+    }
+    for (var i = 0; i < this.buffer.length; i++) {
+      t = DocumentChange.transform(change, this.buffer[i]);
+      change = t[0];
+      this.buffer[i] = t[1];
+    }
+    _rebaseHistory(this.doc, change);
+    this.doc._apply(change);
+    this.doc._notifyChangeListeners(change, { remote: true, session: this });
+    this.emit('remote:change', change);
+  };
+};
+
+Substance.inherit(CollabSession, Substance.EventEmitter);
+
+// Rebases the undo and redo history of the document on top of a remote change
+// which is about to be applied, so that undo and redo only revert local changes.
+function _rebaseHistory(doc, change) {
+  var i, t;
+  var remote = change;
+  // a change in the undo history is followed by all later ones,
+  // thus we transform its inverse, which is based on the same state as the remote change
+  for (i = doc.done.length - 1; i >= 0; i--) {
+    t = DocumentChange.transform(doc.done[i].invert(), remote);
+    doc.done[i] = t[0].invert();
+    remote = t[1];
+  }
+  // the top of the redo stack is based on the current state
+  remote = change;
+  for (i = doc.undone.length - 1; i >= 0; i--) {
+    t = DocumentChange.transform(doc.undone[i], remote);
+    doc.undone[i] = t[0];
+    remote = t[1];
+  }
+}
+
+module.exports = CollabSession;
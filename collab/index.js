@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+  CollabSession: require('./collab_session'),
+  CollabHub: require('./collab_hub'),
+  LocalConnection: require('./local_connection'),
+  WebSocketConnection: require('./websocket_connection')
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+var Substance = require('../basics');
+var _ = require('../basics/helpers');
+
+/**
+ * An in-process connection between a CollabSession and a CollabHub.
+ *
+ * Messages are serialized and queued in both directions. They are delivered
+ * asynchronously, or explicitly via `flush()` when created with `autoFlush: false`,
+ * which allows to simulate concurrent editing deterministically.
+ *
+ * @class LocalConnection
+ * @extends EventEmitter
+ * @constructor
+ * @param {CollabHub} hub
+ * @param {Object} [options]
+ * @param {Boolean} [options.autoFlush=true]
+ * @module Collab
+ */
+function LocalConnection(hub, options) {
+  Substance.EventEmitter.call(this);
+  options = options || {};
+  this.hub = hub;
+  this.autoFlush = (options.autoFlush !== false);
+  this.queue = [];
+  this._flushScheduled = false;
+  this.clientId = hub.connect({
+    send: this._enqueue.bind(this, 'down')
+  });
+}
+
+LocalConnection.Prototype = function() {
+
+  this.isOpen = function() {
+    return !!this.clientId;
+  };
+
+  this.send = function(message) {
+    if (!this.isOpen()) {
+      throw new Error('Connection is closed.');
+    }
+    this._enqueue('up', message);
+  };
+
+  /**
+   * Deliver all queued messages, including those which are sent during delivery.
+   *
+   * @method flush
+   */
+  this.flush = function() {
+    while (this.queue.length > 0 && this.isOpen()) {
+      var entry = this.queue.shift();
+      var message = JSON.parse(entry.message);
+      if (entry.direction === 'up') {
+        this.hub.receive(this.clientId, message);
+      } else {
+        this.emit('message', message);
+      }
+    }
+  };
+
+  this.close = function() {
+    if (this.isOpen()) {
+      this.hub.disconnect(this.clientId);
+      this.clientId = null;
+      this.queue = [];
+      this.emit('close');
+    }
+  };
+
+  this._enqueue = function(direction, message) {
+    this.queue.push({
+      direction: direction,
+      message: JSON.stringify(message)
+    });
+    if (this.autoFlush && !this._flushScheduled) {
+      this._flushScheduled = true;
+      _.delay(function() {
+        this._flushScheduled = false;
+        this.flush();
+      }.bind(this), 0);
+    }
+  };
+};
+
+Substance.inherit(LocalConnection, Substance.EventEmitter);
+
+module.exports = LocalConnection;
@@ -0,0 +1,61 @@
+'use strict';
+
+var Substance = require('../basics');
+
+/**
+ * A connection to a hub server (see `hub.js`) using a WebSocket.
+ *
+ * @class WebSocketConnection
+ * @extends EventEmitter
+ * @constructor
+ * @param {String} url e.g., `ws://localhost:4202`
+ * @param {Object} [options]
+ * @param {Function} [options.WebSocket] WebSocket implementation to be used instead of `window.WebSocket`
+ * @module Collab
+ */
+function WebSocketConnection(url, options) {
+  Substance.EventEmitter.call(this);
+  options = options || {};
+  var WebSocketClass = options.WebSocket || window.WebSocket;
+  this.ws = new WebSocketClass(url);
+  this.ws.onopen = this._onOpen.bind(this);
+  this.ws.onmessage = this._onMessage.bind(this);
+  this.ws.onclose = this._onClose.bind(this);
+  this._isOpen = false;
+}
+
+WebSocketConnection.Prototype = function() {
+
+  this.isOpen = function() {
+    return this._isOpen;
+  };
+
+  this.send = function(message) {
+    if (!this._isOpen) {
+      throw new Error('Connection is closed.');
+    }
+    this.ws.send(JSON.stringify(message));
+  };
+
+  this.close = function() {
+    this.ws.close();
+  };
+
+  this._onOpen = function() {
+    this._isOpen = true;
+    this.emit('open');
+  };
+
+  this._onMessage = function(event) {
+    this.emit('message', JSON.parse(event.data));
+  };
+
+  this._onClose = function() {
+    this._isOpen = false;
+    this.emit('close');
+  };
+};
+
+Substance.inherit(WebSocketConnection, Substance.EventEmitter);
+
+module.exports = WebSocketConnection;
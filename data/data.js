@@ -4,6 +4,39 @@ var _ = require('../basics/helpers');
 var Substance = require('../basics');
 var PathAdapter = Substance.PathAdapter;
 var EventEmitter = Substance.EventEmitter;
+var ValidationError = require('./validation_error');
+
+var _typeToString = function(type) {
+  return _.isArray(type) ? type.join(' of ') : type;
+};
+
+// Checks a value against a property type as declared in `Node.static.schema`,
+// e.g., "string", "number", "boolean", "id", "object", or ["array", "id"].
+// Unknown types are not checked.
+var _isValidType = function(type, value) {
+  if (_.isArray(type)) {
+    if (type[0] !== 'array') return true;
+    if (!_.isArray(value)) return false;
+    for (var i = 0; i < value.length; i++) {
+      if (!_isValidType(type[1], value[i])) return false;
+    }
+    return true;
+  }
+  switch (type) {
+    case 'string':
+    case 'id':
+      return _.isString(value);
+    case 'number':
+      return _.isNumber(value) && !isNaN(value);
+    case 'boolean':
+    case 'bool':
+      return _.isBoolean(value);
+    case 'object':
+      return _.isObject(value) && !_.isArray(value);
+    default:
+      return true;
+  }
+};
 
 /**
  * A data storage implemention.
@@ -13,6 +46,8 @@ var EventEmitter = Substance.EventEmitter;
  * @constructor
  * @param {Schema} schema
  * @param {Object} [options]
+ * @param {String|Boolean} [options.validation] validation mode, 'strict', 'lenient', or false.
+ *   Defaults to `schema.validation`.
  * @module Data
  */
 function Data(schema, options) {
@@ -26,6 +61,9 @@ function Data(schema, options) {
   // For example in Substance.Document this is used to attach and detach a document from a node.
   this.didCreateNode = options.didCreateNode || function() {};
   this.didDeleteNode = options.didDeleteNode || function() {};
+  this.validation = (options.validation !== undefined) ? options.validation : schema.validation;
+  // incremented on every change, e.g., to invalidate computed properties
+  this.revision = 0;
 }
 
 Data.Prototype = function() {
@@ -71,7 +109,10 @@ Data.Prototype = function() {
     if (!node.id || !node.type) {
       throw new Error("Node id and type are mandatory.");
     }
+    node.setDefaultValues();
+    this.validateNode(node);
     this.nodes[node.id] = node;
+    this.revision++;
     _.each(this.indexes, function(index) {
       if (index.select(node)) {
         index.create(node);
@@ -91,6 +132,7 @@ Data.Prototype = function() {
   this.delete = function(nodeId) {
     var node = this.nodes[nodeId];
     delete this.nodes[nodeId];
+    this.revision++;
     this.didDeleteNode(node);
     _.each(this.indexes, function(index) {
       if (index.select(node)) {
@@ -110,8 +152,12 @@ Data.Prototype = function() {
    */
   this.set = function(path, newValue) {
     var node = this.get(path[0]);
+    if (path.length === 2) {
+      this.validateProperty(node, path[1], newValue);
+    }
     var oldValue = this.nodes.get(path);
     this.nodes.set(path, newValue);
+    this.revision++;
     _.each(this.indexes, function(index) {
       if (index.select(node)) {
         index.update(node, path, newValue, oldValue);
@@ -160,8 +206,12 @@ Data.Prototype = function() {
         throw new Error('Diff is not supported:', JSON.stringify(diff));
       }
     }
-    this.nodes.set(path, newValue);
     var node = this.get(path[0]);
+    if (path.length === 2) {
+      this.validateProperty(node, path[1], newValue);
+    }
+    this.nodes.set(path, newValue);
+    this.revision++;
     _.each(this.indexes, function(index) {
       if (index.select(node)) {
         index.update(node, path, oldValue, newValue);
@@ -170,6 +220,66 @@ Data.Prototype = function() {
     return oldValue;
   };
 
+  /**
+   * Check all properties of a node against the node schema.
+   *
+   * In 'lenient' mode only declared properties with a value are checked.
+   * In 'strict' mode undeclared properties and null values are rejected too.
+   *
+   * @method validateNode
+   * @param {Node} node
+   * @throws {ValidationError} if a property is invalid
+   */
+  this.validateNode = function(node) {
+    if (!this.validation) return;
+    var properties = node.properties;
+    for (var name in properties) {
+      if (properties.hasOwnProperty(name)) {
+        this.validateProperty(node, name, properties[name]);
+      }
+    }
+  };
+
+  /**
+   * Check a property value against the node schema.
+   *
+   * @method validateProperty
+   * @param {Node} node
+   * @param {String} name property name
+   * @param {Object} value
+   * @throws {ValidationError} if the value is invalid
+   */
+  this.validateProperty = function(node, name, value) {
+    if (!this.validation || !node) return;
+    var strict = (this.validation === 'strict');
+    var type = node.getPropertyType(name);
+    var info = {
+      nodeId: node.id,
+      nodeType: node.type,
+      property: name,
+      expectedType: type,
+      value: value
+    };
+    var nodeStr = "node '" + node.id + "' (" + node.type + ")";
+    if (type === undefined) {
+      if (strict) {
+        throw new ValidationError("Property '" + name + "' is not declared for " + nodeStr + ".", info);
+      }
+      return;
+    }
+    if (value === null || value === undefined) {
+      if (strict) {
+        throw new ValidationError("Property '" + name + "' of " + nodeStr + " must be of type " +
+          _typeToString(type) + " but is " + value + ".", info);
+      }
+      return;
+    }
+    if (!_isValidType(type, value)) {
+      throw new ValidationError("Property '" + name + "' of " + nodeStr + " must be of type " +
+        _typeToString(type) + " but is " + JSON.stringify(value) + ".", info);
+    }
+  };
+
   /**
    * Convert to JSON.
    *
@@ -178,7 +288,7 @@ Data.Prototype = function() {
    */
   this.toJSON = function() {
     return {
-      schema: [this.schema.id, this.schema.version],
+      schema: [this.schema.name, this.schema.version],
       nodes: _.deepclone(this.nodes)
     };
   };
@@ -200,6 +310,7 @@ Data.Prototype = function() {
    */
   this.reset = function() {
     this.nodes = new PathAdapter();
+    this.revision++;
   };
 
   /**
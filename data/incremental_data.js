@@ -66,6 +66,7 @@ IncrementalData.Prototype = function() {
    *   - Array:
    *     - `{ insert: { offset: Number, value: Object } }`
    *     - `{ delete: { offset: Number } }`
+   *     - `{ move: { from: Number, to: Number } }`
    *
    * @method update
    * @param {Array} path
@@ -104,9 +105,9 @@ IncrementalData.Prototype = function() {
     if (op.type === ObjectOperation.NOP) return;
     else if (op.type === ObjectOperation.CREATE) {
       // clone here as the operations value must not be changed
-      this.super.create.call(this, _.deepclone(op.val));
+      Data.prototype.create.call(this, _.deepclone(op.val));
     } else if (op.type === ObjectOperation.DELETE) {
-      this.super.delete.call(this, op.val.id);
+      Data.prototype.delete.call(this, op.val.id);
     } else if (op.type === ObjectOperation.UPDATE) {
       var oldVal = this.get(op.path);
       var diff = op.diff;
@@ -114,19 +115,42 @@ IncrementalData.Prototype = function() {
         if (! (diff instanceof ArrayOperation) ) {
           diff = ArrayOperation.fromJSON(diff);
         }
+        // only insertions can introduce invalid values
+        if (diff.isInsert() && op.path.length === 2) {
+          this.validateProperty(this.get(op.path[0]), op.path[1], [diff.getValue()]);
+        }
+        var oldArray = oldVal.slice(0);
         // array ops work inplace
         diff.apply(oldVal);
+        this.revision++;
+        // as Data.set is bypassed, the indexes have to be updated here
+        var node = this.get(op.path[0]);
+        _.each(this.indexes, function(index) {
+          if (index.select(node)) {
+            index.update(node, op.path, oldVal, oldArray);
+          }
+        });
       } else if (op.propertyType === 'string') {
         if (! (diff instanceof TextOperation) ) {
           diff = TextOperation.fromJSON(diff);
         }
         var newVal = diff.apply(oldVal);
-        this.super.set.call(this, op.path, newVal);
+        Data.prototype.set.call(this, op.path, newVal);
       } else {
         throw new Error("Unsupported type for operational update.");
       }
     } else if (op.type === ObjectOperation.SET) {
-      this.super.set.call(this, op.path, op.val);
+      // a set on a node id replaces the whole node, e.g., as result of transforming two concurrent creates
+      if (op.path.length === 1) {
+        if (this.contains(op.path[0])) {
+          Data.prototype.delete.call(this, op.path[0]);
+        }
+        if (op.val) {
+          Data.prototype.create.call(this, _.deepclone(op.val));
+        }
+      } else {
+        Data.prototype.set.call(this, op.path, op.val);
+      }
     } else {
       throw new Error("Illegal state.");
     }
@@ -164,6 +188,10 @@ IncrementalData.Prototype = function() {
           pos = diff['insert'].offset;
           val = diff['insert'].value;
           diffOp = ArrayOperation.Insert(pos, val);
+        } else if (diff['move']) {
+          // { move: { from: 2, to: 0 } }
+          pos = diff['move'].from;
+          diffOp = ArrayOperation.Move(pos, diff['move'].to, value[pos]);
         }
       }
     }
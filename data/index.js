@@ -13,8 +13,11 @@
 var Data = require('./data');
 
 Data.Incremental = require('./incremental_data');
+Data.Staged = require('./staged_data');
 Data.Node = require('./node');
 Data.Schema = require('./schema');
 Data.Index = require('./node_index');
+Data.PropertyIndex = require('./property_index');
+Data.ValidationError = require('./validation_error');
 
 module.exports = Data;
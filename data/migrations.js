@@ -0,0 +1,122 @@
+'use strict';
+
+var _ = require('../basics/helpers');
+
+/**
+ * Builders for common schema migration steps.
+ *
+ * Each builder returns a function which transforms the seed JSON in place
+ * and can be registered using `Schema.addMigration()`.
+ *
+ * @example
+ *
+ * ```js
+ * var Migrations = Data.Schema.Migrations;
+ * schema.addMigration('1.0.0', '1.1.0', Migrations.renameType('para', 'paragraph'));
+ * ```
+ *
+ * @class Data.Schema.Migrations
+ * @static
+ * @module Data
+ */
+var Migrations = {};
+
+// Calls `fn(nodeData)` for all nodes of the given type.
+// `seed.nodes` can be a hash by id or an array.
+var _eachNode = function(seed, type, fn) {
+  _.each(seed.nodes, function(nodeData) {
+    if (!type || nodeData.type === type) {
+      fn(nodeData);
+    }
+  });
+};
+
+/**
+ * Change the type of all nodes of a given type.
+ *
+ * @method renameType
+ * @param {String} oldType
+ * @param {String} newType
+ * @return {Function} the migration step
+ */
+Migrations.renameType = function(oldType, newType) {
+  return function(seed) {
+    _eachNode(seed, oldType, function(nodeData) {
+      nodeData.type = newType;
+    });
+  };
+};
+
+/**
+ * Rename a property of all nodes of a given type.
+ *
+ * @method renameProperty
+ * @param {String} type
+ * @param {String} oldName
+ * @param {String} newName
+ * @return {Function} the migration step
+ */
+Migrations.renameProperty = function(type, oldName, newName) {
+  return function(seed) {
+    _eachNode(seed, type, function(nodeData) {
+      if (nodeData.hasOwnProperty(oldName)) {
+        nodeData[newName] = nodeData[oldName];
+        delete nodeData[oldName];
+      }
+    });
+  };
+};
+
+/**
+ * Replace a property of all nodes of a given type by several properties.
+ *
+ * @method splitProperty
+ * @param {String} type
+ * @param {String} name
+ * @param {Function} split `split(value, nodeData)` returning a hash with the new properties
+ * @return {Function} the migration step
+ */
+Migrations.splitProperty = function(type, name, split) {
+  return function(seed) {
+    _eachNode(seed, type, function(nodeData) {
+      var value = nodeData[name];
+      delete nodeData[name];
+      _.extend(nodeData, split(value, nodeData));
+    });
+  };
+};
+
+/**
+ * Add a property with a default value to all nodes of a given type which do not have it yet.
+ *
+ * @method addDefault
+ * @param {String} type
+ * @param {String} name
+ * @param {Object} value the default value, which is cloned for every node
+ * @return {Function} the migration step
+ */
+Migrations.addDefault = function(type, name, value) {
+  return function(seed) {
+    _eachNode(seed, type, function(nodeData) {
+      if (!nodeData.hasOwnProperty(name)) {
+        nodeData[name] = _.deepclone(value);
+      }
+    });
+  };
+};
+
+/**
+ * Transform all nodes of a given type with a custom function.
+ *
+ * @method updateNodes
+ * @param {String} type the node type or null for all nodes
+ * @param {Function} fn `fn(nodeData)` changing the node data in place
+ * @return {Function} the migration step
+ */
+Migrations.updateNodes = function(type, fn) {
+  return function(seed) {
+    _eachNode(seed, type, fn);
+  };
+};
+
+module.exports = Migrations;
@@ -73,6 +73,25 @@ Node.Prototype = function() {
     return typeNames;
   };
 
+  /**
+   * Get the declaration of a property.
+   *
+   * Properties are declared either by their type, e.g., `"string"` or `["array", "id"]`,
+   * or by an object with the type and further options, e.g., `{ type: "id", reference: "owner" }`
+   * or `{ type: "number", default: 1 }`.
+   *
+   * @method getPropertySpec
+   * @param {String} propertyName
+   * @return {Object} An object with at least a `type`, or undefined if the property is not declared.
+   */
+  this.getPropertySpec = function(propertyName) {
+    var spec = this.constructor.static.schema[propertyName];
+    if (spec === undefined || (Substance.isObject(spec) && !Substance.isArray(spec))) {
+      return spec;
+    }
+    return { type: spec };
+  };
+
   /**
    * Get the type of a property.
    *
@@ -81,10 +100,39 @@ Node.Prototype = function() {
    * @return The property's type.
    */
   this.getPropertyType = function(propertyName) {
+    var spec = this.getPropertySpec(propertyName);
+    return spec ? spec.type : undefined;
+  };
+
+  /**
+   * Set all missing properties which have a declared default value.
+   *
+   * Used internally by Data.create().
+   *
+   * @method setDefaultValues
+   * @protected
+   */
+  this.setDefaultValues = function() {
     var schema = this.constructor.static.schema;
-    return schema[propertyName];
+    for (var name in schema) {
+      var spec = this.getPropertySpec(name);
+      if (spec && spec.hasOwnProperty('default') && this.properties[name] === undefined) {
+        this.properties[name] = Substance.deepclone(spec['default']);
+      }
+    }
   };
 
+  /**
+   * Get a value which changes whenever the data containing this node changes.
+   *
+   * Computed properties are cached as long as the revision does not change.
+   * Stub implementation, i.e., computed properties are not cached.
+   *
+   * @method getRevision
+   * @return {Number} the revision or undefined.
+   */
+  this.getRevision = function() {};
+
 };
 
 Substance.inherit(Node, EventEmitter);
@@ -115,6 +163,19 @@ Node.static.schema = {
  */
 Node.static.readOnlyProperties = ['type', 'id'];
 
+/**
+ * Computed properties.
+ *
+ * Read-only properties which are derived from the node and its document,
+ * given as functions called with the node as `this`, e.g.,
+ * `computed: { index: function() { ... } }` in `Node.extend()`.
+ * Computed values are not serialized.
+ *
+ * @property computed {Object}
+ * @static
+ */
+Node.static.computed = {};
+
 /**
  * Internal implementation of Node.prototype.isInstanceOf.
  *
@@ -157,6 +218,38 @@ var defineProperty = function(prototype, property, readonly) {
   Object.defineProperty(prototype, property, spec);
 };
 
+var defineComputedProperty = function(prototype, property, compute) {
+  Object.defineProperty(prototype, property, {
+    get: function() {
+      var revision = this.getRevision();
+      if (revision === undefined) {
+        return compute.call(this);
+      }
+      this._computed = this._computed || {};
+      var cached = this._computed[property];
+      if (!cached || cached.revision !== revision) {
+        cached = this._computed[property] = { revision: revision, value: compute.call(this) };
+      }
+      return cached.value;
+    },
+    set: function() {
+      throw new Error("Property " + property + " is computed and therefore readonly!");
+    }
+  });
+};
+
+var defineComputedProperties = function(NodeClass) {
+  var computed = NodeClass.static.computed;
+  var parentStatic = Object.getPrototypeOf(NodeClass.static);
+  if (!NodeClass.static.hasOwnProperty('computed')) return;
+  Substance.each(computed, function(compute, property) {
+    defineComputedProperty(NodeClass.prototype, property, compute);
+  });
+  if (parentStatic.computed) {
+    NodeClass.static.computed = Substance.extend(Object.create(parentStatic.computed), computed);
+  }
+};
+
 var defineProperties = function(NodeClass) {
   var prototype = NodeClass.prototype;
   if (!NodeClass.static.schema) return;
@@ -186,6 +279,7 @@ var initNodeClass = function(NodeClass) {
   NodeClass.extend = Substance.bind(extend, null, NodeClass);
   // define properties and so on
   defineProperties(NodeClass);
+  defineComputedProperties(NodeClass);
   prepareSchema(NodeClass);
   NodeClass.type = NodeClass.static.name;
 };
@@ -200,7 +294,7 @@ extend = function( parent, modelSpec ) {
   Substance.inherit(ctor, parent);
   for(var key in modelSpec) {
     if (modelSpec.hasOwnProperty(key)) {
-      if (key === "name" || key === "properties") {
+      if (key === "name" || key === "properties" || key === "computed") {
         continue;
       }
       ctor.prototype[key] = modelSpec[key];
@@ -208,6 +302,9 @@ extend = function( parent, modelSpec ) {
   }
   ctor.static.name = modelSpec.name;
   ctor.static.schema = modelSpec.properties;
+  if (modelSpec.computed) {
+    ctor.static.computed = modelSpec.computed;
+  }
   initNodeClass(ctor);
   return ctor;
 };
@@ -0,0 +1,98 @@
+'use strict';
+
+var Substance = require('../basics');
+var NodeIndex = require('./node_index');
+
+// Property values are stored as keys of the index,
+// thus they are serialized to distinguish, e.g., `1` from `"1"`.
+var _toKey = function(value) {
+  return (value === undefined) ? 'undefined' : JSON.stringify(value);
+};
+
+/**
+ * Index for nodes by the values of several properties.
+ *
+ * @example
+ *
+ * ```js
+ * var index = data.addIndex('headings', new Data.PropertyIndex(['type', 'level']));
+ * index.find(['heading', 2]);
+ * ```
+ *
+ * @class Data.PropertyIndex
+ * @extends Data.NodeIndex
+ * @constructor
+ * @param {String[]} properties the indexed properties
+ * @module Data
+ */
+var PropertyIndex = function(properties) {
+  NodeIndex.call(this);
+  /**
+   * @property {String[]} properties
+   */
+  this.properties = properties;
+  /**
+   * The indexed values by node id, to be able to remove a node when it changes.
+   * @property {Object} byNode
+   * @private
+   */
+  this.byNode = {};
+};
+
+PropertyIndex.Prototype = function() {
+
+  this.reset = function(data) {
+    this.byNode = {};
+    this.index.clear();
+    this._initialize(data);
+  };
+
+  this._getKey = function(values) {
+    return Substance.map(values, _toKey);
+  };
+
+  /**
+   * Find all nodes having the given property values.
+   *
+   * @method find
+   * @param {Array} values one value per indexed property
+   * @return {Node[]} the matching nodes.
+   */
+  this.find = function(values) {
+    var nodes = this.index.get(this._getKey(values)) || {};
+    return Substance.map(nodes, function(node) {
+      return node;
+    });
+  };
+
+  this.create = function(node) {
+    var key = this._getKey(Substance.map(this.properties, function(property) {
+      return node[property];
+    }));
+    this.index.set(key.concat([node.id]), node);
+    this.byNode[node.id] = key;
+  };
+
+  this.delete = function(node) {
+    var key = this.byNode[node.id];
+    if (key) {
+      this.index.delete(key.concat([node.id]));
+      delete this.byNode[node.id];
+    }
+  };
+
+  // Note: the index is updated from the node itself, which already has the new value
+  this.update = function(node, path) {
+    if (this.properties.indexOf(path[1]) < 0) return;
+    this.delete(node);
+    this.create(node);
+  };
+
+  this.clone = function() {
+    return new PropertyIndex(this.properties);
+  };
+};
+
+Substance.inherit(PropertyIndex, NodeIndex);
+
+module.exports = PropertyIndex;
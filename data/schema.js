@@ -4,6 +4,18 @@ var _ = require('../basics/helpers');
 var OO = require('../basics/oo');
 var Node = require('./node');
 var NodeFactory = require('./node_factory');
+var Migrations = require('./migrations');
+
+// Compares two version strings such as '1.2.0' numerically part by part.
+var _compareVersions = function(a, b) {
+  var partsA = String(a).split('.');
+  var partsB = String(b).split('.');
+  for (var i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    var diff = (parseInt(partsA[i], 10) || 0) - (parseInt(partsB[i], 10) || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
 
 /**
  * Data Schema.
@@ -33,6 +45,16 @@ function Schema(name, version) {
    * @private
    */
   this.tocTypes = [];
+  /**
+   * @property {String|Boolean} validation validation mode for data using this schema,
+   *   'strict', 'lenient', or false
+   */
+  this.validation = 'lenient';
+  /**
+   * @property {Object} migrations registered migration steps by the version they migrate from
+   * @private
+   */
+  this.migrations = {};
 
   // add built-in node classes
   this.addNodes(this.getBuiltIns());
@@ -169,6 +191,80 @@ Schema.Prototype = function() {
     return this.tocTypes;
   };
 
+  /**
+   * Register a migration step for seeds of an older version of this schema.
+   *
+   * The step gets the seed JSON, i.e., `{ schema: [name, version], nodes: ... }`,
+   * and transforms it in place or returns a new one. See `Schema.Migrations` for common steps.
+   * Steps are chained, so that a seed is migrated through all versions in between.
+   *
+   * @example
+   *
+   * ```js
+   * schema.addMigration('1.0.0', '1.1.0', Data.Schema.Migrations.renameType('para', 'paragraph'));
+   * schema.addMigration('1.1.0', '2.0.0', function(seed) { ... });
+   * ```
+   *
+   * @method addMigration
+   * @param {String} fromVersion
+   * @param {String} toVersion
+   * @param {Function|Function[]} steps one or several functions `step(seed)`
+   */
+  this.addMigration = function(fromVersion, toVersion, steps) {
+    if (_compareVersions(fromVersion, toVersion) >= 0) {
+      throw new Error('Migrations must lead to a newer version: ' + fromVersion + ' -> ' + toVersion);
+    }
+    if (this.migrations[fromVersion]) {
+      throw new Error('A migration from version ' + fromVersion + ' is already registered.');
+    }
+    this.migrations[fromVersion] = {
+      version: toVersion,
+      steps: _.isArray(steps) ? steps : [steps]
+    };
+  };
+
+  /**
+   * Check if a seed needs to be migrated to this schema version.
+   *
+   * @method needsMigration
+   * @param {Object} seed
+   * @return {Boolean} true if the seed has been stored with an older version.
+   */
+  this.needsMigration = function(seed) {
+    var version = seed.schema ? seed.schema[1] : null;
+    return !!version && _compareVersions(version, this.version) < 0;
+  };
+
+  /**
+   * Migrate a seed to the current version of this schema.
+   *
+   * The given seed is not changed.
+   *
+   * @method migrate
+   * @param {Object} seed
+   * @return {Object} the migrated seed, or the given one if no migration was necessary.
+   */
+  this.migrate = function(seed) {
+    var version = seed.schema ? seed.schema[1] : null;
+    if (version && _compareVersions(version, this.version) > 0) {
+      throw new Error('Seed has been stored with a newer schema version: ' + version + ' > ' + this.version);
+    }
+    if (!this.needsMigration(seed)) return seed;
+    seed = _.deepclone(seed);
+    while (_compareVersions(version, this.version) < 0) {
+      var migration = this.migrations[version];
+      if (!migration) {
+        throw new Error('No migration registered for schema version ' + version);
+      }
+      for (var i = 0; i < migration.steps.length; i++) {
+        seed = migration.steps[i](seed) || seed;
+      }
+      version = migration.version;
+    }
+    seed.schema = [this.name, version];
+    return seed;
+  };
+
   this.getDefaultTextType = function() {
     throw new Error('Schmema.prototype.getDefaultTextType() must be overridden.');
   };
@@ -177,4 +273,8 @@ Schema.Prototype = function() {
 
 OO.initClass(Schema);
 
+Schema.compareVersions = _compareVersions;
+
+Schema.Migrations = Migrations;
+
 module.exports = Schema;
@@ -0,0 +1,225 @@
+'use strict';
+
+var OO = require('../basics/oo');
+var _ = require('../basics/helpers');
+var PathAdapter = require('../basics/path_adapter');
+var IncrementalData = require('./incremental_data');
+var ObjectOperation = require('../operator').ObjectOperation;
+
+/**
+ * Copy-on-write data storage on top of another data instance.
+ *
+ * Nodes of the base data are not copied upfront. Instead, a node is taken over
+ * when it is used via `checkout()` or changed. Before a node is changed for the first time,
+ * the base data gets a copy of it, so that the base data keeps its state until
+ * the staged changes are committed.
+ *
+ * The indexes are shared with the base data, i.e., they reflect the staged state.
+ *
+ * @example
+ *
+ * ```js
+ * var stage = new Data.Staged(data);
+ * stage.set(['p1', 'content'], 'Foo');
+ * data.get(['p1', 'content']); // => still the old content
+ * stage.commit();
+ * data.get(['p1', 'content']); // => 'Foo'
+ * ```
+ *
+ * @class Data.Staged
+ * @extends Data.Incremental
+ * @constructor
+ * @param {Data} base
+ * @param {Object} [options] as for `Data`, and additionally
+ * @param {Function} [options.didCheckoutNode] called when a node of the base data has been taken over.
+ *   Defaults to `options.didCreateNode`.
+ * @param {Function} [options.didCheckinNode] called when a taken over node is handed back to the base data.
+ * @module Data
+ */
+var StagedData = function(base, options) {
+  StagedData.super.call(this, base.schema, options);
+  options = options || {};
+  this.didCheckoutNode = options.didCheckoutNode || this.didCreateNode;
+  this.didCheckinNode = options.didCheckinNode || function() {};
+  /**
+   * @property {Data} base
+   */
+  this.base = base;
+  this.indexes = base.indexes;
+  // the revision is shared, so that computed properties of all nodes are invalidated on staged changes
+  Object.defineProperty(this, 'revision', {
+    get: function() {
+      return base.revision;
+    },
+    set: function(revision) {
+      base.revision = revision;
+    }
+  });
+  /**
+   * The nodes of the base data which have been taken over, by id.
+   * @property {Object} originals
+   * @private
+   */
+  this.originals = {};
+  /**
+   * The copies of changed nodes which have been given to the base data, by id.
+   * @property {Object} copies
+   * @private
+   */
+  this.copies = {};
+};
+
+StagedData.Prototype = function() {
+
+  this.get = function(path) {
+    if (!path) {
+      throw new Error('Path or id required');
+    }
+    var id = _.isString(path) ? path : path[0];
+    if (this.nodes[id]) {
+      return this.nodes.get(path);
+    }
+    // nodes which have been taken over but are not staged anymore have been deleted
+    if (this.originals[id]) {
+      return undefined;
+    }
+    return this.base.get(path);
+  };
+
+  this.contains = function(id) {
+    return !!this.get(id);
+  };
+
+  this.getNodes = function() {
+    var nodes = {};
+    _.each(this.base.nodes, function(node, id) {
+      if (!this.originals[id]) {
+        nodes[id] = node;
+      } else if (this.nodes[id]) {
+        nodes[id] = this.nodes[id];
+      }
+    }, this);
+    _.each(this.nodes, function(node, id) {
+      nodes[id] = node;
+    });
+    return nodes;
+  };
+
+  this.toJSON = function() {
+    return {
+      schema: [this.schema.name, this.schema.version],
+      nodes: _.deepclone(this.getNodes())
+    };
+  };
+
+  /**
+   * Take over a node of the base data.
+   *
+   * @method checkout
+   * @param {String} id
+   */
+  this.checkout = function(id) {
+    if (this.nodes[id] || this.originals[id]) return;
+    var node = this.base.get(id);
+    if (!node) return;
+    this.originals[id] = node;
+    this.nodes[id] = node;
+    this.didCheckoutNode(node);
+  };
+
+  // Gives the base data a copy of a node before it gets changed.
+  this._copyOnWrite = function(id) {
+    this.checkout(id);
+    var node = this.originals[id];
+    if (!node || this.copies[id]) return;
+    var copy = this.schema.getNodeFactory().create(node.type, _.deepclone(node.properties));
+    this.base.nodes[id] = copy;
+    this.base.didCreateNode(copy);
+    this.copies[id] = copy;
+  };
+
+  this.apply = function(op) {
+    if (op.type !== ObjectOperation.NOP) {
+      this._copyOnWrite(op.path[0]);
+    }
+    IncrementalData.prototype.apply.call(this, op);
+  };
+
+  /**
+   * Hand over all staged nodes to the base data.
+   *
+   * @method commit
+   */
+  this.commit = function() {
+    var base = this.base;
+    _.each(this.originals, function(node, id) {
+      if (this.nodes[id] !== node) {
+        // deleted, or deleted and created again
+        delete base.nodes[id];
+        base.didDeleteNode(node);
+      }
+    }, this);
+    var created = [];
+    _.each(this.nodes, function(node, id) {
+      base.nodes[id] = node;
+      if (this.originals[id] === node) {
+        this.didCheckinNode(node);
+      } else {
+        created.push(node);
+      }
+    }, this);
+    // Note: notifying after all nodes are in place, as e.g. containers look up their children
+    _.each(created, function(node) {
+      base.didCreateNode(node);
+    });
+    this._clear();
+  };
+
+  /**
+   * Discard the taken over nodes.
+   *
+   * The staged changes must have been reverted before,
+   * i.e., by applying the inverted operations.
+   *
+   * @method revert
+   */
+  this.revert = function() {
+    _.each(this.originals, function(node, id) {
+      var staged = this.nodes[id];
+      if (staged && staged !== node) {
+        // a deleted node has been created again: restore the original instance
+        this._replaceNode(staged, node);
+        this.nodes[id] = node;
+        // it is handed over like a created node, as its state has been replaced
+        delete this.originals[id];
+      }
+    }, this);
+    this.commit();
+  };
+
+  this._replaceNode = function(staged, node) {
+    _.each(this.indexes, function(index) {
+      if (index.select(staged)) {
+        index.delete(staged);
+      }
+    });
+    node.properties = staged.properties;
+    _.each(this.indexes, function(index) {
+      if (index.select(node)) {
+        index.create(node);
+      }
+    });
+  };
+
+  this._clear = function() {
+    this.nodes = new PathAdapter();
+    this.originals = {};
+    this.copies = {};
+    this.revision++;
+  };
+
+};
+
+OO.inherit(StagedData, IncrementalData);
+
+module.exports = StagedData;
@@ -0,0 +1,39 @@
+'use strict';
+
+var OO = require('../basics/oo');
+var SubstanceError = require('../basics/error');
+
+/**
+ * Error thrown when node data does not comply with the node schema.
+ *
+ * @class Data.ValidationError
+ * @extends SubstanceError
+ * @constructor
+ * @param {String} message
+ * @param {Object} info
+ * @param {String} info.nodeId
+ * @param {String} info.nodeType
+ * @param {String} info.property
+ * @param {String|Array} [info.expectedType] the declared type, undefined for undeclared properties
+ * @param {Object} [info.value] the rejected value
+ * @module Data
+ */
+function ValidationError(message, info) {
+  SubstanceError.call(this, message);
+  this.name = 'ValidationError';
+  this.message = message;
+  this.nodeId = info.nodeId;
+  this.nodeType = info.nodeType;
+  this.property = info.property;
+  this.expectedType = info.expectedType;
+  this.value = info.value;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, ValidationError);
+  } else {
+    this.stack = (new Error(message)).stack;
+  }
+}
+
+OO.inherit(ValidationError, SubstanceError);
+
+module.exports = ValidationError;
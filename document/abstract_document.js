@@ -7,6 +7,36 @@ var Selection = require('./selection');
 var PropertySelection = require('./property_selection');
 var ContainerSelection = require('./container_selection');
 var TableSelection = require('./table_selection');
+var findText = require('./text_search');
+
+// Provides the position of a node within the flow of a container as
+// `[position of the root node, component index, offset]`, or null if the node is not contained.
+// Annotations are located by the property they annotate.
+var _getDocumentPosition = function(doc, container, node) {
+  var path = null;
+  var offset = 0;
+  if (node.isInstanceOf('container_annotation')) {
+    if (node.container !== container.id) return null;
+    path = node.startPath;
+    offset = node.startOffset;
+  } else if (node.isInstanceOf('annotation')) {
+    path = node.path;
+    offset = node.startOffset;
+  }
+  var target = path ? doc.get(path[0]) : node;
+  if (!target) return null;
+  var pos = container.getPosition(target.getRoot().id);
+  if (pos < 0) return null;
+  var comp = path ? container.getComponent(path) : null;
+  return [pos, comp ? comp.getIndex() : -1, offset];
+};
+
+var _comparePositions = function(a, b) {
+  for (var i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+};
 
 function AbstractDocument(schema) {
   Substance.EventEmitter.call(this);
@@ -63,6 +93,15 @@ AbstractDocument.Prototype = function() {
     this.FOR_CLIPBOARD = val;
   };
 
+  /**
+   * Set how node properties are validated against the node schema.
+   *
+   * @param {String|Boolean} mode 'strict', 'lenient', or false to disable validation
+   */
+  this.setValidationMode = function(mode) {
+    this.data.validation = mode;
+  };
+
   this._resetContainers = function() {
     var containers = this.getIndex('type').get('container');
     // reset containers initially
@@ -117,7 +156,106 @@ AbstractDocument.Prototype = function() {
     return this.data.getIndex(name);
   };
 
+  /**
+   * Find nodes by their property values or by a predicate.
+   *
+   * Queries by property values are answered using a Data.PropertyIndex,
+   * which is created for every combination of properties on first use.
+   * Within a transaction no indexes are created, i.e., queries without an index of the document
+   * filter all nodes.
+   * A `type` matches nodes of the given type and of all derived types.
+   *
+   * @example
+   *
+   * ```js
+   * doc.find({ type: 'heading', level: 2 });
+   * doc.find(function(node) { return node.content && node.content.length > 100; });
+   * // all links in the 'body' container in document order
+   * doc.find({ type: 'link' }, { container: 'body' });
+   * ```
+   *
+   * @param {Object|Function} query property values or a function `predicate(node)`
+   * @param {Object} [options]
+   * @param {String} [options.container] only nodes within the container with the given id,
+   *   sorted in document order.
+   * @return {Node[]} the matching nodes.
+   */
+  this.find = function(query, options) {
+    options = options || {};
+    var nodes;
+    if (_.isFunction(query)) {
+      nodes = _.filter(this.getNodes(), query);
+    } else {
+      nodes = this._findByProperties(query);
+    }
+    if (options.container) {
+      nodes = this._sortByContainer(nodes, options.container);
+    }
+    return nodes;
+  };
+
+  /**
+   * Find all occurrences of a text pattern.
+   *
+   * @param {String} pattern
+   * @param {Object} [options] `containerId`, `caseSensitive`, `regex`, and `wholeWord`,
+   *   see `Document.findText()`.
+   * @return {PropertySelection[]} a selection for every match
+   */
+  this.findText = function(pattern, options) {
+    return findText(this, pattern, options);
+  };
+
+  this._findByProperties = function(query) {
+    var properties = Object.keys(query).sort();
+    var name = 'properties:' + properties.join(',');
+    var index = this.getIndex(name);
+    // Note: indexes are registered with the document's data, thus they are not created by the stage
+    if (!index && !this.isTransaction()) {
+      index = this.addIndex(name, new Data.PropertyIndex(properties));
+    }
+    var types = [query.type];
+    if (query.type) {
+      // include nodes of derived types
+      this.schema.each(function(NodeClass, type) {
+        if (type !== query.type && this.schema.isInstanceOf(type, query.type)) {
+          types.push(type);
+        }
+      }, this);
+    }
+    if (!index) {
+      return _.filter(this.getNodes(), function(node) {
+        return !_.find(properties, function(property) {
+          if (property === 'type') return types.indexOf(node.type) < 0;
+          return !_.isEqual(node[property], query[property]);
+        });
+      });
+    }
+    var nodes = [];
+    _.each(types, function(type) {
+      var values = _.map(properties, function(property) {
+        return (property === 'type') ? type : query[property];
+      });
+      nodes = nodes.concat(index.find(values));
+    });
+    return nodes;
+  };
+
+  this._sortByContainer = function(nodes, containerId) {
+    var container = this.get(containerId);
+    var positions = {};
+    nodes = _.filter(nodes, function(node) {
+      positions[node.id] = _getDocumentPosition(this, container, node);
+      return !!positions[node.id];
+    }, this);
+    return nodes.sort(function(a, b) {
+      return _comparePositions(positions[a.id], positions[b.id]);
+    });
+  };
+
   this.loadSeed = function(seed) {
+    // seeds stored with an older schema version are migrated first
+    seed = this.schema.migrate(seed);
     // Attention: order of nodes may be 'invalid'
     // so that we should not attach the doc a created note
     // until all its dependencies are created
@@ -239,6 +377,8 @@ AbstractDocument.Prototype = function() {
         return new ContainerSelection(sel).attach(this);
       case 'table':
         return new TableSelection(sel).attach(this);
+      case 'null':
+        return Selection.nullSelection;
       default:
         throw new Error('Unsupported selection type', sel.type);
     }
@@ -11,7 +11,8 @@ var Node = require('./node');
 // nodes you have to use a ContainerAnnotation.
 //
 // Properties:
-//   - path: Identifies a text property in the document (e.g. ["text_1", "content"])
+//   - path: Identifies a text property in the document (e.g. ["text_1", "content"]).
+//     The annotation is owned by the node, i.e., it gets deleted together with the node.
 //   - startOffset: the character where the annoation starts
 //   - endOffset: the character where the annoation starts
 
@@ -20,7 +21,7 @@ var Annotation = Node.extend({
   name: "annotation",
 
   properties: {
-    path: ['array', 'string'],
+    path: { type: ['array', 'string'], reference: 'owner' },
     startOffset: 'number',
     endOffset: 'number'
   },
@@ -200,8 +200,56 @@ var transferAnnotations = function(doc, path, offset, newPath, newOffset) {
   });
 };
 
+// used when a range of text has been replaced by a text of the given length.
+// Annotations overlapping the range stick to the replacement instead of collapsing,
+// e.g., an emphasized word stays emphasized.
+var replacedText = function(doc, path, startOffset, endOffset, length) {
+  var delta = length - (endOffset - startOffset);
+  var mapOffset = function(offset, isEnd) {
+    if (offset <= startOffset) return offset;
+    if (offset >= endOffset) return offset + delta;
+    return isEnd ? startOffset + length : startOffset;
+  };
+  var index = doc.getIndex('annotations');
+  _.each(index.get(path), function(anno) {
+    var start = anno.startOffset;
+    var end = anno.endOffset;
+    var newStart = mapOffset(start, false);
+    var newEnd = mapOffset(end, true);
+    // delete the annotation if it has collapsed, i.e., the text has been replaced by nothing
+    if (start !== end && newStart === newEnd) {
+      doc.delete(anno.id);
+    } else {
+      if (start !== newStart) {
+        doc.set([anno.id, 'startOffset'], newStart);
+      }
+      if (end !== newEnd) {
+        doc.set([anno.id, 'endOffset'], newEnd);
+      }
+    }
+  });
+  // same for container annotation anchors
+  index = doc.getIndex('container-annotation-anchors');
+  var containerAnnoIds = [];
+  _.each(index.get(path), function(anchor) {
+    containerAnnoIds.push(anchor.id);
+    var offset = mapOffset(anchor.offset, !anchor.isStart);
+    if (offset !== anchor.offset) {
+      var property = (anchor.isStart?'startOffset':'endOffset');
+      doc.set([anchor.id, property], offset);
+    }
+  });
+  _.each(_.uniq(containerAnnoIds), function(id) {
+    var anno = doc.get(id);
+    if (anno.getSelection().isCollapsed()) {
+      doc.delete(id);
+    }
+  });
+};
+
 module.exports = {
   insertedText: insertedText,
   deletedText: deletedText,
+  replacedText: replacedText,
   transferAnnotations: transferAnnotations
 };
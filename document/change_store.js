@@ -0,0 +1,199 @@
+'use strict';
+
+var Substance = require('../basics');
+var _ = require('../basics/helpers');
+var DocumentChange = require('./document_change');
+
+/**
+ * Abstract base class for an append-only journal of document changes.
+ *
+ * Changes are stored serialized and numbered consecutively, i.e., after appending
+ * the first change the journal is at version 1. Every `snapshotInterval` versions
+ * a snapshot of the document is stored, so that the document can be reconstructed
+ * at any version without replaying the whole journal.
+ *
+ * All methods take Node-style callbacks.
+ *
+ * Implementations must provide:
+ *   - `getVersion(cb)`
+ *   - `_appendChange(data, cb)` calling back with the new version
+ *   - `_readChanges(fromVersion, toVersion, cb)`
+ *   - `_writeSnapshot(version, data, cb)`
+ *   - `_readSnapshot(version, cb)` calling back with the latest snapshot `{ version: Number, data: Object }`
+ *     not newer than the given version, or null
+ *
+ * @class ChangeStore
+ * @constructor
+ * @param {Object} [options]
+ * @param {Function} [options.createDocument] creates the document at version 0; necessary for snapshots
+ *   and for reconstructing documents.
+ * @param {Number} [options.snapshotInterval=100] set to 0 to disable automatic snapshots
+ * @module Document
+ */
+function ChangeStore(options) {
+  options = options || {};
+  this.createDocument = options.createDocument;
+  this.snapshotInterval = (options.snapshotInterval === undefined) ? 100 : options.snapshotInterval;
+}
+
+ChangeStore.Prototype = function() {
+
+  /**
+   * Append a change to the journal.
+   *
+   * @method append
+   * @param {DocumentChange|Object} change a change or its JSON representation
+   * @param {Function} cb called with the new version
+   */
+  this.append = function(change, cb) {
+    var data = (change instanceof DocumentChange) ? change.toJSON() : change;
+    var self = this;
+    this._appendChange(data, function(err, version) {
+      if (err) return cb(err);
+      if (self.createDocument && self.snapshotInterval > 0 && version % self.snapshotInterval === 0) {
+        self._createSnapshot(version, function(err) {
+          cb(err, version);
+        });
+      } else {
+        cb(null, version);
+      }
+    });
+  };
+
+  /**
+   * Get serialized changes.
+   *
+   * @method getChanges
+   * @param {Number} fromVersion changes after this version are returned
+   * @param {Number} [toVersion] the version of the last returned change, defaults to the current version
+   * @param {Function} cb called with an array of serialized changes
+   */
+  this.getChanges = function(fromVersion, toVersion, cb) {
+    if (arguments.length === 2) {
+      cb = toVersion;
+      toVersion = undefined;
+    }
+    var self = this;
+    this.getVersion(function(err, version) {
+      if (err) return cb(err);
+      /* jshint eqnull: true */
+      if (toVersion == null) toVersion = version;
+      /* jshint eqnull: false */
+      if (fromVersion < 0 || toVersion > version || fromVersion > toVersion) {
+        return cb(new Error('Illegal version range: ' + fromVersion + ' - ' + toVersion));
+      }
+      self._readChanges(fromVersion, toVersion, cb);
+    });
+  };
+
+  /**
+   * Store a snapshot of the document at the given version.
+   *
+   * @method saveSnapshot
+   * @param {Document} doc
+   * @param {Number} version
+   * @param {Function} cb
+   */
+  this.saveSnapshot = function(doc, version, cb) {
+    this._writeSnapshot(version, doc.toJSON(), cb);
+  };
+
+  /**
+   * Get the latest snapshot not newer than the given version.
+   *
+   * @method getSnapshot
+   * @param {Number} version
+   * @param {Function} cb called with `{ version: Number, data: Object }` or null if there is none
+   */
+  this.getSnapshot = function(version, cb) {
+    this._readSnapshot(version, cb);
+  };
+
+  /**
+   * Reconstruct the document at the given version.
+   *
+   * Starts with the latest snapshot not newer than the version,
+   * or the document created by `options.createDocument`, and replays the changes after that.
+   *
+   * @method reconstruct
+   * @param {Number} [version] defaults to the current version
+   * @param {Function} cb called with the document
+   */
+  this.reconstruct = function(version, cb) {
+    if (arguments.length === 1) {
+      cb = version;
+      version = undefined;
+    }
+    if (!this.createDocument) {
+      return cb(new Error('ChangeStore needs option "createDocument" to reconstruct documents.'));
+    }
+    var self = this;
+    this.getVersion(function(err, currentVersion) {
+      if (err) return cb(err);
+      /* jshint eqnull: true */
+      if (version == null) version = currentVersion;
+      /* jshint eqnull: false */
+      if (version < 0 || version > currentVersion) {
+        return cb(new Error('Illegal version: ' + version));
+      }
+      self._readSnapshot(version, function(err, snapshot) {
+        if (err) return cb(err);
+        var doc = self.createDocument();
+        var snapshotVersion = 0;
+        if (snapshot) {
+          doc = doc.fromSnapshot(snapshot.data);
+          snapshotVersion = snapshot.version;
+        }
+        self._readChanges(snapshotVersion, version, function(err, changes) {
+          if (err) return cb(err);
+          try {
+            _.each(changes, function(data) {
+              doc._apply(DocumentChange.fromJSON(data, doc));
+            });
+            doc.documentDidLoad();
+          } catch (error) {
+            return cb(error);
+          }
+          cb(null, doc);
+        });
+      });
+    });
+  };
+
+  this._createSnapshot = function(version, cb) {
+    var self = this;
+    this.reconstruct(version, function(err, doc) {
+      if (err) return cb(err);
+      self.saveSnapshot(doc, version, cb);
+    });
+  };
+
+  this.getVersion = function(cb) {
+    /* jshint unused:false */
+    throw new Error('Method is abstract.');
+  };
+
+  this._appendChange = function(data, cb) {
+    /* jshint unused:false */
+    throw new Error('Method is abstract.');
+  };
+
+  this._readChanges = function(fromVersion, toVersion, cb) {
+    /* jshint unused:false */
+    throw new Error('Method is abstract.');
+  };
+
+  this._writeSnapshot = function(version, data, cb) {
+    /* jshint unused:false */
+    throw new Error('Method is abstract.');
+  };
+
+  this._readSnapshot = function(version, cb) {
+    /* jshint unused:false */
+    throw new Error('Method is abstract.');
+  };
+};
+
+Substance.initClass(ChangeStore);
+
+module.exports = ChangeStore;
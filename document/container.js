@@ -68,6 +68,17 @@ Container.Prototype = function() {
     }
   };
 
+  this.move = function(nodeId, pos) {
+    var doc = this.getDocument();
+    var from = this.nodes.indexOf(nodeId);
+    if (from < 0) {
+      throw new Error('Node is not in this container: ' + nodeId);
+    }
+    if (from !== pos) {
+      doc.update([this.id, 'nodes'], { move: { from: from, to: pos } });
+    }
+  };
+
   this.getComponents = function() {
     return this.components;
   };
@@ -153,7 +164,10 @@ Container.Prototype = function() {
     var components = [];
     _.each(this.nodes, function(id) {
       var node = doc.get(id);
-      components = components.concat(_getNodeComponents(node));
+      // nodes of partially loaded documents have no components until they are loaded
+      if (node) {
+        components = components.concat(_getNodeComponents(node));
+      }
     }, this);
     this.components = [];
     this.nodeComponents = {};
@@ -178,24 +192,58 @@ Container.Prototype = function() {
         } else if (diff.isDelete()) {
           var deletePos = this._handleDelete(diff.getValue());
           this._updateComponentPositions(deletePos);
+        } else if (diff.isMove()) {
+          var startPos = this._handleDelete(diff.getValue());
+          this._updateComponentPositions(startPos);
+          var targetPos = this._handleInsert(diff.getValue(), diff.getTarget());
+          this._updateComponentPositions(Math.min(startPos, targetPos));
         } else {
           throw new Error('Illegal state');
         }
       }
+    } else {
+      this._updateNestedNode(op.path);
+    }
+  };
+
+  // Nested structures, such as lists and tables, change their components
+  // by changing the ids of their children.
+  this._updateNestedNode = function(path) {
+    var node = this.getDocument().get(path[0]);
+    var componentNames = node ? node.constructor.static.components : null;
+    if (!componentNames || componentNames.indexOf(path[1]) < 0) return;
+    var type = node.getPropertyType(path[1]);
+    if (type !== 'id' && !_.isEqual(type, ['array', 'id'])) return;
+    var rootId = node.getRoot().id;
+    if (this.getPosition(rootId) >= 0) {
+      this.updateNode(rootId);
     }
   };
 
-  // TODO: nested structures such as tables and lists should
-  // call this whenever they change
   this.updateNode = function(nodeId) {
     var node = this.getDocument().get(nodeId);
     var deletePos = this._handleDelete(nodeId);
-    var components = _getNodeComponents(node);
-    this._insertComponentsAt(deletePos, components);
     this._updateComponentPositions(deletePos);
+    var pos = this._getComponentPosition(this.nodes.indexOf(nodeId) + 1);
+    var components = node ? _getNodeComponents(node) : [];
+    this._insertComponentsAt(pos, components);
+    this._updateComponentPositions(pos);
+  };
+
+  // Provides the position of the first component of the first node at or after the given position
+  // which has components.
+  this._getComponentPosition = function(nodePos) {
+    for (var i = nodePos; i < this.nodes.length; i++) {
+      var nodeComponent = this.nodeComponents[this.nodes[i]];
+      if (nodeComponent && nodeComponent.components.length > 0) {
+        return nodeComponent.components[0].getIndex();
+      }
+    }
+    return this.components.length;
   };
 
   this._insertComponentsAt = function(pos, components) {
+    if (components.length === 0) return;
     var before = this.components[pos-1];
     var after = this.components[pos];
     var nodeComponents = this.nodeComponents;
@@ -237,25 +285,21 @@ Container.Prototype = function() {
   this._handleInsert = function(nodeId, nodePos) {
     var doc = this.getDocument();
     var node = doc.get(nodeId);
-    var length = this.nodes.length;
-    var componentPos;
-    // NOTE: the original length of the nodes was one less
-    // Thus, we detect an 'append' situation by comparing the insertPosition with
-    // the previous length
-    if (nodePos === length-1) {
-      componentPos = this.components.length;
-    } else {
-      var afterId = this.nodes[nodePos+1];
-      var after = this.nodeComponents[afterId].components[0];
-      componentPos = after.getIndex();
-    }
-    var components = _getNodeComponents(node);
+    // Note: for moves this works the same way, as the components of the moved node
+    // have been removed already.
+    var componentPos = this._getComponentPosition(nodePos+1);
+    var components = node ? _getNodeComponents(node) : [];
     this._insertComponentsAt(componentPos, components);
     return componentPos;
   };
 
   this._handleDelete = function(nodeId) {
     var nodeComponent = this.nodeComponents[nodeId];
+    // nodes which have not been loaded yet have no components
+    if (!nodeComponent || nodeComponent.components.length === 0) {
+      delete this.nodeComponents[nodeId];
+      return this.components.length;
+    }
     var components = nodeComponent.components;
     var start = nodeComponent.components[0].getIndex();
     var end = _.last(components).getIndex();
@@ -254,6 +254,10 @@ ContainerSelection.Prototype = function() {
 
 OO.inherit(ContainerSelection, PropertySelection);
 
+ContainerSelection.fromJSON = function(json) {
+  return new ContainerSelection(json);
+};
+
 Object.defineProperties(ContainerSelection.prototype, {
   path: {
     get: function() {
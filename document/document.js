@@ -7,15 +7,73 @@ var AbstractDocument = require('./abstract_document');
 
 var AnnotationIndex = require('./annotation_index');
 var AnchorIndex = require('./anchor_index');
+var ReferenceIndex = require('./reference_index');
+var TextIndex = require('./text_index');
 var ContainerAnnotationIndex = require('./container_annotation_index');
 
 var TransactionDocument = require('./transaction_document');
 var DocumentChange = require('./document_change');
+var TextOperation = require('../operator/text_operation');
+var ObjectOperation = require('../operator/object_operation');
 
 var PathEventProxy = require('./path_event_proxy');
 var ClipboardImporter = require('./clipboard_importer');
 var ClipboardExporter = require('./clipboard_exporter');
 
+// Returns the path and kind ('insert' or 'delete') of a change which consists of text updates
+// on a single property, accompanied only by property updates, e.g., of annotation offsets.
+var _getTextEdit = function(change) {
+  var path = null;
+  var kind = null;
+  for (var i = 0; i < change.ops.length; i++) {
+    var op = change.ops[i];
+    if (op.isUpdate() && op.diff instanceof TextOperation) {
+      var opKind = op.diff.isInsert() ? 'insert' : (op.diff.isDelete() ? 'delete' : null);
+      if (!opKind || (kind && kind !== opKind) || (path && !_.isEqual(path, op.path))) {
+        return null;
+      }
+      path = op.path;
+      kind = opKind;
+    } else if (!op.isSet() || op.path.length < 2) {
+      return null;
+    }
+  }
+  return path ? { path: path, kind: kind } : null;
+};
+
+var _canMergeUndo = function(last, change) {
+  var editA = _getTextEdit(last);
+  var editB = _getTextEdit(change);
+  if (!editA || !editB || editA.kind !== editB.kind || !_.isEqual(editA.path, editB.path)) {
+    return false;
+  }
+  var selA = last.after ? last.after.selection : null;
+  var selB = change.before ? change.before.selection : null;
+  if (selA && selB) {
+    return selA.equals(selB);
+  }
+  return true;
+};
+
+// Operations can only be composed if they are all text updates on the same property.
+// Otherwise, e.g., if the node has been deleted and re-created in between,
+// composing would change the order in which they are applied.
+var _canMergeOps = function(ops) {
+  var path = ops[0].path;
+  return !_.find(ops, function(op) {
+    return !op.isUpdate() || !(op.diff instanceof TextOperation) || !_.isEqual(op.path, path);
+  });
+};
+
+// Composes text updates on the same property into one update (see _canMergeOps).
+var _mergeOps = function(ops) {
+  var diff = ops[0].diff;
+  for (var i = 1; i < ops.length; i++) {
+    diff = TextOperation.compose(diff, ops[i].diff);
+  }
+  return [ObjectOperation.Update(ops[0].path, diff)];
+};
+
 var __id__ = 0;
 
 function Document(schema) {
@@ -33,14 +91,35 @@ function Document(schema) {
   // special index for (contaoiner-scoped) annotations
   this.anchorIndex = this.addIndex('container-annotation-anchors', new AnchorIndex());
 
+  // nodes by the nodes they are referencing, see ReferenceIndex
+  this.referenceIndex = this.addIndex('references', new ReferenceIndex());
+
+  // text properties by the words they contain, see TextIndex
+  this.textIndex = this.addIndex('text', new TextIndex());
+
   // HACK: ATM we can't register this as Data.Index, as it depends on Containers to be up2date,
   // but containers are updated after indexes.
   // This must not be used from within transactions.
   this.containerAnnotationIndex = new ContainerAnnotationIndex(this);
 
+  // for partially loaded documents, see loadPartial()
+  this.nodeProvider = null;
+  // part ids by the ids of the root nodes which have not been loaded yet
+  this._unloaded = {};
+  // callbacks by the ids of the parts which are being loaded
+  this._pendingParts = {};
+
   this.done = [];
   this.undone = [];
 
+  // Consecutive changes of the same kind (e.g., typing) on the same property are merged
+  // into one undo step when they follow each other within this time window (in ms).
+  // Set to 0 to disable this behavior.
+  this.undoGroupingTimeout = 1000;
+  this._lastUndoTime = 0;
+  // explicit undo group (see startUndoGroup())
+  this._undoGroup = null;
+
   // change event proxies are triggered after a document change has been applied
   // before the regular document:changed event is fired.
   // They serve the purpose of making the event notification more efficient
@@ -54,9 +133,9 @@ function Document(schema) {
 
   this.initialize();
 
-  // the stage is a essentially a clone of this document
-  // used to apply a sequence of document operations
-  // without touching this document
+  // the stage is used to apply a sequence of document operations
+  // without touching this document.
+  // It is copy-on-write, i.e., only the nodes changed by a transaction get copied.
   this.stage = new TransactionDocument(this);
   this.isTransacting = false;
 
@@ -86,11 +165,177 @@ Document.Prototype = function() {
     return doc;
   };
 
+  /**
+   * Load a document partially.
+   *
+   * Only the structure, e.g., the containers, is loaded. Nodes shown in containers are
+   * loaded on demand via `loadNodes()`, or automatically when a transaction uses them.
+   *
+   * @param {NodeProvider} provider
+   * @param {Function} cb
+   */
+  this.loadPartial = function(provider, cb) {
+    var self = this;
+    provider.getStructure(function(err, structure) {
+      if (err) return cb(err);
+      try {
+        self.loadSeed({ schema: structure.schema, nodes: structure.nodes });
+        self.nodeProvider = provider;
+        // parts are stored with the schema version of the structure
+        self._storedSchema = structure.schema;
+        _.each(structure.roots, function(partId, rootId) {
+          if (!self.data.contains(rootId)) {
+            self._unloaded[rootId] = partId;
+          }
+        });
+      } catch (error) {
+        return cb(error);
+      }
+      cb(null);
+    });
+  };
+
+  /**
+   * Check if a node has been loaded.
+   *
+   * Only nodes shown in a container can be unloaded, see `loadPartial()`.
+   *
+   * @param {String} nodeId
+   * @return {Boolean}
+   */
+  this.isLoaded = function(nodeId) {
+    return !this._unloaded[nodeId];
+  };
+
+  /**
+   * @return {String[]} the ids of all nodes which have not been loaded yet.
+   */
+  this.getUnloadedNodes = function() {
+    return Object.keys(this._unloaded);
+  };
+
+  /**
+   * Load nodes of a partially loaded document.
+   *
+   * Emits 'nodes:loaded' with the ids of the loaded nodes.
+   *
+   * @param {String[]} nodeIds
+   * @param {Function} cb called with an error if a part could not be loaded
+   */
+  this.loadNodes = function(nodeIds, cb) {
+    if (!_.isFunction(cb)) {
+      throw new Error("Argument 'cb' is mandatory.");
+    }
+    var partIds = this._getUnloadedParts(nodeIds);
+    var count = partIds.length;
+    var error = null;
+    if (count === 0) return cb(null);
+    _.each(partIds, function(partId) {
+      this._loadPart(partId, function(err) {
+        error = error || err;
+        if (--count === 0) cb(error);
+      });
+    }, this);
+  };
+
+  /**
+   * Load nodes of a partially loaded document synchronously.
+   *
+   * Used by transactions to load the nodes they use.
+   *
+   * @param {String[]} nodeIds
+   */
+  this.loadNodesSync = function(nodeIds) {
+    _.each(this._getUnloadedParts(nodeIds), function(partId) {
+      this._insertPart(partId, this.nodeProvider.getPartSync(partId));
+    }, this);
+  };
+
+  this._getUnloadedParts = function(nodeIds) {
+    return _.uniq(_.filter(_.map(nodeIds, function(id) {
+      return this._unloaded[id];
+    }, this), Boolean));
+  };
+
+  this._loadPart = function(partId, cb) {
+    var pending = this._pendingParts[partId];
+    if (pending) {
+      return pending.push(cb);
+    }
+    pending = this._pendingParts[partId] = [cb];
+    var self = this;
+    this.nodeProvider.getPart(partId, function(err, nodes) {
+      delete self._pendingParts[partId];
+      // the part might have been loaded synchronously in the meantime
+      if (!err && _.includes(self._unloaded, partId)) {
+        try {
+          self._insertPart(partId, nodes);
+        } catch (error) {
+          err = error;
+        }
+      }
+      _.each(pending, function(cb) {
+        cb(err);
+      });
+    });
+  };
+
+  this._insertPart = function(partId, nodes) {
+    var seed = this.schema.migrate({ schema: this._storedSchema, nodes: nodes });
+    var rootIds = [];
+    _.each(this._unloaded, function(id, rootId) {
+      if (id === partId) rootIds.push(rootId);
+    });
+    _.each(rootIds, function(rootId) {
+      delete this._unloaded[rootId];
+    }, this);
+    // as in loadSeed() the nodes are attached after all of them have been created
+    var created = [];
+    this._setAutoAttach(false);
+    try {
+      _.each(seed.nodes, function(nodeData) {
+        this.data.create(nodeData);
+        created.push(this.data.get(nodeData.id));
+      }, this);
+    } finally {
+      this._setAutoAttach(true);
+    }
+    _.each(created, function(node) {
+      node.attach(this);
+    }, this);
+    var containers = _.map(this.getIndex('type').get('container'), function(container) {
+      return container;
+    });
+    // containers changed within a running transaction are staged separately
+    if (this.isTransacting) {
+      _.each(containers.slice(), function(container) {
+        var staged = this.stage.data.nodes[container.id];
+        if (staged && staged !== container) containers.push(staged);
+      }, this);
+    }
+    _.each(containers, function(container) {
+      _.each(rootIds, function(rootId) {
+        if (container.getPosition(rootId) >= 0) {
+          container.updateNode(rootId);
+        }
+      });
+    });
+    this.containerAnnotationIndex.reset();
+    this.emit('nodes:loaded', rootIds);
+  };
+
+  this.setValidationMode = function(mode) {
+    Document.super.prototype.setValidationMode.call(this, mode);
+    this.stage.setValidationMode(mode);
+  };
+
   this.documentDidLoad = function() {
     // HACK: need to reset the stage
     this.stage.reset();
+    this._unloaded = {};
     this.containerAnnotationIndex.reset();
     this.done = [];
+    this._lastUndoTime = 0;
     // do not allow non-transactional changes after that
     this.FORCE_TRANSACTIONS = true;
   };
@@ -144,8 +389,7 @@ Document.Prototype = function() {
       throw new Error('Document.transaction() requires a transformation function.');
     }
     // var time = Date.now();
-    // HACK: ATM we can't deep clone as we do not have a deserialization
-    // for selections.
+    // Note: a shallow clone is sufficient as selections are immutable
     var tx = this.startTransaction(_.clone(beforeState));
     // console.log('Starting the transaction took', Date.now() - time);
     try {
@@ -191,9 +435,6 @@ Document.Prototype = function() {
     if (this.isTransacting) {
       this.stage.create(nodeData);
     } else {
-      if (this.stage) {
-        this.stage.create(nodeData);
-      }
       this._create(nodeData);
     }
     return this.data.get(nodeData.id);
@@ -206,9 +447,6 @@ Document.Prototype = function() {
     if (this.isTransacting) {
       this.stage.delete(nodeId);
     } else {
-      if (this.stage) {
-        this.stage.delete(nodeId);
-      }
       this._delete(nodeId);
     }
   };
@@ -220,9 +458,6 @@ Document.Prototype = function() {
     if (this.isTransacting) {
       this.stage.set(path, value);
     } else {
-      if (this.stage) {
-        this.stage.set(path, value);
-      }
       this._set(path, value);
     }
   };
@@ -235,14 +470,49 @@ Document.Prototype = function() {
       this.stage.update(path, diff);
     } else {
       this._update(path, diff);
-      if (this.stage) {
-        this.stage.update(path, diff);
-      }
+    }
+  };
+
+  /**
+   * Start an undo group.
+   *
+   * All changes until `endUndoGroup()` is called are merged into a single undo step.
+   * Undo groups can be nested, in which case the outermost group is effective.
+   *
+   * @example
+   * ```
+   *   doc.startUndoGroup();
+   *   try {
+   *     doc.transaction(...);
+   *     doc.transaction(...);
+   *   } finally {
+   *     doc.endUndoGroup();
+   *   }
+   * ```
+   */
+  this.startUndoGroup = function() {
+    if (this._undoGroup) {
+      this._undoGroup.level++;
+    } else {
+      this._undoGroup = { level: 1, change: null };
+    }
+  };
+
+  this.endUndoGroup = function() {
+    if (!this._undoGroup) {
+      throw new Error('No undo group has been started.');
+    }
+    this._undoGroup.level--;
+    if (this._undoGroup.level === 0) {
+      this._undoGroup = null;
+      // the next change should not be merged with the group
+      this._lastUndoTime = 0;
     }
   };
 
   this.undo = function() {
     var change = this.done.pop();
+    this._lastUndoTime = 0;
     if (change) {
       var inverted = change.invert();
       this._apply(inverted);
@@ -255,6 +525,7 @@ Document.Prototype = function() {
 
   this.redo = function() {
     var change = this.undone.pop();
+    this._lastUndoTime = 0;
     if (change) {
       var inverted = change.invert();
       this._apply(inverted);
@@ -350,10 +621,12 @@ Document.Prototype = function() {
     var ops = this.stage.getOperations();
     if (ops.length > 0) {
       var documentChange = new DocumentChange(ops, beforeState, afterState);
-      // apply the change
-      this._apply(documentChange, 'skipStage');
+      // Note: the change has been applied already, as the stage has handed over the changed nodes
+      _.each(ops, function(op) {
+        this.emit('operation:applied', op);
+      }, this);
       // push to undo queue and wipe the redo queue
-      this.done.push(documentChange);
+      this._pushUndo(documentChange);
       this.undone = [];
       // console.log('Document._saveTransaction took %s ms', (Date.now() - time));
       // time = Date.now();
@@ -362,6 +635,35 @@ Document.Prototype = function() {
     }
   };
 
+  // Pushes a change to the undo stack, merging it with the previous one
+  // if it belongs to the current undo group, or if it continues the previous change
+  // i.e., it is of the same kind, on the same property, starts with the previous after-selection
+  // and happens within the grouping time window.
+  this._pushUndo = function(change) {
+    var now = Date.now();
+    var last = _.last(this.done);
+    var merge = false;
+    if (this._undoGroup) {
+      merge = (!!last && last === this._undoGroup.change);
+    } else if (last && this.undoGroupingTimeout > 0 && now - this._lastUndoTime < this.undoGroupingTimeout) {
+      merge = _canMergeUndo(last, change);
+    }
+    if (merge) {
+      var ops = last.ops.concat(change.ops);
+      if (ops.length > 0 && _canMergeOps(ops)) {
+        ops = _mergeOps(ops);
+      }
+      change = new DocumentChange(ops, last.before, change.after);
+      this.done[this.done.length - 1] = change;
+    } else {
+      this.done.push(change);
+    }
+    if (this._undoGroup) {
+      this._undoGroup.change = change;
+    }
+    this._lastUndoTime = now;
+  };
+
   this._cancelTransaction = function() {
     if (!this.isTransacting) {
       throw new Error('Not in a transaction.');
@@ -369,14 +671,10 @@ Document.Prototype = function() {
     this.isTransacting = false;
   };
 
-  this._apply = function(documentChange, mode) {
+  this._apply = function(documentChange) {
     if (this.isTransacting) {
       throw new Error('Can not replay a document change during transaction.');
     }
-    // Note: we apply everything doubled, to keep the staging clone up2date.
-    if (mode !== 'skipStage') {
-      this.stage.apply(documentChange);
-    }
     _.each(documentChange.ops, function(op) {
       this.data.apply(op);
       this._updateContainers(op);
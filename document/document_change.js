@@ -1,10 +1,19 @@
 'use strict';
 
 var Substance = require('../basics');
+var _ = require('../basics/helpers');
 var PathAdapter = Substance.PathAdapter;
+var ObjectOperation = require('../operator/object_operation');
+var TextOperation = require('../operator/text_operation');
+var Selection = require('./selection');
+var PropertySelection = require('./property_selection');
+var ContainerSelection = require('./container_selection');
+var TableSelection = require('./table_selection');
 
-function DocumentChange(ops, before, after) {
-  this.id = Substance.uuid();
+/* jshint latedef: false */
+
+function DocumentChange(ops, before, after, id) {
+  this.id = id || Substance.uuid();
   this.ops = ops.slice(0);
   this.before = before;
   this.after = after;
@@ -85,8 +94,221 @@ DocumentChange.Prototype = function() {
     return this.deleted;
   };
 
+  /**
+   * Serialize to JSON.
+   *
+   * Selections contained in the before and after state are serialized
+   * using their JSON representation.
+   *
+   * @return {Object} a plain object which can be restored using `DocumentChange.fromJSON()`
+   */
+  this.toJSON = function() {
+    return {
+      id: this.id,
+      ops: _.map(this.ops, function(op) {
+        return op.toJSON();
+      }),
+      before: _stateToJSON(this.before),
+      after: _stateToJSON(this.after)
+    };
+  };
+
 };
 
 Substance.initClass(DocumentChange);
 
+/**
+ * Create a DocumentChange from its JSON representation.
+ *
+ * @param {Object} data as created by `DocumentChange.prototype.toJSON()`
+ * @param {Document} [doc] if given, restored selections get attached to this document
+ * @return {DocumentChange}
+ */
+DocumentChange.fromJSON = function(data, doc) {
+  var ops = _.map(data.ops, function(opData) {
+    return ObjectOperation.fromJSON(opData);
+  });
+  return new DocumentChange(ops, _stateFromJSON(data.before, doc), _stateFromJSON(data.after, doc), data.id);
+};
+
+/**
+ * Transforms two concurrent changes so that each can be applied after the other,
+ * i.e., `b' o a == a' o b`.
+ *
+ * The before and after states are transformed too, so that
+ * selections stay valid when a change is replayed on top of the other.
+ *
+ * @param {DocumentChange} a
+ * @param {DocumentChange} b
+ * @return {DocumentChange[]} the transformed changes `[a', b']`
+ */
+DocumentChange.transform = function(a, b) {
+  var opsA = _.map(a.ops, _cloneOp);
+  var opsB = _.map(b.ops, _cloneOp);
+  for (var i = 0; i < opsA.length; i++) {
+    for (var j = 0; j < opsB.length; j++) {
+      ObjectOperation.transform(opsA[i], opsB[j], {inplace: true});
+    }
+  }
+  opsA = _.filter(opsA, _isNotNOP);
+  opsB = _.filter(opsB, _isNotNOP);
+  // the before states are living in the original document,
+  // the after states in the document where the other change has been applied already.
+  var a_ = new DocumentChange(opsA, _transformState(a.before, b.ops), _transformState(a.after, opsB), a.id);
+  var b_ = new DocumentChange(opsB, _transformState(b.before, a.ops), _transformState(b.after, opsA), b.id);
+  return [a_, b_];
+};
+
+/**
+ * Transforms a selection so that it is valid after applying the given change.
+ *
+ * A selection is turned into a null selection if the node it is pointing to is deleted.
+ *
+ * @param {Selection} sel
+ * @param {DocumentChange} change
+ * @return {Selection} the transformed selection.
+ */
+DocumentChange.transformSelection = function(sel, change) {
+  return _transformSelection(sel, change.ops);
+};
+
+var _stateToJSON = function(state) {
+  if (!state) return state;
+  var result = {};
+  for (var key in state) {
+    if (state[key] instanceof Selection) {
+      result[key] = state[key].toJSON();
+    } else {
+      result[key] = _.deepclone(state[key]);
+    }
+  }
+  return result;
+};
+
+var SELECTION_TYPES = {
+  'null': Selection,
+  'property': PropertySelection,
+  'container': ContainerSelection,
+  'table': TableSelection
+};
+
+var _selectionFromJSON = function(json, doc) {
+  if (json.type === 'null') {
+    return Selection.nullSelection;
+  }
+  var sel = SELECTION_TYPES[json.type].fromJSON(json);
+  if (doc) {
+    sel.attach(doc);
+  }
+  return sel;
+};
+
+var _stateFromJSON = function(json, doc) {
+  if (!json) return json;
+  var result = {};
+  for (var key in json) {
+    var val = json[key];
+    if (val && SELECTION_TYPES[val.type]) {
+      result[key] = _selectionFromJSON(val, doc);
+    } else {
+      result[key] = _.deepclone(val);
+    }
+  }
+  return result;
+};
+
+var _cloneOp = function(op) {
+  return op.clone();
+};
+
+var _isNotNOP = function(op) {
+  return !op.isNOP();
+};
+
+var _transformState = function(state, ops) {
+  if (!state) return state;
+  var result = {};
+  for (var key in state) {
+    if (state[key] instanceof Selection) {
+      result[key] = _transformSelection(state[key], ops);
+    } else {
+      result[key] = state[key];
+    }
+  }
+  return result;
+};
+
+var _transformSelection = function(sel, ops) {
+  if (!sel || sel.isNull()) return sel;
+  var doc = sel._internal.doc;
+  var result = sel;
+  for (var i = 0; i < ops.length && !result.isNull(); i++) {
+    result = _transformSelectionByOp(result, ops[i]);
+  }
+  if (result !== sel && !result.isNull() && doc) {
+    result.attach(doc);
+  }
+  return result;
+};
+
+var _transformSelectionByOp = function(sel, op) {
+  if (op.isNOP()) return sel;
+  if (sel.isTableSelection()) {
+    return _isDeleted(sel.tableId, op) ? Selection.nullSelection : sel;
+  }
+  var start = _transformCoordinate(sel.start, op);
+  var end = _transformCoordinate(sel.end, op);
+  if (!start || !end) {
+    return Selection.nullSelection;
+  }
+  if (start === sel.start && end === sel.end) {
+    return sel;
+  }
+  if (sel.isContainerSelection()) {
+    return new ContainerSelection({
+      containerId: sel.containerId,
+      startPath: start.path,
+      startOffset: start.offset,
+      endPath: end.path,
+      endOffset: end.offset,
+      reverse: sel.reverse
+    });
+  } else {
+    return new PropertySelection({
+      path: start.path,
+      startOffset: start.offset,
+      endOffset: end.offset,
+      reverse: sel.reverse
+    });
+  }
+};
+
+var _isDeleted = function(nodeId, op) {
+  return (op.path.length === 1 && op.path[0] === nodeId &&
+    (op.isDelete() || (op.isSet() && !op.val)));
+};
+
+// returns the transformed coordinate, or null if the coordinate has been deleted
+var _transformCoordinate = function(coor, op) {
+  if (_isDeleted(coor.path[0], op)) {
+    return null;
+  }
+  if (!_.isEqual(op.path, coor.path)) {
+    return coor;
+  }
+  var offset = coor.offset;
+  if (op.isUpdate() && op.diff instanceof TextOperation) {
+    // insertions at the offset itself do not shift it
+    offset = op.diff.mapOffset(offset);
+  } else if (op.isSet() || op.isCreate()) {
+    offset = Math.min(offset, _.isString(op.val) ? op.val.length : 0);
+  } else if (op.isDelete()) {
+    return null;
+  }
+  if (offset === coor.offset) {
+    return coor;
+  }
+  return coor.withCharPos(offset);
+};
+
 module.exports = DocumentChange;
@@ -0,0 +1,233 @@
+'use strict';
+
+var _ = require('../basics/helpers');
+var ObjectOperation = require('../operator/object_operation');
+var TextOperation = require('../operator/text_operation');
+var ArrayOperation = require('../operator/array_operation');
+var DocumentChange = require('./document_change');
+
+// Beyond this number of edits two sequences are considered as completely different,
+// as the costs of Myers' algorithm grow quadratically with the number of edits.
+var MAX_EDIT_DISTANCE = 500;
+
+// Myers' O(ND) algorithm on the ranges `a[startA..endA)` and `b[startB..endB)`.
+// Returns the matching index pairs in ascending order,
+// or no matches at all if the ranges differ in more than MAX_EDIT_DISTANCE elements.
+var _myers = function(a, b, startA, endA, startB, endB) {
+  var n = endA - startA;
+  var m = endB - startB;
+  var max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  // v[offset + k] is the furthest x reached on diagonal k
+  var offset = max + 1;
+  var v = new Array(2 * max + 3);
+  v[offset + 1] = 0;
+  // snapshots of the diagonals -d-1..d+1 before each step
+  var trace = [];
+  var d, k, x, y;
+  var found = false;
+  search:
+  for (d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (k = -d; k <= d; k += 2) {
+      if (k === -d || (k !== d && v[offset+k-1] < v[offset+k+1])) {
+        x = v[offset+k+1];
+      } else {
+        x = v[offset+k-1] + 1;
+      }
+      y = x - k;
+      while (x < n && y < m && a[startA+x] === b[startB+y]) {
+        x++;
+        y++;
+      }
+      v[offset+k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break search;
+      }
+    }
+  }
+  if (!found) return [];
+  // backtrack to collect the diagonals, i.e., the matches
+  var matches = [];
+  x = n;
+  y = m;
+  for (d = trace.length - 1; d >= 0; d--) {
+    var w = trace[d];
+    k = x - y;
+    var prevK;
+    if (k === -d || (k !== d && w[k+d] < w[k+d+2])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    var prevX = w[prevK+d+1];
+    var prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      matches.push([startA + x, startB + y]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return matches.reverse();
+};
+
+// Computes the longest common subsequence of two strings or arrays.
+// Returns the matching index pairs `[i, j]` in ascending order.
+var _lcs = function(a, b) {
+  var n = a.length;
+  var m = b.length;
+  var i;
+  // common prefix and suffix are matched directly
+  var start = 0;
+  while (start < n && start < m && a[start] === b[start]) {
+    start++;
+  }
+  var endA = n;
+  var endB = m;
+  while (endA > start && endB > start && a[endA-1] === b[endB-1]) {
+    endA--;
+    endB--;
+  }
+  var matches = [];
+  for (i = 0; i < start; i++) {
+    matches.push([i, i]);
+  }
+  matches = matches.concat(_myers(a, b, start, endA, start, endB));
+  for (i = 0; i < n - endA; i++) {
+    matches.push([endA + i, endB + i]);
+  }
+  return matches;
+};
+
+var _diffText = function(a, b) {
+  var components = [];
+  var i = 0;
+  var j = 0;
+  _.each(_lcs(a, b).concat([[a.length, b.length]]), function(match) {
+    if (match[0] > i) components.push({ 'delete': a.substring(i, match[0]) });
+    if (match[1] > j) components.push({ insert: b.substring(j, match[1]) });
+    if (match[0] < a.length) components.push({ retain: 1 });
+    i = match[0] + 1;
+    j = match[1] + 1;
+  });
+  return TextOperation.fromComponents(components);
+};
+
+// Creates ArrayOperations for a list of unique values, such as node ids of a container.
+// Values which are contained in both lists but changed their order are moved.
+var _diffArray = function(a, b) {
+  var ops = [];
+  var arr = a.slice(0);
+  var i, val;
+  // remove values which are not contained in b
+  for (i = arr.length - 1; i >= 0; i--) {
+    if (b.indexOf(arr[i]) < 0) {
+      ops.push(ArrayOperation.Delete(i, arr[i]));
+      arr.splice(i, 1);
+    }
+  }
+  // move all values which are not part of the longest common subsequence
+  // right behind their predecessor
+  var survivors = _.filter(b, function(val) {
+    return arr.indexOf(val) >= 0;
+  });
+  var stable = {};
+  _.each(_lcs(arr, survivors), function(match) {
+    stable[match[1]] = true;
+  });
+  for (i = 0; i < survivors.length; i++) {
+    if (stable[i]) continue;
+    val = survivors[i];
+    var from = arr.indexOf(val);
+    arr.splice(from, 1);
+    var to = (i > 0) ? arr.indexOf(survivors[i-1]) + 1 : 0;
+    arr.splice(to, 0, val);
+    if (from !== to) {
+      ops.push(ArrayOperation.Move(from, to, val));
+    }
+  }
+  // insert new values
+  for (i = 0; i < b.length; i++) {
+    if (arr[i] !== b[i]) {
+      ops.push(ArrayOperation.Insert(i, b[i]));
+      arr.splice(i, 0, b[i]);
+    }
+  }
+  return ops;
+};
+
+var _diffNode = function(node, nodeA, nodeB, ops) {
+  var keys = _.union(Object.keys(nodeA), Object.keys(nodeB));
+  _.each(keys, function(key) {
+    if (key === 'id' || key === 'type') return;
+    var path = [nodeB.id, key];
+    var valA = nodeA[key];
+    var valB = nodeB[key];
+    if (_.isEqual(valA, valB)) return;
+    if (_.isString(valA) && _.isString(valB)) {
+      ops.push(ObjectOperation.Update(path, _diffText(valA, valB)));
+    } else if (key === 'nodes' && node.isInstanceOf('container') && _.isArray(valA) && _.isArray(valB)) {
+      _.each(_diffArray(valA, valB), function(diff) {
+        ops.push(ObjectOperation.Update(path, diff));
+      });
+    } else {
+      ops.push(ObjectOperation.Set(path, _.deepclone(valA), _.deepclone(valB)));
+    }
+  });
+};
+
+/**
+ * Computes a change which turns one document into another.
+ *
+ * Nodes are compared by id. The change creates and deletes nodes,
+ * updates string properties with TextOperations, node lists of containers with ArrayOperations,
+ * and sets all other changed properties.
+ *
+ * @example
+ *
+ * ```js
+ * var change = Document.diff(oldVersion, newVersion);
+ * oldVersion._apply(change);
+ * ```
+ *
+ * @param {Document} docA
+ * @param {Document} docB a document with the same schema
+ * @return {DocumentChange} a change which can be applied to `docA`
+ */
+var documentDiff = function(docA, docB) {
+  var created = [];
+  var createdContainers = [];
+  var updated = [];
+  var deleted = [];
+  var nodesA = docA.getNodes();
+  var nodesB = docB.getNodes();
+  _.each(nodesB, function(nodeB, id) {
+    var nodeA = nodesA[id];
+    var dataB = nodeB.toJSON();
+    if (!nodeA) {
+      // containers get created after the nodes they are referencing
+      if (nodeB.isInstanceOf('container')) {
+        createdContainers.push(ObjectOperation.Create([id], dataB));
+      } else {
+        created.push(ObjectOperation.Create([id], dataB));
+      }
+    } else if (nodeA.type !== nodeB.type) {
+      // a node with the same id but a different type gets replaced
+      created.push(ObjectOperation.Delete([id], nodeA.toJSON()));
+      created.push(ObjectOperation.Create([id], dataB));
+    } else {
+      _diffNode(nodeB, nodeA.toJSON(), dataB, updated);
+    }
+  });
+  _.each(nodesA, function(nodeA, id) {
+    if (!nodesB[id]) {
+      deleted.push(ObjectOperation.Delete([id], nodeA.toJSON()));
+    }
+  });
+  // nodes are deleted after they have been removed from containers
+  return new DocumentChange(created.concat(createdContainers, updated, deleted), {}, {});
+};
+
+module.exports = documentDiff;
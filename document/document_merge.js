@@ -0,0 +1,183 @@
+'use strict';
+
+var _ = require('../basics/helpers');
+var ObjectOperation = require('../operator/object_operation');
+var TextOperation = require('../operator/text_operation');
+var ArrayOperation = require('../operator/array_operation');
+var Conflict = require('../operator/conflict');
+var DocumentChange = require('./document_change');
+var documentDiff = require('./document_diff');
+
+// Returns the path of the text property an offset property of an annotation is pointing into.
+var _getTextPath = function(node, key) {
+  if (!node) return null;
+  if (key === 'startOffset') return node.startPath || node.path || null;
+  if (key === 'endOffset') return node.endPath || node.path || null;
+  return null;
+};
+
+// Annotation offsets are updated implicitly when the annotated text changes,
+// thus they are merged separately.
+var _isOffsetOp = function(op, doc) {
+  return op.isSet() && op.path.length === 2 && !!_getTextPath(doc.get(op.path[0]), op.path[1]);
+};
+
+var _getTextOp = function(ops, path) {
+  var op = _.find(ops, function(op) {
+    return op.isUpdate() && op.diff instanceof TextOperation && _.isEqual(op.path, path);
+  });
+  return op ? op.diff : null;
+};
+
+var _mapOffset = function(offset, textOp, shiftAtOffset) {
+  return textOp ? textOp.mapOffset(offset, shiftAtOffset) : offset;
+};
+
+var _isPrefix = function(prefix, path) {
+  return prefix.length < path.length && _.isEqual(prefix, path.slice(0, prefix.length));
+};
+
+var _isConflict = function(a, b) {
+  if (a.isNOP() || b.isNOP()) return false;
+  if (_.isEqual(a.path, b.path)) {
+    if (a.isUpdate() && b.isUpdate()) {
+      if (a.diff instanceof TextOperation && b.diff instanceof TextOperation) {
+        return a.diff.hasConflict(b.diff);
+      }
+      // changes of node lists, such as containers, are always merged
+      return !(a.diff instanceof ArrayOperation && b.diff instanceof ArrayOperation);
+    }
+    if ((a.isSet() && b.isSet()) || (a.isCreate() && b.isCreate())) {
+      return !_.isEqual(a.getValue(), b.getValue());
+    }
+    return !(a.isDelete() && b.isDelete());
+  }
+  // e.g., a node has been deleted on one side and updated on the other
+  return _isPrefix(a.path, b.path) || _isPrefix(b.path, a.path);
+};
+
+var _getValue = function(doc, path) {
+  var val = doc.get(path);
+  if (val && val.toJSON) return val.toJSON();
+  return _.deepclone(val);
+};
+
+var _createConflict = function(a, b, base, ours, theirs) {
+  var path = (a.path.length <= b.path.length) ? a.path : b.path;
+  var conflict = new Conflict(a, b);
+  conflict.path = path;
+  conflict.base = _getValue(base, path);
+  conflict.ours = _getValue(ours, path);
+  conflict.theirs = _getValue(theirs, path);
+  return conflict;
+};
+
+// An offset has been changed explicitly if the change can not be explained
+// by the changes of the annotated text.
+var _isExplicitOffsetChange = function(nodeBase, node, key, textOp) {
+  if (!_.isEqual(_getTextPath(nodeBase, key), _getTextPath(node, key))) return true;
+  var offset = nodeBase[key];
+  var min = _mapOffset(offset, textOp, false);
+  var max = _mapOffset(offset, textOp, true);
+  return node[key] < min || node[key] > max;
+};
+
+var _mergeOffsets = function(base, ours, theirs, doc, opsA, opsB, transformedA, transformedB, conflicts) {
+  var ops = [];
+  _.each(doc.getNodes(), function(node, id) {
+    _.each(['startOffset', 'endOffset'], function(key) {
+      var path = _getTextPath(node, key);
+      if (!path) return;
+      var nodeBase = base.get(id);
+      var nodeA = ours.get(id);
+      var nodeB = theirs.get(id);
+      // the offsets of both sides mapped into the merged text
+      var fromOurs = nodeA ? _mapOffset(nodeA[key], _getTextOp(transformedB, path), true) : undefined;
+      var fromTheirs = nodeB ? _mapOffset(nodeB[key], _getTextOp(transformedA, path), true) : undefined;
+      var offset = (fromOurs !== undefined) ? fromOurs : fromTheirs;
+      if (nodeBase && nodeA && nodeB) {
+        var explicitA = _isExplicitOffsetChange(nodeBase, nodeA, key, _getTextOp(opsA, path));
+        var explicitB = _isExplicitOffsetChange(nodeBase, nodeB, key, _getTextOp(opsB, path));
+        if (explicitB && !explicitA) {
+          offset = fromTheirs;
+        } else if (explicitA && explicitB && fromOurs !== fromTheirs) {
+          conflicts.push(_createConflict(
+            ObjectOperation.Set([id, key], nodeBase[key], nodeA[key]),
+            ObjectOperation.Set([id, key], nodeBase[key], nodeB[key]),
+            base, ours, theirs));
+        }
+      }
+      if (offset !== node[key]) {
+        ops.push(ObjectOperation.Set([id, key], node[key], offset));
+      }
+    });
+  });
+  return ops;
+};
+
+/**
+ * Merges the changes of two document versions derived from a common base version.
+ *
+ * Non-overlapping changes are merged automatically, e.g., changes to different nodes,
+ * text changes in disjoint ranges, and independent annotations. Annotation offsets are
+ * mapped through the text changes of the other side.
+ *
+ * For overlapping changes the merged document contains our version and a `Conflict`
+ * is reported. Besides the conflicting operations `a` (ours) and `b` (theirs)
+ * a conflict has the affected `path` and the values `base`, `ours`, and `theirs` at that path.
+ *
+ * @example
+ *
+ * ```js
+ * var result = Document.merge(base, ours, theirs);
+ * if (result.conflicts.length > 0) {
+ *   // let the user resolve the conflicts
+ * }
+ * save(result.doc);
+ * ```
+ *
+ * @param {Document} base the common ancestor
+ * @param {Document} ours
+ * @param {Document} theirs
+ * @return {Object} `{ doc: Document, change: DocumentChange, conflicts: Conflict[] }`
+ *   where `change` is the change which turns `ours` into the merged document.
+ */
+var documentMerge = function(base, ours, theirs) {
+  var conflicts = [];
+  var opsA = documentDiff(base, ours).ops;
+  var opsB = documentDiff(base, theirs).ops;
+  var a = _.filter(opsA, function(op) {
+    return !_isOffsetOp(op, ours);
+  });
+  var dropped = [];
+  var b = _.filter(opsB, function(opB) {
+    if (_isOffsetOp(opB, theirs)) return false;
+    var opA = _.find(a, function(opA) {
+      return _isConflict(opA, opB);
+    });
+    if (opA) {
+      conflicts.push(_createConflict(opA, opB, base, ours, theirs));
+      if (opB.isDelete()) dropped.push(opB.path[0]);
+      return false;
+    }
+    return true;
+  });
+  // a node which is not deleted has to stay in its containers
+  b = _.filter(b, function(op) {
+    return !(op.isUpdate() && op.diff instanceof ArrayOperation && op.diff.isDelete() &&
+      dropped.indexOf(op.diff.getValue()) >= 0);
+  });
+  var t = DocumentChange.transform(new DocumentChange(a, {}, {}), new DocumentChange(b, {}, {}));
+  var doc = ours.fromSnapshot(ours.toJSON());
+  doc._apply(t[1]);
+  var offsetOps = _mergeOffsets(base, ours, theirs, doc, opsA, opsB, t[0].ops, t[1].ops, conflicts);
+  doc._apply(new DocumentChange(offsetOps, {}, {}));
+  doc.documentDidLoad();
+  return {
+    doc: doc,
+    change: new DocumentChange(t[1].ops.concat(offsetOps), {}, {}),
+    conflicts: conflicts
+  };
+};
+
+module.exports = documentMerge;
@@ -0,0 +1,170 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var Substance = require('../basics');
+var _ = require('../basics/helpers');
+var ChangeStore = require('./change_store');
+
+/**
+ * A ChangeStore keeping the journal in a directory of the file system.
+ *
+ * The changes are stored in `changes.jsonl`, one serialized change per line,
+ * snapshots are stored in `snapshots/<version>.json`.
+ *
+ * Note: this implementation is only available in node.js and is therefore not
+ * exported via `Substance.Document`.
+ *
+ * @example
+ *
+ * ```js
+ * var FileChangeStore = require('substance/document/file_change_store');
+ * var store = new FileChangeStore('/var/data/doc1', {
+ *   createDocument: function() { return new Article(); }
+ * });
+ * ```
+ *
+ * @class FileChangeStore
+ * @extends ChangeStore
+ * @constructor
+ * @param {String} dir the directory, is created if it does not exist
+ * @param {Object} [options] see ChangeStore
+ * @module Document
+ */
+function FileChangeStore(dir, options) {
+  ChangeStore.call(this, options);
+  this.dir = dir;
+  this.journalFile = path.join(dir, 'changes.jsonl');
+  this.snapshotDir = path.join(dir, 'snapshots');
+  // writes are serialized to keep version numbers consistent
+  this._queue = [];
+  this._writing = false;
+  this._version = null;
+}
+
+FileChangeStore.Prototype = function() {
+
+  this.getVersion = function(cb) {
+    if (this._version !== null) {
+      return cb(null, this._version);
+    }
+    var self = this;
+    this._readJournal(function(err, lines) {
+      if (err) return cb(err);
+      self._version = lines.length;
+      cb(null, self._version);
+    });
+  };
+
+  this._appendChange = function(data, cb) {
+    var self = this;
+    this._enqueue(function(done) {
+      self.getVersion(function(err, version) {
+        if (err) return done(err);
+        self._ensureDir(self.dir, function(err) {
+          if (err) return done(err);
+          fs.appendFile(self.journalFile, JSON.stringify(data) + '\n', 'utf8', function(err) {
+            if (err) return done(err);
+            self._version = version + 1;
+            done(null, self._version);
+          });
+        });
+      });
+    }, cb);
+  };
+
+  this._readChanges = function(fromVersion, toVersion, cb) {
+    this._readJournal(function(err, lines) {
+      if (err) return cb(err);
+      var changes;
+      try {
+        changes = _.map(lines.slice(fromVersion, toVersion), function(line) {
+          return JSON.parse(line);
+        });
+      } catch (error) {
+        return cb(error);
+      }
+      cb(null, changes);
+    });
+  };
+
+  this._writeSnapshot = function(version, data, cb) {
+    var self = this;
+    this._ensureDir(this.dir, function(err) {
+      if (err) return cb(err);
+      self._ensureDir(self.snapshotDir, function(err) {
+        if (err) return cb(err);
+        fs.writeFile(path.join(self.snapshotDir, version + '.json'), JSON.stringify(data), 'utf8', cb);
+      });
+    });
+  };
+
+  this._readSnapshot = function(version, cb) {
+    var self = this;
+    fs.readdir(this.snapshotDir, function(err, files) {
+      if (err) {
+        if (err.code === 'ENOENT') return cb(null, null);
+        return cb(err);
+      }
+      var versions = _.filter(_.map(files, function(file) {
+        return parseInt(path.basename(file, '.json'), 10);
+      }), function(v) {
+        return !isNaN(v) && v <= version;
+      });
+      if (versions.length === 0) {
+        return cb(null, null);
+      }
+      var latest = Math.max.apply(null, versions);
+      fs.readFile(path.join(self.snapshotDir, latest + '.json'), 'utf8', function(err, content) {
+        if (err) return cb(err);
+        var data;
+        try {
+          data = JSON.parse(content);
+        } catch (error) {
+          return cb(error);
+        }
+        cb(null, { version: latest, data: data });
+      });
+    });
+  };
+
+  this._readJournal = function(cb) {
+    fs.readFile(this.journalFile, 'utf8', function(err, content) {
+      if (err) {
+        if (err.code === 'ENOENT') return cb(null, []);
+        return cb(err);
+      }
+      cb(null, _.filter(content.split('\n'), function(line) {
+        return line.length > 0;
+      }));
+    });
+  };
+
+  this._ensureDir = function(dir, cb) {
+    fs.mkdir(dir, function(err) {
+      if (err && err.code !== 'EEXIST') return cb(err);
+      cb(null);
+    });
+  };
+
+  this._enqueue = function(task, cb) {
+    this._queue.push({ task: task, cb: cb });
+    this._next();
+  };
+
+  this._next = function() {
+    if (this._writing || this._queue.length === 0) return;
+    var self = this;
+    var entry = this._queue.shift();
+    this._writing = true;
+    entry.task(function() {
+      self._writing = false;
+      entry.cb.apply(null, arguments);
+      self._next();
+    });
+  };
+};
+
+Substance.inherit(FileChangeStore, ChangeStore);
+
+module.exports = FileChangeStore;
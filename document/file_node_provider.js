@@ -0,0 +1,103 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var Substance = require('../basics');
+var _ = require('../basics/helpers');
+var NodeProvider = require('./node_provider');
+
+/**
+ * A NodeProvider keeping the nodes in a directory of the file system.
+ *
+ * The structure is stored in `document.json`, every part in `parts/<partId>.json`.
+ *
+ * Note: this implementation is only available in node.js and is therefore not
+ * exported via `Substance.Document`.
+ *
+ * @example
+ *
+ * ```js
+ * var FileNodeProvider = require('substance/document/file_node_provider');
+ * var provider = new FileNodeProvider('/var/data/doc1');
+ * doc.loadPartial(provider, function(err) {
+ *   ...
+ * });
+ * ```
+ *
+ * @class FileNodeProvider
+ * @extends NodeProvider
+ * @constructor
+ * @param {String} dir the directory, is created if it does not exist
+ * @module Document
+ */
+function FileNodeProvider(dir) {
+  NodeProvider.call(this);
+  this.dir = dir;
+  this.structureFile = path.join(dir, 'document.json');
+  this.partDir = path.join(dir, 'parts');
+}
+
+FileNodeProvider.Prototype = function() {
+
+  this._readStructure = function(cb) {
+    this._readJSON(this.structureFile, cb);
+  };
+
+  this._readPart = function(partId, cb) {
+    this._readJSON(this._getPartFile(partId), cb);
+  };
+
+  this._readPartSync = function(partId) {
+    return JSON.parse(fs.readFileSync(this._getPartFile(partId), 'utf8'));
+  };
+
+  this._write = function(data, cb) {
+    var self = this;
+    var structure = _.omit(data, 'parts');
+    var partIds = Object.keys(data.parts);
+    this._ensureDir(this.dir, function(err) {
+      if (err) return cb(err);
+      self._ensureDir(self.partDir, function(err) {
+        if (err) return cb(err);
+        // the structure is written last, so that it never refers to missing parts
+        var next = function(err) {
+          if (err) return cb(err);
+          var partId = partIds.shift();
+          if (partId === undefined) {
+            return fs.writeFile(self.structureFile, JSON.stringify(structure), 'utf8', cb);
+          }
+          fs.writeFile(self._getPartFile(partId), JSON.stringify(data.parts[partId]), 'utf8', next);
+        };
+        next(null);
+      });
+    });
+  };
+
+  this._getPartFile = function(partId) {
+    return path.join(this.partDir, encodeURIComponent(partId) + '.json');
+  };
+
+  this._readJSON = function(file, cb) {
+    fs.readFile(file, 'utf8', function(err, content) {
+      if (err) return cb(err);
+      var data;
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        return cb(error);
+      }
+      cb(null, data);
+    });
+  };
+
+  this._ensureDir = function(dir, cb) {
+    fs.mkdir(dir, function(err) {
+      if (err && err.code !== 'EEXIST') return cb(err);
+      cb(null);
+    });
+  };
+};
+
+Substance.inherit(FileNodeProvider, NodeProvider);
+
+module.exports = FileNodeProvider;
@@ -20,6 +20,8 @@ Document.TableSelection = require('./table_selection');
 
 Document.Annotator = require('./annotator');
 Document.AnnotationUpdates = require('./annotation_updates');
+Document.TableNavigation = require('./table_navigation');
+Document.TableCsv = require('./table_csv');
 
 Document.HtmlImporter = require('./html_importer');
 Document.HtmlExporter = require('./html_exporter');
@@ -39,7 +41,19 @@ Document.TableRow = require('./nodes/table_row');
 Document.TableCell = require('./nodes/table_cell');
 Document.List = require('./nodes/list');
 Document.ListItem = require('./nodes/list_item');
+Document.Image = require('./nodes/image');
+Document.Figure = require('./nodes/figure');
 
 Document.Transformations = require('./transformations');
 
+Document.diff = require('./document_diff');
+Document.merge = require('./document_merge');
+Document.findText = require('./text_search');
+
+Document.ChangeStore = require('./change_store');
+Document.MemoryChangeStore = require('./memory_change_store');
+
+Document.NodeProvider = require('./node_provider');
+Document.MemoryNodeProvider = require('./memory_node_provider');
+
 module.exports = Document;
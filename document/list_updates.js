@@ -0,0 +1,100 @@
+"use strict";
+
+var _ = require('../basics/helpers');
+var Annotations = require('./annotation_updates');
+
+// A collection of methods to update lists
+// --------
+//
+// Lists are flat sequences of list items. Nesting is expressed by the `level` of the items,
+// i.e., an item belongs to the closest preceding item with a lower level.
+
+// Provides the list items touched by a selection, in document order.
+var getSelectedListItems = function(doc, selection) {
+  var sels = selection.isContainerSelection() ? selection.splitIntoPropertySelections() : [selection];
+  var items = [];
+  _.each(sels, function(sel) {
+    var node = doc.get(sel.getPath()[0]);
+    if (node && node.isInstanceOf('list-item') && items.indexOf(node) < 0) {
+      items.push(node);
+    }
+  });
+  return items;
+};
+
+// Removes a list item from its list and deletes it.
+// An empty list is removed from the container and deleted too.
+var removeListItem = function(doc, containerId, item) {
+  var list = item.getParent();
+  var items = _.filter(list.items, function(id) {
+    return id !== item.id;
+  });
+  doc.set([list.id, 'items'], items);
+  doc.delete(item.id);
+  if (items.length === 0) {
+    doc.get(containerId).hide(list.id);
+    doc.delete(list.id);
+  }
+};
+
+// Decreases the level of the nested items of a list item, i.e., the following items
+// which are deeper than the item, so that they keep their place in the hierarchy
+// when the item itself is outdented.
+var outdentNestedItems = function(doc, item) {
+  var list = item.getParent();
+  var idx = list.items.indexOf(item.id);
+  for (var i = idx + 1; i < list.items.length; i++) {
+    var other = doc.get(list.items[i]);
+    if (other.level <= item.level) break;
+    doc.set([other.id, 'level'], other.level - 1);
+  }
+};
+
+// Turns a list item into a text node of the default type, which is shown after the list.
+// The items following the item are moved into a new list.
+// Returns the id of the text node.
+var exitList = function(doc, containerId, item) {
+  var list = item.getParent();
+  var container = doc.get(containerId);
+  var pos = container.getPosition(list.id);
+  var idx = list.items.indexOf(item.id);
+  var before = list.items.slice(0, idx);
+  var after = list.items.slice(idx + 1);
+  var type = doc.getSchema().getDefaultTextType();
+  var id = _.uuid(type);
+  doc.create({
+    id: id,
+    type: type,
+    content: item.content
+  });
+  Annotations.transferAnnotations(doc, [item.id, 'content'], 0, [id, 'content'], 0);
+  doc.set([list.id, 'items'], before);
+  doc.delete(item.id);
+  if (after.length > 0) {
+    var newListId = _.uuid('list');
+    doc.create({
+      id: newListId,
+      type: 'list',
+      ordered: list.ordered,
+      items: []
+    });
+    _.each(after, function(itemId) {
+      doc.set([itemId, 'parent'], newListId);
+    });
+    doc.set([newListId, 'items'], after);
+    container.show(newListId, pos + 1);
+  }
+  container.show(id, pos + 1);
+  if (before.length === 0) {
+    container.hide(list.id);
+    doc.delete(list.id);
+  }
+  return id;
+};
+
+module.exports = {
+  getSelectedListItems: getSelectedListItems,
+  removeListItem: removeListItem,
+  outdentNestedItems: outdentNestedItems,
+  exitList: exitList
+};
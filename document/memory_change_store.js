@@ -0,0 +1,59 @@
+'use strict';
+
+var Substance = require('../basics');
+var _ = require('../basics/helpers');
+var ChangeStore = require('./change_store');
+
+/**
+ * A ChangeStore keeping the journal in memory.
+ *
+ * Callbacks are called synchronously.
+ *
+ * @class MemoryChangeStore
+ * @extends ChangeStore
+ * @constructor
+ * @param {Object} [options] see ChangeStore
+ * @module Document
+ */
+function MemoryChangeStore(options) {
+  ChangeStore.call(this, options);
+  this.changes = [];
+  // snapshots by version
+  this.snapshots = {};
+}
+
+MemoryChangeStore.Prototype = function() {
+
+  this.getVersion = function(cb) {
+    cb(null, this.changes.length);
+  };
+
+  this._appendChange = function(data, cb) {
+    this.changes.push(_.deepclone(data));
+    cb(null, this.changes.length);
+  };
+
+  this._readChanges = function(fromVersion, toVersion, cb) {
+    cb(null, _.deepclone(this.changes.slice(fromVersion, toVersion)));
+  };
+
+  this._writeSnapshot = function(version, data, cb) {
+    this.snapshots[version] = _.deepclone(data);
+    cb(null);
+  };
+
+  this._readSnapshot = function(version, cb) {
+    var versions = _.filter(_.map(Object.keys(this.snapshots), Number), function(v) {
+      return v <= version;
+    });
+    if (versions.length === 0) {
+      return cb(null, null);
+    }
+    var latest = Math.max.apply(null, versions);
+    cb(null, { version: latest, data: _.deepclone(this.snapshots[latest]) });
+  };
+};
+
+Substance.inherit(MemoryChangeStore, ChangeStore);
+
+module.exports = MemoryChangeStore;
@@ -0,0 +1,59 @@
+'use strict';
+
+var Substance = require('../basics');
+var _ = require('../basics/helpers');
+var NodeProvider = require('./node_provider');
+
+/**
+ * A NodeProvider keeping the nodes in memory.
+ *
+ * Callbacks are called synchronously.
+ *
+ * @class MemoryNodeProvider
+ * @extends NodeProvider
+ * @constructor
+ * @param {Object} [data] as created by `NodeProvider.partition()`
+ * @module Document
+ */
+function MemoryNodeProvider(data) {
+  NodeProvider.call(this);
+  this.data = data || { schema: null, nodes: {}, roots: {}, parts: {} };
+}
+
+MemoryNodeProvider.Prototype = function() {
+
+  this._readStructure = function(cb) {
+    cb(null, {
+      schema: _.clone(this.data.schema),
+      nodes: _.deepclone(this.data.nodes),
+      roots: _.clone(this.data.roots)
+    });
+  };
+
+  this._readPart = function(partId, cb) {
+    var nodes;
+    try {
+      nodes = this._readPartSync(partId);
+    } catch (err) {
+      return cb(err);
+    }
+    cb(null, nodes);
+  };
+
+  this._readPartSync = function(partId) {
+    var part = this.data.parts[partId];
+    if (!part) {
+      throw new Error('Unknown part: ' + partId);
+    }
+    return _.deepclone(part);
+  };
+
+  this._write = function(data, cb) {
+    this.data = _.deepclone(data);
+    cb(null);
+  };
+};
+
+Substance.inherit(MemoryNodeProvider, NodeProvider);
+
+module.exports = MemoryNodeProvider;
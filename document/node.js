@@ -30,6 +30,11 @@ var Node = Data.Node.extend({
     return this.document;
   },
 
+  // computed properties are cached until the document changes
+  getRevision: function() {
+    return this.document ? this.document.data.revision : undefined;
+  },
+
   hasParent: function() {
     return !!this.parent;
   },
@@ -47,9 +52,11 @@ var Node = Data.Node.extend({
   },
 
   getComponents: function() {
-    var componentNames = this.constructor.static.components || [];
-    if (componentNames.length === 0) {
+    var componentNames = this.constructor.static.components;
+    // Note: nodes without editable properties, such as images, define an empty list
+    if (!componentNames) {
       console.warn('Contract: a node must define its editable properties.', this.constructor.static.name);
+      componentNames = [];
     }
     return componentNames;
   },
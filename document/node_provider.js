@@ -0,0 +1,236 @@
+'use strict';
+
+var Substance = require('../basics');
+var _ = require('../basics/helpers');
+var ReferenceIndex = require('./reference_index');
+var ContainerAnnotation = require('./container_annotation');
+
+/**
+ * Abstract base class for an external storage of document nodes,
+ * which lets a document be loaded partially.
+ *
+ * A stored document consists of
+ *   - the structure, i.e., all nodes which are loaded initially, such as containers,
+ *   - parts, each containing one or more nodes shown in a container together with
+ *     all nodes belonging to them, such as annotations or children, and
+ *   - a mapping from the ids of these root nodes to the ids of their parts.
+ *
+ * All methods take Node-style callbacks.
+ *
+ * Implementations must provide:
+ *   - `_readStructure(cb)` calling back with `{ schema: Array, nodes: Object, roots: Object }`
+ *   - `_readPart(partId, cb)` calling back with the nodes of the part
+ *   - `_readPartSync(partId)` returning the nodes of the part
+ *   - `_write(data, cb)` storing the result of `NodeProvider.partition()`
+ *
+ * @example
+ *
+ * ```js
+ * var provider = new MemoryNodeProvider();
+ * provider.store(fullDoc, function(err) {
+ *   var doc = new Article();
+ *   doc.loadPartial(provider, function(err) {
+ *     doc.loadNodes(['p1', 'p2'], function(err) {
+ *       ...
+ *     });
+ *   });
+ * });
+ * ```
+ *
+ * @class NodeProvider
+ * @constructor
+ * @module Document
+ */
+function NodeProvider() {}
+
+NodeProvider.Prototype = function() {
+
+  /**
+   * Get the nodes which are loaded initially.
+   *
+   * @method getStructure
+   * @param {Function} cb called with `{ schema: Array, nodes: Object, roots: Object }`,
+   *   where `roots` maps the ids of the not included root nodes to the ids of their parts.
+   */
+  this.getStructure = function(cb) {
+    this._readStructure(cb);
+  };
+
+  /**
+   * Get the nodes of a part.
+   *
+   * @method getPart
+   * @param {String} partId
+   * @param {Function} cb called with an object containing the node data by id
+   */
+  this.getPart = function(partId, cb) {
+    this._readPart(partId, cb);
+  };
+
+  /**
+   * Get the nodes of a part synchronously.
+   *
+   * Used to load nodes on demand within a transaction.
+   *
+   * @method getPartSync
+   * @param {String} partId
+   * @return {Object} the node data by id
+   */
+  this.getPartSync = function(partId) {
+    return this._readPartSync(partId);
+  };
+
+  /**
+   * Store a document.
+   *
+   * @method store
+   * @param {Document} doc a completely loaded document
+   * @param {Function} cb
+   */
+  this.store = function(doc, cb) {
+    var data;
+    try {
+      data = NodeProvider.partition(doc);
+    } catch (err) {
+      return cb(err);
+    }
+    this._write(data, cb);
+  };
+
+  this._readStructure = function(cb) {
+    /* jshint unused:false */
+    throw new Error('Method is abstract.');
+  };
+
+  this._readPart = function(partId, cb) {
+    /* jshint unused:false */
+    throw new Error('Method is abstract.');
+  };
+
+  this._readPartSync = function(partId) {
+    /* jshint unused:false */
+    throw new Error('Method is abstract.');
+  };
+
+  this._write = function(data, cb) {
+    /* jshint unused:false */
+    throw new Error('Method is abstract.');
+  };
+};
+
+Substance.initClass(NodeProvider);
+
+var _hasReference = function(node, targetId, kind) {
+  return !!_.find(ReferenceIndex.getReferences(node), function(ref) {
+    return ref.kind === kind && ref.targets.indexOf(targetId) >= 0;
+  });
+};
+
+// Provides the ids of all nodes belonging to the given one, i.e.,
+// its annotations, its owned children and the nodes owned by it.
+var _getDependentNodes = function(doc, node) {
+  var ids = _.pluck(doc.getIndex('annotations').get(node.id), 'id');
+  _.each(ReferenceIndex.getReferences(node), function(ref) {
+    if (ref.kind === 'owned') {
+      ids = ids.concat(ref.targets);
+    }
+  });
+  _.each(doc.getIndex('references').get(node.id), function(other) {
+    if (_hasReference(other, node.id, 'owner')) {
+      ids.push(other.id);
+    }
+  });
+  return ids;
+};
+
+/**
+ * Split a document into its structure and parts.
+ *
+ * Every node shown in a container gets its own part together with its dependent nodes.
+ * Parts of nodes which are spanned by a container annotation or which are required by
+ * another part are merged, so that a part can be loaded on its own.
+ *
+ * @method partition
+ * @static
+ * @param {Document} doc a completely loaded document
+ * @return {Object} `{ schema: Array, nodes: Object, roots: Object, parts: Object }`
+ */
+NodeProvider.partition = function(doc) {
+  if (doc.getUnloadedNodes && doc.getUnloadedNodes().length > 0) {
+    throw new Error('Only completely loaded documents can be partitioned.');
+  }
+  var partOf = {};
+  var parts = {};
+  var roots = {};
+  var containers = doc.getIndex('type').get('container');
+  var merge = function(partId, otherId) {
+    if (!otherId || partId === otherId) return;
+    _.each(parts[otherId], function(id) {
+      partOf[id] = partId;
+    });
+    parts[partId] = parts[partId].concat(parts[otherId]);
+    delete parts[otherId];
+    _.each(roots, function(id, rootId) {
+      if (id === otherId) roots[rootId] = partId;
+    });
+  };
+  _.each(containers, function(container) {
+    _.each(container.nodes, function(rootId) {
+      if (partOf[rootId] || !doc.get(rootId)) return;
+      parts[rootId] = [];
+      roots[rootId] = rootId;
+      var stack = [rootId];
+      while (stack.length > 0) {
+        var id = stack.pop();
+        var node = doc.get(id);
+        if (!node || partOf[id]) continue;
+        partOf[id] = rootId;
+        parts[rootId].push(id);
+        stack = stack.concat(_getDependentNodes(doc, node));
+      }
+    });
+  });
+  _.each(doc.getNodes(), function(node) {
+    if (node.isInstanceOf(ContainerAnnotation.static.name)) {
+      var container = doc.get(node.container);
+      var startPos = container.getPosition(partOf[node.startPath[0]]);
+      var endPos = container.getPosition(partOf[node.endPath[0]]);
+      if (startPos < 0 || endPos < 0) return;
+      var partId = partOf[container.nodes[startPos]];
+      for (var pos = startPos + 1; pos <= endPos; pos++) {
+        merge(partId, partOf[container.nodes[pos]]);
+      }
+      partOf[node.id] = partId;
+      parts[partId].push(node.id);
+    }
+  });
+  _.each(doc.getNodes(), function(node) {
+    if (!partOf[node.id]) return;
+    _.each(ReferenceIndex.getReferences(node), function(ref) {
+      if (ref.kind !== 'required') return;
+      _.each(ref.targets, function(id) {
+        if (partOf[id]) merge(partOf[node.id], partOf[id]);
+      });
+    });
+  });
+  var json = doc.toJSON();
+  var result = {
+    schema: json.schema,
+    nodes: {},
+    roots: roots,
+    parts: {}
+  };
+  _.each(parts, function(ids, partId) {
+    result.parts[partId] = {};
+  });
+  _.each(json.nodes, function(nodeData, id) {
+    if (partOf[id]) {
+      result.parts[partOf[id]][id] = nodeData;
+    } else {
+      result.nodes[id] = nodeData;
+    }
+  });
+  return _.deepclone(result);
+};
+
+module.exports = NodeProvider;
@@ -0,0 +1,88 @@
+var DocumentNode = require('../node');
+
+var Figure = DocumentNode.extend({
+  name: "figure",
+  properties: {
+    "label": { type: "string", "default": "" },
+    "title": { type: "string", "default": "" },
+    "caption": { type: "string", "default": "" },
+    // the node shown in the figure, e.g., an image
+    "content": { type: "id", reference: "owned" }
+  },
+
+  getContentNode: function() {
+    return this.getDocument().get(this.content);
+  }
+});
+
+Figure.static.components = ['title', 'caption'];
+
+// HtmlImporter
+
+Figure.static.blockType = true;
+
+Figure.static.matchElement = function($el) {
+  return $el.is('figure');
+};
+
+// Imports
+//
+//    <figure data-label="Figure 1">
+//      <img src="...">
+//      <figcaption><span class="title">...</span><span class="caption">...</span></figcaption>
+//    </figure>
+//
+// A figcaption without title and caption elements is taken as caption.
+Figure.static.fromHtml = function($el, converter) {
+  var id = converter.defaultId($el, 'figure');
+  var figure = {
+    id: id,
+    label: $el.attr('data-label') || '',
+    title: '',
+    caption: ''
+  };
+  $el.children().each(function() {
+    var $child = $(this);
+    if ($child.is('figcaption')) {
+      var $title = $child.children('.title');
+      var $caption = $child.children('.caption');
+      if ($title.length > 0) {
+        figure.title = converter.annotatedText($title, [id, 'title']);
+      }
+      if ($caption.length > 0) {
+        figure.caption = converter.annotatedText($caption, [id, 'caption']);
+      } else if ($title.length === 0) {
+        figure.caption = converter.annotatedText($child, [id, 'caption']);
+      }
+    } else if (!figure.content) {
+      figure.content = converter.convertElement($child).id;
+    } else {
+      converter.warning('Figure: only one content element is supported. ' + converter.$toStr($child));
+    }
+  });
+  return figure;
+};
+
+// HtmlExporter
+
+Figure.static.toHtml = function(figure, converter) {
+  var id = figure.id;
+  var $el = $('<figure>')
+    .attr('id', id);
+  if (figure.label) {
+    $el.attr('data-label', figure.label);
+  }
+  var contentNode = figure.getContentNode();
+  if (contentNode) {
+    $el.append(converter.convertNode(contentNode));
+  }
+  var $caption = $('<figcaption>');
+  if (figure.title) {
+    $caption.append($('<span>').addClass('title').append(converter.annotatedText([id, 'title'])));
+  }
+  $caption.append($('<span>').addClass('caption').append(converter.annotatedText([id, 'caption'])));
+  $el.append($caption);
+  return $el;
+};
+
+module.exports = Figure;
@@ -1,9 +1,32 @@
+var _ = require('../../basics/helpers');
 var TextNode = require('../text_node');
 
 var Heading = TextNode.extend({
   name: "heading",
   properties: {
-    "level": "number"
+    "level": { type: "number", "default": 1 }
+  },
+  computed: {
+    // the section number derived from the preceding headings in the container, e.g., "2.1"
+    number: function() {
+      var doc = this.getDocument();
+      var id = this.id;
+      var container = doc ? _.find(doc.getIndex('type').get('container'), function(container) {
+        return container.getPosition(id) >= 0;
+      }) : null;
+      if (!container) return null;
+      var counters = [];
+      for (var i = 0; i < container.nodes.length; i++) {
+        var node = doc.get(container.nodes[i]);
+        if (!node || node.type !== "heading") continue;
+        counters.length = node.level;
+        counters[node.level - 1] = (counters[node.level - 1] || 0) + 1;
+        if (node.id === id) break;
+      }
+      return _.map(counters, function(count) {
+        return count || 0;
+      }).join('.');
+    }
   }
 });
 
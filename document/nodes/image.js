@@ -0,0 +1,56 @@
+var DocumentNode = require('../node');
+
+var Image = DocumentNode.extend({
+  name: "image",
+  properties: {
+    "src": "string",
+    "alt": { type: "string", "default": "" },
+    "width": "number",
+    "height": "number"
+  }
+});
+
+// Note: an image has no editable properties
+Image.static.components = [];
+
+// HtmlImporter
+
+Image.static.blockType = true;
+
+Image.static.matchElement = function($el) {
+  return $el.is('img');
+};
+
+var _getDimension = function($el, name) {
+  var value = parseInt($el.attr(name), 10);
+  return isNaN(value) ? undefined : value;
+};
+
+Image.static.fromHtml = function($el, converter) {
+  var id = converter.defaultId($el, 'img');
+  var image = {
+    id: id,
+    src: $el.attr('src'),
+    alt: $el.attr('alt') || ''
+  };
+  var width = _getDimension($el, 'width');
+  var height = _getDimension($el, 'height');
+  if (width !== undefined) image.width = width;
+  if (height !== undefined) image.height = height;
+  return image;
+};
+
+// HtmlExporter
+
+Image.static.toHtml = function(image, converter) {
+  /* jshint unused:false */
+  var $el = $('<img>')
+    .attr('id', image.id)
+    .attr('src', image.src)
+    .attr('alt', image.alt);
+  if (image.width !== undefined) $el.attr('width', image.width);
+  if (image.height !== undefined) $el.attr('height', image.height);
+  return $el;
+};
+
+module.exports = Image;
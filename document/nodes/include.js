@@ -4,7 +4,7 @@ var Include = DocumentNode.extend({
   name: "include",
   properties: {
     "nodeType": "string",
-    "nodeId": "id"
+    "nodeId": { type: "id", reference: "required" }
   },
 
   getIncludedNode: function() {
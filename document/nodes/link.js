@@ -4,7 +4,7 @@ var Link = Annotation.extend({
   name: "link",
   properties: {
     url: 'string',
-    title: 'string'
+    title: { type: 'string', 'default': '' }
   }
 });
 
@@ -32,7 +32,9 @@ Link.static.fromHtml = function($el, converter) {
 Link.static.toHtml = function(link, converter, children) {
   var $el = Annotation.static.toHtml(link, converter, children);
   $el.attr('href', link.url);
-  $el.attr('title', link.title);
+  if (link.title) {
+    $el.attr('title', link.title);
+  }
   return $el;
 };
 
@@ -7,7 +7,7 @@ var List = DocumentNode.extend({
   name: "list",
   properties: {
     ordered: "bool",
-    items: ["array", "id"]
+    items: { type: ["array", "id"], reference: "owned" }
   },
   getItems: function() {
     var doc = this.getDocument();
@@ -37,27 +37,59 @@ List.static.fromHtml = function($el, converter) {
   if ($el.is('ol')) {
     list.ordered = true;
   }
-  // Note: nested lists are not supported yet
-  var level = 1;
-  $el.children().each(function() {
-    var $child = $(this);
-    if ($child.is('li')) {
-      var listItem = converter.convertElement($child, { parent: id, level: level });
-      list.items.push(listItem.id);
-    } else {
-      converter.warning('List: unsupported child element. ' + converter.$toStr($child));
-    }
-  });
+  // Note: nested lists are flattened into items with a higher level.
+  // The type of nested lists is not preserved, i.e., they get the type of the outermost list.
+  var convertItems = function($list, level) {
+    $list.children().each(function() {
+      var $child = $(this);
+      if ($child.is('li')) {
+        var $nested = $child.children('ul,ol');
+        // the nested lists are not part of the item's content
+        var $item = $child;
+        if ($nested.length > 0) {
+          $item = $child.clone();
+          $item.children('ul,ol').remove();
+        }
+        var listItem = converter.convertElement($item, { parent: id, level: level });
+        list.items.push(listItem.id);
+        $nested.each(function() {
+          convertItems($(this), level + 1);
+        });
+      } else if ($child.is('ul,ol')) {
+        // a nested list which is not wrapped by a list item
+        convertItems($child, level + 1);
+      } else {
+        converter.warning('List: unsupported child element. ' + converter.$toStr($child));
+      }
+    });
+  };
+  convertItems($el, 1);
   return list;
 };
 
 List.static.toHtml = function(list, converter) {
   var tagName = list.ordered ? 'ol' : 'ul';
-  var id = list.id;
-  var $el = ('<' + tagName + '>')
-    .attr('id', id);
+  var $el = $('<' + tagName + '>')
+    .attr('id', list.id);
+  // the lists for all levels up to the current item
+  var $lists = [$el];
   _.each(list.getItems(), function(item) {
-    $el.append(item.toHtml(converter));
+    var level = Math.max(item.level, 1);
+    while ($lists.length > level) {
+      $lists.pop();
+    }
+    while ($lists.length < level) {
+      var $parent = _.last($lists);
+      var $nested = $('<' + tagName + '>');
+      var $lastItem = $parent.children('li').last();
+      if ($lastItem.length > 0) {
+        $lastItem.append($nested);
+      } else {
+        $parent.append($nested);
+      }
+      $lists.push($nested);
+    }
+    _.last($lists).append(item.toHtml(converter));
   });
   return $el;
 };
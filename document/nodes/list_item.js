@@ -3,10 +3,17 @@ var Node = require('../node');
 var ListItem = Node.extend({
   name: "list-item",
   properties: {
-    parent: "id",
-    level: "number",
+    parent: { type: "id", reference: "owner" },
+    level: { type: "number", "default": 1 },
     content: "string",
   },
+  computed: {
+    // the position within the parent list
+    index: function() {
+      var list = this.document && this.hasParent() ? this.getParent() : null;
+      return list ? list.items.indexOf(this.id) : -1;
+    }
+  }
 });
 
 ListItem.static.components = ['content'];
@@ -18,7 +25,7 @@ ListItem.static.matchElement = function($el) {
 };
 
 ListItem.static.fromHtml = function($el, converter) {
-  var level = $el.data('level') || 1;
+  var level = $el.data('level');
   var id = converter.defaultId($el, 'li');
   var item = {
     id: id,
@@ -33,8 +40,8 @@ ListItem.static.toHtml = function(item, converter) {
   var id = item.id;
   var $el = $('<li>')
     .attr('id', item.id)
-    .data('level', item.level)
-    .append(converter.annotatedText([id, 'content']))
+    .attr('data-level', item.level)
+    .append(converter.annotatedText([id, 'content']));
   return $el;
 };
 
@@ -10,7 +10,7 @@ var Table = Node.extend({
   matrix: null,
 
   properties: {
-    "sections": ["array", "id"],
+    "sections": { type: ["array", "id"], reference: "owned" },
   },
 
   getSections: function() {
@@ -34,10 +34,13 @@ var Table = Node.extend({
     this.super.attach.apply(this, arguments);
   },
 
+  // Note: the matrix is recomputed whenever the document has changed
   getMatrix: function() {
-    if (!this.matrix) {
+    var revision = this.getRevision();
+    if (!this.matrix || revision === undefined || this.matrixRevision !== revision) {
       this.matrix = new TableMatrix(this);
       this.matrix.update();
+      this.matrixRevision = revision;
     }
     return this.matrix;
   },
@@ -55,11 +58,11 @@ var Table = Node.extend({
   /**
    */
   getSize: function ( dimension ) {
-    var dim = this.matrix.getSize();
+    var dim = this.getMatrix().getSize();
     if ( dimension === 'row' ) {
-      return dim[0];
+      return dim.rows;
     } else if ( dimension === 'col' ) {
-      return dim[1];
+      return dim.cols;
     } else {
       return dim;
     }
@@ -103,7 +106,7 @@ Table.static.fromHtml = function($el, converter) {
     };
     $el.find('tr').each(function() {
       var $row = $(this);
-      var rowNode = converter.convertElement($row, { parent: id });
+      var rowNode = converter.convertElement($row, { parent: sectionNode.id });
       sectionNode.rows.push(rowNode.id);
     });
     converter.getDocument().create(sectionNode);
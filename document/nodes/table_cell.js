@@ -3,17 +3,17 @@ var Node = require('../node');
 var TableCell = Node.extend({
   name: "table-cell",
   properties: {
-    "parent": "id",
+    "parent": { type: "id", reference: "owner" },
     "cellType": "string", // "head" or "data"
-    "colspan": "number",
-    "rowspan": "number",
+    "colspan": { type: "number", "default": 1 },
+    "rowspan": { type: "number", "default": 1 },
     "content": "string"
   },
   getSpan: function(dim) {
     if (dim === "col") {
-      return this.colspan || 1;
+      return this.colspan;
     } else if (dim === "row") {
-      return this.rowspan || 1;
+      return this.rowspan;
     }
   }
 });
@@ -53,8 +53,14 @@ TableCell.static.toHtml = function(cell, converter) {
   var id = cell.id;
   var tagName = (cell.cellType==="head" ? "th" : "td");
   var $el = $('<' + tagName + '>')
-    .attr('id', 'id')
+    .attr('id', id)
     .append(converter.annotatedText([id, 'content']));
+  if (cell.colspan > 1) {
+    $el.attr('colspan', cell.colspan);
+  }
+  if (cell.rowspan > 1) {
+    $el.attr('rowspan', cell.rowspan);
+  }
   return $el;
 };
 
@@ -258,11 +258,11 @@ TableMatrix.Prototype = function() {
    */
   this.getSize = function () {
     var matrix = this.getMatrix();
-    if (matrix.length === 0) {
-      return { rows: 0,  cols: 0 };
-    } else {
-      return { rows: matrix.length,  cols: matrix[0].length };
+    var cols = 0;
+    for (var row = 0; row < matrix.length; row++) {
+      cols = Math.max(cols, matrix[row].length);
     }
+    return { rows: matrix.length,  cols: cols };
   };
 
   /**
@@ -274,7 +274,13 @@ TableMatrix.Prototype = function() {
     var row, col, cell, rowCells,
       matrix = this.getMatrix(),
       rowNodes = this.getRowNodes();
-    row = rowNodes.indexOf(cellNode.parent);
+    row = -1;
+    for (var i = 0; i < rowNodes.length; i++) {
+      if (rowNodes[i].id === cellNode.parent) {
+        row = i;
+        break;
+      }
+    }
     if (row < 0) return null;
     cell = null;
     rowCells = matrix[row];
@@ -4,8 +4,8 @@ var _ = require('../../basics/helpers');
 var TableRow = Node.extend({
   name: "table-row",
   properties: {
-    "parent": "id",
-    "cells": ["array", "id"]
+    "parent": { type: "id", reference: "owner" },
+    "cells": { type: ["array", "id"], reference: "owned" }
   },
   getCells: function() {
     var doc = this.getDocument();
@@ -4,8 +4,8 @@ var _ = require('../../basics/helpers');
 var TableSection = Node.extend({
   name: "table-section",
   properties: {
-    "parent": "id",
-    "rows": ["array", "id"],
+    "parent": { type: "id", reference: "owner" },
+    "rows": { type: ["array", "id"], reference: "owned" },
     "sectionType": "string",
   },
   getRows: function() {
@@ -229,6 +229,10 @@ PropertySelection.Prototype = function() {
 
 OO.inherit(PropertySelection, Selection);
 
+PropertySelection.fromJSON = function(json) {
+  return new PropertySelection(json);
+};
+
 Object.defineProperties(PropertySelection.prototype, {
   start: {
     get: function() {
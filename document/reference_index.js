@@ -0,0 +1,122 @@
+'use strict';
+
+var Substance = require('../basics');
+var PathAdapter = Substance.PathAdapter;
+
+// Reference Index
+// ---------------
+//
+// Lets us look up the nodes referencing a node.
+//
+// References are declared in the node schema using the `reference` option of a property:
+//
+//   - 'owned': the referenced nodes are children of this node, which are deleted together with it.
+//     E.g., `items: { type: ['array', 'id'], reference: 'owned' }` for a list.
+//   - 'owner': the referenced node owns this node, i.e., this node is deleted together with it.
+//     E.g., `parent: { type: 'id', reference: 'owner' }` for a list item.
+//   - 'required': the referenced node must exist.
+//   - 'weak': the reference may dangle. This is the default for undeclared references.
+//
+// Properties of type 'id' or ['array', 'id'] reference the nodes with the given ids.
+// Other properties reference the node given by the first element of a property path,
+// e.g., `path: { type: ['array', 'string'], reference: 'owner' }` for an annotation.
+//
+// Only 'owner' and 'required' references are indexed, as the other kinds need not be looked up
+// from the referenced side.
+//
+//    var refIndex = doc.getIndex('references');
+//    refIndex.get('text_1');
+
+var _getTargets = function(type, value) {
+  if (value === null || value === undefined) return [];
+  if (type === 'id') return [value];
+  if (Substance.isArray(type) && type[1] === 'id') return value;
+  if (Substance.isArray(value)) return value.slice(0, 1);
+  return [value];
+};
+
+var ReferenceIndex = function() {
+  this.byTarget = new PathAdapter();
+  // the indexed targets by node id, to be able to remove them when a node changes
+  this.byNode = {};
+};
+
+ReferenceIndex.Prototype = function() {
+
+  this.select = function(node) {
+    return ReferenceIndex.getReferences(node).length > 0;
+  };
+
+  this.reset = function(data) {
+    this.byTarget.clear();
+    this.byNode = {};
+    Substance.each(data.getNodes(), function(node) {
+      if (this.select(node)) {
+        this.create(node);
+      }
+    }, this);
+  };
+
+  // Returns all nodes having an 'owner' or 'required' reference to the node with the given id
+  this.get = function(nodeId) {
+    return Substance.map(this.byTarget.get(nodeId) || {}, function(node) {
+      return node;
+    });
+  };
+
+  this.create = function(node) {
+    var targets = [];
+    Substance.each(ReferenceIndex.getReferences(node), function(ref) {
+      if (ref.kind !== 'owner' && ref.kind !== 'required') return;
+      Substance.each(ref.targets, function(target) {
+        this.byTarget.set([target, node.id], node);
+        targets.push(target);
+      }, this);
+    }, this);
+    this.byNode[node.id] = targets;
+  };
+
+  this.delete = function(node) {
+    Substance.each(this.byNode[node.id], function(target) {
+      this.byTarget.delete([target, node.id]);
+    }, this);
+    delete this.byNode[node.id];
+  };
+
+  // Note: the index is updated from the node itself, which already has the new value
+  this.update = function(node) {
+    this.delete(node);
+    this.create(node);
+  };
+
+  this.clone = function() {
+    return new ReferenceIndex();
+  };
+};
+
+Substance.initClass(ReferenceIndex);
+
+/**
+ * Get the declared references of a node.
+ *
+ * @param {Node} node
+ * @return {Object[]} `{ property: String, kind: String, targets: String[] }` for all
+ *   properties declared with a `reference` option.
+ */
+ReferenceIndex.getReferences = function(node) {
+  var references = [];
+  var schema = node.constructor.static.schema;
+  for (var property in schema) {
+    var spec = node.getPropertySpec(property);
+    if (spec && spec.reference) {
+      references.push({
+        property: property,
+        kind: spec.reference,
+        targets: _getTargets(spec.type, node[property])
+      });
+    }
+  }
+  return references;
+};
+
+module.exports = ReferenceIndex;
@@ -55,6 +55,10 @@ Selection.Prototype = function() {
     return "null";
   };
 
+  this.toJSON = function() {
+    return null;
+  };
+
 };
 
 Substance.initClass(Selection);
@@ -64,6 +68,10 @@ NullSelection.Prototype = function() {
   this.isNull = function() {
     return true;
   };
+
+  this.toJSON = function() {
+    return { type: 'null' };
+  };
 };
 Substance.inherit(NullSelection, Selection);
 Selection.nullSelection = Object.freeze(new NullSelection());
@@ -0,0 +1,134 @@
+"use strict";
+
+var _ = require('../basics/helpers');
+var TableUpdates = require('./table_updates');
+
+// Conversion between tables and CSV or TSV
+// --------
+//
+// Works on plain strings so that it can be used without a DOM, e.g., in node.
+// Fields are quoted as described in RFC 4180: a field containing the delimiter,
+// a quote or a line break is enclosed in double quotes, and quotes are doubled.
+//
+// Options:
+//   - delimiter: the field separator, a single character, ',' by default; use '\t' for TSV
+//   - header: if set, the first row is imported into a head section
+
+var DEFAULT_DELIMITER = ',';
+
+var _getDelimiter = function(options) {
+  var delimiter = options.delimiter || DEFAULT_DELIMITER;
+  if (delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    throw new Error('Illegal delimiter ' + JSON.stringify(delimiter) + ': expected a single character other than a quote or a line break.');
+  }
+  return delimiter;
+};
+
+// Parses CSV text into rows of field values.
+// Line breaks within quoted fields are kept. A final line break does not start a new row.
+var parse = function(text, options) {
+  options = options || {};
+  var delimiter = _getDelimiter(options);
+  var rows = [];
+  var row = [];
+  var field = '';
+  var quoted = false;
+  var rowStarted = false;
+  var pos = 0;
+  var len = text.length;
+  while (pos < len) {
+    var c = text[pos];
+    if (quoted) {
+      if (c === '"') {
+        if (text[pos+1] === '"') {
+          field += '"';
+          pos++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[pos+1] === '\n') pos++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      rowStarted = false;
+      pos++;
+      continue;
+    } else {
+      field += c;
+    }
+    rowStarted = true;
+    pos++;
+  }
+  // Note: an unterminated quoted field takes the rest of the text, as spreadsheet applications do.
+  if (rowStarted) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+var _quote = function(value, delimiter) {
+  value = String(value);
+  if (value.indexOf(delimiter) >= 0 || /["\r\n]/.test(value)) {
+    return '"' + value.replace(/"/g, '""') + '"';
+  }
+  return value;
+};
+
+// Creates CSV text from rows of field values.
+// A row consisting of a single empty field is written as `""`, as an empty line would be lost at the end of the text.
+var stringify = function(rows, options) {
+  options = options || {};
+  var delimiter = _getDelimiter(options);
+  return _.map(rows, function(values) {
+    if (values.length === 1 && String(values[0]) === '') return '""';
+    return _.map(values, function(value) {
+      return _quote(value, delimiter);
+    }).join(delimiter);
+  }).join('\n');
+};
+
+// Creates a table from CSV text. Short rows are filled up with empty cells.
+// Returns the table, which still needs to be shown in a container.
+var importTable = function(doc, text, options) {
+  var rows = parse(text, options);
+  var cols = 0;
+  _.each(rows, function(values) {
+    cols = Math.max(cols, values.length);
+  });
+  _.each(rows, function(values) {
+    while (values.length < cols) {
+      values.push('');
+    }
+  });
+  return TableUpdates.createTable(doc, rows, options);
+};
+
+// Provides the rows of a table's matrix as CSV text.
+// The content of a spanning cell is given in its first field, the other fields it occupies are left empty.
+var exportTable = function(table, options) {
+  var rows = _.map(table.getMatrix().getMatrix(), function(cells) {
+    return _.map(cells, function(cell) {
+      if (!cell || cell.type !== 'cell') return '';
+      return cell.node.content;
+    });
+  });
+  return stringify(rows, options);
+};
+
+module.exports = {
+  parse: parse,
+  stringify: stringify,
+  importTable: importTable,
+  exportTable: exportTable
+};
@@ -0,0 +1,121 @@
+"use strict";
+
+// Navigation within tables
+// --------
+//
+// Provides the cells and selections reached when moving through a table using the keyboard.
+// Positions are given as row and column indexes of the table matrix (see TableMatrix).
+
+// Provides the table cell a selection is in, i.e., the cell of a property selection
+// or the focused cell of a table selection.
+var getSelectedCell = function(doc, sel) {
+  if (sel.isTableSelection()) {
+    var table = doc.get(sel.getTableId());
+    var focus = sel.getFocus();
+    var cell = table.getMatrix().getCell(focus.row, focus.col);
+    return cell ? cell.node : null;
+  } else if (sel.isPropertySelection()) {
+    var node = doc.get(sel.getPath()[0]);
+    if (node && node.type === 'table-cell') return node;
+  }
+  return null;
+};
+
+// Provides the cell reached from a cell in the given direction
+// ('left', 'right', 'up', 'down', 'next' or 'previous'), or null at the table's boundary.
+// 'next' and 'previous' go through the cells row by row.
+var getNeighborCell = function(table, cellNode, direction) {
+  var matrix = table.getMatrix();
+  var cell = matrix.lookupCell(cellNode);
+  var size = matrix.getSize();
+  var row = cell.row;
+  var col = cell.col;
+  var other;
+  switch (direction) {
+    case 'left':
+      col--;
+      break;
+    case 'right':
+      col += cellNode.getSpan('col');
+      break;
+    case 'up':
+      row--;
+      break;
+    case 'down':
+      row += cellNode.getSpan('row');
+      break;
+    case 'next':
+    case 'previous':
+      var step = (direction === 'next') ? 1 : -1;
+      var idx = row * size.cols + col + step;
+      for (; idx >= 0 && idx < size.rows * size.cols; idx += step) {
+        other = matrix.getCell(Math.floor(idx / size.cols), idx % size.cols);
+        if (other && other.type === 'cell') return other.node;
+      }
+      return null;
+    default:
+      throw new Error('Illegal direction: ' + direction);
+  }
+  if (row < 0 || row >= size.rows || col < 0 || col >= size.cols) return null;
+  other = matrix.getCell(row, col);
+  return other ? other.node : null;
+};
+
+// Provides a property selection within a cell's content,
+// either at its 'start', its 'end', or spanning 'all' of it.
+var selectCell = function(doc, cellNode, mode) {
+  var length = cellNode.content.length;
+  return doc.createSelection({
+    type: 'property',
+    path: [cellNode.id, 'content'],
+    startOffset: (mode === 'end') ? length : 0,
+    endOffset: (mode === 'start') ? 0 : length
+  });
+};
+
+// Provides a table selection with the focus moved to the neighbor in the given direction.
+// If `expand` is set, the anchor is kept, otherwise a single cell is selected.
+// Returns null if there is no neighbor.
+var moveFocus = function(doc, sel, direction, expand) {
+  var table, cellNode, anchor;
+  if (sel.isTableSelection()) {
+    table = doc.get(sel.getTableId());
+    anchor = sel.getAnchor();
+  } else {
+    table = getSelectedCell(doc, sel).getRoot();
+  }
+  cellNode = getSelectedCell(doc, sel);
+  var matrix = table.getMatrix();
+  var cell = matrix.lookupCell(cellNode);
+  var focus = sel.isTableSelection() ? sel.getFocus() : cell;
+  anchor = anchor || cell;
+  var next = getNeighborCell(table, cellNode, direction);
+  if (!next) return null;
+  var nextCell = matrix.lookupCell(next);
+  var row = focus.row;
+  var col = focus.col;
+  // keep the other coordinate of the focus so that moving across spanning cells stays in line
+  if (direction === 'left' || direction === 'right') {
+    col = nextCell.col;
+  } else {
+    row = nextCell.row;
+  }
+  if (!expand) {
+    anchor = { row: row, col: col };
+  }
+  return doc.createSelection({
+    type: 'table',
+    tableId: table.id,
+    startRow: anchor.row,
+    startCol: anchor.col,
+    endRow: row,
+    endCol: col
+  });
+};
+
+module.exports = {
+  getSelectedCell: getSelectedCell,
+  getNeighborCell: getNeighborCell,
+  selectCell: selectCell,
+  moveFocus: moveFocus
+};
@@ -8,9 +8,15 @@ function TableSelection(properties) {
   this.tableId = properties.tableId;
   if (properties.rectangle) {
     this.rectangle = properties.rectangle;
+    this.anchor = this.rectangle.start;
+    this.focus = this.rectangle.end;
   } else {
     this.rectangle = new TableSelection.Rectangle(properties.startRow, properties.startCol,
       properties.endRow, properties.endCol);
+    // the rectangle is normalized, while anchor and focus keep the direction of the selection,
+    // e.g., to expand it using the keyboard
+    this.anchor = Object.freeze({ row: properties.startRow, col: properties.startCol });
+    this.focus = Object.freeze({ row: properties.endRow, col: properties.endCol });
   }
   if (!this.tableId) {
     throw new Error('Invalid arguments. `tableId` is mandatory.');
@@ -41,11 +47,19 @@ TableSelection.Prototype = function() {
     return this.rectangle;
   };
 
+  this.getAnchor = function() {
+    return this.anchor;
+  };
+
+  this.getFocus = function() {
+    return this.focus;
+  };
+
   this.equals = function(other) {
     return (Selection.prototype.equals.call(this, other) &&
-      !other.isTableSelection() &&
+      other.isTableSelection() && this.tableId === other.tableId &&
       (this.startRow === other.startRow && this.endRow === other.endRow &&
-       this.startCol === other.startCol && this.ednCol === other.endCol ));
+       this.startCol === other.startCol && this.endCol === other.endCol ));
   };
 
   this.toString = function() {
@@ -58,10 +72,25 @@ TableSelection.Prototype = function() {
     return this;
   };
 
+  this.toJSON = function() {
+    return {
+      type: 'table',
+      tableId: this.tableId,
+      startRow: this.anchor.row,
+      startCol: this.anchor.col,
+      endRow: this.focus.row,
+      endCol: this.focus.col
+    };
+  };
+
 };
 
 Substance.inherit(TableSelection, Selection);
 
+TableSelection.fromJSON = function(json) {
+  return new TableSelection(json);
+};
+
 Object.defineProperties(TableSelection.prototype, {
   startRow: {
     get: function() {
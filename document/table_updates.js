@@ -0,0 +1,169 @@
+"use strict";
+
+var _ = require('../basics/helpers');
+
+// A collection of methods to update tables
+// --------
+//
+// Used by the table transformations. Positions are given as row and column indexes
+// of the table matrix, which takes spanning cells into account (see TableMatrix).
+
+// Provides the index within the row node's cells at which a cell in the given column would be inserted.
+var getCellIndex = function(matrix, row, col) {
+  var cells = matrix.getRow(row) || [];
+  var idx = 0;
+  for (var c = 0; c < col && c < cells.length; c++) {
+    if (cells[c] && cells[c].type === 'cell') idx++;
+  }
+  return idx;
+};
+
+// Creates empty cells of the given types and inserts them into a row at the given index.
+var insertCells = function(doc, rowId, idx, cellTypes) {
+  var ids = _.map(cellTypes, function(cellType) {
+    var id = _.uuid('tcell');
+    doc.create({
+      type: 'table-cell',
+      id: id,
+      parent: rowId,
+      cellType: cellType || 'data',
+      content: ''
+    });
+    return id;
+  });
+  var cells = doc.get([rowId, 'cells']).slice(0);
+  cells.splice.apply(cells, [idx, 0].concat(ids));
+  doc.set([rowId, 'cells'], cells);
+  return ids;
+};
+
+// Creates a row with empty cells of the given types and inserts it into a section.
+var insertRow = function(doc, sectionId, idx, cellTypes) {
+  var id = _.uuid('tr');
+  doc.create({
+    type: 'table-row',
+    id: id,
+    parent: sectionId,
+    cells: []
+  });
+  insertCells(doc, id, 0, cellTypes);
+  doc.update([sectionId, 'rows'], { insert: { offset: idx, value: id } });
+  return id;
+};
+
+// Removes a cell from its row without deleting it, e.g., to move it into another row.
+var detachCell = function(doc, cell) {
+  var cells = _.filter(doc.get([cell.parent, 'cells']), function(id) {
+    return id !== cell.id;
+  });
+  doc.set([cell.parent, 'cells'], cells);
+};
+
+var deleteCell = function(doc, cell) {
+  detachCell(doc, cell);
+  doc.delete(cell.id);
+};
+
+// Deletes a row and its cells. An empty section is deleted too.
+var deleteRow = function(doc, row) {
+  row = doc.get(row.id);
+  var section = doc.get(row.parent);
+  var rows = _.filter(section.rows, function(id) {
+    return id !== row.id;
+  });
+  doc.set([section.id, 'rows'], rows);
+  _.each(row.cells, function(id) {
+    doc.delete(id);
+  });
+  doc.delete(row.id);
+  if (rows.length === 0) {
+    var table = doc.get(section.parent);
+    doc.set([table.id, 'sections'], _.filter(table.sections, function(id) {
+      return id !== section.id;
+    }));
+    doc.delete(section.id);
+  }
+};
+
+// Deletes a table with all its sections, rows and cells and removes it from the container.
+var deleteTable = function(doc, containerId, table) {
+  if (containerId) {
+    doc.get(containerId).hide(table.id);
+  }
+  _.each(table.getSections(), function(section) {
+    _.each(section.getRows(), function(row) {
+      _.each(row.cells, function(id) {
+        doc.delete(id);
+      });
+      doc.delete(row.id);
+    });
+    doc.delete(section.id);
+  });
+  doc.delete(table.id);
+};
+
+var _createSection = function(doc, tableId, sectionType, rows) {
+  var sectionId = _.uuid('t' + sectionType);
+  var cellType = (sectionType === 'head') ? 'head' : 'data';
+  var rowIds = _.map(rows, function(texts) {
+    var rowId = _.uuid('tr');
+    var cellIds = _.map(texts, function(text) {
+      var cellId = _.uuid('tcell');
+      doc.create({
+        type: 'table-cell',
+        id: cellId,
+        parent: rowId,
+        cellType: cellType,
+        content: text
+      });
+      return cellId;
+    });
+    doc.create({
+      type: 'table-row',
+      id: rowId,
+      parent: sectionId,
+      cells: cellIds
+    });
+    return rowId;
+  });
+  doc.create({
+    type: 'table-section',
+    id: sectionId,
+    parent: tableId,
+    sectionType: sectionType,
+    rows: rowIds
+  });
+  return sectionId;
+};
+
+// Creates a table from rows of cell texts. With `options.header` the first row
+// is put into a head section, the others into a body section.
+// Returns the table, which still needs to be shown in a container.
+var createTable = function(doc, rows, options) {
+  options = options || {};
+  var tableId = _.uuid('table');
+  var sections = [];
+  if (options.header && rows.length > 0) {
+    sections.push(_createSection(doc, tableId, 'head', rows.slice(0, 1)));
+    rows = rows.slice(1);
+  }
+  if (rows.length > 0 || sections.length === 0) {
+    sections.push(_createSection(doc, tableId, 'body', rows));
+  }
+  return doc.create({
+    type: 'table',
+    id: tableId,
+    sections: sections
+  });
+};
+
+module.exports = {
+  getCellIndex: getCellIndex,
+  insertCells: insertCells,
+  insertRow: insertRow,
+  detachCell: detachCell,
+  deleteCell: deleteCell,
+  deleteRow: deleteRow,
+  deleteTable: deleteTable,
+  createTable: createTable
+};
@@ -0,0 +1,181 @@
+'use strict';
+
+var Substance = require('../basics');
+var Data = require('../data');
+
+// Text Index
+// ----------
+//
+// Lets us look up the text properties containing a word.
+//
+// All string properties of all nodes (except `id` and `type`) are split into lower-cased tokens.
+//
+//    var textIndex = doc.getIndex('text');
+//    textIndex.getPaths('paragraph');
+//    // properties which contain tokens containing all given fragments, e.g. for "graph 1"
+//    textIndex.findPaths(['graph', '1']);
+
+var SEPARATORS = /[\s!-\/:-@\[-`{-~\u00a0-\u00bf\u2000-\u206f]+/;
+
+var _getKey = function(path) {
+  return JSON.stringify(path);
+};
+
+var _getTextProperties = function(node) {
+  var properties = [];
+  var schema = node.constructor.static.schema;
+  for (var name in schema) {
+    if (name !== 'id' && name !== 'type' && node.getPropertyType(name) === 'string') {
+      properties.push(name);
+    }
+  }
+  return properties;
+};
+
+var _containsFragment = function(tokens, fragment) {
+  for (var i = 0; i < tokens.length; i++) {
+    if (tokens[i].indexOf(fragment) >= 0) return true;
+  }
+  return false;
+};
+
+// Keeps the paths of `result` which are contained in `paths`. Starts with a copy of `paths` if there is no result yet.
+var _intersect = function(result, paths) {
+  if (!result) return Substance.extend({}, paths);
+  Substance.each(Object.keys(result), function(key) {
+    if (!paths[key]) delete result[key];
+  });
+  return result;
+};
+
+var TextIndex = function() {
+  // paths by key for all tokens
+  this.byToken = Object.create(null);
+  // tokens by path key, to be able to remove a property when it changes
+  this.byPath = Object.create(null);
+};
+
+TextIndex.Prototype = function() {
+
+  this.select = function(node) {
+    return _getTextProperties(node).length > 0;
+  };
+
+  this.reset = function(data) {
+    this.byToken = Object.create(null);
+    this.byPath = Object.create(null);
+    this._initialize(data);
+  };
+
+  // Returns the paths of all properties containing the given token
+  this.getPaths = function(token) {
+    return Substance.map(this.byToken[token.toLowerCase()] || {}, function(path) {
+      return path;
+    });
+  };
+
+  // Returns the paths of all properties where every fragment is part of an indexed token.
+  // This is a superset of the properties containing a text which consists of these fragments.
+  //
+  // The fragments are expected in the order of the text: within a matching text, all fragments but
+  // the first and the last are whole tokens, which are looked up directly. Only the first and the
+  // last fragment may be part of a longer token. They are checked against the tokens of the paths
+  // found so far, and the whole vocabulary is scanned only if there are no other fragments.
+  this.findPaths = function(fragments) {
+    fragments = Substance.map(fragments, function(fragment) {
+      return fragment.toLowerCase();
+    });
+    var result = null;
+    Substance.each(fragments.slice(1, -1), function(token) {
+      result = _intersect(result, this.byToken[token] || {});
+    }, this);
+    Substance.each(Substance.uniq([fragments[0], Substance.last(fragments)]), function(fragment) {
+      if (fragment === undefined) return;
+      if (result) {
+        Substance.each(Object.keys(result), function(key) {
+          if (!_containsFragment(this.byPath[key], fragment)) delete result[key];
+        }, this);
+      } else {
+        result = this._scanTokens(fragment);
+      }
+    }, this);
+    return Substance.map(result || {}, function(path) {
+      return path;
+    });
+  };
+
+  // Collects the paths of all tokens containing the fragment
+  this._scanTokens = function(fragment) {
+    var paths = {};
+    Substance.each(this.byToken, function(pathsOfToken, token) {
+      if (token.indexOf(fragment) >= 0) {
+        Substance.extend(paths, pathsOfToken);
+      }
+    });
+    return paths;
+  };
+
+  this.create = function(node) {
+    Substance.each(_getTextProperties(node), function(property) {
+      this._addProperty([node.id, property], node[property]);
+    }, this);
+  };
+
+  this.delete = function(node) {
+    Substance.each(_getTextProperties(node), function(property) {
+      this._removeProperty([node.id, property]);
+    }, this);
+  };
+
+  // Note: the index is updated from the node itself, which already has the new value
+  this.update = function(node, path) {
+    if (path.length !== 2 || node.getPropertyType(path[1]) !== 'string') return;
+    this._removeProperty(path);
+    this._addProperty(path, node[path[1]]);
+  };
+
+  this._addProperty = function(path, text) {
+    if (!Substance.isString(text)) return;
+    var key = _getKey(path);
+    var tokens = Substance.uniq(TextIndex.tokenize(text));
+    Substance.each(tokens, function(token) {
+      if (!this.byToken[token]) {
+        this.byToken[token] = Object.create(null);
+      }
+      this.byToken[token][key] = path;
+    }, this);
+    this.byPath[key] = tokens;
+  };
+
+  this._removeProperty = function(path) {
+    var key = _getKey(path);
+    Substance.each(this.byPath[key], function(token) {
+      var paths = this.byToken[token];
+      delete paths[key];
+      if (Object.keys(paths).length === 0) {
+        delete this.byToken[token];
+      }
+    }, this);
+    delete this.byPath[key];
+  };
+
+  this.clone = function() {
+    return new TextIndex();
+  };
+};
+
+Substance.inherit(TextIndex, Data.Index);
+
+/**
+ * Split a text into lower-cased tokens, using whitespace and punctuation as separators.
+ *
+ * @param {String} text
+ * @return {String[]} the tokens
+ */
+TextIndex.tokenize = function(text) {
+  return Substance.filter(text.toLowerCase().split(SEPARATORS), function(token) {
+    return token.length > 0;
+  });
+};
+
+module.exports = TextIndex;
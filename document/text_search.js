@@ -0,0 +1,124 @@
+'use strict';
+
+var _ = require('../basics/helpers');
+var TextIndex = require('./text_index');
+
+var _createRegExp = function(pattern, options) {
+  var source = options.regex ? pattern : pattern.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+  if (options.wholeWord) {
+    source = '\\b(?:' + source + ')\\b';
+  }
+  return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+};
+
+// Provides the paths of all properties which may contain a match.
+// For plain patterns the text index is used to narrow down the candidates.
+var _getCandidates = function(doc, pattern, options) {
+  var textIndex = doc.getIndex('text');
+  var fragments = options.regex ? [] : TextIndex.tokenize(pattern);
+  var paths;
+  if (fragments.length > 0) {
+    paths = textIndex.findPaths(fragments);
+  } else {
+    paths = _.map(textIndex.byPath, function(tokens, key) {
+      return JSON.parse(key);
+    });
+  }
+  var candidates = {};
+  _.each(paths, function(path) {
+    candidates[JSON.stringify(path)] = path;
+  });
+  return candidates;
+};
+
+var _comparePaths = function(a, b) {
+  if (a[0] !== b[0]) return a[0] < b[0] ? -1 : 1;
+  if (a[1] !== b[1]) return a[1] < b[1] ? -1 : 1;
+  return 0;
+};
+
+// Brings the candidates into a deterministic order: first the properties shown in containers,
+// container by container in the order of their ids, then all others ordered by node id and property.
+var _orderPaths = function(doc, candidates) {
+  var remaining = _.clone(candidates);
+  var containers = _.map(doc.getIndex('type').get('container'), function(container) {
+    return container;
+  });
+  containers.sort(function(a, b) {
+    return a.id < b.id ? -1 : 1;
+  });
+  var paths = [];
+  _.each(containers, function(container) {
+    _.each(container.getComponents(), function(component) {
+      var key = JSON.stringify(component.path);
+      if (remaining[key]) {
+        paths.push(remaining[key]);
+        delete remaining[key];
+      }
+    });
+  });
+  var others = _.map(remaining, function(path) {
+    return path;
+  });
+  return paths.concat(others.sort(_comparePaths));
+};
+
+/**
+ * Finds all occurrences of a pattern in the text properties of a document.
+ *
+ * @example
+ *
+ * ```js
+ * var matches = doc.findText('substance', { containerId: 'body', wholeWord: true });
+ * surface.setSelection(matches[0]);
+ * ```
+ *
+ * @param {Document} doc
+ * @param {String} pattern
+ * @param {Object} [options]
+ * @param {String} [options.containerId] only find matches within the given container, in document order.
+ *   Otherwise all string properties of all nodes are searched. Then the matches in containers come first,
+ *   container by container in the order of the container ids, followed by the others ordered by node id.
+ * @param {Boolean} [options.caseSensitive=false]
+ * @param {Boolean} [options.regex=false] interpret the pattern as a regular expression
+ * @param {Boolean} [options.wholeWord=false] only match whole words
+ * @return {PropertySelection[]} a selection for every match
+ */
+var findText = function(doc, pattern, options) {
+  options = options || {};
+  if (!pattern) return [];
+  var regexp = _createRegExp(pattern, options);
+  var candidates = _getCandidates(doc, pattern, options);
+  var paths;
+  if (options.containerId) {
+    var container = doc.get(options.containerId);
+    paths = _.filter(_.pluck(container.getComponents(), 'path'), function(path) {
+      return !!candidates[JSON.stringify(path)];
+    });
+  } else {
+    paths = _orderPaths(doc, candidates);
+  }
+  var result = [];
+  _.each(paths, function(path) {
+    var text = doc.get(path);
+    if (!_.isString(text)) return;
+    var match;
+    regexp.lastIndex = 0;
+    while ((match = regexp.exec(text))) {
+      if (match[0].length === 0) {
+        // skip empty matches, e.g. of /a*/
+        regexp.lastIndex++;
+        continue;
+      }
+      result.push(doc.createSelection({
+        type: 'property',
+        path: path,
+        startOffset: match.index,
+        endOffset: match.index + match[0].length
+      }));
+    }
+  });
+  return result;
+};
+
+module.exports = findText;
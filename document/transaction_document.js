@@ -3,25 +3,38 @@
 var _ = require('../basics/helpers');
 var OO = require('../basics/oo');
 var AbstractDocument = require('./abstract_document');
+var ReferenceIndex = require('./reference_index');
+var Data = require('../data');
+var ValidationError = require('../data/validation_error');
 
 var __id__ = 0;
 
+var _hasReference = function(node, targetId, kind) {
+  return !!_.find(ReferenceIndex.getReferences(node), function(ref) {
+    return ref.kind === kind && ref.targets.indexOf(targetId) >= 0;
+  });
+};
+
 function TransactionDocument(document) {
   AbstractDocument.call(this, document.schema);
   this.__id__ = "TX_"+__id__++;
 
   this.document = document;
+  // Note: the stage does not copy the document upfront.
+  // It takes over the nodes used within a transaction and leaves a copy of the changed ones
+  // in the document until the transaction is saved or cancelled.
+  this.data = new Data.Staged(document.data, {
+    didCreateNode: _.bind(this._didCreateNode, this),
+    didDeleteNode: _.bind(this._didDeleteNode, this),
+    didCheckinNode: _.bind(this._didCheckinNode, this)
+  });
   // ops recorded since transaction start
   this.ops = [];
   // app information state information used to recover the state before the transaction
   // when calling undo
   this.before = {};
-  // HACK: copying all indexes
-  _.each(document.data.indexes, function(index, name) {
-    this.data.addIndex(name, index.clone());
-  }, this);
-
-  this.loadSeed(document.toJSON());
+  // ids of nodes which are currently being deleted, to stop cascading deletes
+  this._deleting = {};
 }
 
 TransactionDocument.Prototype = function() {
@@ -33,10 +46,28 @@ TransactionDocument.Prototype = function() {
   this.reset = function() {
     this.ops = [];
     this.before = {};
-    this._resetContainers();
+  };
+
+  // Nodes used within a transaction are taken over by the stage,
+  // so that they look up other nodes in the stage too.
+  this.get = function(path) {
+    if (path && this.document.isTransacting) {
+      var id = _.isString(path) ? path : path[0];
+      this._ensureLoaded(id);
+      this.data.checkout(id);
+    }
+    return this.data.get(path);
+  };
+
+  // Nodes of a partially loaded document are loaded before they are used.
+  this._ensureLoaded = function(id) {
+    if (!this.document.isLoaded(id)) {
+      this.document.loadNodesSync([id]);
+    }
   };
 
   this.create = function(nodeData) {
+    this._ensureLoaded(nodeData.id);
     var op = this.data.create(nodeData);
     if (!op) return;
     if (this.document.isTransacting) {
@@ -48,6 +79,17 @@ TransactionDocument.Prototype = function() {
   };
 
   this.delete = function(nodeId) {
+    if (this._deleting[nodeId]) return;
+    this._ensureLoaded(nodeId);
+    // within transactions dependent nodes are deleted too
+    if (this.document.isTransacting) {
+      this._deleting[nodeId] = true;
+      try {
+        this._deleteDependentNodes(nodeId);
+      } finally {
+        delete this._deleting[nodeId];
+      }
+    }
     var op = this.data.delete(nodeId);
     if (!op) return;
     if (this.document.isTransacting) {
@@ -57,6 +99,7 @@ TransactionDocument.Prototype = function() {
   };
 
   this.set = function(path, value) {
+    this._ensureLoaded(path[0]);
     var op = this.data.set(path, value);
     if (!op) return;
     this._updateContainers(op);
@@ -67,6 +110,7 @@ TransactionDocument.Prototype = function() {
   };
 
   this.update = function(path, diffOp) {
+    this._ensureLoaded(path[0]);
     var op = this.data.update(path, diffOp);
     if (!op) return;
     this._updateContainers(op);
@@ -77,18 +121,73 @@ TransactionDocument.Prototype = function() {
   };
 
   this.save = function(afterState, info) {
+    this._checkReferences();
     var before = this.before;
     var after = _.extend({}, before, afterState);
+    // hand over the changed nodes to the document
+    this.data.commit();
     this.document._saveTransaction(before, after, info);
     // reset after finishing
     this.reset();
   };
 
+  // Deletes the owned children of a node and all nodes owned by it.
+  this._deleteDependentNodes = function(nodeId) {
+    var node = this.get(nodeId);
+    if (!node) return;
+    _.each(ReferenceIndex.getReferences(node), function(ref) {
+      if (ref.kind !== 'owned') return;
+      _.each(ref.targets, function(id) {
+        if (this.get(id)) this.delete(id);
+      }, this);
+    }, this);
+    _.each(this.getIndex('references').get(nodeId), function(other) {
+      if (this.get(other.id) && _hasReference(other, nodeId, 'owner')) {
+        this.delete(other.id);
+      }
+    }, this);
+  };
+
+  // Checks that the nodes touched by this transaction have no dangling required references.
+  this._checkReferences = function() {
+    var self = this;
+    var checked = {};
+    var check = function(node) {
+      if (!node || checked[node.id]) return;
+      checked[node.id] = true;
+      _.each(ReferenceIndex.getReferences(node), function(ref) {
+        if (ref.kind !== 'required') return;
+        _.each(ref.targets, function(id) {
+          if (!self.get(id)) {
+            throw new ValidationError("Property '" + ref.property + "' of node '" + node.id + "' (" + node.type +
+              ") references a missing node '" + id + "'.", {
+              nodeId: node.id,
+              nodeType: node.type,
+              property: ref.property,
+              expectedType: node.getPropertyType(ref.property),
+              value: node[ref.property]
+            });
+          }
+        });
+      });
+    };
+    _.each(this.ops, function(op) {
+      if (op.isDelete()) {
+        _.each(this.getIndex('references').get(op.path[0]), check);
+      } else {
+        check(this.get(op.path[0]));
+      }
+    }, this);
+  };
+
   this.cancel = function() {
     // revert all recorded changes
     for (var i = this.ops.length - 1; i >= 0; i--) {
-      this.data.apply(this.ops[i].invert());
+      var op = this.ops[i].invert();
+      this.data.apply(op);
+      this._updateContainers(op);
     }
+    this.data.revert();
     this.document._cancelTransaction();
     this.reset();
   };
@@ -105,13 +204,6 @@ TransactionDocument.Prototype = function() {
     return this.ops;
   };
 
-  this.apply = function(documentChange) {
-    _.each(documentChange.ops, function(op) {
-      this.data.apply(op);
-      this._updateContainers(op);
-    }, this);
-  };
-
   this.getIndex = function(name) {
     return this.data.getIndex(name);
   };
@@ -125,6 +217,11 @@ TransactionDocument.Prototype = function() {
     node.document = null;
   };
 
+  // Called back by Substance.Data.Staged when a node is handed back to the document
+  this._didCheckinNode = function(node) {
+    node.document = this.document;
+  };
+
   this.createSelection = function() {
     return this.document.createSelection.apply(this, arguments);
   };
@@ -3,6 +3,7 @@
 var Substance = require('../../basics');
 var deleteSelection = require('./delete_selection');
 var Annotations = require('../annotation_updates');
+var outdentListItem = require('./outdent_list_item');
 
 /* jshint latedef: false */
 
@@ -26,6 +27,8 @@ function breakNode(tx, args) {
   // for that to happen we need to learn more
   if (node.isInstanceOf('text')) {
     return breakTextNode(tx, args);
+  } else if (node.isInstanceOf('list-item')) {
+    return breakListItem(tx, args);
   } else {
     console.info("Breaking is not supported for node type %s.", node.type);
     return args;
@@ -97,4 +100,45 @@ function breakTextNode(tx, args) {
   };
 }
 
+// Splits a list item into two items of the same level.
+// Breaking an empty item outdents it, so that it finally leaves the list.
+function breakListItem(tx, args) {
+  var selection = args.selection;
+  var range = selection.getRange();
+  var path = range.start.path;
+  var offset = range.start.offset;
+  var node = tx.get(path[0]);
+  var text = node.content;
+  if (text.length === 0) {
+    return outdentListItem(tx, args);
+  }
+  var list = node.getParent();
+  var id = Substance.uuid(node.type);
+  var newNode = tx.create({
+    id: id,
+    type: node.type,
+    parent: list.id,
+    level: node.level,
+    content: text.substring(offset)
+  });
+  if (offset < text.length) {
+    Annotations.transferAnnotations(tx, path, offset, [id, 'content'], 0);
+    tx.update(path, {
+      delete: { start: offset, end: text.length }
+    });
+  }
+  tx.update([list.id, 'items'], {
+    insert: { offset: list.items.indexOf(node.id) + 1, value: id }
+  });
+  selection = tx.createSelection({
+    type: 'property',
+    path: [id, 'content'],
+    startOffset: 0
+  });
+  return {
+    selection: selection,
+    node: newNode
+  };
+}
+
 module.exports = breakNode;
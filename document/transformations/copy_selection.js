@@ -9,6 +9,9 @@ var copySelection = function(doc, args) {
   if (selection.isNull()) {
     args.doc = null;
   }
+  else if (selection.isTableSelection()) {
+    args.doc = _copyTableSelection(doc, selection);
+  }
   // return a simplified version if only a piece of text is selected
   else if (selection.isPropertySelection() || _.isEqual(selection.start.path, selection.end.path)) {
     args.doc = _copyPropertySelection(doc, selection);
@@ -121,6 +124,51 @@ var _copyContainerSelection = function(doc, selection) {
   return copy;
 };
 
+// creates a table containing the selected cells
+// Cells spanning beyond the selection are truncated.
+var _copyTableSelection = function(doc, selection) {
+  var copy = doc.newInstance();
+  copy._setForClipboard(true);
+  var annotationIndex = doc.getIndex('annotations');
+  var table = doc.get(selection.getTableId());
+  var matrix = table.getMatrix();
+  var rect = selection.getRectangle();
+  var containerNode = copy.create({
+    type: 'container',
+    id: copySelection.CLIPBOARD_CONTAINER_ID,
+    nodes: []
+  });
+  var rows = [];
+  for (var row = rect.start.row; row <= rect.end.row; row++) {
+    var rowId = 'tr_' + row;
+    var cells = [];
+    for (var col = rect.start.col; col <= rect.end.col; col++) {
+      var cell = matrix.getCell(row, col);
+      if (!cell) continue;
+      var owner = (cell.type === 'placeholder') ? cell.owner : cell;
+      // a cell is copied at its first field within the selection
+      if (row !== Math.max(owner.row, rect.start.row) || col !== Math.max(owner.col, rect.start.col)) continue;
+      var node = owner.node;
+      var data = _.deepclone(node.toJSON());
+      data.parent = rowId;
+      data.rowspan = Math.min(owner.row + node.getSpan('row') - 1, rect.end.row) - row + 1;
+      data.colspan = Math.min(owner.col + node.getSpan('col') - 1, rect.end.col) - col + 1;
+      copy.create(data);
+      var annotations = annotationIndex.get([node.id, 'content']);
+      for (var j = 0; j < annotations.length; j++) {
+        copy.create(_.deepclone(annotations[j].toJSON()));
+      }
+      cells.push(data.id);
+    }
+    copy.create({ type: 'table-row', id: rowId, parent: 'tbody', cells: cells });
+    rows.push(rowId);
+  }
+  copy.create({ type: 'table-section', id: 'tbody', parent: table.id, sectionType: 'body', rows: rows });
+  copy.create({ type: 'table', id: table.id, sections: ['tbody'] });
+  containerNode.show(table.id);
+  return copy;
+};
+
 copySelection.CLIPBOARD_CONTAINER_ID = "clipboard_content";
 
 module.exports = copySelection;
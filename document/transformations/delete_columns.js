@@ -0,0 +1,57 @@
+'use strict';
+
+var Selection = require('../selection');
+var TableUpdates = require('../table_updates');
+
+/**
+ * Deletes the columns covered by a table selection.
+ *
+ * Cells spanning into the deleted columns are narrowed.
+ * Deleting all columns deletes the table.
+ *
+ * @param args object with fields `selection`, `containerId`
+ */
+function deleteColumns(tx, args) {
+  var selection = args.selection;
+  if (!selection || !selection.isTableSelection()) {
+    throw new Error("Argument 'selection' must be a table selection.");
+  }
+  var table = tx.get(selection.getTableId());
+  var matrix = table.getMatrix();
+  var size = matrix.getSize();
+  var rect = selection.getRectangle();
+  var start = rect.start.col;
+  var end = Math.min(rect.end.col, size.cols - 1);
+  if (start === 0 && end === size.cols - 1) {
+    TableUpdates.deleteTable(tx, args.containerId, table);
+    return { selection: Selection.nullSelection };
+  }
+  var row, col, cells, cell;
+  for (row = 0; row < size.rows; row++) {
+    cells = matrix.getRow(row);
+    for (col = 0; col < cells.length; col++) {
+      cell = cells[col];
+      if (!cell || cell.type !== 'cell') continue;
+      var colspan = cell.node.getSpan('col');
+      var overlap = Math.min(cell.col + colspan - 1, end) - Math.max(cell.col, start) + 1;
+      if (overlap <= 0) continue;
+      if (overlap === colspan) {
+        TableUpdates.deleteCell(tx, cell.node);
+      } else {
+        tx.set([cell.node.id, 'colspan'], colspan - overlap);
+      }
+    }
+  }
+  var newCol = Math.min(start, size.cols - (end - start + 1) - 1);
+  selection = tx.createSelection({
+    type: 'table',
+    tableId: table.id,
+    startRow: rect.start.row,
+    startCol: newCol,
+    endRow: rect.end.row,
+    endCol: newCol
+  });
+  return { selection: selection };
+}
+
+module.exports = deleteColumns;
@@ -0,0 +1,84 @@
+'use strict';
+
+var _ = require('../../basics/helpers');
+var Selection = require('../selection');
+var TableUpdates = require('../table_updates');
+
+/**
+ * Deletes the rows covered by a table selection.
+ *
+ * Cells spanning into the deleted rows are shortened. Cells starting in the deleted rows
+ * and spanning beyond are moved into the first row after them.
+ * Deleting all rows deletes the table.
+ *
+ * @param args object with fields `selection`, `containerId`
+ */
+function deleteRows(tx, args) {
+  var selection = args.selection;
+  if (!selection || !selection.isTableSelection()) {
+    throw new Error("Argument 'selection' must be a table selection.");
+  }
+  var table = tx.get(selection.getTableId());
+  var matrix = table.getMatrix();
+  var size = matrix.getSize();
+  var rect = selection.getRectangle();
+  var start = rect.start.row;
+  var end = Math.min(rect.end.row, size.rows - 1);
+  if (start === 0 && end === size.rows - 1) {
+    TableUpdates.deleteTable(tx, args.containerId, table);
+    return { selection: Selection.nullSelection };
+  }
+  var visited = {};
+  var moved = [];
+  var row, col, cells, cell, owner;
+  for (row = start; row <= end; row++) {
+    cells = matrix.getRow(row);
+    for (col = 0; col < cells.length; col++) {
+      cell = cells[col];
+      if (!cell) continue;
+      owner = (cell.type === 'placeholder') ? cell.owner : cell;
+      if (visited[owner.key]) continue;
+      visited[owner.key] = true;
+      var rowspan = owner.node.getSpan('row');
+      var last = owner.row + rowspan - 1;
+      if (owner.row < start) {
+        tx.set([owner.node.id, 'rowspan'], rowspan - (Math.min(last, end) - start + 1));
+      } else if (last > end) {
+        tx.set([owner.node.id, 'rowspan'], last - end);
+        moved.push(owner);
+      }
+    }
+  }
+  if (moved.length > 0) {
+    // cells are inserted into the next row preserving the column order
+    var nextRow = matrix.getRowNode(end + 1);
+    cells = _.filter(matrix.getRow(end + 1), function(cell) {
+      return cell && cell.type === 'cell';
+    });
+    _.each(moved, function(cell) {
+      TableUpdates.detachCell(tx, cell.node);
+      tx.set([cell.node.id, 'parent'], nextRow.id);
+    });
+    cells = cells.concat(moved).sort(function(a, b) {
+      return a.col - b.col;
+    });
+    tx.set([nextRow.id, 'cells'], _.map(cells, function(cell) {
+      return cell.node.id;
+    }));
+  }
+  for (row = start; row <= end; row++) {
+    TableUpdates.deleteRow(tx, matrix.getRowNode(row));
+  }
+  var newRow = Math.min(start, size.rows - (end - start + 1) - 1);
+  selection = tx.createSelection({
+    type: 'table',
+    tableId: table.id,
+    startRow: newRow,
+    startCol: rect.start.col,
+    endRow: newRow,
+    endCol: rect.end.col
+  });
+  return { selection: selection };
+}
+
+module.exports = deleteRows;
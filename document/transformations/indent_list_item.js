@@ -0,0 +1,32 @@
+'use strict';
+
+var _ = require('../../basics/helpers');
+var ListUpdates = require('../list_updates');
+
+/**
+ * Increases the level of the selected list items.
+ *
+ * An item can be nested at most one level deeper than its predecessor,
+ * so the first item of a list can not be indented.
+ *
+ * @param args object with field `selection`
+ */
+function indentListItem(tx, args) {
+  if (!args.selection) {
+    throw new Error("Argument 'selection' is mandatory.");
+  }
+  var items = ListUpdates.getSelectedListItems(tx, args.selection);
+  _.each(items, function(item) {
+    var list = item.getParent();
+    var idx = list.items.indexOf(item.id);
+    if (idx <= 0) return;
+    var previous = tx.get(list.items[idx - 1]);
+    var level = Math.min(item.level + 1, previous.level + 1);
+    if (level !== item.level) {
+      tx.set([item.id, 'level'], level);
+    }
+  });
+  return { selection: args.selection };
+}
+
+module.exports = indentListItem;
@@ -2,11 +2,21 @@ module.exports = {
   breakNode: require('./break_node'),
   copySelection: require('./copy_selection'),
   deleteCharacter: require('./delete_character'),
+  deleteColumns: require('./delete_columns'),
   deleteNode: require('./delete_node'),
+  deleteRows: require('./delete_rows'),
   deleteSelection: require('./delete_selection'),
+  indentListItem: require('./indent_list_item'),
+  insertColumns: require('./insert_columns'),
   insertNode: require('./insert_node'),
+  insertRows: require('./insert_rows'),
   insertText: require('./insert_text'),
   merge: require('./merge'),
+  mergeCells: require('./merge_cells'),
+  outdentListItem: require('./outdent_list_item'),
   paste: require('./paste'),
+  replaceAll: require('./replace_all'),
+  replaceText: require('./replace_text'),
+  splitCells: require('./split_cells'),
   switchTextType: require('./switch_text_type'),
 };
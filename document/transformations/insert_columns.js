@@ -0,0 +1,59 @@
+'use strict';
+
+var TableUpdates = require('../table_updates');
+
+/**
+ * Inserts as many columns as selected before or after a table selection.
+ *
+ * Cells spanning across the insert position are extended instead of getting new cells.
+ *
+ * @param args object with fields `selection`, `mode` ('before' or 'after')
+ */
+function insertColumns(tx, args) {
+  var selection = args.selection;
+  if (!selection || !selection.isTableSelection()) {
+    throw new Error("Argument 'selection' must be a table selection.");
+  }
+  var mode = args.mode || 'after';
+  var table = tx.get(selection.getTableId());
+  var matrix = table.getMatrix();
+  var size = matrix.getSize();
+  var rect = selection.getRectangle();
+  var count = rect.end.col - rect.start.col + 1;
+  var refCol = (mode === 'before') ? rect.start.col : rect.end.col;
+  // index of the first inserted column
+  var pos = (mode === 'before') ? refCol : refCol + 1;
+  var extended = {};
+  for (var row = 0; row < size.rows; row++) {
+    var cell = matrix.getCell(row, pos);
+    var owner = (cell && cell.type === 'placeholder') ? cell.owner : cell;
+    if (owner && owner.col < pos) {
+      if (!extended[owner.key]) {
+        tx.set([owner.node.id, 'colspan'], owner.node.getSpan('col') + count);
+        extended[owner.key] = true;
+      }
+      continue;
+    }
+    var refCell = matrix.getCell(row, refCol);
+    var cellType = refCell ? refCell.node.cellType : 'data';
+    var cellTypes = [];
+    for (var i = 0; i < count; i++) {
+      cellTypes.push(cellType);
+    }
+    var rowNode = matrix.getRowNode(row);
+    TableUpdates.insertCells(tx, rowNode.id, TableUpdates.getCellIndex(matrix, row, pos), cellTypes);
+  }
+  if (mode === 'before') {
+    selection = tx.createSelection({
+      type: 'table',
+      tableId: table.id,
+      startRow: rect.start.row,
+      startCol: rect.start.col + count,
+      endRow: rect.end.row,
+      endCol: rect.end.col + count
+    });
+  }
+  return { selection: selection };
+}
+
+module.exports = insertColumns;
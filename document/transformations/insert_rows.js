@@ -0,0 +1,65 @@
+'use strict';
+
+var TableUpdates = require('../table_updates');
+
+/**
+ * Inserts as many rows as selected above or below a table selection.
+ *
+ * Cells spanning across the insert position are extended instead of getting new cells.
+ *
+ * @param args object with fields `selection`, `mode` ('above' or 'below')
+ */
+function insertRows(tx, args) {
+  var selection = args.selection;
+  if (!selection || !selection.isTableSelection()) {
+    throw new Error("Argument 'selection' must be a table selection.");
+  }
+  var mode = args.mode || 'below';
+  var table = tx.get(selection.getTableId());
+  var matrix = table.getMatrix();
+  var rect = selection.getRectangle();
+  var count = rect.end.row - rect.start.row + 1;
+  var refRow = (mode === 'above') ? rect.start.row : rect.end.row;
+  // index of the first inserted row
+  var pos = (mode === 'above') ? refRow : refRow + 1;
+  var rowNode = matrix.getRowNode(refRow);
+  var section = tx.get(rowNode.parent);
+  var rowIdx = section.rows.indexOf(rowNode.id) + (pos - refRow);
+  var cellTypes = [];
+  var extended = {};
+  var cells = matrix.getRow(refRow);
+  for (var col = 0; col < cells.length; col++) {
+    var cell = cells[col];
+    if (!cell) continue;
+    var owner = (cell.type === 'placeholder') ? cell.owner : cell;
+    var rowspan = owner.node.getSpan('row');
+    if (owner.row < pos && owner.row + rowspan > pos) {
+      if (!extended[owner.key]) {
+        tx.set([owner.node.id, 'rowspan'], rowspan + count);
+        extended[owner.key] = true;
+      }
+    } else if (owner.col === col) {
+      cellTypes.push(owner.node.cellType);
+      // the new rows get single cells for a cell spanning multiple columns
+      for (var i = 1; i < owner.node.getSpan('col'); i++) {
+        cellTypes.push(owner.node.cellType);
+      }
+    }
+  }
+  for (var j = 0; j < count; j++) {
+    TableUpdates.insertRow(tx, section.id, rowIdx + j, cellTypes);
+  }
+  if (mode === 'above') {
+    selection = tx.createSelection({
+      type: 'table',
+      tableId: table.id,
+      startRow: rect.start.row + count,
+      startCol: rect.start.col,
+      endRow: rect.end.row + count,
+      endCol: rect.end.col
+    });
+  }
+  return { selection: selection };
+}
+
+module.exports = insertRows;
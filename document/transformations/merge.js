@@ -1,6 +1,8 @@
 'use strict';
 
 var Annotations = require('../annotation_updates');
+var ListUpdates = require('../list_updates');
+var outdentListItem = require('./outdent_list_item');
 
 /* jshint latedef: false */
 
@@ -14,6 +16,15 @@ var merge = function(tx, args) {
   }
   var container = tx.get(containerId);
   var component = container.getComponent(path);
+  var node = tx.get(path[0]);
+  // merging a nested or a first list item to the left outdents it instead
+  if (direction === 'left' && node.isInstanceOf('list-item') &&
+      (node.level > 1 || node.getParent().items[0] === node.id)) {
+    return outdentListItem(tx, {
+      selection: tx.createSelection({ type: 'property', path: path, startOffset: 0 }),
+      containerId: containerId
+    });
+  }
   if (direction === 'right' && component.next) {
      return _mergeComponents(tx, containerId, component, component.next);
   } else if (direction === 'left' && component.previous) {
@@ -24,8 +35,9 @@ var merge = function(tx, args) {
 };
 
 var _mergeComponents = function(tx, containerId, firstComp, secondComp) {
-  var firstNode = tx.get(firstComp.parentNode.id);
-  var secondNode = tx.get(secondComp.parentNode.id);
+  // Note: taking the nodes owning the properties, e.g., list items instead of their list
+  var firstNode = tx.get(firstComp.path[0]);
+  var secondNode = tx.get(secondComp.path[0]);
   // TODO: it should be possible to extend the merge transformation by providing custom transformations
   // for nodes anc components
   var mergeTrafo = _getMergeTransformation(firstNode, secondNode);
@@ -45,6 +57,8 @@ var _getMergeTransformation = function(node, otherNode) {
   // else
   if (node.isInstanceOf('text') && otherNode.isInstanceOf('text')) {
     trafo = _mergeTextNodes;
+  } else if (_isTextOrListItem(node) && _isTextOrListItem(otherNode)) {
+    trafo = _mergeIntoFirst;
   }
   // else if (node.isInstanceOf('text') && merge['text']) {
   //   behavior = merge['text'][otherNode.type];
@@ -95,4 +109,35 @@ var _mergeTextNodes = function(tx, containerId, firstComp, secondComp) {
   return { selection: selection };
 };
 
+var _isTextOrListItem = function(node) {
+  return node.isInstanceOf('text') || node.isInstanceOf('list-item');
+};
+
+// appends the content of the second component to the first one and removes the second node,
+// used when list items are involved
+var _mergeIntoFirst = function(tx, containerId, firstComp, secondComp) {
+  var firstPath = firstComp.path;
+  var firstLength = tx.get(firstPath).length;
+  var secondPath = secondComp.path;
+  var secondText = tx.get(secondPath);
+  var secondNode = tx.get(secondPath[0]);
+  if (secondText.length > 0) {
+    tx.update(firstPath, { insert: { offset: firstLength, value: secondText } });
+    Annotations.transferAnnotations(tx, secondPath, 0, firstPath, firstLength);
+  }
+  if (secondNode.isInstanceOf('list-item')) {
+    ListUpdates.removeListItem(tx, containerId, secondNode);
+  } else {
+    tx.get(containerId).hide(secondNode.id);
+    tx.delete(secondNode.id);
+  }
+  return {
+    selection: tx.createSelection({
+      type: 'property',
+      path: firstPath,
+      startOffset: firstLength
+    })
+  };
+};
+
 module.exports = merge;
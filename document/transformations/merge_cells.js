@@ -0,0 +1,61 @@
+'use strict';
+
+var _ = require('../../basics/helpers');
+var Annotations = require('../annotation_updates');
+var TableUpdates = require('../table_updates');
+
+/**
+ * Merges the cells covered by a table selection into its upper-left cell.
+ *
+ * The selection is extended to the bounding rectangle of all spanning cells.
+ * The contents of the merged cells are appended, separated by a space,
+ * and the merged cells are deleted.
+ *
+ * @param args object with field `selection`
+ */
+function mergeCells(tx, args) {
+  var selection = args.selection;
+  if (!selection || !selection.isTableSelection()) {
+    throw new Error("Argument 'selection' must be a table selection.");
+  }
+  var table = tx.get(selection.getTableId());
+  var matrix = table.getMatrix();
+  var rect = matrix.getBoundingRectangle(selection.getRectangle());
+  var cells = matrix.getCellsForRectangle(rect);
+  var first = matrix.getCell(rect.start.row, rect.start.col).node;
+  var path = [first.id, 'content'];
+  _.each(cells, function(cell) {
+    var node = cell.node;
+    if (node === first) return;
+    var text = node.content;
+    if (text.length > 0) {
+      var offset = tx.get(path).length;
+      if (offset > 0) {
+        tx.update(path, { insert: { offset: offset, value: ' ' } });
+        offset++;
+      }
+      tx.update(path, { insert: { offset: offset, value: text } });
+      Annotations.transferAnnotations(tx, [node.id, 'content'], 0, path, offset);
+    }
+    TableUpdates.deleteCell(tx, node);
+  });
+  var rowspan = rect.end.row - rect.start.row + 1;
+  var colspan = rect.end.col - rect.start.col + 1;
+  if (first.getSpan('row') !== rowspan) {
+    tx.set([first.id, 'rowspan'], rowspan);
+  }
+  if (first.getSpan('col') !== colspan) {
+    tx.set([first.id, 'colspan'], colspan);
+  }
+  selection = tx.createSelection({
+    type: 'table',
+    tableId: table.id,
+    startRow: rect.start.row,
+    startCol: rect.start.col,
+    endRow: rect.end.row,
+    endCol: rect.end.col
+  });
+  return { selection: selection };
+}
+
+module.exports = mergeCells;
@@ -0,0 +1,62 @@
+'use strict';
+
+var ListUpdates = require('../list_updates');
+
+/**
+ * Decreases the level of the selected list items.
+ *
+ * Items on the first level leave the list and become text nodes of the default type.
+ *
+ * @param args object with fields `selection`, `containerId`
+ */
+function outdentListItem(tx, args) {
+  if (!args.selection) {
+    throw new Error("Argument 'selection' is mandatory.");
+  }
+  if (!args.containerId) {
+    throw new Error("Argument 'containerId' is mandatory.");
+  }
+  var selection = args.selection;
+  var items = ListUpdates.getSelectedListItems(tx, selection);
+  // ids of the text nodes created for items which left the list
+  var replaced = {};
+  // Note: going backwards, as leaving the list splits it after the item
+  for (var i = items.length - 1; i >= 0; i--) {
+    var item = items[i];
+    ListUpdates.outdentNestedItems(tx, item);
+    if (item.level > 1) {
+      tx.set([item.id, 'level'], item.level - 1);
+    } else {
+      replaced[item.id] = ListUpdates.exitList(tx, args.containerId, item);
+    }
+  }
+  var range = selection.getRange();
+  var startPath = range.start.path;
+  var endPath = range.end.path;
+  if (replaced[startPath[0]]) {
+    startPath = [replaced[startPath[0]], 'content'];
+  }
+  if (replaced[endPath[0]]) {
+    endPath = [replaced[endPath[0]], 'content'];
+  }
+  if (selection.isPropertySelection()) {
+    selection = tx.createSelection({
+      type: 'property',
+      path: startPath,
+      startOffset: range.start.offset,
+      endOffset: range.end.offset
+    });
+  } else {
+    selection = tx.createSelection({
+      type: 'container',
+      containerId: args.containerId,
+      startPath: startPath,
+      startOffset: range.start.offset,
+      endPath: endPath,
+      endOffset: range.end.offset
+    });
+  }
+  return { selection: selection };
+}
+
+module.exports = outdentListItem;
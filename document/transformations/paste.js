@@ -1,5 +1,8 @@
 var _ = require('../../basics/helpers');
 var Annotations = require('../annotation_updates');
+var ReferenceIndex = require('../reference_index');
+var TableUpdates = require('../table_updates');
+var TableCsv = require('../table_csv');
 var deleteSelection = require('./delete_selection');
 var insertText = require('./insert_text');
 var breakNode = require('./break_node');
@@ -12,6 +15,9 @@ var paste = function(tx, args) {
     console.error("Can not paste, without selection.");
     return args;
   }
+  if (args.selection.isTableSelection()) {
+    return _pasteIntoTable(tx, args);
+  }
   // if paste dataplain text paste is simple
   if (args.text && !args.doc) {
     return insertText(tx, args);
@@ -95,32 +101,11 @@ var _pasteDocument = function(tx, args) {
   // transfer nodes from content document
   // TODO: transfer annotations
   var nodeIds = pasteDoc.get(CLIPBOARD_CONTAINER_ID).nodes;
-  var annoIndex = pasteDoc.getIndex('annotations');
   var insertedNodes = [];
   for (var i = 0; i < nodeIds.length; i++) {
-    var nodeId = nodeIds[i];
-    var node = pasteDoc.get(nodeId).toJSON();
-    // create a new id if the node exists already
-    if (tx.get(nodeId)) {
-      node.id = _.uuid(node.type);
-    }
-    tx.create(node);
-    container.show(node.id, insertPos++);
-    insertedNodes.push(node);
-
-    // transfer annotations
-    // what about nodes that are referenced by annotations?
-    var annos = annoIndex.get(nodeId);
-    for (var j = 0; j < annos.length; j++) {
-      var data = annos[j].toJSON();
-      if (node.id !== nodeId) {
-        data.path[0] = node.id;
-      }
-      if (tx.get(data.id)) {
-        data.id = _.uuid(data.type);
-      }
-      tx.create(data);
-    }
+    var nodeId = _pasteNode(tx, pasteDoc, nodeIds[i]);
+    container.show(nodeId, insertPos++);
+    insertedNodes.push(tx.get(nodeId));
   }
 
   if (insertedNodes.length === 0) return;
@@ -155,4 +140,141 @@ var _pasteDocument = function(tx, args) {
   };
 };
 
+// Creates a node of the paste document together with its owned children, e.g., the rows of a table,
+// and their annotations. Nodes get a new id if the id exists already.
+// Returns the id of the created node.
+var _pasteNode = function(tx, pasteDoc, nodeId, ownerId) {
+  var node = pasteDoc.get(nodeId);
+  var data = _.deepclone(node.toJSON());
+  // create a new id if the node exists already
+  if (tx.get(nodeId)) {
+    data.id = _.uuid(node.type);
+  }
+  _.each(ReferenceIndex.getReferences(node), function(ref) {
+    if (ref.kind === 'owned') {
+      var ids = _.map(ref.targets, function(childId) {
+        return _pasteNode(tx, pasteDoc, childId, data.id);
+      });
+      data[ref.property] = _.isArray(data[ref.property]) ? ids : ids[0];
+    } else if (ref.kind === 'owner' && ownerId) {
+      data[ref.property] = ownerId;
+    }
+  });
+  tx.create(data);
+  // transfer annotations
+  // what about nodes that are referenced by annotations?
+  var annos = pasteDoc.getIndex('annotations').get(nodeId);
+  for (var j = 0; j < annos.length; j++) {
+    var annoData = _.deepclone(annos[j].toJSON());
+    annoData.path[0] = data.id;
+    if (tx.get(annoData.id)) {
+      annoData.id = _.uuid(annoData.type);
+    }
+    tx.create(annoData);
+  }
+  return data.id;
+};
+
+// Provides the pasted content as rows of cell values `{ text: String, annotations: Annotation[] }`,
+// either taken from a table in the paste document or from tab-separated text.
+var _getTableValues = function(args) {
+  var pasteDoc = args.doc;
+  var nodes = pasteDoc ? pasteDoc.get(CLIPBOARD_CONTAINER_ID).nodes : [];
+  var table = (nodes.length > 0) ? pasteDoc.get(nodes[0]) : null;
+  if (table && table.type === 'table') {
+    var annoIndex = pasteDoc.getIndex('annotations');
+    return _.map(table.getMatrix().getMatrix(), function(row) {
+      return _.map(row, function(cell) {
+        if (!cell || cell.type !== 'cell') {
+          return { text: '', annotations: [] };
+        }
+        return {
+          text: cell.node.content,
+          annotations: annoIndex.get([cell.node.id, 'content'])
+        };
+      });
+    });
+  }
+  var rows = TableCsv.parse(args.text || '', { delimiter: '\t' });
+  return _.map(rows, function(values) {
+    return _.map(values, function(value) {
+      return { text: value, annotations: [] };
+    });
+  });
+};
+
+// Fills the cells of a table starting at the upper-left cell of the selection.
+// The table is extended if the pasted content does not fit.
+var _pasteIntoTable = function(tx, args) {
+  var selection = args.selection;
+  var values = _getTableValues(args);
+  if (values.length === 0) return args;
+  var table = tx.get(selection.getTableId());
+  var start = selection.getRectangle().start;
+  var rowCount = values.length;
+  var colCount = Math.max.apply(null, _.map(values, function(row) {
+    return row.length;
+  }));
+  var matrix = table.getMatrix();
+  var size = matrix.getSize();
+  var i, j, cellTypes;
+  if (start.row + rowCount > size.rows) {
+    var lastRow = matrix.getRowNode(size.rows - 1);
+    var section = tx.get(lastRow.parent);
+    var idx = section.rows.indexOf(lastRow.id) + 1;
+    cellTypes = [];
+    for (j = 0; j < size.cols; j++) {
+      cellTypes.push('data');
+    }
+    for (i = 0; i < start.row + rowCount - size.rows; i++) {
+      TableUpdates.insertRow(tx, section.id, idx + i, cellTypes);
+    }
+  }
+  if (start.col + colCount > size.cols) {
+    matrix = table.getMatrix();
+    for (i = 0; i < matrix.getRowNodes().length; i++) {
+      var rowNode = matrix.getRowNode(i);
+      cellTypes = [];
+      for (j = matrix.getRow(i).length; j < start.col + colCount; j++) {
+        cellTypes.push('data');
+      }
+      TableUpdates.insertCells(tx, rowNode.id, rowNode.cells.length, cellTypes);
+    }
+  }
+  matrix = table.getMatrix();
+  for (i = 0; i < rowCount; i++) {
+    for (j = 0; j < values[i].length; j++) {
+      var cell = matrix.getCell(start.row + i, start.col + j);
+      // fields covered by spanning cells are skipped
+      if (!cell || cell.type !== 'cell') continue;
+      _setCellContent(tx, cell.node, values[i][j]);
+    }
+  }
+  return {
+    selection: tx.createSelection({
+      type: 'table',
+      tableId: table.id,
+      startRow: start.row,
+      startCol: start.col,
+      endRow: start.row + rowCount - 1,
+      endCol: start.col + colCount - 1
+    })
+  };
+};
+
+// Replaces the content of a cell including its annotations
+var _setCellContent = function(tx, cellNode, value) {
+  var path = [cellNode.id, 'content'];
+  _.each(tx.getIndex('annotations').get(path), function(anno) {
+    tx.delete(anno.id);
+  });
+  tx.set(path, value.text);
+  _.each(value.annotations, function(anno) {
+    var data = _.deepclone(anno.toJSON());
+    data.id = _.uuid(data.type);
+    data.path = path;
+    tx.create(data);
+  });
+};
+
 module.exports = paste;
@@ -0,0 +1,35 @@
+'use strict';
+
+var replaceText = require('./replace_text');
+
+/**
+ * Replace all occurrences of a pattern.
+ *
+ * Annotations are preserved as with `replaceText`.
+ *
+ * @param args object with `pattern` and `text`, plus the options of `doc.findText()`,
+ *   i.e., `containerId`, `caseSensitive`, `regex`, and `wholeWord`.
+ * @return object with the number of replacements as `count`, and a `selection` of the first
+ *   replacement, or the given selection if nothing has been replaced.
+ */
+function replaceAll(tx, args) {
+  var matches = tx.findText(args.pattern, args);
+  // replace backwards, so that the offsets of the remaining matches stay valid
+  for (var i = matches.length - 1; i >= 0; i--) {
+    replaceText(tx, { selection: matches[i], text: args.text });
+  }
+  var result = { count: matches.length, selection: args.selection };
+  if (matches.length > 0) {
+    var first = matches[0];
+    // the first match is not shifted by the other replacements, as they follow it
+    result.selection = tx.createSelection({
+      type: 'property',
+      path: first.getPath(),
+      startOffset: first.getRange().start.offset,
+      endOffset: first.getRange().start.offset + (args.text || '').length
+    });
+  }
+  return result;
+}
+
+module.exports = replaceAll;
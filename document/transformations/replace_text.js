@@ -0,0 +1,40 @@
+'use strict';
+
+var Annotations = require('../annotation_updates');
+
+/**
+ * Replace the text of a property selection, e.g., a match of `doc.findText()`.
+ *
+ * Annotations overlapping the selection are kept and cover the new text.
+ *
+ * @param args object with `selection` (a PropertySelection) and `text`
+ * @return object with a `selection` of the inserted text
+ */
+function replaceText(tx, args) {
+  var selection = args.selection;
+  var text = args.text || '';
+  if (!selection || !selection.isPropertySelection()) {
+    throw new Error('Argument `selection` must be a PropertySelection.');
+  }
+  var range = selection.getRange();
+  var path = range.start.path;
+  var startOffset = range.start.offset;
+  var endOffset = range.end.offset;
+  if (endOffset > startOffset) {
+    tx.update(path, { delete: { start: startOffset, end: endOffset } });
+  }
+  if (text.length > 0) {
+    tx.update(path, { insert: { offset: startOffset, value: text } });
+  }
+  Annotations.replacedText(tx, path, startOffset, endOffset, text.length);
+  return {
+    selection: tx.createSelection({
+      type: 'property',
+      path: path,
+      startOffset: startOffset,
+      endOffset: startOffset + text.length
+    })
+  };
+}
+
+module.exports = replaceText;
@@ -0,0 +1,65 @@
+'use strict';
+
+var _ = require('../../basics/helpers');
+
+/**
+ * Splits the spanning cells covered by a table selection.
+ *
+ * A spanning cell keeps its content and is reduced to a single field.
+ * The other fields it covered get new empty cells.
+ *
+ * @param args object with field `selection`
+ */
+function splitCells(tx, args) {
+  var selection = args.selection;
+  if (!selection || !selection.isTableSelection()) {
+    throw new Error("Argument 'selection' must be a table selection.");
+  }
+  var table = tx.get(selection.getTableId());
+  var matrix = table.getMatrix();
+  var cells = matrix.getCellsForRectangle(selection.getRectangle());
+  // the new cells for each row, in matrix coordinates
+  var newCells = {};
+  _.each(cells, function(cell) {
+    var node = cell.node;
+    var rowspan = node.getSpan('row');
+    var colspan = node.getSpan('col');
+    if (rowspan === 1 && colspan === 1) return;
+    for (var row = cell.row; row < cell.row + rowspan; row++) {
+      for (var col = cell.col; col < cell.col + colspan; col++) {
+        if (row === cell.row && col === cell.col) continue;
+        newCells[row] = newCells[row] || [];
+        newCells[row].push({ col: col, cellType: node.cellType });
+      }
+    }
+    if (rowspan > 1) tx.set([node.id, 'rowspan'], 1);
+    if (colspan > 1) tx.set([node.id, 'colspan'], 1);
+  });
+  _.each(newCells, function(added, row) {
+    var rowNode = matrix.getRowNode(row);
+    var rowCells = [];
+    _.each(matrix.getRow(row), function(cell) {
+      if (cell && cell.type === 'cell') {
+        rowCells.push({ col: cell.col, id: cell.node.id });
+      }
+    });
+    _.each(added, function(data) {
+      var id = _.uuid('tcell');
+      tx.create({
+        type: 'table-cell',
+        id: id,
+        parent: rowNode.id,
+        cellType: data.cellType,
+        content: ''
+      });
+      rowCells.push({ col: data.col, id: id });
+    });
+    rowCells.sort(function(a, b) {
+      return a.col - b.col;
+    });
+    tx.set([rowNode.id, 'cells'], _.pluck(rowCells, 'id'));
+  });
+  return { selection: selection };
+}
+
+module.exports = splitCells;
@@ -0,0 +1,28 @@
+var WebSocketServer = require('ws').Server;
+var CollabHub = require('./collab/collab_hub');
+var PORT = process.env.HUB_PORT || 4202;
+var hub = new CollabHub();
+var wss = new WebSocketServer({ port: PORT });
+wss.on('connection', function(ws) {
+  var clientId = hub.connect({
+    send: function(message) {
+      ws.send(JSON.stringify(message));
+    }
+  });
+  ws.on('message', function(data) {
+    try {
+      hub.receive(clientId, JSON.parse(data));
+    } catch (err) {
+      console.error(err.stack || err);
+      ws.send(JSON.stringify({ type: 'error', message: err.message }));
+    }
+  });
+  ws.on('close', function() {
+    hub.disconnect(clientId);
+  });
+});
+hub.on('change', function(change, version) {
+  console.log('Version %s: change %s', version, change.id);
+});
+console.log('Collaboration hub is listening on %s', PORT);
+console.log('Connect a session using new Substance.Collab.WebSocketConnection("ws://localhost:%s")', PORT);
@@ -5,6 +5,7 @@ Substance.Data = require('./data');
 Substance.Document = require('./document');
 Substance.Operator = require('./operator');
 Substance.Surface = require('./surface');
+Substance.Collab = require('./collab');
 Substance.Component = require('./ui/component');
 
 Substance._ = require('./basics/helpers');
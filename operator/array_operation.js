@@ -8,6 +8,7 @@ var Conflict = require('./conflict');
 var NOP = "NOP";
 var DEL = "delete";
 var INS = "insert";
+var MOVE = "move";
 
 var ArrayOperation = function(data) {
   Operation.call(this);
@@ -20,16 +21,23 @@ var ArrayOperation = function(data) {
   this.type = data.type;
   if (this.type === NOP) return;
 
-  if (this.type !== INS && this.type !== DEL) {
+  if (this.type !== INS && this.type !== DEL && this.type !== MOVE) {
     throw new Error("Illegal type.");
   }
   // the position where to apply the operation
   this.pos = data.pos;
-  // the value to insert or delete
+  // the value to insert, delete, or move
   this.val = data.val;
   if (!_.isNumber(this.pos) || this.pos < 0) {
     throw new Error("Illegal argument: expecting positive number as pos.");
   }
+  if (this.type === MOVE) {
+    // the position of the moved value after the operation has been applied
+    this.target = data.target;
+    if (!_.isNumber(this.target) || this.target < 0) {
+      throw new Error("Illegal argument: expecting positive number as target.");
+    }
+  }
 };
 
 ArrayOperation.fromJSON = function(data) {
@@ -49,6 +57,17 @@ ArrayOperation.Prototype = function() {
       array.splice(this.pos, 0, this.val);
       return array;
     }
+    else if (this.type === MOVE) {
+      if (array.length <= this.pos || array.length <= this.target) {
+        throw new Error("Provided array is too small.");
+      }
+      if (!_.isEqual(array[this.pos], this.val)) {
+        throw Error("Unexpected value at position " + this.pos + ". Expected " + this.val + ", found " + array[this.pos]);
+      }
+      array.splice(this.pos, 1);
+      array.splice(this.target, 0, this.val);
+      return array;
+    }
     // Delete
     else /* if (this.type === DEL) */ {
       if (array.length < this.pos) {
@@ -66,6 +85,7 @@ ArrayOperation.Prototype = function() {
     var data = {
       type: this.type,
       pos: this.pos,
+      target: this.target,
       val: _.deepclone(this.val)
     };
     return new ArrayOperation(data);
@@ -75,6 +95,10 @@ ArrayOperation.Prototype = function() {
     var data = this.toJSON();
     if (this.type === NOP) data.type = NOP;
     else if (this.type === INS) data.type = DEL;
+    else if (this.type === MOVE) {
+      data.pos = this.target;
+      data.target = this.pos;
+    }
     else /* if (this.type === DEL) */ data.type = INS;
     return new ArrayOperation(data);
   };
@@ -89,6 +113,9 @@ ArrayOperation.Prototype = function() {
     };
     if (this.type === NOP) return result;
     result.pos = this.pos;
+    if (this.type === MOVE) {
+      result.target = this.target;
+    }
     result.val = _.deepclone(this.val);
     return result;
   };
@@ -101,10 +128,19 @@ ArrayOperation.Prototype = function() {
     return this.type === DEL;
   };
 
+  this.isMove = function() {
+    return this.type === MOVE;
+  };
+
   this.getOffset = function() {
     return this.pos;
   };
 
+  // the position of a moved value after the operation has been applied
+  this.getTarget = function() {
+    return this.target;
+  };
+
   this.getValue = function() {
     return this.val;
   };
@@ -114,6 +150,9 @@ ArrayOperation.Prototype = function() {
   };
 
   this.toString = function() {
+    if (this.isMove()) {
+      return ["(>,", this.getOffset(), ",", this.getTarget(), ",'", this.getValue(), "')"].join('');
+    }
     return ["(", (this.isInsert() ? '+' : '-'), ",", this.getOffset(), ",'", this.getValue(), "')"].join('');
   };
 };
@@ -124,6 +163,10 @@ var hasConflict = function(a, b) {
   if (a.type === NOP || b.type === NOP) return false;
   if (a.type === INS && b.type === INS) {
     return a.pos === b.pos;
+  }
+  // moving a value which is moved or deleted concurrently
+  else if (a.type === MOVE && b.type !== INS || b.type === MOVE && a.type !== INS) {
+    return a.pos === b.pos;
   } else {
     return false;
   }
@@ -171,6 +214,82 @@ function transform_insert_delete(a, b) {
   }
 }
 
+// Transformations with moves
+// --------
+//
+// A move is a deletion followed by an insertion of the same value,
+// with the insert position (`target`) given as the index in the resulting array.
+
+// maps the index of a value through a move of another value
+function mapIndex(idx, move) {
+  if (idx > move.pos) idx--;
+  if (idx >= move.target) idx++;
+  return idx;
+}
+
+// maps an insert position through a move
+// Note: an insert at the target position ends up before the moved value
+function mapInsertPosition(pos, move) {
+  if (pos > move.pos) pos--;
+  if (pos > move.target) pos++;
+  return pos;
+}
+
+function transform_insert_move(a, b) {
+  // reduce to a normalized case
+  var ins = (a.type === INS) ? a : b;
+  var move = (a.type === INS) ? b : a;
+  var pos = ins.pos;
+  ins.pos = mapInsertPosition(pos, move);
+  if (pos <= move.pos) {
+    move.pos += 1;
+  }
+  if (ins.pos <= move.target) {
+    move.target += 1;
+  }
+}
+
+function transform_delete_move(a, b) {
+  // reduce to a normalized case
+  var del = (a.type === DEL) ? a : b;
+  var move = (a.type === DEL) ? b : a;
+  // the moved value has been deleted
+  if (del.pos === move.pos) {
+    del.pos = move.target;
+    move.type = NOP;
+    return;
+  }
+  var pos = del.pos;
+  del.pos = mapIndex(pos, move);
+  if (pos < move.pos) {
+    move.pos -= 1;
+  }
+  if (del.pos < move.target) {
+    move.target -= 1;
+  }
+}
+
+function transform_move_move(a, b) {
+  // moving the same value: b wins
+  if (a.pos === b.pos) {
+    b.pos = a.target;
+    a.type = NOP;
+    return;
+  }
+  // the target positions between the values which are not moved
+  var targetA = a.target;
+  var targetB = b.target;
+  if (targetA > (b.pos > a.pos ? b.pos - 1 : b.pos)) targetA--;
+  if (targetB > (a.pos > b.pos ? a.pos - 1 : a.pos)) targetB--;
+  var posA = mapIndex(a.pos, b);
+  var posB = mapIndex(b.pos, a);
+  // when moved to the same position, a's value comes first
+  a.target = (targetB < targetA) ? targetA + 1 : targetA;
+  b.target = (targetA <= targetB) ? targetB + 1 : targetB;
+  a.pos = posA;
+  b.pos = posB;
+}
+
 var transform = function(a, b, options) {
   options = options || {};
   // enable conflicts when you want to notify the user of potential problems
@@ -192,6 +311,15 @@ var transform = function(a, b, options) {
   else if (a.type === DEL && b.type === DEL) {
     transform_delete_delete(a, b);
   }
+  else if (a.type === MOVE && b.type === MOVE) {
+    transform_move_move(a, b);
+  }
+  else if (a.type === INS && b.type === MOVE || a.type === MOVE && b.type === INS) {
+    transform_insert_move(a, b);
+  }
+  else if (a.type === MOVE || b.type === MOVE) {
+    transform_delete_move(a, b);
+  }
   else {
     transform_insert_delete(a, b);
   }
@@ -211,9 +339,17 @@ ArrayOperation.Delete = function(pos, val) {
   return new ArrayOperation({ type:DEL, pos: pos, val: val });
 };
 
+/**
+ * Move the value at position `from` so that it is at position `to` afterwards.
+ */
+ArrayOperation.Move = function(from, to, val) {
+  return new ArrayOperation({ type: MOVE, pos: from, target: to, val: val });
+};
+
 ArrayOperation.NOP = NOP;
 ArrayOperation.DELETE = DEL;
 ArrayOperation.INSERT = INS;
+ArrayOperation.MOVE = MOVE;
 
 // Export
 // ========
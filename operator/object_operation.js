@@ -34,7 +34,8 @@ var ObjectOperation = function(data) {
     throw new Error('Invalid data: path is mandatory.');
   }
   if (this.type === CREATE || this.type === DELETE) {
-    if (!data.val) {
+    // Note: empty values, such as '', are valid
+    if (data.val === undefined) {
       throw new Error('Invalid data: value is missing.');
     }
     this.val = data.val;
@@ -119,9 +120,12 @@ ObjectOperation.Prototype = function() {
       type: this.type,
       path: this.path,
     };
-    if (this.val) {
+    if (this.val !== undefined) {
       data.val = _.deepclone(this.val);
     }
+    if (this.type === SET) {
+      data.original = _.deepclone(this.original);
+    }
     if (this.diff) {
       data.diff = this.diff.clone();
     }
@@ -241,6 +245,38 @@ var hasConflict = function(a, b) {
   return _.isEqual(a.path, b.path);
 };
 
+// Concurrent operations on the same property are resolved deterministically:
+//  - the operation given as second argument wins,
+//  - except for updates which are dropped when the value has been replaced
+//    by a create or set, as they can not be applied to a value they have not seen,
+//  - and operations on values contained in a deleted or replaced value, which are dropped too.
+// Only two updates of different property types are considered irreconcilable.
+
+var _isPrefix = function(prefix, path) {
+  if (prefix.length >= path.length) return false;
+  for (var i = 0; i < prefix.length; i++) {
+    if (prefix[i] !== path[i]) return false;
+  }
+  return true;
+};
+
+// applies an operation to a value which is stored at the given prefix of the operation's path
+var _applyNested = function(op, prefix, value) {
+  if (!_.isObject(value)) return value;
+  value = _.deepclone(value);
+  var nested = op.clone();
+  nested.path = op.path.slice(prefix.length);
+  nested.apply(value);
+  return value;
+};
+
+var _applyDiff = function(op, value) {
+  /* jshint eqnull: true */
+  if (value == null) return value;
+  /* jshint eqnull: false */
+  return op.diff.clone().apply(_.deepclone(value));
+};
+
 var transform_delete_delete = function(a, b) {
   // both operations have the same effect.
   // the transformed operations are turned into NOPs
@@ -248,44 +284,62 @@ var transform_delete_delete = function(a, b) {
   b.type = NOP;
 };
 
-var transform_create_create = function() {
-  throw new Error("Can not transform two concurring creates of the same property");
+// (CREATE, CREATE), (CREATE, SET), (SET, CREATE), (SET, SET)
+var transform_write_write = function(a, b) {
+  if (_.isEqual(a.val, b.val)) {
+    a.type = NOP;
+    b.type = NOP;
+    return;
+  }
+  // b is applied on top of a's value, and a is dropped
+  a.type = NOP;
+  b.type = SET;
+  b.original = _.deepclone(a.val);
 };
 
-var transform_delete_create = function() {
-  throw new Error('Illegal state: can not create and delete a value at the same time.');
+var transform_delete_create = function(a, b, flipped) {
+  if (a.type !== DELETE) return transform_delete_create(b, a, true);
+  // (DELETE, CREATE): the create is applied as is
+  if (!flipped) {
+    a.type = NOP;
+  }
+  // (CREATE, DELETE): the delete removes the created value
+  else {
+    a.val = b.val;
+    b.type = NOP;
+  }
 };
 
 var transform_delete_update = function(a, b, flipped) {
   if (a.type !== DELETE) {
     return transform_delete_update(b, a, true);
   }
-  var op;
-  if (b.propertyType === 'string') {
-    op = TextOperation.fromJSON(b.diff);
-  } else /* if (b.propertyType === 'array') */ {
-    op = ArrayOperation.fromJSON(b.diff);
-  }
-  // (DELETE, UPDATE) is transformed into (DELETE, CREATE)
+  // (DELETE, UPDATE) is transformed into (NOP, CREATE)
   if (!flipped) {
     a.type = NOP;
     b.type = CREATE;
-    b.val = op.apply(a.val);
+    b.val = _applyDiff(b, a.val);
+    b.diff = undefined;
+    b.propertyType = undefined;
   }
   // (UPDATE, DELETE): the delete is updated to delete the updated value
   else {
-    a.val = op.apply(a.val);
+    a.val = _applyDiff(b, a.val);
     b.type = NOP;
   }
 };
 
-var transform_create_update = function() {
-  // it is not possible to reasonably transform this.
-  throw new Error("Can not transform a concurring create and update of the same property");
+var transform_create_update = function(a, b) {
+  if (a.type !== CREATE) return transform_create_update(b, a);
+  // the update is dropped as the created value replaces the updated one
+  b.type = NOP;
 };
 
 var transform_update_update = function(a, b) {
   // Note: this is a conflict the user should know about
+  if (a.propertyType !== b.propertyType) {
+    throw new Conflict(a, b);
+  }
   var op_a, op_b, t;
   if (b.propertyType === 'string') {
     op_a = TextOperation.fromJSON(a.diff);
@@ -300,10 +354,6 @@ var transform_update_update = function(a, b) {
   b.diff = t[1];
 };
 
-var transform_create_set = function() {
-  throw new Error('Illegal state: can not create and set a value at the same time.');
-};
-
 var transform_delete_set = function(a, b, flipped) {
   if (a.type !== DELETE) return transform_delete_set(b, a, true);
   if (!flipped) {
@@ -316,13 +366,24 @@ var transform_delete_set = function(a, b, flipped) {
   }
 };
 
-var transform_update_set = function() {
-  throw new Error("Unresolvable conflict: update + set.");
+var transform_update_set = function(a, b) {
+  if (a.type !== SET) return transform_update_set(b, a);
+  // the set wins and the update is dropped.
+  // When applied after the update the set must have the updated value as original.
+  a.original = _applyDiff(b, a.original);
+  b.type = NOP;
 };
 
-var transform_set_set = function(a, b) {
-  a.type = NOP;
-  b.original = a.val;
+// transforms an operation `b` which manipulates a value contained in the value of `a`,
+// e.g. `a` deletes a node and `b` updates a property of it.
+var transform_nested = function(a, b) {
+  if (a.type === UPDATE) return;
+  if (a.type === DELETE) {
+    a.val = _applyNested(b, a.path, a.val);
+  } else if (a.type === SET) {
+    a.original = _applyNested(b, a.path, a.original);
+  }
+  b.type = NOP;
 };
 
 var _NOP = 0;
@@ -342,13 +403,13 @@ var __transform__ = [];
 __transform__[_DELETE | _DELETE] = transform_delete_delete;
 __transform__[_DELETE | _CREATE] = transform_delete_create;
 __transform__[_DELETE | _UPDATE] = transform_delete_update;
-__transform__[_CREATE | _CREATE] = transform_create_create;
+__transform__[_CREATE | _CREATE] = transform_write_write;
 __transform__[_CREATE | _UPDATE] = transform_create_update;
 __transform__[_UPDATE | _UPDATE] = transform_update_update;
-__transform__[_CREATE | _SET   ] = transform_create_set;
+__transform__[_CREATE | _SET   ] = transform_write_write;
 __transform__[_DELETE | _SET   ] = transform_delete_set;
 __transform__[_UPDATE | _SET   ] = transform_update_set;
-__transform__[_SET    | _SET   ] = transform_set_set;
+__transform__[_SET    | _SET   ] = transform_write_write;
 
 var transform = function(a, b, options) {
   options = options || {};
@@ -362,10 +423,13 @@ var transform = function(a, b, options) {
   if (a.isNOP() || b.isNOP()) {
     return [a, b];
   }
-  var sameProp = _.isEqual(a.path, b.path);
   // without conflict: a' = a, b' = b
-  if (sameProp) {
+  if (_.isEqual(a.path, b.path)) {
     __transform__[CODE[a.type] | CODE[b.type]](a,b);
+  } else if (_isPrefix(a.path, b.path)) {
+    transform_nested(a, b);
+  } else if (_isPrefix(b.path, a.path)) {
+    transform_nested(b, a);
   }
   return [a, b];
 };
@@ -7,11 +7,175 @@ var Conflict = require('./conflict');
 
 var INS = "+";
 var DEL = "-";
+var SEQ = "seq";
 
 var hasConflict;
 
+// Components of a sequence
+// --------
+//
+// A sequence consists of components which are applied one after the other
+// walking through the string from the beginning:
+//
+//   - `{ retain: Number }` skips the given number of characters
+//   - `{ insert: String }` inserts a string at the current position
+//   - `{ delete: String }` deletes the given string at the current position
+//
+// The rest of the string is retained implicitly.
+
+function getComponentType(c) {
+  if (c.hasOwnProperty('retain')) return 'retain';
+  if (c.hasOwnProperty('insert')) return 'insert';
+  if (c.hasOwnProperty('delete')) return 'delete';
+  throw new Error("Illegal component: " + JSON.stringify(c));
+}
+
+function getComponentLength(c) {
+  if (c.hasOwnProperty('retain')) return c.retain;
+  if (c.hasOwnProperty('insert')) return c.insert.length;
+  return c['delete'].length;
+}
+
+function createComponent(type, val) {
+  var c = {};
+  c[type] = val;
+  return c;
+}
+
+// Iterates over components allowing to consume them piecewise.
+// After the last component an infinite retain is returned.
+function ComponentIterator(components) {
+  this.components = components;
+  this.index = 0;
+  this.offset = 0;
+}
+
+ComponentIterator.prototype.isDone = function() {
+  return this.index >= this.components.length;
+};
+
+ComponentIterator.prototype.peekType = function() {
+  if (this.isDone()) return 'retain';
+  return getComponentType(this.components[this.index]);
+};
+
+ComponentIterator.prototype.peekLength = function() {
+  if (this.isDone()) return Infinity;
+  return getComponentLength(this.components[this.index]) - this.offset;
+};
+
+// takes the next n characters of the current component, or all of it if n is not given
+ComponentIterator.prototype.take = function(n) {
+  if (this.isDone()) {
+    return { retain: n };
+  }
+  var c = this.components[this.index];
+  var type = getComponentType(c);
+  var length = getComponentLength(c);
+  if (n === undefined || n > length - this.offset) {
+    n = length - this.offset;
+  }
+  var result;
+  if (type === 'retain') {
+    result = { retain: n };
+  } else {
+    result = createComponent(type, c[type].slice(this.offset, this.offset + n));
+  }
+  this.offset += n;
+  if (this.offset === length) {
+    this.index++;
+    this.offset = 0;
+  }
+  return result;
+};
+
+// Builds a normalized list of components, i.e., without empty components,
+// with adjacent components of the same type merged, inserts before deletes,
+// and without a trailing retain.
+function ComponentBuilder() {
+  this.components = [];
+}
+
+ComponentBuilder.prototype.push = function(c) {
+  var type = getComponentType(c);
+  if (getComponentLength(c) === 0) return this;
+  var components = this.components;
+  var last = _.last(components);
+  if (type === 'insert' && last && getComponentType(last) === 'delete') {
+    var beforeLast = components[components.length - 2];
+    if (beforeLast && getComponentType(beforeLast) === 'insert') {
+      beforeLast.insert += c.insert;
+    } else {
+      components.splice(components.length - 1, 0, { insert: c.insert });
+    }
+  } else if (last && getComponentType(last) === type) {
+    last[type] += c[type];
+  } else {
+    components.push(createComponent(type, c[type]));
+  }
+  return this;
+};
+
+ComponentBuilder.prototype.getComponents = function() {
+  var components = this.components;
+  if (components.length > 0 && getComponentType(_.last(components)) === 'retain') {
+    components.pop();
+  }
+  return components;
+};
+
+function applySequence(components, str) {
+  var pos = 0;
+  for (var i = 0; i < components.length; i++) {
+    var c = components[i];
+    var length = getComponentLength(c);
+    if (c.hasOwnProperty('retain')) {
+      pos += length;
+      if (str.length < pos) {
+        throw new Error("Provided string is too short.");
+      }
+    } else if (c.hasOwnProperty('insert')) {
+      if (str.splice) {
+        str.splice(pos, 0, c.insert);
+      } else {
+        str = str.slice(0, pos).concat(c.insert).concat(str.slice(pos));
+      }
+      pos += length;
+    } else {
+      if (str.length < pos + length) {
+        throw new Error("Provided string is too short.");
+      }
+      if (str.splice) {
+        str.splice(pos, length);
+      } else {
+        str = str.slice(0, pos).concat(str.slice(pos + length));
+      }
+    }
+  }
+  return str;
+}
+
 function TextOperation(data) {
   Operation.call(this);
+  if (data && data.type === SEQ) {
+    if (!_.isArray(data.ops)) {
+      throw new Error("Illegal argument: expecting an array of components.");
+    }
+    this.type = SEQ;
+    var builder = new ComponentBuilder();
+    _.each(data.ops, function(c) {
+      var type = getComponentType(c);
+      if (type === 'retain' && (!_.isNumber(c.retain) || c.retain < 0)) {
+        throw new Error("Illegal argument: expecting positive number for retain.");
+      } else if (type !== 'retain' && !_.isString(c[type])) {
+        throw new Error("Illegal argument: expecting string.");
+      }
+      builder.push(c);
+    });
+    // the sequence of retain, insert, and delete components
+    this.ops = builder.getComponents();
+    return;
+  }
   if (!data || data.type === undefined || data.pos === undefined || data.str === undefined) {
     throw new Error("Illegal argument: insufficient data.");
   }
@@ -41,6 +205,9 @@ TextOperation.Prototype = function() {
 
   this.apply = function(str) {
     if (this.isEmpty()) return str;
+    if (this.type === SEQ) {
+      return applySequence(this.ops, str);
+    }
     if (this.type === INS) {
       if (str.length < this.pos) {
         throw new Error("Provided string is too short.");
@@ -68,7 +235,7 @@ TextOperation.Prototype = function() {
   };
 
   this.isNOP = function() {
-    return this.type === "NOP" || this.str.length === 0;
+    return this.type === "NOP" || this.isEmpty();
   };
 
   this.isInsert = function() {
@@ -79,11 +246,84 @@ TextOperation.Prototype = function() {
     return this.type === DEL;
   };
 
+  this.isSequence = function() {
+    return this.type === SEQ;
+  };
+
+  /**
+   * For sequences the number of inserted and deleted characters.
+   */
   this.getLength = function() {
+    if (this.type === SEQ) {
+      var length = 0;
+      _.each(this.ops, function(c) {
+        if (!c.hasOwnProperty('retain')) {
+          length += getComponentLength(c);
+        }
+      });
+      return length;
+    }
     return this.str.length;
   };
 
+  /**
+   * Get the retain, insert, and delete components of this operation.
+   *
+   * A single insert or delete is expressed as a sequence, too.
+   */
+  this.getComponents = function() {
+    if (this.type === SEQ) {
+      return _.map(this.ops, _.clone);
+    }
+    var builder = new ComponentBuilder();
+    builder.push({ retain: this.pos });
+    builder.push(createComponent(this.type === INS ? 'insert' : 'delete', this.str));
+    return builder.getComponents();
+  };
+
+  /**
+   * Create an operation which has the same effect as applying this operation and then the other.
+   */
+  this.compose = function(other) {
+    return TextOperation.compose(this, other);
+  };
+
+  /**
+   * Map a character position of the original string to the position in the resulting string.
+   *
+   * @param {Number} offset
+   * @param {Boolean} [shiftAtOffset] if true, insertions at the offset itself shift it too
+   */
+  this.mapOffset = function(offset, shiftAtOffset) {
+    var result = offset;
+    var pos = 0;
+    var components = this.getComponents();
+    for (var i = 0; i < components.length; i++) {
+      var c = components[i];
+      if (pos > offset || (pos === offset && !(shiftAtOffset && c.hasOwnProperty('insert')))) break;
+      if (c.hasOwnProperty('retain')) {
+        pos += c.retain;
+      } else if (c.hasOwnProperty('insert')) {
+        result += c.insert.length;
+      } else {
+        result -= Math.min(c['delete'].length, offset - pos);
+        pos += c['delete'].length;
+      }
+    }
+    return result;
+  };
+
   this.invert = function() {
+    if (this.type === SEQ) {
+      return new TextOperation({
+        type: SEQ,
+        ops: _.map(this.ops, function(c) {
+          if (c.hasOwnProperty('insert')) return { 'delete': c.insert };
+          if (c.hasOwnProperty('delete')) return { insert: c['delete'] };
+          return { retain: c.retain };
+        })
+      });
+    }
     var data = {
       type: this.isInsert() ? '-' : '+',
       pos: this.pos,
@@ -97,10 +337,21 @@ TextOperation.Prototype = function() {
   };
 
   this.isEmpty = function() {
+    if (this.type === SEQ) {
+      return !_.find(this.ops, function(c) {
+        return !c.hasOwnProperty('retain');
+      });
+    }
     return this.str.length === 0;
   };
 
   this.toJSON = function() {
+    if (this.type === SEQ) {
+      return {
+        type: SEQ,
+        ops: this.getComponents()
+      };
+    }
     return {
       type: this.type,
       pos: this.pos,
@@ -109,13 +360,71 @@ TextOperation.Prototype = function() {
   };
 
   this.toString = function() {
+    if (this.type === SEQ) {
+      return ["(", _.map(this.ops, function(c) {
+        if (c.hasOwnProperty('retain')) return c.retain;
+        if (c.hasOwnProperty('insert')) return "+'" + c.insert + "'";
+        return "-'" + c['delete'] + "'";
+      }).join(','), ")"].join('');
+    }
     return ["(", (this.isInsert() ? '+' : '-'), ",", this.pos, ",'", this.str, "')"].join('');
   };
 };
 
 OO.inherit(TextOperation, Operation);
 
+// Creates the most compact operation for the given components,
+// i.e., a single insert or delete when possible.
+function fromComponents(components) {
+  var builder = new ComponentBuilder();
+  _.each(components, builder.push, builder);
+  components = builder.getComponents();
+  if (components.length === 0) {
+    return TextOperation.Insert(0, "");
+  }
+  var pos = 0;
+  var edit = components[0];
+  if (edit.hasOwnProperty('retain')) {
+    pos = edit.retain;
+    edit = components[1];
+  }
+  if (components.length === (pos > 0 ? 2 : 1)) {
+    if (edit.hasOwnProperty('insert')) {
+      return TextOperation.Insert(pos, edit.insert);
+    } else {
+      return TextOperation.Delete(pos, edit['delete']);
+    }
+  }
+  return new TextOperation({ type: SEQ, ops: components });
+}
+
+// Splits an operation into single inserts and deletes with positions in the original string.
+function getEdits(op) {
+  if (op.type !== SEQ) return [op];
+  var edits = [];
+  var pos = 0;
+  _.each(op.ops, function(c) {
+    if (c.hasOwnProperty('retain')) {
+      pos += c.retain;
+    } else if (c.hasOwnProperty('insert')) {
+      edits.push(TextOperation.Insert(pos, c.insert));
+    } else {
+      edits.push(TextOperation.Delete(pos, c['delete']));
+      pos += c['delete'].length;
+    }
+  });
+  return edits;
+}
+
 hasConflict = function(a, b) {
+  if (a.type === SEQ || b.type === SEQ) {
+    var editsB = getEdits(b);
+    return !!_.find(getEdits(a), function(editA) {
+      return !!_.find(editsB, function(editB) {
+        return hasConflict(editA, editB);
+      });
+    });
+  }
   // Insert vs Insert:
   //
   // Insertions are conflicting iff their insert position is the same.
@@ -206,11 +515,85 @@ function transform_insert_delete(a, b) {
   }
 }
 
+// Transform two sequences
+// --------
+//
+// Walks through both sequences simultaneously, using the same rules
+// as for single inserts and deletes:
+//
+//   - when both insert at the same position, the insertion of `a` comes first
+//   - an insertion inside of a range deleted by the other operation is deleted, too
+
+function transform_sequences(a, b) {
+  var itA = new ComponentIterator(a.getComponents());
+  var itB = new ComponentIterator(b.getComponents());
+  var resultA = new ComponentBuilder();
+  var resultB = new ComponentBuilder();
+  // whether the last character of the original string has been deleted by a or b
+  var deletedByA = false;
+  var deletedByB = false;
+  var c, cA, cB;
+  while (!itA.isDone() || !itB.isDone()) {
+    var typeA = itA.peekType();
+    var typeB = itB.peekType();
+    if (typeA === 'insert') {
+      c = itA.take();
+      if (deletedByB && typeB === 'delete') {
+        resultB.push({ 'delete': c.insert });
+      } else {
+        resultA.push(c);
+        resultB.push({ retain: c.insert.length });
+      }
+    } else if (typeB === 'insert') {
+      c = itB.take();
+      if (deletedByA && typeA === 'delete') {
+        resultA.push({ 'delete': c.insert });
+      } else {
+        resultB.push(c);
+        resultA.push({ retain: c.insert.length });
+      }
+    } else {
+      var n = Math.min(itA.peekLength(), itB.peekLength());
+      cA = itA.take(n);
+      cB = itB.take(n);
+      deletedByA = (typeA === 'delete');
+      deletedByB = (typeB === 'delete');
+      if (!deletedByA && !deletedByB) {
+        resultA.push({ retain: n });
+        resultB.push({ retain: n });
+      } else if (deletedByA && !deletedByB) {
+        resultA.push(cA);
+      } else if (!deletedByA && deletedByB) {
+        resultB.push(cB);
+      }
+      // otherwise both have deleted the same characters
+    }
+  }
+  return [fromComponents(resultA.getComponents()), fromComponents(resultB.getComponents())];
+}
+
+// updates an operation inplace with the data of another one
+function assign(op, other) {
+  op.type = other.type;
+  op.pos = other.pos;
+  op.str = other.str;
+  op.ops = other.ops;
+}
+
 var transform = function(a, b, options) {
   options = options || {};
   if (options["no-conflict"] && hasConflict(a, b)) {
     throw new Conflict(a, b);
   }
+  if (a.type === SEQ || b.type === SEQ) {
+    var t = transform_sequences(a, b);
+    if (options.inplace) {
+      assign(a, t[0]);
+      assign(b, t[1]);
+      return [a, b];
+    }
+    return t;
+  }
   if (!options.inplace) {
     a = a.clone();
     b = b.clone();
@@ -231,6 +614,43 @@ TextOperation.transform = function() {
   return transform.apply(null, arguments);
 };
 
+/**
+ * Compose two operations into one, which has the same effect as applying `a` and then `b`.
+ *
+ * @param {TextOperation} a
+ * @param {TextOperation} b an operation which can be applied after `a`
+ * @return {TextOperation} a single insert or delete if possible, otherwise a sequence
+ */
+TextOperation.compose = function(a, b) {
+  var itA = new ComponentIterator(a.getComponents());
+  var itB = new ComponentIterator(b.getComponents());
+  var result = new ComponentBuilder();
+  while (!itA.isDone() || !itB.isDone()) {
+    // characters deleted by a are not visible to b
+    if (itA.peekType() === 'delete') {
+      result.push(itA.take());
+      continue;
+    }
+    // characters inserted by b are not visible to a
+    if (itB.peekType() === 'insert') {
+      result.push(itB.take());
+      continue;
+    }
+    var n = Math.min(itA.peekLength(), itB.peekLength());
+    var cA = itA.take(n);
+    var cB = itB.take(n);
+    if (cA.hasOwnProperty('retain')) {
+      // retained or deleted by b
+      result.push(cB);
+    } else if (cB.hasOwnProperty('retain')) {
+      // inserted by a and retained by b
+      result.push(cA);
+    }
+    // otherwise a's insertion is deleted by b
+  }
+  return fromComponents(result.getComponents());
+};
+
 /* Factories */
 
 TextOperation.Insert = function(pos, str) {
@@ -241,7 +661,31 @@ TextOperation.Delete = function(pos, str) {
   return new TextOperation({ type: DEL, pos: pos, str: str });
 };
 
+/**
+ * Create a sequence of retain, insert, and delete components.
+ *
+ * @example
+ * ```
+ *   // replaces 'ipsum' with 'dolor' in 'Lorem ipsum'
+ *   TextOperation.Sequence([{ retain: 6 }, { delete: 'ipsum' }, { insert: 'dolor' }]);
+ * ```
+ */
+TextOperation.Sequence = function(ops) {
+  return new TextOperation({ type: SEQ, ops: ops });
+};
+
+/**
+ * Create the most compact operation for the given retain, insert, and delete components.
+ *
+ * @param {Object[]} components
+ * @return {TextOperation} a single insert or delete if possible, otherwise a sequence
+ */
+TextOperation.fromComponents = function(components) {
+  return fromComponents(components);
+};
+
 TextOperation.INSERT = INS;
 TextOperation.DELETE = DEL;
+TextOperation.SEQUENCE = SEQ;
 
 module.exports = TextOperation;
@@ -2,6 +2,9 @@
 
 var _ = require('../basics/helpers');
 var OO = require('../basics/oo');
+var TableCsv = require('../document/table_csv');
+
+/* jshint latedef: false */
 
 // context must have a getSurface() method.
 var Clipboard = function(surfaceManager, htmlImporter, htmlExporter) {
@@ -77,7 +80,9 @@ Clipboard.Prototype = function() {
       var data = this._contentDoc.toJSON();
       data.__id__ = this._contentDoc.__id__;
       event.clipboardData.setData('application/substance', JSON.stringify(data));
-      event.clipboardData.setData('text/plain', $(html).text());
+      // table selections are provided as tab-separated text, e.g., for spreadsheet applications
+      var text = this.getSurface().getSelection().isTableSelection() ? this._contentText : $(html).text();
+      event.clipboardData.setData('text/plain', text);
       event.clipboardData.setData('text/html', html);
       event.preventDefault();
     }
@@ -205,7 +210,27 @@ Clipboard.Prototype = function() {
     }
     // Fallback to plain-text in other cases
     var plainText = clipboardData.getData('text/plain');
-    if (surface.getEditor().isContainerEditor()) {
+    if (surface.getSelection().isTableSelection()) {
+      // tab-separated text is filled into the cells
+      surface.transaction(function(tx, args) {
+        args.text = plainText;
+        return editor.paste(tx, args);
+      });
+    } else if (surface.getEditor().isContainerEditor() && _isTabSeparated(plainText)) {
+      surface.transaction(function(tx, args) {
+        var pasteDoc = surface.getDocument().newInstance();
+        pasteDoc._setForClipboard(true);
+        var container = pasteDoc.create({
+          type: 'container',
+          id: 'clipboard_content',
+          nodes: []
+        });
+        var table = TableCsv.importTable(pasteDoc, plainText, { delimiter: '\t' });
+        container.show(table.id);
+        args.doc = pasteDoc;
+        return editor.paste(tx, args);
+      });
+    } else if (surface.getEditor().isContainerEditor()) {
       var doc = surface.getDocument();
       var defaultTextType = doc.getSchema().getDefaultTextType();
       surface.transaction(function(tx, args) {
@@ -337,7 +362,12 @@ Clipboard.Prototype = function() {
     var sel = surface.getSelection();
     var editor = surface.getEditor();
     var doc = surface.getDocument();
-    if (wSel.rangeCount > 0 && !sel.isCollapsed()) {
+    if (sel.isTableSelection()) {
+      this._contentDoc = editor.copy(doc, sel);
+      var contentDoc = this._contentDoc;
+      var table = contentDoc.get(contentDoc.get('clipboard_content').nodes[0]);
+      this._contentText = TableCsv.exportTable(table, { delimiter: '\t' });
+    } else if (wSel.rangeCount > 0 && !sel.isCollapsed()) {
       var wRange = wSel.getRangeAt(0);
       this._contentText = wRange.toString();
       this._contentDoc = editor.copy(doc, sel);
@@ -350,6 +380,14 @@ Clipboard.Prototype = function() {
 
 };
 
+// Text is considered as table if every line has tab-separated values
+var _isTabSeparated = function(text) {
+  var rows = TableCsv.parse(text, { delimiter: '\t' });
+  return rows.length > 0 && !_.find(rows, function(values) {
+    return values.length < 2;
+  });
+};
+
 OO.initClass(Clipboard);
 
 module.exports = Clipboard;
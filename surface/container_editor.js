@@ -52,6 +52,16 @@ ContainerEditor.Prototype = function() {
     }
   };
 
+  this.indent = function(tx, args) {
+    args.containerId = this.containerId;
+    return Transformations.indentListItem(tx, args);
+  };
+
+  this.outdent = function(tx, args) {
+    args.containerId = this.containerId;
+    return Transformations.outdentListItem(tx, args);
+  };
+
   this.selectAll = function(doc) {
     var container = doc.get(this.containerId);
     var first = container.getFirstComponent();
@@ -69,7 +79,8 @@ ContainerEditor.Prototype = function() {
 
   this.paste = function(tx, args) {
     args.containerId = this.containerId;
-    if (args.selection.isPropertySelection() || args.selection.isContainerSelection()) {
+    if (args.selection.isPropertySelection() || args.selection.isContainerSelection() ||
+        args.selection.isTableSelection()) {
       return Transformations.paste(tx, args);
     }
   };
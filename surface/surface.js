@@ -6,6 +6,7 @@ var Substance = require('../basics');
 var SurfaceSelection = require('./surface_selection');
 var Document = require('../document');
 var Selection = Document.Selection;
+var TableNavigation = Document.TableNavigation;
 
 var __id__ = 0;
 
@@ -283,6 +284,8 @@ Surface.Prototype = function() {
       case Surface.Keys.BACKSPACE:
       case Surface.Keys.DELETE:
         return this.handleDeleteKey(e);
+      case Surface.Keys.TAB:
+        return this.handleTabKey(e);
       default:
         break;
     }
@@ -455,6 +458,9 @@ Surface.Prototype = function() {
   };
 
   this.handleLeftOrRightArrowKey = function ( e ) {
+    if (this._handleTableArrowKey(e, (e.keyCode === Surface.Keys.LEFT) ? 'left' : 'right')) {
+      return;
+    }
     var self = this;
     // Note: we need this timeout so that CE updates the DOM selection first
     // before we map the DOM selection
@@ -467,6 +473,9 @@ Surface.Prototype = function() {
   };
 
   this.handleUpOrDownArrowKey = function ( e ) {
+    if (this._handleTableArrowKey(e, (e.keyCode === Surface.Keys.UP) ? 'up' : 'down')) {
+      return;
+    }
     var self = this;
     // Note: we need this timeout so that CE updates the DOM selection first
     // before we map the DOM selection
@@ -501,6 +510,93 @@ Surface.Prototype = function() {
     this.rerenderDomSelection();
   };
 
+  // Tab and Shift+Tab indent and outdent list items and move between table cells.
+  // Otherwise the browser's default behavior is kept.
+  this.handleTabKey = function( e ) {
+    var selection = this.getSelection();
+    if (this._handleTableTabKey(e)) return;
+    if (!this.editor.indent) return;
+    if (!selection.isPropertySelection() && !selection.isContainerSelection()) return;
+    var node = this.getDocument().get(selection.getRange().start.path[0]);
+    if (!node || !node.isInstanceOf('list-item')) return;
+    e.preventDefault();
+    e.stopPropagation();
+    this.transaction(function(tx, args) {
+      if (e.shiftKey) {
+        return this.editor.outdent(tx, args);
+      } else {
+        return this.editor.indent(tx, args);
+      }
+    }, this);
+    this.rerenderDomSelection();
+  };
+
+  // Arrow keys move the selection to the neighboring cell when the caret is at the edge of a cell's text.
+  // With Shift the selected rectangle of cells grows instead.
+  this._handleTableArrowKey = function(e, direction) {
+    var doc = this.getDocument();
+    var sel = this.getSelection();
+    var cell = TableNavigation.getSelectedCell(doc, sel);
+    if (!cell) return false;
+    var newSel = null;
+    if (sel.isTableSelection()) {
+      newSel = TableNavigation.moveFocus(doc, sel, direction, e.shiftKey);
+    } else {
+      var range = sel.getRange();
+      var backwards = (direction === 'left' || direction === 'up');
+      var atEdge = backwards ? (range.start.offset === 0) : (range.end.offset === cell.content.length);
+      if (!atEdge || (!e.shiftKey && !sel.isCollapsed())) return false;
+      if (e.shiftKey) {
+        newSel = TableNavigation.moveFocus(doc, sel, direction, true);
+      } else {
+        var next = TableNavigation.getNeighborCell(cell.getRoot(), cell, direction);
+        if (next) {
+          newSel = TableNavigation.selectCell(doc, next, backwards ? 'end' : 'start');
+        }
+      }
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    if (newSel) {
+      this.setSelection(newSel);
+    }
+    return true;
+  };
+
+  // Tab and Shift+Tab select the content of the next or previous cell.
+  // Tab in the last cell appends a row.
+  this._handleTableTabKey = function(e) {
+    var doc = this.getDocument();
+    var cell = TableNavigation.getSelectedCell(doc, this.getSelection());
+    if (!cell) return false;
+    e.preventDefault();
+    e.stopPropagation();
+    var table = cell.getRoot();
+    var next = TableNavigation.getNeighborCell(table, cell, e.shiftKey ? 'previous' : 'next');
+    if (next) {
+      this.setSelection(TableNavigation.selectCell(doc, next, 'all'));
+    } else if (!e.shiftKey) {
+      var lastRow = table.getSize('row') - 1;
+      this.transaction(function(tx) {
+        Document.Transformations.insertRows(tx, {
+          selection: tx.createSelection({
+            type: 'table',
+            tableId: table.id,
+            startRow: lastRow,
+            startCol: 0,
+            endRow: lastRow,
+            endCol: 0
+          }),
+          mode: 'below'
+        });
+        var first = tx.get(table.id).getMatrix().getCell(lastRow + 1, 0).node;
+        return { selection: TableNavigation.selectCell(tx, first, 'start') };
+      });
+      this.rerenderDomSelection();
+    }
+    return true;
+  };
+
   this.handleDeleteKey = function ( e ) {
     e.preventDefault();
     var direction = (e.keyCode === Surface.Keys.BACKSPACE) ? 'left' : 'right';
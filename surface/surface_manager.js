@@ -3,6 +3,7 @@
 var OO = require('../basics/oo');
 var _ = require('../basics/helpers');
 var Surface = require('./surface');
+var DocumentChange = require('../document/document_change');
 var EventEmitter = require('../basics/event_emitter');
 
 var SurfaceManager = function(doc) {
@@ -74,6 +75,12 @@ SurfaceManager.Prototype = function() {
           console.warn('No surface with name', surfaceId);
         }
       }
+    } else if (info.remote && this.focusedSurface) {
+      // keep the local selection at the same position when a collaborator has changed the document
+      var sel = this.focusedSurface.getSelection();
+      if (sel && !sel.isNull()) {
+        this.focusedSurface.setSelection(DocumentChange.transformSelection(sel, change));
+      }
     }
   };
 
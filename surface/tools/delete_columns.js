@@ -1,6 +1,7 @@
 'use strict';
 
 var Tool = require('../tool');
+var Transformations = require('../../document/transformations');
 
 var DeleteColumnsTool = Tool.extend({
 
@@ -19,10 +20,11 @@ var DeleteColumnsTool = Tool.extend({
     });
   },
 
-  performAction: function(options) {
+  performAction: function() {
+    var containerId = this.surface.getContainerName();
     this.surface.transaction(function(tx, args) {
-      console.log('TODO: delete columns', options);
-      return args;
+      args.containerId = containerId;
+      return Transformations.deleteColumns(tx, args);
     });
   },
 
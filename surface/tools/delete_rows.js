@@ -1,6 +1,7 @@
 'use strict';
 
 var Tool = require('../tool');
+var Transformations = require('../../document/transformations');
 
 var DeleteRowsTool = Tool.extend({
 
@@ -19,10 +20,11 @@ var DeleteRowsTool = Tool.extend({
     });
   },
 
-  performAction: function(options) {
+  performAction: function() {
+    var containerId = this.surface.getContainerName();
     this.surface.transaction(function(tx, args) {
-      console.log('TODO: delete rows', options);
-      return args;
+      args.containerId = containerId;
+      return Transformations.deleteRows(tx, args);
     });
   },
 
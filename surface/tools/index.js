@@ -9,4 +9,6 @@ module.exports = {
   DeleteRows: require('./delete_rows'),
   InsertColumns: require('./insert_columns'),
   DeleteColumns: require('./delete_columns'),
+  MergeCells: require('./merge_cells'),
+  SplitCells: require('./split_cells'),
 };
\ No newline at end of file
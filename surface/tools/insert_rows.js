@@ -1,6 +1,7 @@
 'use strict';
 
 var Tool = require('../tool');
+var Transformations = require('../../document/transformations');
 
 var InsertRowsTool = Tool.extend({
 
@@ -21,8 +22,8 @@ var InsertRowsTool = Tool.extend({
 
   performAction: function(options) {
     this.surface.transaction(function(tx, args) {
-      console.log('TODO: insert rows', options);
-      return args;
+      args.mode = options.mode;
+      return Transformations.insertRows(tx, args);
     });
   },
 
@@ -0,0 +1,36 @@
+'use strict';
+
+var Tool = require('../tool');
+var Transformations = require('../../document/transformations');
+
+var MergeCellsTool = Tool.extend({
+
+  name: "merge_cells",
+
+  update: function(surface, sel) {
+    this.surface = surface; // IMPORTANT!
+    // Set disabled when not a table selection spanning multiple cells
+    if (!surface.isEnabled() || sel.isNull() || !sel.isTableSelection()) {
+      return this.setDisabled();
+    }
+    var table = surface.getDocument().get(sel.getTableId());
+    var cells = table.getMatrix().getCellsForRectangle(sel.getRectangle());
+    if (cells.length < 2) {
+      return this.setDisabled();
+    }
+    this.setToolState({
+      surface: surface,
+      sel: sel,
+      disabled: false
+    });
+  },
+
+  performAction: function() {
+    this.surface.transaction(function(tx, args) {
+      return Transformations.mergeCells(tx, args);
+    });
+  },
+
+});
+
+module.exports = MergeCellsTool;
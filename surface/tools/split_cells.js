@@ -0,0 +1,40 @@
+'use strict';
+
+var _ = require('../../basics/helpers');
+var Tool = require('../tool');
+var Transformations = require('../../document/transformations');
+
+var SplitCellsTool = Tool.extend({
+
+  name: "split_cells",
+
+  update: function(surface, sel) {
+    this.surface = surface; // IMPORTANT!
+    // Set disabled when no spanning cell is selected
+    if (!surface.isEnabled() || sel.isNull() || !sel.isTableSelection()) {
+      return this.setDisabled();
+    }
+    var table = surface.getDocument().get(sel.getTableId());
+    var cells = table.getMatrix().getCellsForRectangle(sel.getRectangle());
+    var hasSpanningCell = _.find(cells, function(cell) {
+      return cell.node.getSpan('row') > 1 || cell.node.getSpan('col') > 1;
+    });
+    if (!hasSpanningCell) {
+      return this.setDisabled();
+    }
+    this.setToolState({
+      surface: surface,
+      sel: sel,
+      disabled: false
+    });
+  },
+
+  performAction: function() {
+    this.surface.transaction(function(tx, args) {
+      return Transformations.splitCells(tx, args);
+    });
+  },
+
+});
+
+module.exports = SplitCellsTool;
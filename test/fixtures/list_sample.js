@@ -0,0 +1,52 @@
+'use strict';
+
+var Article = require('../test_article');
+
+module.exports = function() {
+  var article = new Article();
+  article.set(['meta', 'title'], 'List Sample');
+  article.create({
+    type: 'paragraph',
+    id: 'p1',
+    content: 'Paragraph 1'
+  });
+  article.create({
+    type: 'list-item',
+    id: 'li1',
+    parent: 'l1',
+    level: 1,
+    content: 'Item 1'
+  });
+  article.create({
+    type: 'list-item',
+    id: 'li2',
+    parent: 'l1',
+    level: 2,
+    content: 'Item 2'
+  });
+  article.create({
+    type: 'list-item',
+    id: 'li3',
+    parent: 'l1',
+    level: 1,
+    content: 'Item 3'
+  });
+  article.create({
+    type: 'list',
+    id: 'l1',
+    ordered: false,
+    items: ['li1', 'li2', 'li3']
+  });
+  article.create({
+    type: 'paragraph',
+    id: 'p2',
+    content: 'Paragraph 2'
+  });
+  var main = article.get('main');
+  main.show('p1');
+  main.show('l1');
+  main.show('p2');
+  article.documentDidLoad();
+  article.FORCE_TRANSACTIONS = false;
+  return article;
+};
@@ -50,7 +50,7 @@ module.exports = function sample1() {
     id: "test",
     boolVal: true,
     stringVal: "Test",
-    arrayVal: [1, 2, 3, 4],
+    arrayVal: ['1', '2', '3', '4'],
     objectVal: { "a": 1, "b": 2 }
   });
   var main = article.get('main');
@@ -0,0 +1,95 @@
+'use strict';
+
+var Article = require('../test_article');
+
+// A table with a cell spanning two rows and two columns:
+//
+//  -------------------------
+// | 0,0 | 0,1 | 0,2 | 0,3 |
+// |-----|-----------|-----|
+// | 1,0 | 1,1       | 1,3 |
+// |-----|           |-----|
+// | 2,0 |           | 2,3 |
+// |-----|-----------|-----|
+// | 3,0 | 3,1 | 3,2 | 3,3 |
+//  -------------------------
+//
+// Cells have the ids `c<row><col>` and rows `r<row>`.
+
+var LAYOUT = [
+  ['00', '01', '02', '03'],
+  ['10', '11', '13'],
+  ['20', '23'],
+  ['30', '31', '32', '33']
+];
+
+var tableSample = function() {
+  var article = new Article();
+  article.set(['meta', 'title'], 'Table Sample');
+  article.create({
+    type: 'paragraph',
+    id: 'p1',
+    content: 'Paragraph 1'
+  });
+  var rows = [];
+  LAYOUT.forEach(function(cells, rowIdx) {
+    var rowId = 'r' + rowIdx;
+    var cellIds = cells.map(function(pos) {
+      var cell = {
+        type: 'table-cell',
+        id: 'c' + pos,
+        parent: rowId,
+        cellType: 'data',
+        content: pos[0] + ',' + pos[1]
+      };
+      if (pos === '11') {
+        cell.rowspan = 2;
+        cell.colspan = 2;
+      }
+      article.create(cell);
+      return cell.id;
+    });
+    article.create({
+      type: 'table-row',
+      id: rowId,
+      parent: 'tbody',
+      cells: cellIds
+    });
+    rows.push(rowId);
+  });
+  article.create({
+    type: 'table-section',
+    id: 'tbody',
+    parent: 't1',
+    sectionType: 'body',
+    rows: rows
+  });
+  article.create({
+    type: 'table',
+    id: 't1',
+    sections: ['tbody']
+  });
+  article.create({
+    type: 'paragraph',
+    id: 'p2',
+    content: 'Paragraph 2'
+  });
+  var main = article.get('main');
+  main.show('p1');
+  main.show('t1');
+  main.show('p2');
+  article.documentDidLoad();
+  article.FORCE_TRANSACTIONS = false;
+  return article;
+};
+
+// Provides the contents of the table's cells row by row, e.g., to check the table's structure.
+tableSample.layout = function(table) {
+  return table.getSections()[0].getRows().map(function(row) {
+    return row.getCells().map(function(cell) {
+      return cell.content;
+    });
+  });
+};
+
+module.exports = tableSample;
@@ -24,6 +24,7 @@ schema.addNodes([
   Document.TableCell,
   Document.List,
   Document.ListItem,
+  Document.Include,
   TestNode,
   TestContainerAnnotation
 ]);
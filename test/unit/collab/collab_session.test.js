@@ -0,0 +1,151 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample1 = require('../../fixtures/sample1');
+var Document = require('../../../document');
+var CollabSession = require('../../../collab/collab_session');
+var CollabHub = require('../../../collab/collab_hub');
+var LocalConnection = require('../../../collab/local_connection');
+var DocumentChange = require('../../../document/document_change');
+var _ = require('../../../helpers');
+var insertText = Document.Transformations.insertText;
+
+QUnit.module('Unit/Substance.Collab/CollabSession');
+
+var _createSession = function(hub) {
+  var doc = sample1();
+  var connection = new LocalConnection(hub, { autoFlush: false });
+  var session = new CollabSession(doc, connection);
+  return { doc: doc, connection: connection, session: session };
+};
+
+// deliver all messages until no connection has queued messages anymore
+var _sync = function(clients) {
+  var isQueued = function(client) {
+    return client.connection.queue.length > 0;
+  };
+  while (_.find(clients, isQueued)) {
+    _.each(clients, function(client) {
+      client.connection.flush();
+    });
+  }
+};
+
+var _insertText = function(doc, path, offset, text) {
+  var sel = doc.createSelection({
+    type: 'property',
+    path: path,
+    startOffset: offset
+  });
+  doc.transaction({ selection: sel }, function(tx) {
+    return insertText(tx, { selection: sel, text: text });
+  });
+};
+
+QUnit.test("Concurrent text insertions", function(assert) {
+  var hub = new CollabHub();
+  var a = _createSession(hub);
+  var b = _createSession(hub);
+  _sync([a, b]);
+  _insertText(a.doc, ['p1', 'content'], 0, 'foo ');
+  _insertText(b.doc, ['p1', 'content'], 11, ' bar');
+  _sync([a, b]);
+  assert.equal(a.doc.get(['p1', 'content']), 'foo Paragraph 1 bar', 'Document A should contain both changes.');
+  assert.equal(b.doc.get(['p1', 'content']), 'foo Paragraph 1 bar', 'Document B should contain both changes.');
+  assert.equal(hub.getVersion(), 2, 'The hub should have sequenced two changes.');
+  assert.equal(a.session.getVersion(), 2, 'Session A should be up to date.');
+  assert.equal(b.session.getVersion(), 2, 'Session B should be up to date.');
+  assert.notOk(a.session.hasPendingChanges(), 'Session A should have no pending changes.');
+});
+
+QUnit.test("Concurrent insertions at the same offset", function(assert) {
+  var hub = new CollabHub();
+  var a = _createSession(hub);
+  var b = _createSession(hub);
+  var c = _createSession(hub);
+  _sync([a, b, c]);
+  _insertText(a.doc, ['p1', 'content'], 0, 'AAA');
+  _insertText(b.doc, ['p1', 'content'], 0, 'BBB');
+  _sync([a, b, c]);
+  var expected = a.doc.get(['p1', 'content']);
+  assert.equal(expected.length, 17, 'Both insertions should be applied.');
+  assert.equal(b.doc.get(['p1', 'content']), expected, 'Document B should have converged.');
+  assert.equal(c.doc.get(['p1', 'content']), expected, 'Document C should have converged.');
+  var hubDoc = sample1();
+  _.each(hub.getChanges(0), function(data) {
+    hubDoc._apply(DocumentChange.fromJSON(data, hubDoc));
+  });
+  assert.equal(hubDoc.get(['p1', 'content']), expected, 'The changes of the hub should lead to the same state.');
+});
+
+QUnit.test("Concurrently setting the same property", function(assert) {
+  var hub = new CollabHub();
+  var a = _createSession(hub);
+  var b = _createSession(hub);
+  var c = _createSession(hub);
+  _sync([a, b, c]);
+  a.doc.transaction(function(tx) {
+    tx.set(['h1', 'level'], 2);
+  });
+  b.doc.transaction(function(tx) {
+    tx.set(['h1', 'level'], 3);
+  });
+  _sync([a, b, c]);
+  var expected = a.doc.get(['h1', 'level']);
+  assert.equal(b.doc.get(['h1', 'level']), expected, 'Document B should have converged.');
+  assert.equal(c.doc.get(['h1', 'level']), expected, 'Document C should have converged.');
+  var hubDoc = sample1();
+  _.each(hub.getChanges(0), function(data) {
+    hubDoc._apply(DocumentChange.fromJSON(data, hubDoc));
+  });
+  assert.equal(hubDoc.get(['h1', 'level']), expected, 'The changes of the hub should lead to the same state.');
+});
+
+QUnit.test("Rebasing pending and buffered local changes", function(assert) {
+  var hub = new CollabHub();
+  var a = _createSession(hub);
+  var b = _createSession(hub);
+  _sync([a, b]);
+  _insertText(a.doc, ['p1', 'content'], 0, 'a');
+  _insertText(a.doc, ['p1', 'content'], 1, 'b');
+  // deliver A's first commit so that the second one is buffered
+  a.connection.flush();
+  _insertText(b.doc, ['p1', 'content'], 11, 'x');
+  _insertText(b.doc, ['p2', 'content'], 0, 'y');
+  _sync([a, b]);
+  assert.equal(a.doc.get(['p1', 'content']), 'abParagraph 1x', 'Document A should contain all changes to p1.');
+  assert.equal(b.doc.get(['p1', 'content']), 'abParagraph 1x', 'Document B should contain all changes to p1.');
+  assert.equal(a.doc.get(['p2', 'content']), b.doc.get(['p2', 'content']), 'Documents should have converged.');
+  assert.equal(hub.getVersion(), 4, 'The hub should have sequenced four changes.');
+});
+
+QUnit.test("Remote changes are not undoable", function(assert) {
+  var hub = new CollabHub();
+  var a = _createSession(hub);
+  var b = _createSession(hub);
+  _sync([a, b]);
+  _insertText(a.doc, ['p1', 'content'], 0, 'foo ');
+  _insertText(b.doc, ['p1', 'content'], 11, ' bar');
+  _sync([a, b]);
+  assert.equal(a.doc.done.length, 1, 'Only the local change should be on the undo stack.');
+  a.doc.undo();
+  assert.equal(a.doc.get(['p1', 'content']), 'Paragraph 1 bar', 'Undo should only revert the local change.');
+  _sync([a, b]);
+  assert.equal(b.doc.get(['p1', 'content']), 'Paragraph 1 bar', 'The undo should be propagated.');
+  a.doc.redo();
+  _sync([a, b]);
+  assert.equal(a.doc.get(['p1', 'content']), 'foo Paragraph 1 bar', 'Redo should restore the local change.');
+  assert.equal(b.doc.get(['p1', 'content']), 'foo Paragraph 1 bar', 'The redo should be propagated.');
+});
+
+QUnit.test("Opening a session receives missed changes", function(assert) {
+  var hub = new CollabHub();
+  var a = _createSession(hub);
+  _sync([a]);
+  _insertText(a.doc, ['p1', 'content'], 0, 'foo ');
+  _sync([a]);
+  var b = _createSession(hub);
+  _sync([a, b]);
+  assert.equal(b.doc.get(['p1', 'content']), 'foo Paragraph 1', 'Missed changes should be applied.');
+  assert.equal(b.session.getVersion(), 1, 'Session should be up to date.');
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample1 = require('../../fixtures/sample1');
+var Data = require('../../../data');
+var ValidationError = Data.ValidationError;
+
+QUnit.module('Unit/Substance.Data/Validation');
+
+var _catch = function(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+};
+
+QUnit.test("Creating a node with an invalid property", function(assert) {
+  var doc = sample1();
+  var err = _catch(function() {
+    doc.create({ type: 'heading', id: 'h4', content: 'Foo', level: 'one' });
+  });
+  assert.ok(err instanceof ValidationError, 'A ValidationError should be thrown.');
+  assert.equal(err.nodeId, 'h4', 'The error should name the node.');
+  assert.equal(err.property, 'level', 'The error should name the property.');
+  assert.equal(err.expectedType, 'number', 'The error should name the expected type.');
+  assert.isNullOrUndefined(doc.get('h4'), 'The node should not be created.');
+});
+
+QUnit.test("Setting a property", function(assert) {
+  var doc = sample1();
+  var err = _catch(function() {
+    doc.set(['p1', 'content'], 42);
+  });
+  assert.ok(err instanceof ValidationError, 'Setting a number into a string property should fail.');
+  assert.equal(doc.get(['p1', 'content']), 'Paragraph 1', 'The property should not be changed.');
+  err = _catch(function() {
+    doc.set(['main', 'nodes'], ['p1', 2]);
+  });
+  assert.ok(err instanceof ValidationError, 'Array elements should be checked.');
+  assert.deepEqual(err.expectedType, ['array', 'string'], 'The error should name the array type.');
+  doc.set(['test', 'objectVal'], { c: 3 });
+  doc.set(['test', 'boolVal'], false);
+  assert.equal(doc.get(['test', 'boolVal']), false, 'Valid values should be accepted.');
+});
+
+QUnit.test("Updating a property", function(assert) {
+  var doc = sample1();
+  var err = _catch(function() {
+    doc.update(['main', 'nodes'], { insert: { offset: 0, value: 5 } });
+  });
+  assert.ok(err instanceof ValidationError, 'Inserting an invalid array element should fail.');
+  assert.deepEqual(doc.get(['main', 'nodes']), ['h1', 'p1', 'h2', 'p2', 'h3', 'p3'], 'The property should not be changed.');
+});
+
+QUnit.test("Lenient and strict mode", function(assert) {
+  var doc = sample1();
+  doc.create({ type: 'paragraph', id: 'p4', content: null, foo: 'bar' });
+  assert.ok(doc.get('p4'), 'Null values and undeclared properties should be accepted in lenient mode.');
+  doc.setValidationMode('strict');
+  var err = _catch(function() {
+    doc.create({ type: 'paragraph', id: 'p5', content: 'Foo', foo: 'bar' });
+  });
+  assert.ok(err instanceof ValidationError, 'Undeclared properties should be rejected in strict mode.');
+  assert.equal(err.property, 'foo', 'The error should name the undeclared property.');
+  err = _catch(function() {
+    doc.set(['p1', 'content'], null);
+  });
+  assert.ok(err instanceof ValidationError, 'Null values should be rejected in strict mode.');
+  doc.setValidationMode(false);
+  doc.set(['p1', 'content'], 42);
+  assert.equal(doc.get(['p1', 'content']), 42, 'Nothing should be checked when validation is disabled.');
+});
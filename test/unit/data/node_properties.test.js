@@ -0,0 +1,89 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample1 = require('../../fixtures/sample1');
+var Data = require('../../../data');
+var Document = require('../../../document');
+
+QUnit.module('Unit/Substance.Data/NodeProperties');
+
+var TestNode = Document.Node.extend({
+  name: 'defaults-node',
+  properties: {
+    label: { type: 'string', 'default': 'untitled' },
+    tags: { type: ['array', 'string'], 'default': [] },
+    count: 'number'
+  },
+  computed: {
+    size: function() {
+      return this.tags.length;
+    }
+  }
+});
+
+var _createData = function() {
+  var schema = new Document.Schema('defaults-test', '1.0.0');
+  schema.addNodes([TestNode]);
+  return new Data(schema);
+};
+
+QUnit.test("Filling in default values", function(assert) {
+  var data = _createData();
+  var a = data.create({ type: 'defaults-node', id: 'a' });
+  var b = data.create({ type: 'defaults-node', id: 'b', label: 'foo', tags: ['x'] });
+  assert.equal(a.label, 'untitled', 'A missing property should get its default value.');
+  assert.isNullOrUndefined(a.count, 'Properties without default should stay undefined.');
+  assert.equal(b.label, 'foo', 'Given values should be kept.');
+  assert.deepEqual(b.tags, ['x'], 'Given values should be kept.');
+  a.tags.push('y');
+  var c = data.create({ type: 'defaults-node', id: 'c' });
+  assert.deepEqual(c.tags, [], 'Default values should not be shared between nodes.');
+  assert.deepEqual(a.toJSON().label, 'untitled', 'Default values should be serialized.');
+});
+
+QUnit.test("Default values of document nodes", function(assert) {
+  var doc = sample1();
+  doc.create({ type: 'table-cell', id: 'c1', content: '' });
+  doc.create({ type: 'list-item', id: 'li1', content: '' });
+  assert.equal(doc.get('c1').getSpan('col'), 1, 'Column span should default to 1.');
+  assert.equal(doc.get('c1').getSpan('row'), 1, 'Row span should default to 1.');
+  assert.equal(doc.get(['li1', 'level']), 1, 'List item level should default to 1.');
+});
+
+QUnit.test("Computed properties", function(assert) {
+  var data = _createData();
+  var node = data.create({ type: 'defaults-node', id: 'a', tags: ['x', 'y'] });
+  assert.equal(node.size, 2, 'The computed value should be provided.');
+  data.set(['a', 'tags'], ['x']);
+  assert.equal(node.size, 1, 'The computed value should be recomputed.');
+  assert.throws(function() {
+    node.size = 3;
+  }, 'Computed properties should be read-only.');
+  assert.isNullOrUndefined(node.toJSON().size, 'Computed properties should not be serialized.');
+});
+
+QUnit.test("Heading numbers", function(assert) {
+  var doc = sample1();
+  assert.equal(doc.get('h1').number, '1', 'First heading.');
+  assert.equal(doc.get('h2').number, '2', 'Second heading.');
+  assert.equal(doc.get('h3').number, '2.1', 'Sub-heading.');
+  doc.create({ type: 'heading', id: 'h0', content: 'Intro', level: 1 });
+  assert.isNullOrUndefined(doc.get('h0').number, 'A heading which is not in a container has no number.');
+  doc.get('main').show('h0', 0);
+  assert.equal(doc.get('h0').number, '1', 'The inserted heading should be numbered.');
+  assert.equal(doc.get('h3').number, '3.1', 'The following headings should be renumbered.');
+  doc.set(['h2', 'level'], 2);
+  assert.equal(doc.get('h3').number, '2.2', 'Changing a level should renumber.');
+});
+
+QUnit.test("List item index", function(assert) {
+  var doc = sample1();
+  doc.create({ type: 'list-item', id: 'li1', parent: 'l1', content: 'A' });
+  doc.create({ type: 'list-item', id: 'li2', parent: 'l1', content: 'B' });
+  doc.create({ type: 'list', id: 'l1', items: ['li1', 'li2'] });
+  assert.equal(doc.get('li1').index, 0, 'First item.');
+  assert.equal(doc.get('li2').index, 1, 'Second item.');
+  doc.update(['l1', 'items'], { move: { from: 1, to: 0 } });
+  assert.equal(doc.get('li1').index, 1, 'Index should be updated after moving.');
+  assert.equal(doc.get('li2').index, 0, 'Index should be updated after moving.');
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+require('../qunit_extensions');
+var OO = require('../../../basics/oo');
+var Document = require('../../../document');
+var Schema = require('../../../data').Schema;
+var Migrations = Schema.Migrations;
+
+QUnit.module('Unit/Substance.Data/SchemaMigration');
+
+var _createSchema = function() {
+  var schema = new Document.Schema('migration-test', '3.0.0');
+  schema.addNodes([Document.Paragraph, Document.Heading]);
+  // 1.0.0: paragraphs were called 'para' and had a 'text' property
+  schema.addMigration('1.0.0', '2.0.0', [
+    Migrations.renameType('para', 'paragraph'),
+    Migrations.renameProperty('paragraph', 'text', 'content')
+  ]);
+  // 2.0.0: headings stored level and content as one label, e.g. '2:Intro'
+  schema.addMigration('2.0.0', '2.1.0', Migrations.splitProperty('heading', 'label', function(label) {
+    var idx = label.indexOf(':');
+    return { level: parseInt(label.substring(0, idx), 10), content: label.substring(idx + 1) };
+  }));
+  // 2.1.0: paragraphs got an explicit alignment
+  schema.addMigration('2.1.0', '3.0.0', function(seed) {
+    Migrations.addDefault('paragraph', 'align', 'left')(seed);
+  });
+  return schema;
+};
+
+var _createDocument = function(schema) {
+  var MigrationDocument = function() {
+    MigrationDocument.super.call(this, schema);
+  };
+  OO.inherit(MigrationDocument, Document);
+  return new MigrationDocument();
+};
+
+var _catch = function(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+};
+
+QUnit.test("Migrating a seed through several versions", function(assert) {
+  var schema = _createSchema();
+  var seed = {
+    schema: ['migration-test', '1.0.0'],
+    nodes: {
+      p1: { type: 'para', id: 'p1', text: 'Hello' },
+      h1: { type: 'heading', id: 'h1', label: '2:Intro' }
+    }
+  };
+  var migrated = schema.migrate(seed);
+  assert.deepEqual(migrated.schema, ['migration-test', '3.0.0'], 'The seed should have the current version.');
+  assert.deepEqual(migrated.nodes.p1, { type: 'paragraph', id: 'p1', content: 'Hello', align: 'left' },
+    'The paragraph should be renamed and get the default.');
+  assert.deepEqual(migrated.nodes.h1, { type: 'heading', id: 'h1', level: 2, content: 'Intro' },
+    'The heading label should be split.');
+  assert.equal(seed.nodes.p1.type, 'para', 'The original seed should not be changed.');
+});
+
+QUnit.test("Migrating a seed starting from an intermediate version", function(assert) {
+  var schema = _createSchema();
+  var migrated = schema.migrate({
+    schema: ['migration-test', '2.1.0'],
+    nodes: [ { type: 'paragraph', id: 'p1', content: 'Hello', align: 'right' } ]
+  });
+  assert.equal(migrated.nodes[0].align, 'right', 'Existing values should be kept.');
+  assert.deepEqual(migrated.schema, ['migration-test', '3.0.0'], 'The seed should have the current version.');
+});
+
+QUnit.test("Seeds of the current version", function(assert) {
+  var schema = _createSchema();
+  var seed = { schema: ['migration-test', '3.0.0'], nodes: {} };
+  assert.ok(!schema.needsMigration(seed), 'No migration should be necessary.');
+  assert.equal(schema.migrate(seed), seed, 'The seed should be returned as is.');
+});
+
+QUnit.test("Invalid migrations", function(assert) {
+  var schema = _createSchema();
+  var err = _catch(function() {
+    schema.migrate({ schema: ['migration-test', '0.9.0'], nodes: {} });
+  });
+  assert.ok(err, 'Missing migration steps should be reported.');
+  err = _catch(function() {
+    schema.migrate({ schema: ['migration-test', '3.1.0'], nodes: {} });
+  });
+  assert.ok(err, 'Seeds of a newer version should be rejected.');
+  err = _catch(function() {
+    schema.addMigration('1.0.0', '1.5.0', function() {});
+  });
+  assert.ok(err, 'Only one migration per version should be allowed.');
+  err = _catch(function() {
+    schema.addMigration('3.0.0', '2.0.0', function() {});
+  });
+  assert.ok(err, 'Migrations should lead to a newer version.');
+});
+
+QUnit.test("Comparing versions", function(assert) {
+  assert.ok(Schema.compareVersions('1.10.0', '1.9.0') > 0, 'Version parts should be compared numerically.');
+  assert.ok(Schema.compareVersions('1.0', '1.0.0') === 0, 'Missing parts should count as 0.');
+  assert.ok(Schema.compareVersions('0.9.1', '1.0.0') < 0, 'Major versions should take precedence.');
+});
+
+QUnit.test("Loading an old seed into a document", function(assert) {
+  var schema = _createSchema();
+  var doc = _createDocument(schema);
+  doc.loadSeed({
+    schema: ['migration-test', '1.0.0'],
+    nodes: {
+      p1: { type: 'para', id: 'p1', text: 'Hello' },
+      h1: { type: 'heading', id: 'h1', label: '1:Title' }
+    }
+  });
+  assert.equal(doc.get('p1').type, 'paragraph', 'The node should have the new type.');
+  assert.equal(doc.get(['p1', 'content']), 'Hello', 'The renamed property should be loaded.');
+  assert.equal(doc.get(['h1', 'level']), 1, 'The split property should be loaded.');
+  assert.deepEqual(doc.toJSON().schema, ['migration-test', '3.0.0'], 'The document should be saved with the current version.');
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample1 = require('../../fixtures/sample1');
+var Document = require('../../../document');
+var MemoryChangeStore = Document.MemoryChangeStore;
+var _ = require('../../../helpers');
+var insertText = Document.Transformations.insertText;
+
+QUnit.module('Unit/Substance.Document/ChangeStore');
+
+var _insertText = function(doc, path, offset, text) {
+  var sel = doc.createSelection({
+    type: 'property',
+    path: path,
+    startOffset: offset
+  });
+  doc.transaction({ selection: sel }, function(tx) {
+    return insertText(tx, { selection: sel, text: text });
+  });
+};
+
+var _createStore = function(snapshotInterval) {
+  var doc = sample1();
+  var store = new MemoryChangeStore({
+    createDocument: sample1,
+    snapshotInterval: snapshotInterval
+  });
+  // Note: not using doc.done here, as consecutive typing is merged into one undo step
+  doc.connect(store, {
+    'document:changed': function(change) {
+      store.append(change, function(err) {
+        if (err) throw err;
+      });
+    }
+  });
+  _.each(['a', 'b', 'c', 'd', 'e'], function(text, idx) {
+    _insertText(doc, ['p1', 'content'], idx, text);
+  });
+  return store;
+};
+
+QUnit.test("Appending changes", function(assert) {
+  var store = _createStore(0);
+  store.getVersion(function(err, version) {
+    assert.equal(version, 5, 'Version should be the number of appended changes.');
+  });
+  store.getChanges(1, 3, function(err, changes) {
+    assert.equal(changes.length, 2, 'There should be two changes between version 1 and 3.');
+    assert.equal(changes[0].ops[0].diff.str, 'b', 'The first change should insert "b".');
+  });
+  store.getChanges(4, 6, function(err) {
+    assert.ok(err, 'Reading beyond the current version should fail.');
+  });
+});
+
+QUnit.test("Reconstructing the document", function(assert) {
+  var store = _createStore(0);
+  store.reconstruct(function(err, doc) {
+    assert.equal(doc.get(['p1', 'content']), 'abcdeParagraph 1', 'Latest version should be reconstructed.');
+    assert.equal(doc.done.length, 0, 'The reconstructed document should have no history.');
+  });
+  store.reconstruct(2, function(err, doc) {
+    assert.equal(doc.get(['p1', 'content']), 'abParagraph 1', 'Version 2 should be reconstructed.');
+  });
+  store.reconstruct(0, function(err, doc) {
+    assert.equal(doc.get(['p1', 'content']), 'Paragraph 1', 'Version 0 should be the initial document.');
+  });
+});
+
+QUnit.test("Periodic snapshots", function(assert) {
+  var store = _createStore(2);
+  assert.deepEqual(Object.keys(store.snapshots), ['2', '4'], 'Snapshots should be taken every two versions.');
+  store.getSnapshot(3, function(err, snapshot) {
+    assert.equal(snapshot.version, 2, 'Latest snapshot before version 3 should be used.');
+    assert.equal(snapshot.data.nodes.p1.content, 'abParagraph 1', 'Snapshot should contain the document state.');
+  });
+  // manipulate the snapshot to see that it is used for reconstruction
+  store.snapshots[4].nodes.p1.content = 'abcdX';
+  store.reconstruct(5, function(err, doc) {
+    assert.equal(doc.get(['p1', 'content']), 'abcdeX', 'Document should be reconstructed from the snapshot.');
+  });
+  store.reconstruct(3, function(err, doc) {
+    assert.equal(doc.get(['p1', 'content']), 'abcParagraph 1', 'Earlier versions should use earlier snapshots.');
+  });
+});
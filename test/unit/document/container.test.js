@@ -0,0 +1,45 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample = require('../../fixtures/container_anno_sample');
+var _ = require('../../../helpers');
+
+QUnit.module('Unit/Substance.Document/Container');
+
+var _getComponentPaths = function(container) {
+  return _.map(container.getComponents(), function(comp) {
+    return comp.path;
+  });
+};
+
+QUnit.test("Moving a node", function(assert) {
+  var doc = sample();
+  var main = doc.get('main');
+  doc.transaction(function(tx) {
+    tx.get('main').move('p4', 1);
+  });
+  assert.deepEqual(main.nodes, ['p1', 'p4', 'p2', 'p3'], 'Node should be moved.');
+  assert.deepEqual(_getComponentPaths(main), [['p1', 'content'], ['p4', 'content'], ['p2', 'content'], ['p3', 'content']],
+    'Components should be moved.');
+  _.each(main.getComponents(), function(comp, idx) {
+    assert.equal(comp.getIndex(), idx, 'Component index should be updated.');
+  });
+  assert.ok(main.getComponent(['p4', 'content']).getNext() === main.getComponent(['p2', 'content']), 'Components should be linked.');
+  assert.isNullOrUndefined(main.getComponent(['p3', 'content']).getNext(), 'Last component should have no successor.');
+  var anno = doc.get('a1');
+  assert.deepEqual(_.pluck(anno.getFragments(), 'path'), [['p1', 'content'], ['p4', 'content'], ['p2', 'content'], ['p3', 'content']],
+    'Container annotation should span the moved node.');
+});
+
+QUnit.test("Undoing a move", function(assert) {
+  var doc = sample();
+  var main = doc.get('main');
+  doc.transaction(function(tx) {
+    tx.get('main').move('p1', 3);
+  });
+  assert.deepEqual(main.nodes, ['p2', 'p3', 'p4', 'p1'], 'Node should be moved to the end.');
+  doc.undo();
+  assert.deepEqual(main.nodes, ['p1', 'p2', 'p3', 'p4'], 'Move should be undone.');
+  assert.deepEqual(_getComponentPaths(main), [['p1', 'content'], ['p2', 'content'], ['p3', 'content'], ['p4', 'content']],
+    'Components should be restored.');
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample1 = require('../../fixtures/sample1');
+var _ = require('../../../helpers');
+
+QUnit.module('Unit/Substance.Document/Find');
+
+var _ids = function(nodes) {
+  return _.pluck(nodes, 'id').sort();
+};
+
+QUnit.test("Finding nodes by property values", function(assert) {
+  var doc = sample1();
+  assert.deepEqual(_ids(doc.find({ type: 'heading' })), ['h1', 'h2', 'h3'], 'All headings should be found.');
+  assert.deepEqual(_ids(doc.find({ type: 'heading', level: 1 })), ['h1', 'h2'], 'Headings of level 1 should be found.');
+  assert.deepEqual(_ids(doc.find({ level: 2, type: 'heading' })), ['h3'], 'The order of properties should not matter.');
+  assert.deepEqual(doc.find({ type: 'heading', level: 3 }), [], 'No headings of level 3 should be found.');
+  assert.deepEqual(_ids(doc.find({ path: ['p2', 'content'] })), ['em1'], 'Array values should be matched.');
+  assert.ok(doc.getIndex('properties:level,type'), 'An index should have been created.');
+});
+
+QUnit.test("Finding nodes of derived types", function(assert) {
+  var doc = sample1();
+  doc.create({ type: 'strong', id: 'strong1', path: ['p1', 'content'], startOffset: 0, endOffset: 4 });
+  assert.deepEqual(_ids(doc.find({ type: 'annotation' })), ['em1', 'strong1'], 'All annotations should be found.');
+  assert.deepEqual(_ids(doc.find({ type: 'annotation', path: ['p1', 'content'] })), ['strong1'],
+    'Derived types should be combined with other properties.');
+});
+
+QUnit.test("Keeping the index up to date", function(assert) {
+  var doc = sample1();
+  assert.deepEqual(_ids(doc.find({ type: 'heading', level: 2 })), ['h3'], 'Before the change.');
+  doc.set(['h1', 'level'], 2);
+  doc.create({ type: 'heading', id: 'h4', content: 'Foo', level: 2 });
+  doc.delete('h3');
+  assert.deepEqual(_ids(doc.find({ type: 'heading', level: 2 })), ['h1', 'h4'], 'The index should be updated.');
+  assert.deepEqual(_ids(doc.find({ type: 'heading', level: 1 })), ['h2'], 'Changed nodes should be removed.');
+});
+
+QUnit.test("Finding nodes within a transaction", function(assert) {
+  var doc = sample1();
+  doc.FORCE_TRANSACTIONS = true;
+  doc.transaction(function(tx) {
+    tx.create({ type: 'heading', id: 'h4', content: 'Foo', level: 2 });
+    assert.deepEqual(_ids(tx.find({ type: 'heading', level: 2 })), ['h3', 'h4'], 'The stage should be queried.');
+    assert.deepEqual(_ids(tx.find({ type: 'heading', content: 'Foo' })), ['h4'], 'Queries without index should work too.');
+  });
+  assert.deepEqual(_ids(doc.find({ type: 'heading', level: 2 })), ['h3', 'h4'], 'The document should be updated.');
+  assert.isNullOrUndefined(doc.getIndex('properties:content,type'), 'No index should be created within a transaction.');
+});
+
+QUnit.test("Finding nodes by a predicate", function(assert) {
+  var doc = sample1();
+  var nodes = doc.find(function(node) {
+    return node.type === 'paragraph' && node.content.indexOf('annotation') >= 0;
+  });
+  assert.deepEqual(_ids(nodes), ['p2'], 'Nodes matching the predicate should be found.');
+});
+
+QUnit.test("Finding nodes in document order", function(assert) {
+  var doc = sample1();
+  doc.create({ type: 'link', id: 'link1', path: ['p3', 'content'], startOffset: 0, endOffset: 4, url: 'a' });
+  doc.create({ type: 'link', id: 'link2', path: ['p1', 'content'], startOffset: 5, endOffset: 7, url: 'b' });
+  doc.create({ type: 'link', id: 'link3', path: ['p1', 'content'], startOffset: 0, endOffset: 2, url: 'c' });
+  doc.create({ type: 'paragraph', id: 'p4', content: 'Not shown' });
+  doc.create({ type: 'link', id: 'link4', path: ['p4', 'content'], startOffset: 0, endOffset: 2, url: 'd' });
+  var links = doc.find({ type: 'link' }, { container: 'main' });
+  assert.deepEqual(_.pluck(links, 'id'), ['link3', 'link2', 'link1'], 'Links should be sorted in document order.');
+  var headings = doc.find({ type: 'heading' }, { container: 'main' });
+  assert.deepEqual(_.pluck(headings, 'id'), ['h1', 'h2', 'h3'], 'Headings should be sorted in document order.');
+  doc.get('main').move('h1', 5);
+  headings = doc.find({ type: 'heading' }, { container: 'main' });
+  assert.deepEqual(_.pluck(headings, 'id'), ['h2', 'h3', 'h1'], 'The order should reflect the container.');
+});
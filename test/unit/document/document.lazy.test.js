@@ -0,0 +1,115 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample1 = require('../../fixtures/sample1');
+var containerAnnoSample = require('../../fixtures/container_anno_sample');
+var Article = require('../../test_article');
+var Document = require('../../../document');
+var _ = require('../../../helpers');
+
+QUnit.module('Unit/Substance.Document/Lazy Loading');
+
+var _loadPartial = function(fullDoc) {
+  var provider = new Document.MemoryNodeProvider();
+  var doc = new Article();
+  provider.store(fullDoc, function(err) {
+    if (err) throw err;
+  });
+  doc.loadPartial(provider, function(err) {
+    if (err) throw err;
+  });
+  return doc;
+};
+
+QUnit.test("Partitioning a document", function(assert) {
+  var data = Document.NodeProvider.partition(sample1());
+  assert.ok(data.nodes.main, 'Containers should belong to the structure.');
+  assert.ok(data.nodes.test, 'Nodes not shown in a container should belong to the structure.');
+  assert.isNullOrUndefined(data.nodes.p2, 'Nodes shown in a container should not belong to the structure.');
+  assert.equal(data.roots.p2, 'p2', 'Every node shown in a container should have its own part.');
+  assert.deepEqual(Object.keys(data.parts.p2).sort(), ['em1', 'p2'], 'Annotations should be stored with their node.');
+});
+
+QUnit.test("Nodes spanned by a container annotation share a part", function(assert) {
+  var data = Document.NodeProvider.partition(containerAnnoSample());
+  assert.equal(data.roots.p1, data.roots.p2, 'p1 and p2 should share a part.');
+  assert.equal(data.roots.p1, data.roots.p3, 'p1 and p3 should share a part.');
+  assert.notEqual(data.roots.p1, data.roots.p4, 'p4 should have its own part.');
+  assert.ok(data.parts[data.roots.p1].a1, 'The container annotation should be stored with the spanned nodes.');
+});
+
+QUnit.test("Loading the structure of a document", function(assert) {
+  var doc = _loadPartial(sample1());
+  var main = doc.get('main');
+  assert.deepEqual(main.nodes, ['h1', 'p1', 'h2', 'p2', 'h3', 'p3'], 'The container should be loaded.');
+  assert.isNullOrUndefined(doc.get('p1'), 'p1 should not be loaded.');
+  assert.notOk(doc.isLoaded('p1'), 'p1 should be reported as not loaded.');
+  assert.ok(doc.isLoaded('test'), 'Nodes of the structure should be loaded.');
+  assert.equal(doc.getUnloadedNodes().length, 6, 'All nodes of the container should be unloaded.');
+  assert.equal(main.getComponents().length, 0, 'There should be no components for unloaded nodes.');
+});
+
+QUnit.test("Loading nodes on demand", function(assert) {
+  var doc = _loadPartial(sample1());
+  var loaded = [];
+  doc.on('nodes:loaded', function(nodeIds) {
+    loaded = loaded.concat(nodeIds);
+  });
+  doc.loadNodes(['p2', 'h3'], function(err) {
+    assert.isNullOrUndefined(err, 'There should be no error.');
+  });
+  assert.equal(doc.get(['p2', 'content']), 'Paragraph with annotation', 'p2 should be loaded.');
+  assert.ok(doc.get('em1'), 'The annotation of p2 should be loaded.');
+  assert.equal(doc.getIndex('annotations').get(['p2', 'content']).length, 1, 'The annotation should be indexed.');
+  assert.deepEqual(loaded.sort(), ['h3', 'p2'], 'The loaded nodes should be announced.');
+  var paths = _.pluck(doc.get('main').getComponents(), 'path');
+  assert.deepEqual(paths, [['p2', 'content'], ['h3', 'content']], 'The container should have components for the loaded nodes.');
+  doc.loadNodes(['h1'], function() {});
+  paths = _.pluck(doc.get('main').getComponents(), 'path');
+  assert.deepEqual(paths[0], ['h1', 'content'], 'Components should be inserted in container order.');
+  assert.equal(doc.getUnloadedNodes().length, 3, 'Three nodes should be left to load.');
+});
+
+QUnit.test("Errors when loading nodes", function(assert) {
+  var doc = _loadPartial(sample1());
+  assert.throws(function() {
+    doc.loadNodes(['p2']);
+  }, 'A callback should be mandatory.');
+  doc.nodeProvider.data.parts = {};
+  var error = null;
+  doc.loadNodes(['p2'], function(err) {
+    error = err;
+  });
+  assert.isDefinedAndNotNull(error, 'A failed load should be reported to the callback.');
+  assert.notOk(doc.isLoaded('p2'), 'p2 should not be loaded.');
+});
+
+QUnit.test("A transaction loads the nodes it uses", function(assert) {
+  var doc = _loadPartial(sample1());
+  doc.transaction(function(tx) {
+    tx.update(['p1', 'content'], { insert: { offset: 0, value: 'XXX' } });
+  });
+  assert.ok(doc.isLoaded('p1'), 'p1 should have been loaded.');
+  assert.equal(doc.get(['p1', 'content']), 'XXXParagraph 1', 'p1 should be updated.');
+  doc.transaction(function(tx) {
+    assert.equal(tx.get(['p3', 'content']), 'Paragraph 3', 'Nodes should be loaded when accessed.');
+  });
+  doc.undo();
+  assert.equal(doc.get(['p1', 'content']), 'Paragraph 1', 'The change should be undone.');
+});
+
+QUnit.test("Loading a container annotation with its nodes", function(assert) {
+  var doc = _loadPartial(containerAnnoSample());
+  doc.loadNodes(['p2'], function() {});
+  assert.ok(doc.isLoaded('p1') && doc.isLoaded('p3'), 'All spanned nodes should be loaded.');
+  assert.notOk(doc.isLoaded('p4'), 'p4 should not be loaded.');
+  var fragments = doc.get('a1').getFragments();
+  assert.equal(fragments.length, 3, 'The container annotation should have a fragment for every node.');
+});
+
+QUnit.test("Partially loaded documents can not be partitioned", function(assert) {
+  var doc = _loadPartial(sample1());
+  assert.throws(function() {
+    Document.NodeProvider.partition(doc);
+  }, 'Partitioning should fail.');
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample1 = require('../../fixtures/sample1');
+var Data = require('../../../data');
+
+QUnit.module('Unit/Substance.Document/References');
+
+var _addList = function(doc) {
+  doc.create({ type: 'list', id: 'l1', ordered: false, items: ['li1', 'li2'] });
+  doc.create({ type: 'list-item', id: 'li1', parent: 'l1', level: 1, content: 'Item 1' });
+  doc.create({ type: 'list-item', id: 'li2', parent: 'l1', level: 1, content: 'Item 2' });
+  doc.create({ type: 'strong', id: 's1', path: ['li1', 'content'], startOffset: 0, endOffset: 4 });
+};
+
+QUnit.test("Deleting a node deletes its owned children", function(assert) {
+  var doc = sample1();
+  _addList(doc);
+  doc.transaction(function(tx) {
+    tx.delete('l1');
+  });
+  assert.isNullOrUndefined(doc.get('l1'), 'The list should be deleted.');
+  assert.isNullOrUndefined(doc.get('li1'), 'The first item should be deleted.');
+  assert.isNullOrUndefined(doc.get('li2'), 'The second item should be deleted.');
+  assert.isNullOrUndefined(doc.get('s1'), 'Annotations of the items should be deleted.');
+  doc.undo();
+  assert.deepEqual(doc.get(['l1', 'items']), ['li1', 'li2'], 'Undo should restore the list.');
+  assert.ok(doc.get('li1') && doc.get('li2') && doc.get('s1'), 'Undo should restore the children.');
+});
+
+QUnit.test("Deleting a child keeps its owner", function(assert) {
+  var doc = sample1();
+  _addList(doc);
+  doc.transaction(function(tx) {
+    tx.update(['l1', 'items'], { 'delete': { offset: 1 } });
+    tx.delete('li2');
+  });
+  assert.ok(doc.get('l1'), 'The list should not be deleted.');
+  assert.deepEqual(doc.get(['l1', 'items']), ['li1'], 'The item should be removed.');
+});
+
+QUnit.test("Deleting a text node deletes its annotations", function(assert) {
+  var doc = sample1();
+  doc.transaction(function(tx) {
+    tx.get('main').hide('p2');
+    tx.delete('p2');
+  });
+  assert.isNullOrUndefined(doc.get('em1'), 'The annotation should be deleted.');
+  assert.equal(doc.getIndex('references').get('p2').length, 0, 'The reference index should be updated.');
+});
+
+QUnit.test("Dangling required references", function(assert) {
+  var doc = sample1();
+  doc.transaction(function(tx) {
+    tx.create({ type: 'include', id: 'inc1', nodeType: 'paragraph', nodeId: 'p3' });
+  });
+  var err = null;
+  try {
+    doc.transaction(function(tx) {
+      tx.get('main').hide('p3');
+      tx.delete('p3');
+    });
+  } catch (e) {
+    err = e;
+  }
+  assert.ok(err instanceof Data.ValidationError, 'Deleting a required node should fail.');
+  assert.equal(err.nodeId, 'inc1', 'The error should name the referencing node.');
+  assert.equal(err.property, 'nodeId', 'The error should name the property.');
+  assert.ok(doc.get('p3'), 'The transaction should be cancelled.');
+  assert.ok(doc.stage.get('p3'), 'The stage should be reverted.');
+  err = null;
+  try {
+    doc.transaction(function(tx) {
+      tx.create({ type: 'include', id: 'inc2', nodeType: 'paragraph', nodeId: 'foo' });
+    });
+  } catch (e) {
+    err = e;
+  }
+  assert.ok(err instanceof Data.ValidationError, 'Creating a dangling required reference should fail.');
+  assert.isNullOrUndefined(doc.get('inc2'), 'The node should not be created.');
+  doc.transaction(function(tx) {
+    tx.delete('inc1');
+    tx.get('main').hide('p3');
+    tx.delete('p3');
+  });
+  assert.isNullOrUndefined(doc.get('p3'), 'Deleting the referencing node too should be allowed.');
+});
@@ -1,5 +1,6 @@
 'use strict';
 
+require('../qunit_extensions');
 var sample1 = require('../../fixtures/sample1');
 var Document = require('../../../document');
 var _ = require('../../../helpers');
@@ -25,3 +26,53 @@ QUnit.test("Before and after state.", function(assert) {
   assert.equal(change.after.selection, afterState.selection, "Change.after.selection should be set correctly.");
   assert.equal(change.after.some, beforeState.some, "Not updated state variables should be forwarded.");
 });
+
+QUnit.test("The document is not changed before the transaction is saved.", function(assert) {
+  var doc = sample1();
+  doc.FORCE_TRANSACTIONS = true;
+  var p1 = doc.get('p1');
+  doc.transaction(function(tx) {
+    tx.update(['p1', 'content'], { insert: { offset: 0, value: 'XXX' } });
+    tx.create({ type: 'paragraph', id: 'p4', content: 'Foo' });
+    tx.get('main').show('p4');
+    assert.equal(tx.get(['p1', 'content']), 'XXXParagraph 1', 'The stage should be changed.');
+    assert.equal(doc.get(['p1', 'content']), 'Paragraph 1', 'The document should not be changed.');
+    assert.isNullOrUndefined(doc.get('p4'), 'Created nodes should not be in the document.');
+    assert.equal(doc.get('main').nodes.indexOf('p4'), -1, 'The document container should not be changed.');
+    assert.ok(doc.get('p2') === tx.get('p2'), 'Unchanged nodes should not be copied.');
+  });
+  assert.ok(doc.get('p1') === p1, 'Changed nodes should keep their identity.');
+  assert.equal(p1.content, 'XXXParagraph 1', 'The node should be updated.');
+  assert.ok(p1.getDocument() === doc, 'The node should be attached to the document again.');
+  assert.ok(doc.get('p4').getDocument() === doc, 'Created nodes should be attached to the document.');
+  assert.equal(doc.get('main').getComponents().length, doc.get('main').nodes.length, 'The container should be updated.');
+  doc.undo();
+  assert.equal(doc.get(['p1', 'content']), 'Paragraph 1', 'The change should be undoable.');
+});
+
+QUnit.test("Cancelled transactions restore the original nodes.", function(assert) {
+  var doc = sample1();
+  doc.FORCE_TRANSACTIONS = true;
+  var p2 = doc.get('p2');
+  var em1 = doc.get('em1');
+  assert.throws(function() {
+    doc.transaction(function(tx) {
+      tx.set(['em1', 'startOffset'], 0);
+      tx.delete('em1');
+      tx.update(['p2', 'content'], { 'delete': { start: 0, end: 10 } });
+      tx.get('main').hide('p2');
+      throw new Error('Cancel');
+    });
+  }, /Cancel/, 'The error should be rethrown.');
+  assert.ok(doc.get('p2') === p2, 'Changed nodes should keep their identity.');
+  assert.equal(p2.content, 'Paragraph with annotation', 'Changed nodes should be restored.');
+  assert.ok(doc.get('em1') === em1, 'Deleted nodes should keep their identity.');
+  assert.equal(em1.startOffset, 15, 'Deleted nodes should be restored.');
+  assert.ok(em1.getDocument() === doc, 'Deleted nodes should be attached again.');
+  assert.deepEqual(doc.getIndex('annotations').get(['p2', 'content']), [em1], 'The index should be restored.');
+  assert.ok(doc.get('main').getComponent(['p2', 'content']), 'The container should be restored.');
+  doc.transaction(function(tx) {
+    tx.set(['em1', 'startOffset'], 0);
+  });
+  assert.equal(em1.startOffset, 0, 'The document should be editable afterwards.');
+});
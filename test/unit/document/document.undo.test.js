@@ -0,0 +1,158 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample1 = require('../../fixtures/sample1');
+var Document = require('../../../document');
+var insertText = Document.Transformations.insertText;
+var deleteCharacter = Document.Transformations.deleteCharacter;
+var deleteNode = Document.Transformations.deleteNode;
+
+QUnit.module('Unit/Substance.Document/Undo');
+
+var _insertChar = function(c) {
+  return function(tx) {
+    return insertText(tx, { selection: tx.before.selection, text: c });
+  };
+};
+
+// types text character by character, as done by the Surface
+var _type = function(doc, sel, text) {
+  for (var i = 0; i < text.length; i++) {
+    doc.transaction({ selection: sel }, _insertChar(text[i]));
+    sel = doc.done[doc.done.length - 1].after.selection;
+  }
+  return sel;
+};
+
+var _backspace = function(doc, sel) {
+  doc.transaction({ selection: sel }, function(tx) {
+    return deleteCharacter(tx, { selection: sel, direction: 'left' });
+  });
+  return doc.done[doc.done.length - 1].after.selection;
+};
+
+var _collapsed = function(doc, path, offset) {
+  return doc.createSelection({ type: 'property', path: path, startOffset: offset });
+};
+
+QUnit.test("Consecutive typing is undone at once", function(assert) {
+  var doc = sample1();
+  var sel = _collapsed(doc, ['p1', 'content'], 9);
+  var after = _type(doc, sel, 'foo ');
+  assert.equal(doc.get(['p1', 'content']), 'Paragraphfoo  1', 'Text should be inserted.');
+  assert.equal(doc.done.length, 1, 'Changes should be merged into one undo step.');
+  assert.equal(doc.done[0].ops.length, 1, 'Text updates should be composed.');
+  assert.ok(doc.done[0].before.selection.equals(sel), 'Before selection should be the one of the first change.');
+  assert.ok(doc.done[0].after.selection.equals(after), 'After selection should be the one of the last change.');
+  doc.undo();
+  assert.equal(doc.get(['p1', 'content']), 'Paragraph 1', 'All typed characters should be undone.');
+  doc.redo();
+  assert.equal(doc.get(['p1', 'content']), 'Paragraphfoo  1', 'All typed characters should be redone.');
+});
+
+QUnit.test("Typing within an annotated text", function(assert) {
+  var doc = sample1();
+  var sel = _collapsed(doc, ['p2', 'content'], 20);
+  _type(doc, sel, 'abc');
+  assert.equal(doc.done.length, 1, 'Changes should be merged into one undo step.');
+  assert.equal(doc.get(['em1', 'endOffset']), 28, 'Annotation should be expanded.');
+  doc.undo();
+  assert.equal(doc.get(['p2', 'content']), 'Paragraph with annotation', 'Text should be restored.');
+  assert.equal(doc.get(['em1', 'endOffset']), 25, 'Annotation should be restored.');
+});
+
+QUnit.test("Consecutive deletions are undone at once", function(assert) {
+  var doc = sample1();
+  var sel = _collapsed(doc, ['p1', 'content'], 9);
+  sel = _backspace(doc, sel);
+  sel = _backspace(doc, sel);
+  _backspace(doc, sel);
+  assert.equal(doc.get(['p1', 'content']), 'Paragr 1', 'Characters should be deleted.');
+  assert.equal(doc.done.length, 1, 'Changes should be merged into one undo step.');
+  doc.undo();
+  assert.equal(doc.get(['p1', 'content']), 'Paragraph 1', 'All deleted characters should be restored.');
+});
+
+QUnit.test("Changes of different kinds are not merged", function(assert) {
+  var doc = sample1();
+  var sel = _collapsed(doc, ['p1', 'content'], 9);
+  sel = _type(doc, sel, 'ab');
+  _backspace(doc, sel);
+  assert.equal(doc.done.length, 2, 'Typing and deleting should be separate undo steps.');
+  doc.undo();
+  assert.equal(doc.get(['p1', 'content']), 'Paragraphab 1', 'Only the deletion should be undone.');
+});
+
+QUnit.test("Changes at different positions are not merged", function(assert) {
+  var doc = sample1();
+  _type(doc, _collapsed(doc, ['p1', 'content'], 9), 'a');
+  _type(doc, _collapsed(doc, ['p1', 'content'], 0), 'b');
+  _type(doc, _collapsed(doc, ['h1', 'content'], 0), 'c');
+  assert.equal(doc.done.length, 3, 'Changes should not be merged.');
+});
+
+QUnit.test("Undo grouping can be disabled", function(assert) {
+  var doc = sample1();
+  doc.undoGroupingTimeout = 0;
+  _type(doc, _collapsed(doc, ['p1', 'content'], 9), 'abc');
+  assert.equal(doc.done.length, 3, 'Changes should not be merged.');
+});
+
+QUnit.test("Typing after undo starts a new undo step", function(assert) {
+  var doc = sample1();
+  var sel = _type(doc, _collapsed(doc, ['p1', 'content'], 0), 'ab');
+  _type(doc, sel, 'c');
+  doc.undo();
+  _type(doc, _collapsed(doc, ['p1', 'content'], 0), 'x');
+  assert.equal(doc.done.length, 1, 'There should be only the new change.');
+  doc.undo();
+  assert.equal(doc.get(['p1', 'content']), 'Paragraph 1', 'Only the new change should be undone.');
+});
+
+QUnit.test("Explicit undo groups", function(assert) {
+  var doc = sample1();
+  doc.startUndoGroup();
+  doc.transaction(function(tx) {
+    tx.create({ type: 'paragraph', id: 'p_new', content: 'Foo' });
+    tx.get('main').show('p_new');
+  });
+  doc.startUndoGroup();
+  _type(doc, _collapsed(doc, ['p1', 'content'], 0), 'x');
+  doc.endUndoGroup();
+  doc.transaction(function(tx) {
+    deleteNode(tx, { nodeId: 'h1' });
+  });
+  doc.endUndoGroup();
+  _type(doc, _collapsed(doc, ['p1', 'content'], 1), 'y');
+  assert.equal(doc.done.length, 2, 'All changes of the group should be merged.');
+  doc.undo();
+  doc.undo();
+  assert.isNullOrUndefined(doc.get('p_new'), 'Created node should be removed.');
+  assert.isDefinedAndNotNull(doc.get('h1'), 'Deleted node should be restored.');
+  assert.equal(doc.get(['p1', 'content']), 'Paragraph 1', 'Text should be restored.');
+  assert.throws(function() {
+    doc.endUndoGroup();
+  }, 'Ending a group which has not been started should throw.');
+});
+
+QUnit.test("Text updates are not composed across deleting and re-creating a node", function(assert) {
+  var doc = sample1();
+  doc.startUndoGroup();
+  _type(doc, _collapsed(doc, ['p1', 'content'], 0), 'ab');
+  doc.transaction(function(tx) {
+    deleteNode(tx, { nodeId: 'p1' });
+  });
+  doc.transaction(function(tx) {
+    tx.create({ type: 'paragraph', id: 'p1', content: 'New' });
+    tx.get('main').show('p1', 1);
+  });
+  _type(doc, _collapsed(doc, ['p1', 'content'], 3), 'cd');
+  doc.endUndoGroup();
+  assert.equal(doc.get(['p1', 'content']), 'Newcd', 'The text should be typed into the new node.');
+  assert.equal(doc.done.length, 1, 'All changes of the group should be merged.');
+  doc.undo();
+  assert.equal(doc.get(['p1', 'content']), 'Paragraph 1', 'The original node should be restored.');
+  assert.deepEqual(doc.get('main').nodes, ['h1', 'p1', 'h2', 'p2', 'h3', 'p3'], 'The container should be restored.');
+  doc.redo();
+  assert.equal(doc.get(['p1', 'content']), 'Newcd', 'The changes should be redone.');
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample1 = require('../../fixtures/sample1');
+var Document = require('../../../document');
+var DocumentChange = require('../../../document/document_change');
+var _ = require('../../../helpers');
+var ObjectOperation = require('../../../operator/object_operation');
+var TextOperation = require('../../../operator/text_operation');
+var insertText = Document.Transformations.insertText;
+var deleteNode = Document.Transformations.deleteNode;
+
+QUnit.module('Unit/Substance.Document/DocumentChange');
+
+var _insertText = function(doc, path, offset, text) {
+  var sel = doc.createSelection({
+    type: 'property',
+    path: path,
+    startOffset: offset
+  });
+  doc.transaction({ selection: sel }, function(tx) {
+    return insertText(tx, { selection: sel, text: text });
+  });
+  return _.last(doc.done);
+};
+
+QUnit.test("Transforming concurrent text insertions", function(assert) {
+  var docA = sample1();
+  var docB = sample1();
+  var a = _insertText(docA, ['p1', 'content'], 0, 'foo ');
+  var b = _insertText(docB, ['p1', 'content'], 11, ' bar');
+  var t = DocumentChange.transform(a, b);
+  docA._apply(t[1]);
+  docB._apply(t[0]);
+  assert.equal(docA.get(['p1', 'content']), 'foo Paragraph 1 bar', 'b\' should be applicable after a.');
+  assert.equal(docB.get(['p1', 'content']), 'foo Paragraph 1 bar', 'a\' should be applicable after b.');
+  assert.equal(t[0].id, a.id, 'Transformed change should keep the id.');
+});
+
+QUnit.test("Transforming the selection state", function(assert) {
+  var docA = sample1();
+  var docB = sample1();
+  var a = _insertText(docA, ['p1', 'content'], 0, 'foo ');
+  var b = _insertText(docB, ['p1', 'content'], 11, ' bar');
+  var t = DocumentChange.transform(a, b);
+  assert.equal(t[1].before.selection.startOffset, 15, 'Before selection of b\' should be shifted.');
+  assert.equal(t[1].after.selection.startOffset, 19, 'After selection of b\' should be shifted.');
+  assert.equal(t[0].before.selection.startOffset, 0, 'Before selection of a\' should not be changed.');
+  assert.equal(t[0].after.selection.startOffset, 4, 'After selection of a\' should not be changed.');
+});
+
+QUnit.test("Transforming a node deletion and a text update", function(assert) {
+  var docA = sample1();
+  var docB = sample1();
+  docA.transaction(function(tx) {
+    deleteNode(tx, { nodeId: 'p1' });
+  });
+  var a = _.last(docA.done);
+  var b = _insertText(docB, ['p1', 'content'], 0, 'foo ');
+  var t = DocumentChange.transform(a, b);
+  docA._apply(t[1]);
+  docB._apply(t[0]);
+  assert.isNullOrUndefined(docA.get('p1'), 'p1 should be deleted in A.');
+  assert.isNullOrUndefined(docB.get('p1'), 'p1 should be deleted in B.');
+  assert.deepEqual(docA.get(['main', 'nodes']), docB.get(['main', 'nodes']), 'Containers should be the same.');
+  assert.ok(t[1].after.selection.isNull(), 'Selection in the deleted node should become null.');
+});
+
+QUnit.test("Transforming a selection", function(assert) {
+  var doc = sample1();
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['p1', 'content'],
+    startOffset: 4,
+    endOffset: 9
+  });
+  var change = _insertText(doc, ['p1', 'content'], 2, 'xx');
+  var transformed = DocumentChange.transformSelection(sel, change);
+  assert.equal(transformed.startOffset, 6, 'Start offset should be shifted.');
+  assert.equal(transformed.endOffset, 11, 'End offset should be shifted.');
+});
+
+QUnit.test("Transforming a selection with a text sequence", function(assert) {
+  var doc = sample1();
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['p1', 'content'],
+    startOffset: 4,
+    endOffset: 9
+  });
+  // 'Paragraph 1' -> 'xParagr 1'
+  var diff = TextOperation.Sequence([{ insert: 'x' }, { retain: 6 }, { 'delete': 'aph' }]);
+  var change = new DocumentChange([ObjectOperation.Update(['p1', 'content'], diff)], {}, {});
+  var transformed = DocumentChange.transformSelection(sel, change);
+  assert.equal(transformed.startOffset, 5, 'Start offset should be shifted by the insertion.');
+  assert.equal(transformed.endOffset, 7, 'End offset should be shifted by the insertion and the deletion.');
+});
+
+QUnit.test("Serializing a change to JSON", function(assert) {
+  var doc = sample1();
+  var change = _insertText(doc, ['p1', 'content'], 2, 'xx');
+  var json = JSON.parse(JSON.stringify(change.toJSON()));
+  var restored = DocumentChange.fromJSON(json, doc);
+  assert.equal(restored.id, change.id, 'The id should be preserved.');
+  assert.deepEqual(_.map(restored.ops, function(op) { return op.toJSON(); }),
+    _.map(change.ops, function(op) { return op.toJSON(); }), 'Operations should be restored.');
+  assert.ok(restored.after.selection.isPropertySelection(), 'Selection should be a PropertySelection.');
+  assert.ok(restored.after.selection.equals(change.after.selection), 'Selection should be restored.');
+  var docB = sample1();
+  docB._apply(restored);
+  assert.equal(docB.get(['p1', 'content']), doc.get(['p1', 'content']), 'Restored change should be applicable.');
+});
+
+QUnit.test("Serializing selections", function(assert) {
+  var doc = sample1();
+  var selections = [
+    doc.createSelection({ type: 'property', path: ['p1', 'content'], startOffset: 1, endOffset: 3, reverse: true }),
+    doc.createSelection({ type: 'container', containerId: 'main', startPath: ['p1', 'content'], startOffset: 1,
+      endPath: ['p2', 'content'], endOffset: 2 }),
+    doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 1, endRow: 2, endCol: 1 })
+  ];
+  _.each(selections, function(sel) {
+    var json = JSON.parse(JSON.stringify(sel.toJSON()));
+    var restored = doc.createSelection(json);
+    assert.ok(restored.equals(sel), 'Selection of type ' + json.type + ' should be restored.');
+  });
+  var change = new DocumentChange([], { selection: doc.createSelection(null) }, { selection: selections[1], foo: 'bar' });
+  var restored = DocumentChange.fromJSON(JSON.parse(JSON.stringify(change.toJSON())), doc);
+  assert.ok(restored.before.selection.isNull(), 'Null selection should be restored.');
+  assert.ok(restored.after.selection.isContainerSelection(), 'Container selection should be restored.');
+  assert.equal(restored.after.foo, 'bar', 'Other state should be preserved.');
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample1 = require('../../fixtures/sample1');
+var Document = require('../../../document');
+var _ = require('../../../helpers');
+
+QUnit.module('Unit/Substance.Document/DocumentDiff');
+
+var _assertDiff = function(assert, docA, docB) {
+  var change = Document.diff(docA, docB);
+  var json = docB.toJSON();
+  docA._apply(change);
+  assert.deepEqual(docA.toJSON(), json, 'Applying the diff should result in the second document.');
+  return change;
+};
+
+QUnit.test("Identical documents", function(assert) {
+  var change = Document.diff(sample1(), sample1());
+  assert.equal(change.ops.length, 0, 'There should be no operations.');
+});
+
+QUnit.test("Text changes", function(assert) {
+  var docA = sample1();
+  var docB = sample1();
+  docB.set(['p1', 'content'], 'A Paragraph 1!');
+  docB.set(['h1', 'content'], 'Sec 1');
+  var change = _assertDiff(assert, docA, docB);
+  assert.equal(change.ops.length, 2, 'There should be one operation per property.');
+  var diff = _.find(change.ops, function(op) {
+    return op.path[0] === 'p1';
+  }).diff;
+  assert.ok(diff.isSequence(), 'Insertions at two positions should result in a sequence.');
+  assert.deepEqual(diff.getComponents(), [{ insert: 'A ' }, { retain: 11 }, { insert: '!' }],
+    'Only the inserted characters should be in the diff.');
+  diff = _.find(change.ops, function(op) {
+    return op.path[0] === 'h1';
+  }).diff;
+  assert.ok(diff.isDelete(), 'A single deletion should result in a delete.');
+  assert.equal(diff.str, 'tion', 'Deleted text should be minimal.');
+});
+
+QUnit.test("Diffing large texts", function(assert) {
+  var docA = sample1();
+  var docB = sample1();
+  var textA = '';
+  var textB = '';
+  for (var i = 0; i < 5000; i++) {
+    textA += 'ab'[i % 2];
+    textB += 'xyz'[i % 3];
+  }
+  docA.set(['p1', 'content'], 'Start ' + textA + ' end');
+  docB.set(['p1', 'content'], 'Start ' + textB + ' end');
+  var t = Date.now();
+  var change = _assertDiff(assert, docA, docB);
+  assert.ok(Date.now() - t < 1000, 'Diffing completely different texts should be fast.');
+  var components = change.ops[0].diff.getComponents();
+  assert.equal(components.length, 3, 'Completely different texts should be replaced as a whole.');
+  assert.deepEqual(components[0], { retain: 6 }, 'The common prefix should be kept.');
+});
+
+QUnit.test("Property sets", function(assert) {
+  var docA = sample1();
+  var docB = sample1();
+  docB.set(['h3', 'level'], 3);
+  docB.set(['test', 'arrayVal'], ['1', '3']);
+  docB.set(['em1', 'startOffset'], 10);
+  var change = _assertDiff(assert, docA, docB);
+  assert.equal(change.ops.length, 3, 'There should be three operations.');
+  _.each(change.ops, function(op) {
+    assert.ok(op.isSet(), 'Non-string and non-container properties should be set.');
+  });
+});
+
+QUnit.test("Creating and deleting nodes", function(assert) {
+  var docA = sample1();
+  var docB = sample1();
+  docB.create({ type: 'paragraph', id: 'p4', content: 'Paragraph 4' });
+  docB.get('main').show('p4', 1);
+  docB.get('main').hide('h2');
+  docB.delete('h2');
+  var change = _assertDiff(assert, docA, docB);
+  assert.ok(change.created.p4, 'p4 should be created.');
+  assert.ok(change.deleted.h2, 'h2 should be deleted.');
+  assert.deepEqual(_.pluck(docA.get('main').getComponents(), 'path'),
+    [['h1', 'content'], ['p4', 'content'], ['p1', 'content'], ['p2', 'content'], ['h3', 'content'], ['p3', 'content']],
+    'Container components should be updated.');
+});
+
+QUnit.test("Moving nodes in a container", function(assert) {
+  var docA = sample1();
+  var docB = sample1();
+  var main = docB.get('main');
+  main.hide('h1');
+  main.show('h1');
+  var change = _assertDiff(assert, docA, docB);
+  assert.equal(change.ops.length, 1, 'There should be only one operation.');
+  assert.ok(change.ops[0].diff.isMove(), 'The node should be moved.');
+});
+
+QUnit.test("Random text diffs", function(assert) {
+  var chars = 'abc';
+  var randomText = function() {
+    var len = Math.floor(Math.random() * 10);
+    var text = '';
+    for (var i = 0; i < len; i++) {
+      text += chars[Math.floor(Math.random() * chars.length)];
+    }
+    return text;
+  };
+  for (var i = 0; i < 20; i++) {
+    var docA = sample1();
+    var docB = sample1();
+    docA.set(['p1', 'content'], randomText());
+    docB.set(['p1', 'content'], randomText());
+    _assertDiff(assert, docA, docB);
+  }
+});
+
+QUnit.test("Random container diffs", function(assert) {
+  var ids = ['h1', 'p1', 'h2', 'p2', 'h3', 'p3'];
+  var randomNodes = function() {
+    var nodes = _.filter(ids, function() {
+      return Math.random() < 0.7;
+    });
+    return nodes.sort(function() {
+      return Math.random() - 0.5;
+    });
+  };
+  for (var i = 0; i < 20; i++) {
+    var docA = sample1();
+    var docB = sample1();
+    docA.set(['main', 'nodes'], randomNodes());
+    docB.set(['main', 'nodes'], randomNodes());
+    _assertDiff(assert, docA, docB);
+  }
+});
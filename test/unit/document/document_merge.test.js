@@ -0,0 +1,122 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample1 = require('../../fixtures/sample1');
+var Document = require('../../../document');
+var insertText = Document.Transformations.insertText;
+var deleteNode = Document.Transformations.deleteNode;
+
+QUnit.module('Unit/Substance.Document/DocumentMerge');
+
+var _insertText = function(doc, path, offset, text) {
+  var sel = doc.createSelection({
+    type: 'property',
+    path: path,
+    startOffset: offset
+  });
+  doc.transaction({ selection: sel }, function(tx) {
+    return insertText(tx, { selection: sel, text: text });
+  });
+};
+
+var _deleteNode = function(doc, nodeId) {
+  doc.transaction(function(tx) {
+    deleteNode(tx, { nodeId: nodeId });
+  });
+};
+
+QUnit.test("Merging changes of different nodes", function(assert) {
+  var base = sample1();
+  var ours = sample1();
+  var theirs = sample1();
+  _insertText(ours, ['p1', 'content'], 0, 'foo ');
+  _insertText(theirs, ['h1', 'content'], 0, 'bar ');
+  var result = Document.merge(base, ours, theirs);
+  assert.equal(result.conflicts.length, 0, 'There should be no conflicts.');
+  assert.equal(result.doc.get(['p1', 'content']), 'foo Paragraph 1', 'Our change should be merged.');
+  assert.equal(result.doc.get(['h1', 'content']), 'bar Section 1', 'Their change should be merged.');
+  ours._apply(result.change);
+  assert.deepEqual(ours.toJSON(), result.doc.toJSON(), 'The change should turn our version into the merged one.');
+});
+
+QUnit.test("Merging disjoint text changes", function(assert) {
+  var base = sample1();
+  var ours = sample1();
+  var theirs = sample1();
+  _insertText(ours, ['p2', 'content'], 0, 'X');
+  _insertText(theirs, ['p2', 'content'], 10, 'Y');
+  var result = Document.merge(base, ours, theirs);
+  var doc = result.doc;
+  assert.equal(result.conflicts.length, 0, 'There should be no conflicts.');
+  assert.equal(doc.get(['p2', 'content']), 'XParagraph Ywith annotation', 'Both insertions should be merged.');
+  var anno = doc.get('em1');
+  assert.equal(doc.get(['p2', 'content']).substring(anno.startOffset, anno.endOffset), 'annotation',
+    'The annotation should be shifted by both insertions.');
+});
+
+QUnit.test("Merging independent annotations", function(assert) {
+  var base = sample1();
+  var ours = sample1();
+  var theirs = sample1();
+  ours.transaction(function(tx) {
+    tx.create({ type: 'strong', id: 's1', path: ['p1', 'content'], startOffset: 0, endOffset: 9 });
+  });
+  _insertText(theirs, ['p1', 'content'], 0, 'foo ');
+  theirs.transaction(function(tx) {
+    tx.create({ type: 'emphasis', id: 'em2', path: ['p1', 'content'], startOffset: 14, endOffset: 15 });
+  });
+  var result = Document.merge(base, ours, theirs);
+  var doc = result.doc;
+  assert.equal(result.conflicts.length, 0, 'There should be no conflicts.');
+  assert.equal(doc.get('s1').getText(), 'Paragraph', 'Our annotation should be shifted by their insertion.');
+  assert.equal(doc.get('em2').getText(), '1', 'Their annotation should be merged.');
+});
+
+QUnit.test("Overlapping text changes", function(assert) {
+  var base = sample1();
+  var ours = sample1();
+  var theirs = sample1();
+  ours.transaction(function(tx) {
+    tx.update(['p1', 'content'], { 'delete': { start: 0, end: 10 } });
+  });
+  _insertText(theirs, ['p1', 'content'], 4, 'foo');
+  var result = Document.merge(base, ours, theirs);
+  assert.equal(result.conflicts.length, 1, 'There should be a conflict.');
+  var conflict = result.conflicts[0];
+  assert.deepEqual(conflict.path, ['p1', 'content'], 'The conflict should point to the property.');
+  assert.equal(conflict.base, 'Paragraph 1', 'The conflict should contain the base version.');
+  assert.equal(conflict.ours, '1', 'The conflict should contain our version.');
+  assert.equal(conflict.theirs, 'Parafoograph 1', 'The conflict should contain their version.');
+  assert.equal(result.doc.get(['p1', 'content']), '1', 'Our version should be kept.');
+});
+
+QUnit.test("Deleted and updated node", function(assert) {
+  var base = sample1();
+  var ours = sample1();
+  var theirs = sample1();
+  _insertText(ours, ['p1', 'content'], 0, 'foo ');
+  _deleteNode(theirs, 'p1');
+  var result = Document.merge(base, ours, theirs);
+  assert.equal(result.conflicts.length, 1, 'There should be a conflict.');
+  assert.deepEqual(result.conflicts[0].path, ['p1'], 'The conflict should point to the node.');
+  assert.isNullOrUndefined(result.conflicts[0].theirs, 'The node should be deleted in their version.');
+  assert.equal(result.doc.get(['p1', 'content']), 'foo Paragraph 1', 'Our version should be kept.');
+  assert.ok(result.doc.get(['main', 'nodes']).indexOf('p1') >= 0, 'The node should be kept in the container.');
+  assert.equal(result.doc.get('main').getComponent(['p1', 'content']).getIndex(), 1, 'Container components should be valid.');
+});
+
+QUnit.test("Conflicting property sets", function(assert) {
+  var base = sample1();
+  var ours = sample1();
+  var theirs = sample1();
+  ours.set(['h3', 'level'], 3);
+  theirs.set(['h3', 'level'], 1);
+  ours.set(['test', 'boolVal'], false);
+  theirs.set(['test', 'boolVal'], false);
+  var result = Document.merge(base, ours, theirs);
+  assert.equal(result.conflicts.length, 1, 'Only different values should be conflicting.');
+  assert.equal(result.conflicts[0].ours, 3, 'The conflict should contain our value.');
+  assert.equal(result.conflicts[0].theirs, 1, 'The conflict should contain their value.');
+  assert.equal(result.doc.get(['h3', 'level']), 3, 'Our value should be kept.');
+  assert.equal(result.doc.get(['test', 'boolVal']), false, 'Equal changes should be merged.');
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+require('../qunit_extensions');
+var fs = require('fs');
+var path = require('path');
+var tmpDir = require('../tmp_dir');
+var sample1 = require('../../fixtures/sample1');
+var Document = require('../../../document');
+var FileChangeStore = require('../../../document/file_change_store');
+var _ = require('../../../helpers');
+var insertText = Document.Transformations.insertText;
+
+QUnit.module('Unit/Substance.Document/FileChangeStore');
+
+// FileChangeStore is only available in node.js
+var test = tmpDir.isAvailable ? QUnit.test : QUnit.skip;
+
+var _insertText = function(doc, path, offset, text) {
+  var sel = doc.createSelection({
+    type: 'property',
+    path: path,
+    startOffset: offset
+  });
+  doc.transaction({ selection: sel }, function(tx) {
+    return insertText(tx, { selection: sel, text: text });
+  });
+};
+
+// the same five changes as used for the MemoryChangeStore
+var _createChanges = function() {
+  var doc = sample1();
+  var changes = [];
+  doc.connect(changes, {
+    'document:changed': function(change) {
+      changes.push(change.toJSON());
+    }
+  });
+  _.each(['a', 'b', 'c', 'd', 'e'], function(text, idx) {
+    _insertText(doc, ['p1', 'content'], idx, text);
+  });
+  return changes;
+};
+
+// Creates a store in a temporary directory and appends the changes one after the other.
+// `cb(store, finish)` is called when all changes are stored, `finish()` removes the directory.
+var _createStore = function(assert, snapshotInterval, cb) {
+  var done = assert.async();
+  var dir = tmpDir.create();
+  var store = new FileChangeStore(path.join(dir, 'doc'), {
+    createDocument: sample1,
+    snapshotInterval: snapshotInterval
+  });
+  var finish = function() {
+    tmpDir.remove(dir);
+    done();
+  };
+  var changes = _createChanges();
+  var append = function(idx) {
+    if (idx === changes.length) return cb(store, finish);
+    store.append(changes[idx], function(err) {
+      if (err) {
+        assert.ok(false, 'Appending should not fail: ' + err);
+        return finish();
+      }
+      append(idx + 1);
+    });
+  };
+  append(0);
+};
+
+test("Appending changes", function(assert) {
+  _createStore(assert, 0, function(store, finish) {
+    store.getVersion(function(err, version) {
+      assert.equal(version, 5, 'Version should be the number of appended changes.');
+      store.getChanges(1, 3, function(err, changes) {
+        assert.equal(changes.length, 2, 'There should be two changes between version 1 and 3.');
+        assert.equal(changes[0].ops[0].diff.str, 'b', 'The first change should insert "b".');
+        store.getChanges(4, 6, function(err) {
+          assert.ok(err, 'Reading beyond the current version should fail.');
+          var other = new FileChangeStore(store.dir);
+          other.getVersion(function(err, version) {
+            assert.equal(version, 5, 'The changes should be read from the file system.');
+            finish();
+          });
+        });
+      });
+    });
+  });
+});
+
+test("Reconstructing the document", function(assert) {
+  _createStore(assert, 0, function(store, finish) {
+    store.reconstruct(function(err, doc) {
+      assert.equal(doc.get(['p1', 'content']), 'abcdeParagraph 1', 'Latest version should be reconstructed.');
+      assert.equal(doc.done.length, 0, 'The reconstructed document should have no history.');
+      store.reconstruct(2, function(err, doc) {
+        assert.equal(doc.get(['p1', 'content']), 'abParagraph 1', 'Version 2 should be reconstructed.');
+        store.reconstruct(0, function(err, doc) {
+          assert.equal(doc.get(['p1', 'content']), 'Paragraph 1', 'Version 0 should be the initial document.');
+          finish();
+        });
+      });
+    });
+  });
+});
+
+test("Periodic snapshots", function(assert) {
+  _createStore(assert, 2, function(store, finish) {
+    assert.deepEqual(fs.readdirSync(store.snapshotDir).sort(), ['2.json', '4.json'],
+      'Snapshots should be taken every two versions.');
+    store.getSnapshot(3, function(err, snapshot) {
+      assert.equal(snapshot.version, 2, 'Latest snapshot before version 3 should be used.');
+      assert.equal(snapshot.data.nodes.p1.content, 'abParagraph 1', 'Snapshot should contain the document state.');
+      // manipulate the snapshot to see that it is used for reconstruction
+      var file = path.join(store.snapshotDir, '4.json');
+      var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      data.nodes.p1.content = 'abcdX';
+      fs.writeFileSync(file, JSON.stringify(data), 'utf8');
+      store.reconstruct(5, function(err, doc) {
+        assert.equal(doc.get(['p1', 'content']), 'abcdeX', 'Document should be reconstructed from the snapshot.');
+        store.reconstruct(3, function(err, doc) {
+          assert.equal(doc.get(['p1', 'content']), 'abcParagraph 1', 'Earlier versions should use earlier snapshots.');
+          finish();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+require('../qunit_extensions');
+var fs = require('fs');
+var path = require('path');
+var tmpDir = require('../tmp_dir');
+var sample1 = require('../../fixtures/sample1');
+var Article = require('../../test_article');
+var FileNodeProvider = require('../../../document/file_node_provider');
+
+QUnit.module('Unit/Substance.Document/FileNodeProvider');
+
+// FileNodeProvider is only available in node.js
+var test = tmpDir.isAvailable ? QUnit.test : QUnit.skip;
+
+// Stores sample1 in a temporary directory and loads it partially.
+// `cb(doc, provider, finish)` is called when the structure is loaded, `finish()` removes the directory.
+var _loadPartial = function(assert, cb) {
+  var done = assert.async();
+  var dir = tmpDir.create();
+  var provider = new FileNodeProvider(path.join(dir, 'doc'));
+  var finish = function() {
+    tmpDir.remove(dir);
+    done();
+  };
+  provider.store(sample1(), function(err) {
+    if (err) {
+      assert.ok(false, 'Storing should not fail: ' + err);
+      return finish();
+    }
+    var doc = new Article();
+    doc.loadPartial(provider, function(err) {
+      if (err) {
+        assert.ok(false, 'Loading the structure should not fail: ' + err);
+        return finish();
+      }
+      cb(doc, provider, finish);
+    });
+  });
+};
+
+test("Storing a document", function(assert) {
+  _loadPartial(assert, function(doc, provider, finish) {
+    assert.ok(fs.existsSync(provider.structureFile), 'The structure should be written.');
+    assert.ok(fs.existsSync(path.join(provider.partDir, 'p2.json')), 'Every part should be written.');
+    assert.deepEqual(doc.get('main').nodes, ['h1', 'p1', 'h2', 'p2', 'h3', 'p3'], 'The container should be loaded.');
+    assert.notOk(doc.isLoaded('p2'), 'p2 should not be loaded.');
+    finish();
+  });
+});
+
+test("Loading nodes on demand", function(assert) {
+  _loadPartial(assert, function(doc, provider, finish) {
+    doc.loadNodes(['p2'], function(err) {
+      assert.isNullOrUndefined(err, 'There should be no error.');
+      assert.equal(doc.get(['p2', 'content']), 'Paragraph with annotation', 'p2 should be loaded.');
+      assert.ok(doc.get('em1'), 'The annotation of p2 should be loaded.');
+      assert.equal(doc.getUnloadedNodes().length, 5, 'Only p2 should have been loaded.');
+      finish();
+    });
+  });
+});
+
+test("A transaction loads the nodes it uses", function(assert) {
+  _loadPartial(assert, function(doc, provider, finish) {
+    doc.transaction(function(tx) {
+      tx.update(['p1', 'content'], { insert: { offset: 0, value: 'XXX' } });
+    });
+    assert.ok(doc.isLoaded('p1'), 'p1 should have been loaded synchronously.');
+    assert.equal(doc.get(['p1', 'content']), 'XXXParagraph 1', 'p1 should be updated.');
+    finish();
+  });
+});
+
+test("Loading a missing part", function(assert) {
+  _loadPartial(assert, function(doc, provider, finish) {
+    fs.unlinkSync(path.join(provider.partDir, 'p2.json'));
+    doc.loadNodes(['p2'], function(err) {
+      assert.isDefinedAndNotNull(err, 'The missing file should be reported to the callback.');
+      assert.equal(err.code, 'ENOENT', 'The error of the file system should be passed on.');
+      assert.notOk(doc.isLoaded('p2'), 'p2 should not be loaded.');
+      assert.throws(function() {
+        doc.transaction(function(tx) {
+          tx.get(['p2', 'content']);
+        });
+      }, 'A transaction using p2 should fail.');
+      finish();
+    });
+  });
+});
+
+test("Loading a missing document", function(assert) {
+  var done = assert.async();
+  var dir = tmpDir.create();
+  var provider = new FileNodeProvider(path.join(dir, 'doc'));
+  new Article().loadPartial(provider, function(err) {
+    assert.isDefinedAndNotNull(err, 'The missing structure should be reported to the callback.');
+    tmpDir.remove(dir);
+    done();
+  });
+});
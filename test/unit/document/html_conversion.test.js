@@ -0,0 +1,73 @@
+'use strict';
+
+require('../qunit_extensions');
+var HtmlArticle = require('../../../ui/html-editor/html_article');
+
+QUnit.module('Unit/Substance.Document/HtmlConversion');
+
+var FIGURE_HTML = '<figure id="f1" data-label="Figure 1">' +
+    '<img id="img1" src="image.png" alt="An image" width="200" height="100">' +
+    '<figcaption><span class="title">A <em>title</em></span><span class="caption">The caption</span></figcaption>' +
+  '</figure>';
+
+QUnit.test("Importing an image", function(assert) {
+  var doc = HtmlArticle.fromHtml('<img id="img1" src="image.png" width="200">');
+  var image = doc.get('img1');
+  assert.equal(image.type, 'image', 'An image should be created.');
+  assert.equal(image.src, 'image.png', 'The source should be imported.');
+  assert.equal(image.alt, '', 'The alternative text should default to an empty string.');
+  assert.equal(image.width, 200, 'The width should be imported as number.');
+  assert.isNullOrUndefined(image.height, 'The height should not be set.');
+  assert.deepEqual(doc.get('body').nodes, ['img1'], 'The image should be shown in the body.');
+});
+
+QUnit.test("Importing a figure", function(assert) {
+  var doc = HtmlArticle.fromHtml(FIGURE_HTML);
+  var figure = doc.get('f1');
+  assert.equal(figure.label, 'Figure 1', 'The label should be imported.');
+  assert.equal(figure.title, 'A title', 'The title should be imported.');
+  assert.equal(figure.caption, 'The caption', 'The caption should be imported.');
+  assert.equal(figure.getContentNode().id, 'img1', 'The image should be the content of the figure.');
+  assert.equal(doc.getIndex('annotations').get(['f1', 'title']).length, 1, 'Annotations of the title should be imported.');
+  assert.deepEqual(doc.get('body').nodes, ['f1'], 'Only the figure should be shown in the body.');
+});
+
+QUnit.test("A figcaption without title and caption elements is taken as caption", function(assert) {
+  var doc = HtmlArticle.fromHtml('<figure id="f1"><img src="image.png"><figcaption>Just a caption</figcaption></figure>');
+  assert.equal(doc.get(['f1', 'caption']), 'Just a caption', 'The caption should be imported.');
+  assert.equal(doc.get(['f1', 'title']), '', 'The title should be empty.');
+});
+
+QUnit.test("Exporting a figure", function(assert) {
+  var doc = HtmlArticle.fromHtml(FIGURE_HTML);
+  var other = HtmlArticle.fromHtml(doc.toHtml());
+  assert.deepEqual(other.get('f1').toJSON(), doc.get('f1').toJSON(), 'The figure should survive a roundtrip.');
+  assert.deepEqual(other.get('img1').toJSON(), doc.get('img1').toJSON(), 'The image should survive a roundtrip.');
+});
+
+QUnit.test("Figures own their content", function(assert) {
+  var doc = HtmlArticle.fromHtml(FIGURE_HTML);
+  doc.FORCE_TRANSACTIONS = false;
+  doc.transaction(function(tx) {
+    tx.get('body').hide('f1');
+    tx.delete('f1');
+  });
+  assert.isNullOrUndefined(doc.get('img1'), 'The image should be deleted with the figure.');
+});
+
+QUnit.test("Importing nested lists", function(assert) {
+  var doc = HtmlArticle.fromHtml('<ul id="l1"><li id="li1">One<ol><li id="li2">Two</li></ol></li><li id="li3">Three</li></ul>');
+  assert.deepEqual(doc.get(['l1', 'items']), ['li1', 'li2', 'li3'], 'Nested items should be flattened.');
+  assert.deepEqual([doc.get(['li1', 'level']), doc.get(['li2', 'level']), doc.get(['li3', 'level'])], [1, 2, 1],
+    'Nested items should have a higher level.');
+  assert.equal(doc.get(['li1', 'content']), 'One', 'Nested lists should not be part of the content.');
+});
+
+QUnit.test("Exporting nested lists", function(assert) {
+  var doc = HtmlArticle.fromHtml('<ul id="l1"><li id="li1">One<ul><li id="li2">Two<ul><li id="li3">Three</li></ul></li></ul></li><li id="li4">Four</li></ul>');
+  var $list = $('<div>' + doc.toHtml() + '</div>').children('ul');
+  assert.equal($list.children('li').length, 2, 'There should be two items on the first level.');
+  assert.equal($list.find('#li1 > ul > li#li2 > ul > li#li3').length, 1, 'Items should be nested by their level.');
+  var other = HtmlArticle.fromHtml(doc.toHtml());
+  assert.deepEqual(other.get(['l1', 'items']), doc.get(['l1', 'items']), 'The list should survive a roundtrip.');
+});
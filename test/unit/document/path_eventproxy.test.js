@@ -25,7 +25,7 @@ QUnit.test("Setting a property", function(assert) {
     callCount++;
   });
   doc.transaction(function(tx) {
-    tx.set(['test', 'arrayVal'], [1,1,1]);
+    tx.set(['test', 'arrayVal'], ['1','1','1']);
   });
   assert.equal(callCount, 1, "Event proxy listener should have been called.");
 });
@@ -37,7 +37,7 @@ QUnit.test("Setting a property and deleting the node afterwards", function(asser
     callCount++;
   });
   doc.transaction(function(tx) {
-    tx.set(['test', 'arrayVal'], [1,1,1]);
+    tx.set(['test', 'arrayVal'], ['1','1','1']);
     tx.delete('test');
   });
   assert.equal(callCount, 0, "Event proxy listener doesn't get called when node is deleted.");
@@ -0,0 +1,89 @@
+"use strict";
+
+require('../qunit_extensions');
+var tableSample = require('../../fixtures/table_sample');
+var Document = require('../../../document');
+var TableCsv = Document.TableCsv;
+
+QUnit.module('Unit/Substance.Document/TableCsv');
+
+QUnit.test("Parsing CSV", function(assert) {
+  assert.deepEqual(TableCsv.parse('a,b\nc,d\n'), [['a', 'b'], ['c', 'd']], 'A final line break should not start a new row.');
+  assert.deepEqual(TableCsv.parse('a,b\r\nc,'), [['a', 'b'], ['c', '']], 'CRLF line breaks and empty fields should be supported.');
+  assert.deepEqual(TableCsv.parse('"a,b","say ""hi""",c'), [['a,b', 'say "hi"', 'c']], 'Quoted fields should be unescaped.');
+  assert.deepEqual(TableCsv.parse('"line 1\nline 2",x'), [['line 1\nline 2', 'x']], 'Quoted fields may contain line breaks.');
+  assert.deepEqual(TableCsv.parse('a\n""'), [['a'], ['']], 'A quoted empty field should be a row.');
+  assert.deepEqual(TableCsv.parse('a\t"b\tc"', { delimiter: '\t' }), [['a', 'b\tc']], 'Other delimiters should be supported.');
+  assert.deepEqual(TableCsv.parse('"abc\n'), [['abc\n']], 'An unterminated quote should take the rest of the text.');
+  assert.deepEqual(TableCsv.parse(''), [], 'Empty text has no rows.');
+});
+
+QUnit.test("Stringifying CSV", function(assert) {
+  var rows = [['a', 'b,c'], ['say "hi"', 'line 1\nline 2']];
+  var csv = TableCsv.stringify(rows);
+  assert.equal(csv, 'a,"b,c"\n"say ""hi""","line 1\nline 2"', 'Fields should be quoted where necessary.');
+  assert.deepEqual(TableCsv.parse(csv), rows, 'Parsing should restore the values.');
+  assert.equal(TableCsv.stringify([['a', 'b,c']], { delimiter: '\t' }), 'a\tb,c', 'Quoting should depend on the delimiter.');
+
+  rows = [['a'], [''], ['']];
+  csv = TableCsv.stringify(rows);
+  assert.equal(csv, 'a\n""\n""', 'Rows of a single empty field should be quoted.');
+  assert.deepEqual(TableCsv.parse(csv), rows, 'Rows of a single empty field should be restored.');
+});
+
+QUnit.test("Illegal delimiters", function(assert) {
+  assert.throws(function() {
+    TableCsv.parse('a;;b', { delimiter: ';;' });
+  }, 'Parsing should fail for a delimiter of several characters.');
+  assert.throws(function() {
+    TableCsv.stringify([['a', 'b']], { delimiter: ';;' });
+  }, 'Stringifying should fail for a delimiter of several characters.');
+  assert.throws(function() {
+    TableCsv.parse('a"b', { delimiter: '"' });
+  }, 'A quote should not be a delimiter.');
+  assert.throws(function() {
+    TableCsv.stringify([['a', 'b']], { delimiter: '\n' });
+  }, 'A line break should not be a delimiter.');
+});
+
+QUnit.test("Importing a table", function(assert) {
+  var doc = tableSample();
+  var table = TableCsv.importTable(doc, 'a,b,c\n1,"2,5"\n', { header: true });
+  assert.equal(table.type, 'table', 'A table should be created.');
+  var sections = table.getSections();
+  assert.equal(sections.length, 2, 'There should be a head and a body section.');
+  assert.equal(sections[0].sectionType, 'head');
+  assert.equal(sections[1].sectionType, 'body');
+  var matrix = table.getMatrix();
+  assert.deepEqual(matrix.getSize(), { rows: 2, cols: 3 });
+  assert.equal(matrix.getCell(0, 1).node.cellType, 'head', 'Cells of the header row should be head cells.');
+  assert.equal(matrix.getCell(1, 1).node.cellType, 'data');
+  assert.equal(matrix.getCell(1, 1).node.content, '2,5');
+  assert.equal(matrix.getCell(1, 2).node.content, '', 'Short rows should be filled up with empty cells.');
+  var cell = matrix.getCell(1, 0).node;
+  assert.equal(cell.getParent().getParent().getParent().id, table.id, 'The structure should be consistent.');
+});
+
+QUnit.test("Importing a table without header", function(assert) {
+  var doc = tableSample();
+  var table = TableCsv.importTable(doc, 'a\tb\n1\t2', { delimiter: '\t' });
+  var sections = table.getSections();
+  assert.equal(sections.length, 1, 'There should be only a body section.');
+  assert.equal(sections[0].sectionType, 'body');
+  assert.equal(table.getMatrix().getCell(0, 0).node.cellType, 'data');
+  assert.equal(table.getMatrix().getCell(1, 1).node.content, '2');
+});
+
+QUnit.test("Exporting a table", function(assert) {
+  var doc = tableSample();
+  doc.set(['c00', 'content'], 'x,y');
+  var csv = TableCsv.exportTable(doc.get('t1'));
+  assert.equal(csv, [
+    '"x,y","0,1","0,2","0,3"',
+    '"1,0","1,1",,"1,3"',
+    '"2,0",,,"2,3"',
+    '"3,0","3,1","3,2","3,3"'
+  ].join('\n'), 'Fields occupied by spanning cells should be empty.');
+  var tsv = TableCsv.exportTable(doc.get('t1'), { delimiter: '\t' });
+  assert.equal(tsv.split('\n')[1], '1,0\t1,1\t\t1,3', 'Tables should be exported as TSV.');
+});
@@ -0,0 +1,78 @@
+"use strict";
+
+require('../qunit_extensions');
+var tableSample = require('../../fixtures/table_sample');
+var Document = require('../../../document');
+var TableNavigation = Document.TableNavigation;
+
+QUnit.module('Unit/Substance.Document/TableNavigation');
+
+QUnit.test("Getting the selected cell", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'property', path: ['c13', 'content'], startOffset: 1 });
+  assert.equal(TableNavigation.getSelectedCell(doc, sel).id, 'c13', 'The cell of a property selection should be found.');
+  sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 0, endRow: 2, endCol: 2 });
+  assert.equal(TableNavigation.getSelectedCell(doc, sel).id, 'c11', 'The focused cell of a table selection should be found.');
+  sel = doc.createSelection({ type: 'property', path: ['p1', 'content'], startOffset: 1 });
+  assert.isNullOrUndefined(TableNavigation.getSelectedCell(doc, sel), 'There should be no cell outside of tables.');
+});
+
+QUnit.test("Getting neighbor cells", function(assert) {
+  var doc = tableSample();
+  var table = doc.get('t1');
+  var get = function(id, direction) {
+    var cell = TableNavigation.getNeighborCell(table, doc.get(id), direction);
+    return cell ? cell.id : null;
+  };
+  assert.equal(get('c10', 'right'), 'c11', 'Moving right into a spanning cell.');
+  assert.equal(get('c11', 'right'), 'c13', 'Moving right out of a spanning cell.');
+  assert.equal(get('c23', 'left'), 'c11', 'Moving left into a spanning cell.');
+  assert.equal(get('c31', 'up'), 'c11', 'Moving up into a spanning cell.');
+  assert.equal(get('c11', 'down'), 'c31', 'Moving down out of a spanning cell.');
+  assert.equal(get('c02', 'down'), 'c11', 'Moving down into a spanning cell.');
+  assert.isNullOrUndefined(get('c00', 'left'), 'There should be no cell left of the first column.');
+  assert.isNullOrUndefined(get('c33', 'down'), 'There should be no cell below the last row.');
+  assert.equal(get('c13', 'next'), 'c20', 'Next should go to the following row.');
+  assert.equal(get('c20', 'next'), 'c23', 'Next should skip spanned fields.');
+  assert.equal(get('c20', 'previous'), 'c13', 'Previous should go to the preceding row.');
+  assert.isNullOrUndefined(get('c33', 'next'), 'There should be no cell after the last one.');
+  assert.isNullOrUndefined(get('c00', 'previous'), 'There should be no cell before the first one.');
+});
+
+QUnit.test("Selecting a cell's content", function(assert) {
+  var doc = tableSample();
+  var sel = TableNavigation.selectCell(doc, doc.get('c01'), 'all');
+  assert.deepEqual(sel.getPath(), ['c01', 'content']);
+  assert.equal(sel.getRange().start.offset, 0);
+  assert.equal(sel.getRange().end.offset, 3);
+  sel = TableNavigation.selectCell(doc, doc.get('c01'), 'end');
+  assert.ok(sel.isCollapsed(), 'The selection should be collapsed.');
+  assert.equal(sel.getRange().start.offset, 3);
+});
+
+QUnit.test("Expanding a table selection", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'property', path: ['c00', 'content'], startOffset: 3 });
+  sel = TableNavigation.moveFocus(doc, sel, 'right', true);
+  assert.ok(sel.isTableSelection(), 'A table selection should be created.');
+  assert.deepEqual([sel.startRow, sel.startCol, sel.endRow, sel.endCol], [0, 0, 0, 1]);
+  sel = TableNavigation.moveFocus(doc, sel, 'down', true);
+  assert.deepEqual([sel.startRow, sel.startCol, sel.endRow, sel.endCol], [0, 0, 1, 1]);
+  sel = TableNavigation.moveFocus(doc, sel, 'down', true);
+  assert.deepEqual([sel.startRow, sel.startCol, sel.endRow, sel.endCol], [0, 0, 3, 1], 'Moving down should skip the spanned rows.');
+  sel = TableNavigation.moveFocus(doc, sel, 'up', true);
+  assert.deepEqual([sel.startRow, sel.startCol, sel.endRow, sel.endCol], [0, 0, 1, 1]);
+  assert.deepEqual(sel.getAnchor(), { row: 0, col: 0 }, 'The anchor should be kept.');
+});
+
+QUnit.test("Growing a selection backwards", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 3, startCol: 3, endRow: 3, endCol: 3 });
+  sel = TableNavigation.moveFocus(doc, sel, 'left', true);
+  sel = TableNavigation.moveFocus(doc, sel, 'up', true);
+  assert.deepEqual([sel.startRow, sel.startCol, sel.endRow, sel.endCol], [1, 2, 3, 3], 'The rectangle should be normalized.');
+  assert.deepEqual(sel.getAnchor(), { row: 3, col: 3 }, 'The anchor should be kept.');
+  assert.deepEqual(sel.getFocus(), { row: 1, col: 2 }, 'The focus should be moved.');
+  sel = TableNavigation.moveFocus(doc, sel, 'right', false);
+  assert.deepEqual([sel.startRow, sel.startCol, sel.endRow, sel.endCol], [1, 3, 1, 3], 'Without expanding a single cell should be selected.');
+});
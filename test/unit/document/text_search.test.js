@@ -0,0 +1,84 @@
+'use strict';
+
+require('../qunit_extensions');
+var sample1 = require('../../fixtures/sample1');
+var _ = require('../../../helpers');
+
+QUnit.module('Unit/Substance.Document/TextSearch');
+
+var _matches = function(sels) {
+  return _.map(sels, function(sel) {
+    return [sel.getPath().join('.'), sel.getRange().start.offset, sel.getRange().end.offset];
+  });
+};
+
+QUnit.test("Indexing text properties", function(assert) {
+  var doc = sample1();
+  var textIndex = doc.getIndex('text');
+  assert.deepEqual(textIndex.getPaths('annotation'), [['p2', 'content']], 'Tokens should be indexed.');
+  assert.deepEqual(textIndex.getPaths('Section').length, 3, 'Lookup should be case-insensitive.');
+  assert.deepEqual(textIndex.getPaths('heading'), [], 'Property types should not be indexed.');
+  doc.update(['p1', 'content'], { insert: { offset: 0, value: 'Foo ' } });
+  assert.deepEqual(textIndex.getPaths('foo'), [['p1', 'content']], 'The index should be updated.');
+  doc.set(['p1', 'content'], 'Bar');
+  assert.deepEqual(textIndex.getPaths('foo'), [], 'Removed tokens should be removed from the index.');
+  doc.delete('p2');
+  assert.deepEqual(textIndex.getPaths('annotation'), [], 'Deleted nodes should be removed from the index.');
+});
+
+QUnit.test("Finding text in document order", function(assert) {
+  var doc = sample1();
+  var matches = doc.findText('graph', { containerId: 'main' });
+  assert.deepEqual(_matches(matches), [['p1.content', 4, 9], ['p2.content', 4, 9], ['p3.content', 4, 9]],
+    'Matches should be provided in document order.');
+  assert.ok(matches[0].isPropertySelection(), 'Matches should be property selections.');
+  matches = doc.findText('on 2', { containerId: 'main' });
+  assert.deepEqual(_matches(matches), [['h2.content', 5, 9], ['h3.content', 5, 9]],
+    'Patterns spanning several words should be found.');
+  doc.get('main').move('h3', 0);
+  matches = doc.findText('on 2', { containerId: 'main' });
+  assert.deepEqual(_matches(matches), [['h3.content', 5, 9], ['h2.content', 5, 9]],
+    'The order should reflect the container.');
+});
+
+QUnit.test("Search options", function(assert) {
+  var doc = sample1();
+  assert.equal(doc.findText('section', { containerId: 'main' }).length, 3, 'Search should be case-insensitive by default.');
+  assert.equal(doc.findText('section', { containerId: 'main', caseSensitive: true }).length, 0, 'Case-sensitive search.');
+  assert.deepEqual(_matches(doc.findText('an', { containerId: 'main', wholeWord: true })), [],
+    'Whole words should be matched.');
+  assert.deepEqual(_matches(doc.findText('with', { containerId: 'main', wholeWord: true })), [['p2.content', 10, 14]],
+    'Whole words should be matched.');
+  assert.deepEqual(_matches(doc.findText('\\d', { containerId: 'main', regex: true })),
+    [['h1.content', 8, 9], ['p1.content', 10, 11], ['h2.content', 8, 9], ['h3.content', 8, 9],
+     ['h3.content', 10, 11], ['p3.content', 10, 11]], 'Regular expressions should be supported.');
+  assert.deepEqual(_matches(doc.findText('2.2')), [['h3.content', 8, 11]], 'Special characters should be escaped.');
+  assert.deepEqual(_matches(doc.findText('sample')), [['meta.title', 0, 6]],
+    'Without container all text properties should be searched.');
+});
+
+QUnit.test("Finding text without container", function(assert) {
+  var doc = sample1();
+  doc.create({ type: 'paragraph', id: 'z1', content: 'Another paragraph' });
+  doc.create({ type: 'paragraph', id: 'a1', content: 'Paragraph a' });
+  doc.create({ type: 'paragraph', id: 'x1', content: 'Aside paragraph' });
+  doc.create({ type: 'container', id: 'aside', nodes: [] });
+  doc.get('aside').show('x1');
+  doc.get('main').move('p3', 0);
+  var paths = _.map(doc.findText('paragraph'), function(sel) {
+    return sel.getPath()[0];
+  });
+  assert.deepEqual(paths, ['x1', 'p3', 'p1', 'p2', 'a1', 'z1'],
+    'Matches should be ordered by container, then the other nodes by id.');
+});
+
+QUnit.test("Looking up fragments in the text index", function(assert) {
+  var doc = sample1();
+  var textIndex = doc.getIndex('text');
+  assert.deepEqual(textIndex.findPaths(['graph', 'with', 'anno']), [['p2', 'content']],
+    'The first and the last fragment may be part of a token.');
+  assert.deepEqual(textIndex.findPaths(['graph', 'wit', 'anno']), [],
+    'Fragments between others should be whole tokens.');
+  assert.deepEqual(textIndex.findPaths(['ection']).length, 3, 'A single fragment may be part of a token.');
+  assert.deepEqual(textIndex.findPaths([]), [], 'Without fragments no paths should be found.');
+});
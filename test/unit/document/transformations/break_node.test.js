@@ -2,6 +2,7 @@
 
 require('../../qunit_extensions');
 var sample1 = require('../../../fixtures/sample1');
+var listSample = require('../../../fixtures/list_sample');
 var Document = require('../../../../document');
 var breakNode = Document.Transformations.breakNode;
 
@@ -107,3 +108,36 @@ QUnit.test("Breaking a paragraph inside an annotation", function(assert) {
   assert.deepEqual([annoPart1.startOffset, annoPart1.endOffset], [15, 20], "Original annotation should have been truncated.");
   assert.deepEqual([annoPart2.startOffset, annoPart2.endOffset], [0, 5], "New annotation at the begin of the new property.");
 });
+
+QUnit.test("Breaking a list item", function(assert) {
+  var doc = listSample();
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['li2', 'content'],
+    startOffset: 4
+  });
+  var out = breakNode(doc, { selection: sel, containerId: 'main' });
+  var newNode = out.node;
+  assert.equal(newNode.type, 'list-item', 'A new list item should be created.');
+  assert.deepEqual(doc.get(['l1', 'items']), ['li1', 'li2', newNode.id, 'li3'], 'The new item should be inserted after the broken one.');
+  assert.equal(newNode.level, 2, 'The new item should have the same level.');
+  assert.equal(doc.get(['li2', 'content']), 'Item', 'The content of the item should be truncated.');
+  assert.equal(newNode.content, ' 2', 'The remaining content should be in the new item.');
+  assert.deepEqual(out.selection.path, [newNode.id, 'content'], 'The selection should be in the new item.');
+  assert.ok(doc.get('main').getComponent([newNode.id, 'content']), 'The container should have a component for the new item.');
+});
+
+QUnit.test("Breaking an empty list item", function(assert) {
+  var doc = listSample();
+  doc.set(['li3', 'content'], '');
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['li3', 'content'],
+    startOffset: 0
+  });
+  var out = breakNode(doc, { selection: sel, containerId: 'main' });
+  var main = doc.get('main');
+  assert.deepEqual(doc.get(['l1', 'items']), ['li1', 'li2'], 'The item should have left the list.');
+  assert.equal(doc.get(main.nodes[2]).type, 'paragraph', 'The item should have become a paragraph after the list.');
+  assert.deepEqual(out.selection.path, [main.nodes[2], 'content'], 'The selection should be in the new paragraph.');
+});
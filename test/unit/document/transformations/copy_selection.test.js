@@ -2,6 +2,7 @@
 
 require('../../qunit_extensions');
 var sample1 = require('../../../fixtures/sample1');
+var tableSample = require('../../../fixtures/table_sample');
 var Document = require('../../../../document');
 var copySelection = Document.Transformations.copySelection;
 
@@ -66,3 +67,27 @@ QUnit.test("Copying a container selection", function(assert) {
   assert.equal(last.type, 'paragraph', "The last node should be a paragraph.");
   assert.equal(last.content, 'Paragraph', "Its content should be truncated to 'Paragraph'.");
 });
+
+QUnit.test("Copying a table selection", function(assert) {
+  var doc = tableSample();
+  doc.create({
+    type: 'emphasis',
+    id: 'e1',
+    path: ['c13', 'content'],
+    startOffset: 0,
+    endOffset: 1
+  });
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 2, endRow: 1, endCol: 3 });
+  var copy = copySelection(doc, { selection: sel }).doc;
+  var content = copy.get('clipboard_content');
+  assert.equal(content.nodes.length, 1, 'There should be one node in the copied document.');
+  var table = copy.get(content.nodes[0]);
+  assert.equal(table.type, 'table', 'A table should be copied.');
+  var matrix = table.getMatrix();
+  assert.deepEqual(matrix.getSize(), { rows: 2, cols: 2 }, 'The table should have the size of the selection.');
+  assert.equal(matrix.getCell(0, 0).node.content, '0,2');
+  assert.equal(matrix.getCell(1, 0).node.content, '1,1', 'A spanning cell should be copied at its first selected field.');
+  assert.equal(matrix.getCell(1, 0).node.colspan, 1, 'The span should be truncated to the selection.');
+  assert.equal(matrix.getCell(1, 1).node.content, '1,3');
+  assert.equal(copy.getIndex('annotations').get(['c13', 'content']).length, 1, 'Annotations should be copied.');
+});
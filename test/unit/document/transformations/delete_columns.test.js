@@ -0,0 +1,48 @@
+"use strict";
+
+require('../../qunit_extensions');
+var tableSample = require('../../../fixtures/table_sample');
+var layout = tableSample.layout;
+var Document = require('../../../../document');
+var deleteColumns = Document.Transformations.deleteColumns;
+
+QUnit.module('Unit/Substance.Document/Transformations/deleteColumns');
+
+QUnit.test("Deleting a column", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 0, endRow: 0, endCol: 0 });
+  var out = deleteColumns(doc, { selection: sel, containerId: 'main' });
+  var table = doc.get('t1');
+  assert.equal(table.getSize('col'), 3, 'The table should have three columns.');
+  assert.deepEqual(layout(table), [
+    ['0,1', '0,2', '0,3'],
+    ['1,1', '1,3'],
+    ['2,3'],
+    ['3,1', '3,2', '3,3']
+  ]);
+  assert.isNullOrUndefined(doc.get('c10'), 'The cells should be deleted.');
+  assert.isNullOrUndefined(doc.get('main').getComponent(['c10', 'content']), 'The container should be updated.');
+  assert.equal(out.selection.getRectangle().start.col, 0, 'The selection should stay in the first column.');
+});
+
+QUnit.test("Deleting a column covered by a spanning cell", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 2, endRow: 0, endCol: 3 });
+  deleteColumns(doc, { selection: sel, containerId: 'main' });
+  assert.equal(doc.get(['c11', 'colspan']), 1, 'The spanning cell should be narrowed.');
+  assert.deepEqual(layout(doc.get('t1')), [
+    ['0,0', '0,1'],
+    ['1,0', '1,1'],
+    ['2,0'],
+    ['3,0', '3,1']
+  ]);
+});
+
+QUnit.test("Deleting all columns", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 0, endRow: 0, endCol: 3 });
+  var out = deleteColumns(doc, { selection: sel, containerId: 'main' });
+  assert.isNullOrUndefined(doc.get('t1'), 'The table should be deleted.');
+  assert.equal(doc.get('main').getPosition('t1'), -1, 'The table should be removed from the container.');
+  assert.ok(out.selection.isNull(), 'The selection should be null.');
+});
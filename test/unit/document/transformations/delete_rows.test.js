@@ -0,0 +1,58 @@
+"use strict";
+
+require('../../qunit_extensions');
+var tableSample = require('../../../fixtures/table_sample');
+var layout = tableSample.layout;
+var Document = require('../../../../document');
+var deleteRows = Document.Transformations.deleteRows;
+
+QUnit.module('Unit/Substance.Document/Transformations/deleteRows');
+
+QUnit.test("Deleting a row", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 1, endRow: 0, endCol: 1 });
+  var out = deleteRows(doc, { selection: sel, containerId: 'main' });
+  var table = doc.get('t1');
+  assert.equal(table.getSize('row'), 3, 'The table should have three rows.');
+  assert.isNullOrUndefined(doc.get('r0'), 'The row should be deleted.');
+  assert.isNullOrUndefined(doc.get('c00'), 'The cells of the row should be deleted.');
+  assert.isNullOrUndefined(doc.get('main').getComponent(['c00', 'content']), 'The container should be updated.');
+  assert.equal(out.selection.getRectangle().start.row, 0, 'The selection should stay in the first row.');
+});
+
+QUnit.test("Deleting a row covered by a spanning cell", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 2, startCol: 0, endRow: 2, endCol: 0 });
+  deleteRows(doc, { selection: sel, containerId: 'main' });
+  assert.equal(doc.get(['c11', 'rowspan']), 1, 'The spanning cell should be shortened.');
+  assert.deepEqual(layout(doc.get('t1')), [
+    ['0,0', '0,1', '0,2', '0,3'],
+    ['1,0', '1,1', '1,3'],
+    ['3,0', '3,1', '3,2', '3,3']
+  ]);
+});
+
+QUnit.test("Deleting the first row of a spanning cell", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 1, startCol: 0, endRow: 1, endCol: 0 });
+  deleteRows(doc, { selection: sel, containerId: 'main' });
+  assert.ok(doc.get('c11'), 'The spanning cell should be kept.');
+  assert.equal(doc.get(['c11', 'rowspan']), 1, 'The spanning cell should be shortened.');
+  assert.equal(doc.get(['c11', 'parent']), 'r2', 'The spanning cell should be moved into the next row.');
+  assert.deepEqual(layout(doc.get('t1')), [
+    ['0,0', '0,1', '0,2', '0,3'],
+    ['2,0', '1,1', '2,3'],
+    ['3,0', '3,1', '3,2', '3,3']
+  ]);
+  assert.equal(doc.get('t1').getMatrix().getCell(1, 3).node.id, 'c23', 'The matrix should be consistent.');
+});
+
+QUnit.test("Deleting all rows", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 0, endRow: 3, endCol: 0 });
+  var out = deleteRows(doc, { selection: sel, containerId: 'main' });
+  assert.isNullOrUndefined(doc.get('t1'), 'The table should be deleted.');
+  assert.isNullOrUndefined(doc.get('c11'), 'The cells should be deleted.');
+  assert.equal(doc.get('main').getPosition('t1'), -1, 'The table should be removed from the container.');
+  assert.ok(out.selection.isNull(), 'The selection should be null.');
+});
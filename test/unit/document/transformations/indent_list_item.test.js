@@ -0,0 +1,53 @@
+"use strict";
+
+require('../../qunit_extensions');
+var listSample = require('../../../fixtures/list_sample');
+var Document = require('../../../../document');
+var indentListItem = Document.Transformations.indentListItem;
+
+QUnit.module('Unit/Substance.Document/Transformations/indentListItem');
+
+QUnit.test("Indenting a list item", function(assert) {
+  var doc = listSample();
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['li3', 'content'],
+    startOffset: 2
+  });
+  var out = indentListItem(doc, { selection: sel, containerId: 'main' });
+  assert.equal(doc.get(['li3', 'level']), 2, 'li3 should be on the second level.');
+  assert.ok(out.selection.equals(sel), 'The selection should be kept.');
+});
+
+QUnit.test("Items are nested at most one level deeper than their predecessor", function(assert) {
+  var doc = listSample();
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['li2', 'content'],
+    startOffset: 0
+  });
+  indentListItem(doc, { selection: sel, containerId: 'main' });
+  assert.equal(doc.get(['li2', 'level']), 2, 'li2 should stay on the second level.');
+  sel = doc.createSelection({
+    type: 'property',
+    path: ['li1', 'content'],
+    startOffset: 0
+  });
+  indentListItem(doc, { selection: sel, containerId: 'main' });
+  assert.equal(doc.get(['li1', 'level']), 1, 'The first item should not be indented.');
+});
+
+QUnit.test("Indenting multiple list items", function(assert) {
+  var doc = listSample();
+  var sel = doc.createSelection({
+    type: 'container',
+    containerId: 'main',
+    startPath: ['li2', 'content'],
+    startOffset: 1,
+    endPath: ['li3', 'content'],
+    endOffset: 2
+  });
+  indentListItem(doc, { selection: sel, containerId: 'main' });
+  assert.equal(doc.get(['li2', 'level']), 2, 'li2 should stay on the second level.');
+  assert.equal(doc.get(['li3', 'level']), 2, 'li3 should be on the second level.');
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+require('../../qunit_extensions');
+var tableSample = require('../../../fixtures/table_sample');
+var layout = tableSample.layout;
+var Document = require('../../../../document');
+var insertColumns = Document.Transformations.insertColumns;
+
+QUnit.module('Unit/Substance.Document/Transformations/insertColumns');
+
+QUnit.test("Inserting a column after", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 3, endRow: 0, endCol: 3 });
+  var out = insertColumns(doc, { selection: sel, mode: 'after' });
+  var table = doc.get('t1');
+  assert.equal(table.getSize('col'), 5, 'The table should have five columns.');
+  assert.deepEqual(layout(table), [
+    ['0,0', '0,1', '0,2', '0,3', ''],
+    ['1,0', '1,1', '1,3', ''],
+    ['2,0', '2,3', ''],
+    ['3,0', '3,1', '3,2', '3,3', '']
+  ]);
+  assert.ok(out.selection.equals(sel), 'The selection should be kept.');
+});
+
+QUnit.test("Inserting a column before", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 1, endRow: 0, endCol: 1 });
+  var out = insertColumns(doc, { selection: sel, mode: 'before' });
+  assert.deepEqual(layout(doc.get('t1')), [
+    ['0,0', '', '0,1', '0,2', '0,3'],
+    ['1,0', '', '1,1', '1,3'],
+    ['2,0', '', '2,3'],
+    ['3,0', '', '3,1', '3,2', '3,3']
+  ]);
+  assert.equal(doc.get(['c11', 'colspan']), 2, 'The spanning cell should not be extended.');
+  assert.equal(out.selection.getRectangle().start.col, 2, 'The selection should be moved right.');
+});
+
+QUnit.test("Inserting columns through a spanning cell", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 0, endRow: 0, endCol: 1 });
+  insertColumns(doc, { selection: sel, mode: 'after' });
+  var table = doc.get('t1');
+  assert.equal(doc.get(['c11', 'colspan']), 4, 'The spanning cell should be extended once.');
+  assert.deepEqual(layout(table), [
+    ['0,0', '0,1', '', '', '0,2', '0,3'],
+    ['1,0', '1,1', '1,3'],
+    ['2,0', '2,3'],
+    ['3,0', '3,1', '', '', '3,2', '3,3']
+  ]);
+  assert.equal(table.getMatrix().getCell(2, 5).node.id, 'c23', 'The matrix should be consistent.');
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+require('../../qunit_extensions');
+var tableSample = require('../../../fixtures/table_sample');
+var layout = tableSample.layout;
+var Document = require('../../../../document');
+var insertRows = Document.Transformations.insertRows;
+
+QUnit.module('Unit/Substance.Document/Transformations/insertRows');
+
+QUnit.test("Inserting a row below", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 1, endRow: 0, endCol: 2 });
+  var out = insertRows(doc, { selection: sel, mode: 'below' });
+  var table = doc.get('t1');
+  assert.deepEqual(layout(table)[1], ['', '', '', ''], 'A row with four empty cells should be inserted.');
+  assert.equal(table.getSize('row'), 5, 'The table should have five rows.');
+  assert.ok(out.selection.equals(sel), 'The selection should be kept.');
+  var newCell = table.getSections()[0].getRows()[1].getCells()[0];
+  assert.equal(newCell.parent, table.getSections()[0].rows[1], 'The new cell should belong to the new row.');
+  assert.ok(doc.get('main').getComponent([newCell.id, 'content']), 'The container should have a component for the new cell.');
+});
+
+QUnit.test("Inserting a row above", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 1, startCol: 0, endRow: 1, endCol: 0 });
+  var out = insertRows(doc, { selection: sel, mode: 'above' });
+  var table = doc.get('t1');
+  assert.deepEqual(layout(table)[1], ['', '', '', ''], 'A row with four empty cells should be inserted.');
+  assert.equal(doc.get(['c11', 'rowspan']), 2, 'The spanning cell should not be extended.');
+  assert.equal(out.selection.getRectangle().start.row, 2, 'The selection should be moved down.');
+  assert.equal(out.selection.getRectangle().end.row, 2, 'The selection should be moved down.');
+});
+
+QUnit.test("Inserting a row through a spanning cell", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 1, startCol: 0, endRow: 1, endCol: 0 });
+  insertRows(doc, { selection: sel, mode: 'below' });
+  var table = doc.get('t1');
+  assert.deepEqual(layout(table), [
+    ['0,0', '0,1', '0,2', '0,3'],
+    ['1,0', '1,1', '1,3'],
+    ['', ''],
+    ['2,0', '2,3'],
+    ['3,0', '3,1', '3,2', '3,3']
+  ], 'Only the columns not covered by the spanning cell should get new cells.');
+  assert.equal(doc.get(['c11', 'rowspan']), 3, 'The spanning cell should be extended.');
+  var matrix = table.getMatrix();
+  assert.equal(matrix.getCell(3, 3).node.id, 'c23', 'The matrix should be consistent.');
+});
+
+QUnit.test("Inserting multiple rows", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 2, startCol: 0, endRow: 3, endCol: 3 });
+  insertRows(doc, { selection: sel, mode: 'below' });
+  var table = doc.get('t1');
+  assert.equal(table.getSize('row'), 6, 'Two rows should be inserted.');
+  assert.deepEqual(layout(table).slice(4), [['', '', '', ''], ['', '', '', '']], 'The rows should be appended.');
+});
@@ -2,6 +2,7 @@
 
 require('../../qunit_extensions');
 var sample1 = require('../../../fixtures/sample1');
+var listSample = require('../../../fixtures/list_sample');
 var Document = require('../../../../document');
 var merge = Document.Transformations.merge;
 
@@ -25,3 +26,63 @@ QUnit.test("Merging two paragraphs", function(assert) {
   assert.ok(selection.isCollapsed(), 'Selection should be collapsed.');
   assert.equal(selection.startOffset, 9, 'Cursor should be before the first character of the merged text.');
 });
+
+QUnit.test("Merging two list items", function(assert) {
+  var doc = listSample();
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['li3', 'content'],
+    startOffset: 0
+  });
+  var args = {selection: sel, containerId: 'main', path: ['li3', 'content'], direction: 'left'};
+  var out = merge(doc, args);
+  assert.equal(doc.get(['li2', 'content']), 'Item 2Item 3', 'Content of li3 should have been merged into li2.');
+  assert.isNullOrUndefined(doc.get('li3'), 'li3 should be gone.');
+  assert.deepEqual(doc.get(['l1', 'items']), ['li1', 'li2'], 'li3 should have been removed from the list.');
+  assert.deepEqual(out.selection.path, ['li2', 'content'], 'The selection should be in li2.');
+  assert.equal(out.selection.startOffset, 6, 'Cursor should be before the first character of the merged text.');
+});
+
+QUnit.test("Merging a nested list item to the left outdents it", function(assert) {
+  var doc = listSample();
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['li2', 'content'],
+    startOffset: 0
+  });
+  var args = {selection: sel, containerId: 'main', path: ['li2', 'content'], direction: 'left'};
+  merge(doc, args);
+  assert.equal(doc.get(['li2', 'level']), 1, 'li2 should have been outdented.');
+  assert.equal(doc.get(['li1', 'content']), 'Item 1', 'li1 should be unchanged.');
+});
+
+QUnit.test("Merging a paragraph into a list item", function(assert) {
+  var doc = listSample();
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['p2', 'content'],
+    startOffset: 0
+  });
+  var args = {selection: sel, containerId: 'main', path: ['p2', 'content'], direction: 'left'};
+  merge(doc, args);
+  assert.equal(doc.get(['li3', 'content']), 'Item 3Paragraph 2', 'Content of p2 should have been merged into li3.');
+  assert.isNullOrUndefined(doc.get('p2'), 'p2 should be gone.');
+  assert.deepEqual(doc.get('main').nodes, ['p1', 'l1'], 'p2 should have been removed from the container.');
+});
+
+QUnit.test("Merging the last list item into a paragraph", function(assert) {
+  var doc = listSample();
+  doc.set(['l1', 'items'], ['li1']);
+  doc.delete('li2');
+  doc.delete('li3');
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['p1', 'content'],
+    startOffset: 11
+  });
+  var args = {selection: sel, containerId: 'main', path: ['p1', 'content'], direction: 'right'};
+  merge(doc, args);
+  assert.equal(doc.get(['p1', 'content']), 'Paragraph 1Item 1', 'Content of li1 should have been merged into p1.');
+  assert.isNullOrUndefined(doc.get('l1'), 'The empty list should be deleted.');
+  assert.deepEqual(doc.get('main').nodes, ['p1', 'p2'], 'The list should have been removed from the container.');
+});
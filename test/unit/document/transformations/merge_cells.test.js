@@ -0,0 +1,54 @@
+"use strict";
+
+require('../../qunit_extensions');
+var tableSample = require('../../../fixtures/table_sample');
+var layout = tableSample.layout;
+var Document = require('../../../../document');
+var mergeCells = Document.Transformations.mergeCells;
+
+QUnit.module('Unit/Substance.Document/Transformations/mergeCells');
+
+QUnit.test("Merging cells of a row", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 1, endRow: 0, endCol: 3 });
+  var out = mergeCells(doc, { selection: sel });
+  assert.equal(doc.get(['c01', 'content']), '0,1 0,2 0,3', 'The contents should be concatenated.');
+  assert.equal(doc.get(['c01', 'colspan']), 3, 'The colspan should be updated.');
+  assert.isNullOrUndefined(doc.get('c02'), 'The merged cells should be deleted.');
+  assert.isNullOrUndefined(doc.get('main').getComponent(['c03', 'content']), 'The container should be updated.');
+  assert.deepEqual(doc.get(['r0', 'cells']), ['c00', 'c01'], 'The merged cells should be removed from the row.');
+  assert.ok(out.selection.equals(sel), 'The merged cell should be selected.');
+});
+
+QUnit.test("Merging extends the selection to spanning cells", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 2, startCol: 2, endRow: 2, endCol: 3 });
+  mergeCells(doc, { selection: sel });
+  assert.equal(doc.get(['c11', 'content']), '1,1 1,3 2,3', 'The contents should be concatenated.');
+  assert.equal(doc.get(['c11', 'colspan']), 3, 'The colspan should be updated.');
+  assert.equal(doc.get(['c11', 'rowspan']), 2, 'The rowspan should be kept.');
+  assert.deepEqual(layout(doc.get('t1')), [
+    ['0,0', '0,1', '0,2', '0,3'],
+    ['1,0', '1,1 1,3 2,3'],
+    ['2,0'],
+    ['3,0', '3,1', '3,2', '3,3']
+  ]);
+});
+
+QUnit.test("Merging preserves annotations", function(assert) {
+  var doc = tableSample();
+  doc.create({
+    type: 'emphasis',
+    id: 'e1',
+    path: ['c10', 'content'],
+    startOffset: 0,
+    endOffset: 3
+  });
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 0, endRow: 1, endCol: 0 });
+  mergeCells(doc, { selection: sel });
+  var anno = doc.get('e1');
+  assert.deepEqual(anno.path, ['c00', 'content'], 'The annotation should be moved to the merged cell.');
+  assert.equal(anno.startOffset, 4, 'The annotation should be shifted.');
+  assert.equal(anno.endOffset, 7, 'The annotation should be shifted.');
+  assert.equal(doc.get(['c00', 'rowspan']), 2, 'The rowspan should be updated.');
+});
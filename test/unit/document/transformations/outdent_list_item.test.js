@@ -0,0 +1,86 @@
+"use strict";
+
+require('../../qunit_extensions');
+var listSample = require('../../../fixtures/list_sample');
+var Document = require('../../../../document');
+var outdentListItem = Document.Transformations.outdentListItem;
+
+QUnit.module('Unit/Substance.Document/Transformations/outdentListItem');
+
+QUnit.test("Outdenting a nested list item", function(assert) {
+  var doc = listSample();
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['li2', 'content'],
+    startOffset: 2
+  });
+  var out = outdentListItem(doc, { selection: sel, containerId: 'main' });
+  assert.equal(doc.get(['li2', 'level']), 1, 'li2 should be on the first level.');
+  assert.ok(out.selection.equals(sel), 'The selection should be kept.');
+});
+
+QUnit.test("Outdenting a list item on the first level", function(assert) {
+  var doc = listSample();
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['li3', 'content'],
+    startOffset: 2
+  });
+  var out = outdentListItem(doc, { selection: sel, containerId: 'main' });
+  var main = doc.get('main');
+  var newId = main.nodes[2];
+  assert.isNullOrUndefined(doc.get('li3'), 'li3 should be gone.');
+  assert.deepEqual(doc.get(['l1', 'items']), ['li1', 'li2'], 'li3 should be removed from the list.');
+  assert.equal(doc.get(newId).type, 'paragraph', 'The item should have been turned into a paragraph after the list.');
+  assert.equal(doc.get([newId, 'content']), 'Item 3', 'The content should be kept.');
+  assert.deepEqual(out.selection.path, [newId, 'content'], 'The selection should be in the new paragraph.');
+  assert.equal(out.selection.startOffset, 2, 'The offset should be kept.');
+});
+
+QUnit.test("Outdenting a list item in the middle splits the list", function(assert) {
+  var doc = listSample();
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['li1', 'content'],
+    startOffset: 0
+  });
+  outdentListItem(doc, { selection: sel, containerId: 'main' });
+  var main = doc.get('main');
+  assert.equal(main.nodes.length, 4, 'There should be four nodes in the container.');
+  assert.isNullOrUndefined(doc.get('l1'), 'The list should be deleted as there are no items before the outdented one.');
+  var newList = doc.get(main.nodes[2]);
+  assert.equal(doc.get(main.nodes[1]).type, 'paragraph', 'The item should have become a paragraph.');
+  assert.deepEqual(newList.items, ['li2', 'li3'], 'The following items should have been moved into a new list.');
+  assert.equal(doc.get(['li2', 'parent']), newList.id, 'The moved items should belong to the new list.');
+  var paths = main.getComponents().map(function(comp) {
+    return comp.path[0];
+  });
+  assert.deepEqual(paths.slice(-3), ['li2', 'li3', 'p2'], 'The container components should be updated.');
+});
+
+QUnit.test("Outdenting a list item moves its nested items along", function(assert) {
+  var doc = listSample();
+  doc.set(['li3', 'level'], 3);
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['li2', 'content'],
+    startOffset: 0
+  });
+  outdentListItem(doc, { selection: sel, containerId: 'main' });
+  assert.equal(doc.get(['li2', 'level']), 1, 'li2 should be on the first level.');
+  assert.equal(doc.get(['li3', 'level']), 2, 'The nested item should be outdented too.');
+});
+
+QUnit.test("Nested items of an item leaving the list start on the first level", function(assert) {
+  var doc = listSample();
+  var sel = doc.createSelection({
+    type: 'property',
+    path: ['li1', 'content'],
+    startOffset: 0
+  });
+  outdentListItem(doc, { selection: sel, containerId: 'main' });
+  var newList = doc.get(doc.get('main').nodes[2]);
+  assert.deepEqual(newList.items, ['li2', 'li3'], 'The following items should have been moved into a new list.');
+  assert.equal(doc.get(['li2', 'level']), 1, 'The nested item should be on the first level of the new list.');
+  assert.equal(doc.get(['li3', 'level']), 1, 'Items which are not nested should keep their level.');
+});
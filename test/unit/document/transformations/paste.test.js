@@ -0,0 +1,88 @@
+"use strict";
+
+require('../../qunit_extensions');
+var tableSample = require('../../../fixtures/table_sample');
+var Document = require('../../../../document');
+var paste = Document.Transformations.paste;
+var copySelection = Document.Transformations.copySelection;
+
+QUnit.module('Unit/Substance.Document/Transformations/paste');
+
+QUnit.test("Pasting tab-separated text into a table", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 0, endRow: 0, endCol: 0 });
+  var out = paste(doc, { selection: sel, containerId: 'main', text: 'a\tb\nc\td\n' });
+  assert.equal(doc.get(['c00', 'content']), 'a');
+  assert.equal(doc.get(['c01', 'content']), 'b');
+  assert.equal(doc.get(['c10', 'content']), 'c');
+  assert.equal(doc.get(['c11', 'content']), 'd');
+  assert.equal(doc.get(['c02', 'content']), '0,2', 'Other cells should not be changed.');
+  var rect = out.selection.getRectangle();
+  assert.deepEqual([rect.start.row, rect.start.col, rect.end.row, rect.end.col], [0, 0, 1, 1], 'The pasted cells should be selected.');
+});
+
+QUnit.test("Fields covered by spanning cells are skipped", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 1, startCol: 1, endRow: 1, endCol: 1 });
+  paste(doc, { selection: sel, containerId: 'main', text: 'a\tb\tc' });
+  assert.equal(doc.get(['c11', 'content']), 'a');
+  assert.equal(doc.get(['c13', 'content']), 'c');
+});
+
+QUnit.test("Pasting grows the table", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 3, startCol: 2, endRow: 3, endCol: 2 });
+  paste(doc, { selection: sel, containerId: 'main', text: 'a\tb\tc\nd\te\tf' });
+  var table = doc.get('t1');
+  assert.deepEqual(table.getSize(), { rows: 5, cols: 5 }, 'A row and a column should be added.');
+  var matrix = table.getMatrix();
+  assert.equal(matrix.getCell(3, 4).node.content, 'c');
+  assert.equal(matrix.getCell(4, 2).node.content, 'd');
+  assert.equal(matrix.getCell(4, 4).node.content, 'f');
+  assert.equal(matrix.getCell(0, 4).node.content, '', 'The other rows should be extended with empty cells.');
+  assert.equal(matrix.getCell(2, 4).node.parent, 'r2', 'The new cells should belong to the rows.');
+});
+
+QUnit.test("Pasting a copied table into a table", function(assert) {
+  var doc = tableSample();
+  doc.create({
+    type: 'emphasis',
+    id: 'e1',
+    path: ['c00', 'content'],
+    startOffset: 0,
+    endOffset: 1
+  });
+  var copy = copySelection(doc, {
+    selection: doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 0, endRow: 0, endCol: 1 })
+  }).doc;
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 3, startCol: 2, endRow: 3, endCol: 2 });
+  paste(doc, { selection: sel, containerId: 'main', doc: copy, text: '' });
+  assert.equal(doc.get(['c32', 'content']), '0,0');
+  assert.equal(doc.get(['c33', 'content']), '0,1');
+  var annos = doc.getIndex('annotations').get(['c32', 'content']);
+  assert.equal(annos.length, 1, 'Annotations should be pasted.');
+  assert.equal(doc.get('e1').path[0], 'c00', 'The original annotation should be kept.');
+});
+
+QUnit.test("Pasting a table into a container", function(assert) {
+  var doc = tableSample();
+  var copy = copySelection(doc, {
+    selection: doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 0, endRow: 1, endCol: 1 })
+  }).doc;
+  var sel = doc.createSelection({ type: 'property', path: ['p2', 'content'], startOffset: 11 });
+  var out = paste(doc, { selection: sel, containerId: 'main', doc: copy, text: '' });
+  var main = doc.get('main');
+  assert.equal(main.nodes.length, 4, 'A node should be inserted.');
+  var table = doc.get(main.nodes[3]);
+  assert.equal(table.type, 'table', 'A table should be created.');
+  assert.notEqual(table.id, 't1', 'The table should get a new id.');
+  var matrix = table.getMatrix();
+  assert.deepEqual(matrix.getSize(), { rows: 2, cols: 2 });
+  var cell = matrix.getCell(1, 1).node;
+  assert.equal(cell.content, '1,1');
+  assert.notEqual(cell.id, 'c11', 'The cells should get new ids.');
+  assert.equal(cell.getParent().getParent().getParent().id, table.id, 'The structure should be consistent.');
+  assert.ok(main.getComponent([cell.id, 'content']), 'The container should have components for the cells.');
+  assert.deepEqual(out.selection.getPath(), [cell.id, 'content'], 'The selection should be after the pasted content.');
+  assert.equal(doc.get(['c11', 'parent']), 'r1', 'The original table should not be changed.');
+});
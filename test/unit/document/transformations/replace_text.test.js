@@ -0,0 +1,57 @@
+"use strict";
+
+require('../../qunit_extensions');
+var sample1 = require('../../../fixtures/sample1');
+var Document = require('../../../../document');
+var replaceText = Document.Transformations.replaceText;
+var replaceAll = Document.Transformations.replaceAll;
+
+QUnit.module('Unit/Substance.Document/Transformations/replaceText');
+
+QUnit.test("Replacing an annotated word", function(assert) {
+  var doc = sample1();
+  var sel = doc.findText('annotation', { containerId: 'main' })[0];
+  var out = replaceText(doc, { selection: sel, text: 'emphasis' });
+  assert.equal(doc.get(['p2', 'content']), 'Paragraph with emphasis', 'The text should be replaced.');
+  assert.equal(doc.get(['em1', 'startOffset']), 15, 'The annotation should start at the replacement.');
+  assert.equal(doc.get(['em1', 'endOffset']), 23, 'The annotation should cover the replacement.');
+  assert.equal(out.selection.startOffset, 15, 'The selection should cover the replacement.');
+  assert.equal(out.selection.endOffset, 23, 'The selection should cover the replacement.');
+});
+
+QUnit.test("Replacing text before and inside an annotation", function(assert) {
+  var doc = sample1();
+  var sel = doc.createSelection({ type: 'property', path: ['p2', 'content'], startOffset: 0, endOffset: 9 });
+  replaceText(doc, { selection: sel, text: 'A paragraph' });
+  assert.equal(doc.get(['em1', 'startOffset']), 17, 'The annotation should be shifted.');
+  assert.equal(doc.get(['em1', 'endOffset']), 27, 'The annotation should be shifted.');
+  sel = doc.createSelection({ type: 'property', path: ['p2', 'content'], startOffset: 19, endOffset: 21 });
+  replaceText(doc, { selection: sel, text: 'NNN' });
+  assert.equal(doc.get(['p2', 'content']), 'A paragraph with anNNNtation', 'The text should be replaced.');
+  assert.equal(doc.get(['em1', 'endOffset']), 28, 'The annotation should be expanded.');
+});
+
+QUnit.test("Replacing an annotated word by nothing", function(assert) {
+  var doc = sample1();
+  var sel = doc.createSelection({ type: 'property', path: ['p2', 'content'], startOffset: 15, endOffset: 25 });
+  replaceText(doc, { selection: sel, text: '' });
+  assert.equal(doc.get(['p2', 'content']), 'Paragraph with ', 'The text should be deleted.');
+  assert.isNullOrUndefined(doc.get('em1'), 'The collapsed annotation should be deleted.');
+});
+
+QUnit.test("Replacing all occurrences", function(assert) {
+  var doc = sample1();
+  doc.FORCE_TRANSACTIONS = true;
+  var result;
+  doc.transaction(function(tx) {
+    result = replaceAll(tx, { pattern: 'a', text: 'ä', containerId: 'main' });
+    return result;
+  });
+  assert.equal(result.count, 11, 'All occurrences should be replaced.');
+  assert.equal(doc.get(['p2', 'content']), 'Pärägräph with ännotätion', 'The text should be replaced.');
+  assert.deepEqual(result.selection.getPath(), ['p1', 'content'], 'The first replacement should be selected.');
+  assert.equal(doc.get(['em1', 'startOffset']), 15, 'Annotations should be preserved.');
+  assert.equal(doc.get(['em1', 'endOffset']), 25, 'Annotations should be preserved.');
+  doc.undo();
+  assert.equal(doc.get(['p2', 'content']), 'Paragraph with annotation', 'Replacing should be undoable at once.');
+});
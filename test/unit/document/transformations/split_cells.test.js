@@ -0,0 +1,36 @@
+"use strict";
+
+require('../../qunit_extensions');
+var tableSample = require('../../../fixtures/table_sample');
+var layout = tableSample.layout;
+var Document = require('../../../../document');
+var splitCells = Document.Transformations.splitCells;
+
+QUnit.module('Unit/Substance.Document/Transformations/splitCells');
+
+QUnit.test("Splitting a spanning cell", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 2, startCol: 2, endRow: 2, endCol: 2 });
+  var out = splitCells(doc, { selection: sel });
+  assert.equal(doc.get(['c11', 'rowspan']), 1, 'The rowspan should be reset.');
+  assert.equal(doc.get(['c11', 'colspan']), 1, 'The colspan should be reset.');
+  var table = doc.get('t1');
+  assert.deepEqual(layout(table), [
+    ['0,0', '0,1', '0,2', '0,3'],
+    ['1,0', '1,1', '', '1,3'],
+    ['2,0', '', '', '2,3'],
+    ['3,0', '3,1', '3,2', '3,3']
+  ]);
+  var newCell = table.getMatrix().getCell(2, 1).node;
+  assert.equal(newCell.parent, 'r2', 'The new cell should belong to the row.');
+  assert.ok(doc.get('main').getComponent([newCell.id, 'content']), 'The container should have a component for the new cell.');
+  assert.ok(out.selection.equals(sel), 'The selection should be kept.');
+});
+
+QUnit.test("Splitting cells without spans", function(assert) {
+  var doc = tableSample();
+  var sel = doc.createSelection({ type: 'table', tableId: 't1', startRow: 0, startCol: 0, endRow: 0, endCol: 3 });
+  splitCells(doc, { selection: sel });
+  assert.equal(doc.get('t1').getMatrix().getSize().cols, 4, 'The table should not change.');
+  assert.deepEqual(doc.get(['r0', 'cells']), ['c00', 'c01', 'c02', 'c03'], 'The table should not change.');
+});
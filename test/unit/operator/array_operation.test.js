@@ -275,3 +275,98 @@ QUnit.test("Conflicts: when NOP involved", function(assert) {
   var b = new ArrayOperation({type: ArrayOperation.NOP});
   assert.ok(!a.hasConflict(b) && !b.hasConflict(a), "NOPs should never conflict.");
 });
+
+QUnit.test("Move element", function(assert) {
+  var arr = [1,2,3,4];
+  ArrayOperation.Move(0, 2, 1).apply(arr);
+  assert.deepEqual(arr, [2,3,1,4], 'Should move element forward.');
+  ArrayOperation.Move(3, 0, 4).apply(arr);
+  assert.deepEqual(arr, [4,2,3,1], 'Should move element backward.');
+  assert.throws(function() {
+    ArrayOperation.Move(0, 4, 4).apply(arr);
+  }, "Should throw if the target is out of range.");
+  assert.throws(function() {
+    ArrayOperation.Move(0, 1, 2).apply(arr);
+  }, "Should throw if the value is not at the given position.");
+  assert.throws(function() {
+    new ArrayOperation({ type: ArrayOperation.MOVE, pos: 0, val: 1 });
+  }, "Should throw for missing target.");
+});
+
+QUnit.test("Inverting a move", function(assert) {
+  var arr = [1,2,3,4];
+  var op = ArrayOperation.Move(1, 3, 2);
+  var inverse = op.invert();
+  assert.ok(inverse.isMove(), 'Inverse should be a move.');
+  assert.deepEqual(inverse.invert().toJSON(), op.toJSON(), 'Inverting twice should give the original operation.');
+  assert.deepEqual(inverse.apply(op.apply(arr.slice(0))), arr, 'Inverse should restore the original array.');
+});
+
+QUnit.test("JSON de-/serialisation of a move", function(assert) {
+  var op = ArrayOperation.Move(1, 3, 'b');
+  var data = op.toJSON();
+  assert.deepEqual(data, { type: ArrayOperation.MOVE, pos: 1, target: 3, val: 'b' }, 'Move should be serialized.');
+  assert.deepEqual(ArrayOperation.fromJSON(data).toJSON(), data, 'Move should be deserialized.');
+});
+
+QUnit.test("Transformation: a=Insert, b=Move", function(assert) {
+  var input = [1,2,3,4];
+  var a = ArrayOperation.Insert(2, 'x');
+  var b = ArrayOperation.Move(0, 3, 1);
+  assert.checkArrayOperationTransform(a, b, input, [2,'x',3,4,1]);
+  assert.checkArrayOperationTransform(b, a, input, [2,'x',3,4,1]);
+  a = ArrayOperation.Insert(0, 'x');
+  b = ArrayOperation.Move(3, 0, 4);
+  assert.checkArrayOperationTransform(a, b, input, ['x',4,1,2,3]);
+  assert.checkArrayOperationTransform(b, a, input, ['x',4,1,2,3]);
+});
+
+QUnit.test("Transformation: a=Delete, b=Move", function(assert) {
+  var input = [1,2,3,4];
+  var a = ArrayOperation.Delete(1, 2);
+  var b = ArrayOperation.Move(0, 3, 1);
+  assert.checkArrayOperationTransform(a, b, input, [3,4,1]);
+  assert.checkArrayOperationTransform(b, a, input, [3,4,1]);
+});
+
+QUnit.test("Transformation: a=Delete, b=Move, the moved element is deleted", function(assert) {
+  var input = [1,2,3,4];
+  var a = ArrayOperation.Delete(0, 1);
+  var b = ArrayOperation.Move(0, 2, 1);
+  assert.checkArrayOperationTransform(a, b, input, [2,3,4]);
+  assert.checkArrayOperationTransform(b, a, input, [2,3,4]);
+});
+
+QUnit.test("Transformation: a=Move, b=Move", function(assert) {
+  var input = [1,2,3,4,5];
+  var a = ArrayOperation.Move(0, 4, 1);
+  var b = ArrayOperation.Move(4, 0, 5);
+  assert.checkArrayOperationTransform(a, b, input, [5,2,3,4,1]);
+  assert.checkArrayOperationTransform(b, a, input, [5,2,3,4,1]);
+  // moving to the same position
+  a = ArrayOperation.Move(0, 2, 1);
+  b = ArrayOperation.Move(4, 3, 5);
+  assert.checkArrayOperationTransform(a, b, input, [2,3,1,5,4]);
+  assert.checkArrayOperationTransform(b, a, input, [2,3,5,1,4]);
+});
+
+QUnit.test("Transformation: a=Move, b=Move, the same element", function(assert) {
+  var input = [1,2,3,4];
+  var a = ArrayOperation.Move(0, 2, 1);
+  var b = ArrayOperation.Move(0, 3, 1);
+  // the second operation wins
+  assert.checkArrayOperationTransform(a, b, input, [2,3,4,1]);
+  assert.checkArrayOperationTransform(b, a, input, [2,3,1,4]);
+});
+
+QUnit.test("Conflicts: moving an element which is moved or deleted concurrently", function(assert) {
+  var a = ArrayOperation.Move(1, 3, 'a');
+  var b = ArrayOperation.Move(1, 0, 'a');
+  var c = ArrayOperation.Delete(1, 'a');
+  var d = ArrayOperation.Insert(1, 'b');
+  var e = ArrayOperation.Move(2, 0, 'c');
+  assert.ok(a.hasConflict(b) && b.hasConflict(a), "Moving the same element is a conflict.");
+  assert.ok(a.hasConflict(c) && c.hasConflict(a), "Moving a deleted element is a conflict.");
+  assert.ok(!a.hasConflict(d) && !d.hasConflict(a), "Inserting and moving is not a conflict.");
+  assert.ok(!a.hasConflict(e) && !e.hasConflict(a), "Moving different elements is not a conflict.");
+});
@@ -6,6 +6,7 @@ var Operator = require('../../../operator');
 var ObjectOperation = Operator.ObjectOperation;
 var ArrayOperation = Operator.ArrayOperation;
 var TextOperation = Operator.TextOperation;
+var Conflict = require('../../../operator/conflict');
 
 QUnit.module('Unit/Substance.Operator/ObjectOperation');
 
@@ -231,46 +232,57 @@ QUnit.test("Transformation: everything easy when NOP involved", function(assert)
   assert.deepEqual(t[1].toJSON(), b.toJSON());
 });
 
-QUnit.test("Transformation: creating the same value (unresolvable conflict)", function(assert) {
+QUnit.test("Transformation: creating the same value", function(assert) {
   var path = ["a"];
   var val1 = "bla";
   var val2 = "blupp";
   var a = ObjectOperation.Create(path, val1);
   var b = ObjectOperation.Create(path, val2);
-  assert.throws(function() {
-    ObjectOperation.transform(a, b);
-  });
+  var input = {};
+  assert.checkObjectOperationTransform(a, b, input, {a: "blupp"});
+  assert.checkObjectOperationTransform(b, a, input, {a: "bla"});
+  // creating the same value twice has the effect of a single create
+  a = ObjectOperation.Create(path, val1);
+  b = ObjectOperation.Create(path, val1);
+  var t = ObjectOperation.transform(a, b);
+  assert.ok(t[0].isNOP() && t[1].isNOP(), "Both operations should be turned into NOPs.");
 });
 
-QUnit.test("Transformation: creating and updating the same value (unresolvable conflict)", function(assert) {
+QUnit.test("Transformation: creating and updating the same value", function(assert) {
   var path = ["a"];
   var val1 = "bla";
   var a = ObjectOperation.Create(path, val1);
   var b = ObjectOperation.Update(path, TextOperation.Insert(1, 'b'));
-  assert.throws(function() {
-    ObjectOperation.transform(a, b);
-  });
+  var input = {a: "bla"};
+  var expected = {a: "bla"};
+  assert.checkObjectOperationTransform(a, b, input, expected);
+  assert.checkObjectOperationTransform(b, a, input, expected);
 });
 
-QUnit.test("Transformation: creating and setting the same value (unresolvable conflict)", function(assert) {
+QUnit.test("Transformation: creating and setting the same value", function(assert) {
   var path = ["a"];
   var val1 = "bla";
   var val2 = "blupp";
   var a = ObjectOperation.Create(path, val1);
   var b = ObjectOperation.Set(path, val1, val2);
-  assert.throws(function() {
-    ObjectOperation.transform(a, b);
-  });
+  var input = {};
+  assert.checkObjectOperationTransform(a, b, input, {a: "blupp"});
+  assert.checkObjectOperationTransform(b, a, input, {a: "bla"});
 });
 
-QUnit.test("Transformation: creating and deleting the same value (unresolvable conflict)", function(assert) {
+QUnit.test("Transformation: creating and deleting the same value", function(assert) {
   var path = ["a"];
   var val1 = "bla";
   var a = ObjectOperation.Create(path, val1);
   var b = ObjectOperation.Delete(path, val1);
-  assert.throws(function() {
-    ObjectOperation.transform(a, b);
-  });
+  var t = ObjectOperation.transform(a, b);
+  assert.ok(t[0].isNOP(), "Create should be turned into a NOP.");
+  assert.ok(t[1].isDelete(), "Delete should be preserved.");
+  assert.deepEqual(t[1].apply(a.apply({})), {}, "Delete should remove the created value.");
+  t = ObjectOperation.transform(b, a);
+  assert.ok(t[0].isNOP(), "Delete should be turned into a NOP.");
+  assert.ok(t[1].isCreate(), "Create should be preserved.");
+  assert.deepEqual(t[1].apply(b.apply({a: val1})), {a: val1}, "Value should be created again.");
 });
 
 QUnit.test("Transformation: deleting the same value", function(assert) {
@@ -314,6 +326,21 @@ QUnit.test("Transformation: deleting and setting the same value", function(asser
   assert.checkObjectOperationTransform(b, a, input, expected2);
 });
 
+QUnit.test("Transformation: deleting a value and updating it to an empty string", function(assert) {
+  var path = ["a"];
+  var a = ObjectOperation.Delete(path, "bla");
+  var b = ObjectOperation.Update(path, TextOperation.Delete(0, "bla"));
+  var input = {a : "bla"};
+  var expected1 = {a: ""};
+  var expected2 = {};
+  assert.checkObjectOperationTransform(a, b, input, expected1);
+  assert.checkObjectOperationTransform(b, a, input, expected2);
+  var t = ObjectOperation.transform(a, b);
+  assert.equal(t[1].getValue(), "", "Transformed update should create an empty string.");
+  assert.equal(t[1].clone().getValue(), "", "Transformed update should be clonable.");
+  assert.equal(ObjectOperation.fromJSON(t[1].toJSON()).getValue(), "", "Transformed update should be deserializable.");
+});
+
 QUnit.test("Transformation: updating the same value", function(assert) {
   var path = ["a"];
   var a = ObjectOperation.Update(path, TextOperation.Insert(3, "pp"));
@@ -333,13 +360,46 @@ QUnit.test("Transformation: updating the same value", function(assert) {
   assert.checkObjectOperationTransform(b, a, input, expected2);
 });
 
-QUnit.test("Transformation: updating and setting the same value (unresolvable conflict)", function(assert) {
+QUnit.test("Transformation: updating the same value with text sequences", function(assert) {
+  var path = ["a"];
+  var a = ObjectOperation.Update(path, TextOperation.Sequence([{ retain: 6 }, { 'delete': 'ipsum' }, { insert: 'dolor' }]));
+  var b = ObjectOperation.Update(path, TextOperation.Sequence([{ insert: 'X ' }, { retain: 11 }, { insert: '.' }]));
+  var input = {a : "Lorem ipsum"};
+  var expected = {a: "X Lorem dolor."};
+  assert.checkObjectOperationTransform(a, b, input, expected);
+  assert.checkObjectOperationTransform(b, a, input, expected);
+});
+
+QUnit.test("Transformation: updating and setting the same value", function(assert) {
   var path = ["a"];
   var a = ObjectOperation.Update(path, TextOperation.Insert(3, "ff"));
   var b = ObjectOperation.Set(path, "bla", "blupp");
+  var input = {a : "bla"};
+  var expected = {a: "blupp"};
+  assert.checkObjectOperationTransform(a, b, input, expected);
+  assert.checkObjectOperationTransform(b, a, input, expected);
+  var t = ObjectOperation.transform(a, b);
+  assert.equal(t[1].original, "blaff", "Transformed set should have the updated value as original.");
+});
+
+QUnit.test("Transformation: updating the same value with different property types (unresolvable conflict)", function(assert) {
+  var path = ["a"];
+  var a = ObjectOperation.Update(path, TextOperation.Insert(3, "ff"));
+  var b = ObjectOperation.Update(path, ArrayOperation.Insert(1, 2));
   assert.throws(function() {
     ObjectOperation.transform(a, b);
-  });
+  }, Conflict);
+});
+
+QUnit.test("Transformation: deleting a value and updating a contained value", function(assert) {
+  var a = ObjectOperation.Delete(["p1"], { id: "p1", content: "bla" });
+  var b = ObjectOperation.Update(["p1", "content"], TextOperation.Insert(3, "pp"));
+  var input = { p1: { id: "p1", content: "bla" } };
+  var expected = {};
+  assert.checkObjectOperationTransform(a, b, input, expected);
+  assert.checkObjectOperationTransform(b, a, input, expected);
+  var t = ObjectOperation.transform(a, b);
+  assert.deepEqual(t[0].getValue(), { id: "p1", content: "blapp" }, "Transformed delete should contain the updated value.");
 });
 
 QUnit.test("Transformation: setting the same value", function(assert) {
@@ -243,3 +243,144 @@ QUnit.test("With option 'no-conflict' conflicting operations can not be transfor
     TextOperation.transform(a, b, { "no-conflict": true });
   }, 'Transforming conflicting ops should throw when option "no-conflict" is enabled.');
 });
+
+QUnit.test("Sequence: apply", function(assert) {
+  var input = "Lorem ipsum dolor";
+  var op = TextOperation.Sequence([{ retain: 6 }, { 'delete': 'ipsum' }, { insert: 'amet' }, { retain: 1 }, { insert: 'sit ' }]);
+  assert.equal(op.apply(input), "Lorem amet sit dolor", 'Sequence should be applied.');
+  assert.ok(op.isSequence(), 'Operation should be a sequence.');
+  assert.equal(op.getLength(), 13, 'Length should be the number of inserted and deleted characters.');
+  assert.throws(function() {
+    TextOperation.Sequence([{ retain: 20 }, { insert: 'bla' }]).apply(input);
+  }, "Should throw if string is too short.");
+});
+
+QUnit.test("Sequence: invalid arguments", function(assert) {
+  assert.throws(function() {
+    TextOperation.Sequence([{ retain: -1 }]);
+  }, "Should throw for negative retain.");
+  assert.throws(function() {
+    TextOperation.Sequence([{ insert: 1 }]);
+  }, "Should throw for non-string insert.");
+  assert.throws(function() {
+    TextOperation.Sequence([{ foo: 'bar' }]);
+  }, "Should throw for unknown components.");
+});
+
+QUnit.test("Sequence: components are normalized", function(assert) {
+  var op = TextOperation.Sequence([{ retain: 2 }, { retain: 3 }, { insert: '' }, { 'delete': 'a' }, { insert: 'b' }, { insert: 'c' }, { retain: 5 }]);
+  assert.deepEqual(op.getComponents(), [{ retain: 5 }, { insert: 'bc' }, { 'delete': 'a' }], 'Components should be merged and trailing retain removed.');
+  assert.deepEqual(TextOperation.Insert(3, 'bla').getComponents(), [{ retain: 3 }, { insert: 'bla' }], 'Insert should be expressed as components.');
+});
+
+QUnit.test("Sequence: inversion", function(assert) {
+  var input = "Lorem ipsum dolor";
+  var op = TextOperation.Sequence([{ retain: 6 }, { 'delete': 'ipsum' }, { insert: 'amet' }]);
+  assert.equal(op.invert().apply(op.apply(input)), input, 'Inverted sequence should revert the change.');
+});
+
+QUnit.test("Sequence: JSON serialisation", function(assert) {
+  var op = TextOperation.Sequence([{ retain: 6 }, { 'delete': 'ipsum' }, { insert: 'amet' }]);
+  var data = JSON.parse(JSON.stringify(op.toJSON()));
+  assert.equal(data.type, TextOperation.SEQUENCE, 'Type should be serialized.');
+  var restored = TextOperation.fromJSON(data);
+  assert.deepEqual(restored.getComponents(), op.getComponents(), 'Components should be restored.');
+});
+
+QUnit.test("Compose: typing burst", function(assert) {
+  var input = "Lorem ipsum";
+  var op = TextOperation.Insert(6, "b");
+  op = op.compose(TextOperation.Insert(7, "l"));
+  op = op.compose(TextOperation.Insert(8, "a "));
+  assert.ok(op.isInsert(), 'Composition of adjacent inserts should be a single insert.');
+  assert.equal(op.str, "bla ", 'Inserted strings should be concatenated.');
+  assert.equal(op.apply(input), "Lorem bla ipsum", 'Composed operation should be applied.');
+});
+
+QUnit.test("Compose: replace", function(assert) {
+  var input = "Lorem ipsum dolor";
+  var a = TextOperation.Delete(6, "ipsum");
+  var b = TextOperation.Insert(6, "amet");
+  var op = TextOperation.compose(a, b);
+  assert.ok(op.isSequence(), 'Composition of a delete and an insert should be a sequence.');
+  assert.equal(op.apply(input), b.apply(a.apply(input)), 'Composed operation should have the same effect.');
+});
+
+QUnit.test("Compose: insert and delete cancel out", function(assert) {
+  var input = "Lorem ipsum";
+  var a = TextOperation.Insert(6, "bla ");
+  var b = TextOperation.Delete(6, "bla ");
+  var op = TextOperation.compose(a, b);
+  assert.ok(op.isNOP(), 'Composed operation should be a NOP.');
+  assert.equal(op.apply(input), input, 'Composed operation should not change the string.');
+});
+
+QUnit.test("Compose: sequences", function(assert) {
+  var input = "Lorem ipsum dolor sit amet";
+  var a = TextOperation.Sequence([{ retain: 6 }, { 'delete': 'ipsum ' }, { retain: 6 }, { insert: 'bla ' }]);
+  var b = TextOperation.Sequence([{ insert: 'X' }, { retain: 10 }, { 'delete': 'la s' }, { retain: 3 }, { insert: 'Y' }]);
+  var op = TextOperation.compose(a, b);
+  assert.equal(op.apply(input), b.apply(a.apply(input)), 'Composed operation should have the same effect.');
+});
+
+QUnit.test("Transformation: sequence vs Insert", function(assert) {
+  var input = "Lorem ipsum dolor";
+  var expected = "Lorem amet dolor sit";
+  var a = TextOperation.Sequence([{ retain: 6 }, { 'delete': 'ipsum' }, { insert: 'amet' }]);
+  var b = TextOperation.Insert(17, " sit");
+  assert.checkTextTransform(a, b, input, expected);
+  assert.checkTextTransform(b, a, input, expected);
+});
+
+QUnit.test("Transformation: sequence vs sequence", function(assert) {
+  var input = "Lorem ipsum dolor sit amet";
+  var expected = "XLorem dolor Ysit Z";
+  var a = TextOperation.Sequence([{ insert: 'X' }, { retain: 6 }, { 'delete': 'ipsum ' }, { retain: 6 }, { insert: 'Y' }]);
+  var b = TextOperation.Sequence([{ retain: 22 }, { 'delete': 'amet' }, { insert: 'Z' }]);
+  assert.checkTextTransform(a, b, input, expected);
+  assert.checkTextTransform(b, a, input, expected);
+});
+
+QUnit.test("Transformation: sequence with overlapping deletes", function(assert) {
+  var input = "Lorem ipsum dolor sit amet";
+  var expected = "Lorem amet";
+  var a = TextOperation.Sequence([{ retain: 6 }, { 'delete': 'ipsum dolor ' }, { retain: 4 }]);
+  var b = TextOperation.Sequence([{ retain: 12 }, { 'delete': 'dolor sit ' }]);
+  assert.checkTextTransform(a, b, input, expected);
+  assert.checkTextTransform(b, a, input, expected);
+});
+
+QUnit.test("Transformation: insert inside of a deleted range of a sequence", function(assert) {
+  var input = "Lorem dolor sit amet";
+  var expected = "Lorem X amet";
+  var a = TextOperation.Insert(12, "ipsum ");
+  var b = TextOperation.Sequence([{ retain: 6 }, { 'delete': 'dolor sit' }, { insert: 'X' }]);
+  assert.checkTextTransform(a, b, input, expected);
+  assert.checkTextTransform(b, a, input, expected);
+});
+
+QUnit.test("Transformation of sequences can be done inplace", function(assert) {
+  var a = TextOperation.Sequence([{ retain: 6 }, { insert: 'bla ' }, { retain: 2 }, { insert: 'x' }]);
+  var b = TextOperation.Insert(0, "foo ");
+  var t = TextOperation.transform(a, b, {inplace: true});
+  assert.ok(t[0] === a && t[1] === b, "Transformation should be done inplace.");
+  assert.equal(a.apply("foo Lorem ipsum"), "foo Lorem bla ipxsum", "Transformed operation should be applicable.");
+});
+
+QUnit.test("Conflict: sequences", function(assert) {
+  var a = TextOperation.Sequence([{ retain: 2 }, { insert: 'x' }, { retain: 6 }, { 'delete': 'bla' }]);
+  var b = TextOperation.Insert(9, "blupp");
+  var c = TextOperation.Insert(4, "blupp");
+  assert.ok(a.hasConflict(b) && b.hasConflict(a), 'Insert within a deleted range of a sequence should be a conflict.');
+  assert.notOk(a.hasConflict(c), 'Independent changes should not be a conflict.');
+});
+
+QUnit.test("Mapping offsets", function(assert) {
+  // 'Lorem ipsum' -> 'xLorem sum'
+  var op = TextOperation.Sequence([{ insert: 'x' }, { retain: 6 }, { 'delete': 'ip' }]);
+  assert.equal(op.mapOffset(0), 0, 'Insertion at the offset should not shift it.');
+  assert.equal(op.mapOffset(0, true), 1, 'Insertion at the offset should shift it if requested.');
+  assert.equal(op.mapOffset(3), 4, 'Offsets after an insertion should be shifted.');
+  assert.equal(op.mapOffset(7), 7, 'Offsets within a deleted range should be moved to its start.');
+  assert.equal(op.mapOffset(11), 10, 'Offsets after a deletion should be shifted.');
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var _ = require('../../helpers');
+
+// Temporary directories for tests of file system implementations,
+// which are only available in node.js.
+
+var isAvailable = !!fs.mkdtempSync;
+
+var create = function() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'substance-'));
+};
+
+var remove = function(dir) {
+  _.each(fs.readdirSync(dir), function(name) {
+    var file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      remove(file);
+    } else {
+      fs.unlinkSync(file);
+    }
+  });
+  fs.rmdirSync(dir);
+};
+
+module.exports = {
+  isAvailable: isAvailable,
+  create: create,
+  remove: remove
+};
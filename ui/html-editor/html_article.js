@@ -9,6 +9,8 @@ var ListItem = Document.ListItem;
 var Emphasis = Document.Emphasis;
 var Strong = Document.Strong;
 var Link = Document.Link;
+var Image = Document.Image;
+var Figure = Document.Figure;
 
 var HtmlImporter = Document.HtmlImporter;
 var HtmlExporter = Document.HtmlExporter;
@@ -26,6 +28,7 @@ schema.addNodes([
   Paragraph,
   Heading,
   List, ListItem,
+  Image, Figure,
   Emphasis,
   Strong,
   Link
@@ -7,11 +7,15 @@ var Registry = require('../../basics/registry');
 
 var ToolComponent = require('../tools/tool_component');
 var TextToolComponent = require('../tools/text_tool_component');
+var TableToolComponent = require('../tools/table_tool_component');
+var TableToolGroup = require('../tools/table_tool_group');
 var ContainerComponent = require('../nodes/container_node_component');
 var ParagraphComponent = require('../nodes/paragraph_component');
 var HeadingComponent = require('../nodes/heading_component');
 var ListComponent = require('../nodes/list_component');
 var LinkComponent = require('../nodes/link_component');
+var ImageComponent = require('../nodes/image_component');
+var FigureComponent = require('../nodes/figure_component');
 var HtmlArticle = require("./html_article");
 var DefaultToolbar = require('./default_toolbar');
 
@@ -24,7 +28,9 @@ var components = {
   "paragraph": ParagraphComponent,
   "heading": HeadingComponent,
   "list": ListComponent,
-  "link": LinkComponent
+  "link": LinkComponent,
+  "image": ImageComponent,
+  "figure": FigureComponent
 };
 
 var tools = Surface.Tools;
@@ -127,5 +133,8 @@ var HtmlEditor = Component.extend({
 // Expose some more useful components
 HtmlEditor.ToolComponent = ToolComponent;
 HtmlEditor.TextToolComponent = TextToolComponent;
+HtmlEditor.TableToolComponent = TableToolComponent;
+// for toolbars of editors whose schema has tables
+HtmlEditor.TableToolGroup = TableToolGroup;
 
 module.exports = HtmlEditor;
@@ -1,9 +1,11 @@
 "use strict";
 
+var _ = require('../../basics/helpers');
 var OO = require('../../basics/oo');
 var Component = require('../component');
 var $$ = Component.$$;
 var UnsupporedNode = require('./unsupported_node');
+var PlaceholderNode = require('./placeholder_node');
 var Surface = require('../../surface');
 
 function ContainerNodeComponent() {
@@ -37,6 +39,13 @@ ContainerNodeComponent.Prototype = function() {
     var containerNode = this.props.node;
     var componentRegistry = this.context.componentRegistry;
     return containerNode.nodes.map(function(nodeId) {
+      // Note: using a different key, so that the placeholder gets replaced when the node has been loaded
+      if (doc.isLoaded && !doc.isLoaded(nodeId)) {
+        return $$(PlaceholderNode).key('placeholder:' + nodeId).addProps({
+          doc: doc,
+          nodeId: nodeId
+        });
+      }
       var node = doc.get(nodeId);
       var ComponentClass = componentRegistry.get(node.type);
       if (!ComponentClass) {
@@ -62,7 +71,8 @@ ContainerNodeComponent.Prototype = function() {
 
   this.didMount = function() {
     this.props.doc.connect(this, {
-      'document:changed': this.onDocumentChange
+      'document:changed': this.onDocumentChange,
+      'nodes:loaded': this.onNodesLoaded
     });
     this.surface.attach(this.$el[0]);
   };
@@ -79,6 +89,16 @@ ContainerNodeComponent.Prototype = function() {
     }
   };
 
+  this.onNodesLoaded = function(nodeIds) {
+    var containerNode = this.props.node;
+    var affected = _.find(nodeIds, function(nodeId) {
+      return containerNode.getPosition(nodeId) >= 0;
+    });
+    if (affected) {
+      this.rerender();
+    }
+  };
+
   this._initialize = function() {
     var doc = this.props.doc;
     var editor = this.props.editor;
@@ -11,13 +11,18 @@ function ImageComponent() {
 ImageComponent.Prototype = function() {
 
   this.render = function() {
-    return $$('img')
+    var node = this.props.node;
+    var el = $$('img')
       .addClass('image')
       .attr({
-        "data-id": this.props.node.id,
+        "data-id": node.id,
         contentEditable: false,
-        src: this.props.node.src,
+        src: node.src,
+        alt: node.alt || ""
       });
+    if (node.width !== undefined) el.attr('width', node.width);
+    if (node.height !== undefined) el.attr('height', node.height);
+    return el;
   };
 
   this.didMount = function() {
@@ -31,7 +36,9 @@ ImageComponent.Prototype = function() {
   };
 
   this.handleDocumentChange = function(change) {
-    if (change.isAffected([this.props.node.id, "src"])) {
+    var id = this.props.node.id;
+    if (change.isAffected([id, "src"]) || change.isAffected([id, "alt"]) ||
+        change.isAffected([id, "width"]) || change.isAffected([id, "height"])) {
       this.rerender();
     }
   };
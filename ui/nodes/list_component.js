@@ -14,14 +14,52 @@ var ListComponent = Component.extend({
       .attr("data-id", this.props.node.id);
 
     // TODO: lists can not be mixed atm. i.e., they are either ol or ul
-    // the level is rendered via CSS
+    // Items of a higher level are rendered into a nested list within the preceding item.
+    var lists = [el];
+    var lastItems = [null];
     _.each(this.props.node.getItems(), function(listItem) {
-      el.append($$('li')
+      var level = Math.max(listItem.level, 1);
+      while (lists.length > level) {
+        lists.pop();
+        lastItems.pop();
+      }
+      while (lists.length < level) {
+        var nested = $$(tagName).addClass('list level-' + (lists.length + 1));
+        var parentItem = _.last(lastItems);
+        if (parentItem) {
+          parentItem.append(nested);
+        } else {
+          _.last(lists).append(nested);
+        }
+        lists.push(nested);
+        lastItems.push(null);
+      }
+      var li = $$('li')
         .addClass('list-item level-'+listItem.level)
-        .append($$(TextProperty, { doc: this.props.doc, path: [listItem.id, 'content'] }))
-      );
+        .append($$(TextProperty, { doc: this.props.doc, path: [listItem.id, 'content'] }));
+      _.last(lists).append(li);
+      lastItems[lists.length - 1] = li;
     }, this);
     return el;
+  },
+
+  didMount: function() {
+    this.props.doc.connect(this, {
+      'document:changed': this.onDocumentChange
+    });
+  },
+
+  willUnmount: function() {
+    this.props.doc.disconnect(this);
+  },
+
+  // the nesting changes when items are added or removed or their level changes
+  onDocumentChange: function(change) {
+    var list = this.props.node;
+    if (change.isAffected([list.id, 'items']) ||
+        _.find(list.items, function(id) { return change.isAffected([id, 'level']); })) {
+      this.rerender();
+    }
   }
 
 });
@@ -0,0 +1,45 @@
+'use strict';
+
+var OO = require('../../basics/oo');
+var Component = require('../component');
+var $$ = Component.$$;
+
+// Shown instead of a node of a partially loaded document which has not been loaded yet.
+// The node is loaded when the placeholder gets visible (see ContentPanel) or is clicked.
+
+function PlaceholderNodeComponent() {
+  Component.apply(this, arguments);
+}
+
+PlaceholderNodeComponent.Prototype = function() {
+
+  this.render = function() {
+    return $$('div')
+      .addClass("content-node placeholder")
+      .attr({
+        "data-id": this.props.nodeId,
+        contentEditable: false
+      })
+      .on('click', this.onClick)
+      .append(
+        $$('span').addClass('placeholder-label').append('Loading...')
+      );
+  };
+
+  this.onClick = function(e) {
+    e.preventDefault();
+    var notifications = this.context.notifications;
+    this.props.doc.loadNodes([this.props.nodeId], function(err) {
+      if (err) {
+        notifications.addMessage({
+          type: "error",
+          message: err.message || err.toString()
+        });
+      }
+    });
+  };
+};
+
+OO.inherit(PlaceholderNodeComponent, Component);
+
+module.exports = PlaceholderNodeComponent;
@@ -50,10 +50,10 @@ TableComponent.Prototype = function() {
             })
             .on('mousedown', this.onMouseDown)
             .on('doubleclick', this.onDoubleClick);
-          if (cell.colspan) {
+          if (cell.colspan > 1) {
             cellEl.attr("colspan", cell.colspan);
           }
-          if (cell.rowspan) {
+          if (cell.rowspan > 1) {
             cellEl.attr('rowspan', cell.rowspan);
           }
           if (this.state.mode === "cell") {
@@ -78,10 +78,34 @@ TableComponent.Prototype = function() {
     this.context.surface.connect(this, {
       "selection:changed": this.onSelectionChange
     });
+    this.props.doc.connect(this, {
+      'document:changed': this.onDocumentChange
+    });
   };
 
   this.willUnmount = function() {
     this.context.surface.disconnect(this);
+    this.props.doc.disconnect(this);
+  };
+
+  // rerender when sections, rows or cells are added or removed, or when cells change their span
+  this.onDocumentChange = function(change) {
+    var table = this.props.node;
+    // a deleted table gets removed by the container
+    if (!this.props.doc.get(table.id)) return;
+    if (change.isAffected([table.id, 'sections'])) {
+      return this.rerender();
+    }
+    var affected = _.find(table.getSections(), function(sec) {
+      return change.isAffected([sec.id, 'rows']) || _.find(sec.getRows(), function(row) {
+        return change.isAffected([row.id, 'cells']) || _.find(row.cells, function(id) {
+          return change.isAffected([id, 'colspan']) || change.isAffected([id, 'rowspan']);
+        });
+      });
+    });
+    if (affected) {
+      this.rerender();
+    }
   };
 
   this.onDoubleClick = function(e) {
@@ -149,7 +173,10 @@ TableComponent.Prototype = function() {
       var tableSelection = doc.createSelection({
         type: 'table',
         tableId: id,
-        rectangle: rectangle
+        startRow: $startCell.data('row'),
+        startCol: $startCell.data('col'),
+        endRow: $endCell.data('row'),
+        endCol: $endCell.data('col')
       });
       surface.setSelection(tableSelection);
     });
@@ -161,17 +188,26 @@ TableComponent.Prototype = function() {
     if (this.hasSelection) {
       this._clearSelection();
     }
-    if (this.state.mode === "cell") {
-      if (!sel.isPropertySelection() || sel.start.path[0] !== this.state.cellId) {
-        var self = this;
+    var cell = this._getSelectedCell(sel);
+    if (cell) {
+      // e.g., when navigating between cells using the keyboard
+      if (this.state.mode !== "cell" || this.state.cellId !== cell.id) {
         this.setState({
-          mode: "table"
-        }, function() {
-          if (sel.isTableSelection() && sel.getTableId() === id) {
-            self._updateSelection(sel.rectangle);
-          }
+          mode: "cell",
+          cellId: cell.id,
+          row: cell.rowIdx,
+          col: cell.colIdx
         });
       }
+    } else if (this.state.mode === "cell") {
+      var self = this;
+      this.setState({
+        mode: "table"
+      }, function() {
+        if (sel.isTableSelection() && sel.getTableId() === id) {
+          self._updateSelection(sel.rectangle);
+        }
+      });
     } else {
       if (sel.isTableSelection() && sel.getTableId() === id) {
         this._updateSelection(sel.rectangle);
@@ -179,6 +215,18 @@ TableComponent.Prototype = function() {
     }
   };
 
+  // Provides the cell of this table containing a property selection
+  this._getSelectedCell = function(sel) {
+    if (!sel.isPropertySelection()) return null;
+    var cell = this.props.doc.get(sel.getPath()[0]);
+    if (cell && cell.type === 'table-cell' && cell.getRoot().id === this.props.node.id) {
+      // make sure that row and column indexes are up to date
+      this.props.node.getMatrix();
+      return cell;
+    }
+    return null;
+  };
+
   this._updateSelection = function(rectangle) {
     var $el = this.$el;
     var $cells = $el.find('th,td');
@@ -186,8 +234,11 @@ TableComponent.Prototype = function() {
       var $cell = $(this);
       var row = $cell.data('row');
       var col = $cell.data('col');
-      if (row >= rectangle.start.row && row <= rectangle.end.row &&
-        col >= rectangle.start.col && col <= rectangle.end.col) {
+      var lastRow = row + (parseInt($cell.attr('rowspan'), 10) || 1) - 1;
+      var lastCol = col + (parseInt($cell.attr('colspan'), 10) || 1) - 1;
+      // spanning cells are highlighted if they overlap with the rectangle
+      if (lastRow >= rectangle.start.row && row <= rectangle.end.row &&
+        lastCol >= rectangle.start.col && col <= rectangle.end.col) {
         $cell.addClass("selected");
       } else {
         $cell.removeClass("selected");
@@ -84,6 +84,12 @@ TableToolComponent.Prototype = function() {
         label = i18n.t('delete_k_rows', { smart_count: rowCount });
       }
       break;
+    case "merge_cells":
+      label = i18n.t('merge_cells');
+      break;
+    case "split_cells":
+      label = i18n.t('split_cells');
+      break;
     }
     return el.append(label);
   };
@@ -100,14 +106,10 @@ TableToolComponent.Prototype = function() {
     this.tool.connect(this, {
       'toolstate:changed': this.onToolstateChanged
     });
-    this.$el.on('mousedown', this.handleMouseDown);
-    this.$el.on('click', this.handleClick);
   };
 
   this.willUnmount = function() {
     this.tool.disconnect(this);
-    this.$el.off('mousedown', this.handleMouseDown);
-    this.$el.off('click', this.handleClick);
   };
 
   this.onToolstateChanged = function(toolState) {
@@ -0,0 +1,29 @@
+"use strict";
+
+var Component = require('../component');
+var $$ = Component.$$;
+
+var TableToolComponent = require('./table_tool_component');
+
+// Table Tool Group
+// ----------------
+//
+// All table tools as a tool group, to be used in toolbars of editors whose schema has tables.
+
+var TableToolGroup = Component.extend({
+
+  render: function() {
+    return $$('div').addClass('tool-group table clearfix').append(
+      $$(TableToolComponent).addProps({ tool: 'insert_rows', mode: 'above', title: 'Insert rows above' }),
+      $$(TableToolComponent).addProps({ tool: 'insert_rows', mode: 'below', title: 'Insert rows below' }),
+      $$(TableToolComponent).addProps({ tool: 'delete_rows', title: 'Delete rows' }),
+      $$(TableToolComponent).addProps({ tool: 'insert_columns', mode: 'before', title: 'Insert columns before' }),
+      $$(TableToolComponent).addProps({ tool: 'insert_columns', mode: 'after', title: 'Insert columns after' }),
+      $$(TableToolComponent).addProps({ tool: 'delete_columns', title: 'Delete columns' }),
+      $$(TableToolComponent).addProps({ tool: 'merge_cells', title: 'Merge cells' }),
+      $$(TableToolComponent).addProps({ tool: 'split_cells', title: 'Split cells' })
+    );
+  }
+});
+
+module.exports = TableToolGroup;
@@ -56,8 +56,11 @@ ContentPanel.Prototype = function() {
     $(window).on('resize', this.updateScrollbar);
     this.props.doc.connect(this, {
       'document:changed': this.onDocumentChange,
-      'toc:entry-selected': this.onTocEntrySelected
+      'toc:entry-selected': this.onTocEntrySelected,
+      'search:match-selected': this.onSearchMatchSelected,
+      'nodes:loaded': this.onNodesLoaded
     }, -1);
+    this.loadVisibleNodes();
   };
 
   this.willUnmount = function() {
@@ -69,10 +72,19 @@ ContentPanel.Prototype = function() {
     this.updateScrollbar();
   };
 
+  this.onNodesLoaded = function() {
+    this.updateScrollbar();
+  };
+
   this.onTocEntrySelected = function(nodeId) {
     this.scrollToNode(nodeId);
   };
 
+  this.onSearchMatchSelected = function(sel) {
+    var node = this.getDocument().get(sel.getPath()[0]);
+    this.scrollToNode(node.getRoot().id);
+  };
+
   this.updateScrollbar = function() {
     if (!this.refs || !this.refs.scrollbar || !this.refs.panelContent) {
       // something is fishy here
@@ -90,6 +102,38 @@ ContentPanel.Prototype = function() {
     var $panelContent = this.refs.panelContent.$el;
     this.refs.scrollbar.update($panelContent[0], this);
     this.markActiveTOCEntry();
+    this.loadVisibleNodes();
+  };
+
+  // Loads the nodes of a partially loaded document which are shown
+  // as placeholders within or close to the visible area.
+  this.loadVisibleNodes = function() {
+    var doc = this.getDocument();
+    if (!doc.getUnloadedNodes || doc.getUnloadedNodes().length === 0) return;
+    var $panelContent = this.refs.panelContent.$el;
+    var panelHeight = this.getPanelHeight();
+    var scrollTop = this.getScrollPosition();
+    // loading one screen ahead in both directions
+    var top = scrollTop - panelHeight;
+    var bottom = scrollTop + 2 * panelHeight;
+    var nodeIds = [];
+    $panelContent.find('.content-node.placeholder').each(function() {
+      var pos = $(this).position().top;
+      if (pos >= top && pos <= bottom) {
+        nodeIds.push(this.dataset.id);
+      }
+    });
+    if (nodeIds.length > 0) {
+      var notifications = this.context.notifications;
+      doc.loadNodes(nodeIds, function(err) {
+        if (err) {
+          notifications.addMessage({
+            type: "error",
+            message: err.message || err.toString()
+          });
+        }
+      });
+    }
   };
 
   this.markActiveTOCEntry = function() {
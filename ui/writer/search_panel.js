@@ -0,0 +1,294 @@
+"use strict";
+
+var _ = require('../../basics/helpers');
+var OO = require('../../basics/oo');
+var Component = require('../component');
+var $$ = Component.$$;
+var Panel = require('./panel');
+var Icon = require('../font_awesome_icon');
+var Transformations = require('../../document/transformations');
+
+// Search Panel
+// ------------
+//
+// Finds text in the document's container and lets the user navigate through the matches
+// and replace them.
+
+function SearchPanel() {
+  Panel.apply(this, arguments);
+}
+
+SearchPanel.Prototype = function() {
+
+  this.getInitialState = function() {
+    return {
+      query: "",
+      replacement: "",
+      caseSensitive: false,
+      wholeWord: false,
+      regex: false,
+      matches: [],
+      current: -1,
+      error: null
+    };
+  };
+
+  this.render = function() {
+    var state = this.state;
+    var el = $$("div")
+      .addClass("panel search-panel-component");
+    var content = $$("div").key("panelContent")
+      .addClass("panel-content");
+    content.append(
+      $$("input").key("query")
+        .addClass("search-query")
+        .attr({ type: "text", placeholder: "Find", value: state.query })
+        .on("input", this.onQueryChange)
+        .on("keydown", this.onQueryKeyDown)
+    );
+    content.append(
+      $$("div").key("options").addClass("search-options").append(
+        this.renderOption("caseSensitive", "Match case"),
+        this.renderOption("wholeWord", "Whole words"),
+        this.renderOption("regex", "Regular expression")
+      )
+    );
+    content.append(
+      $$("div").key("navigation").addClass("search-navigation").append(
+        $$("span").addClass("search-status").append(this.getStatus()),
+        $$("button").key("previous").addClass("search-previous")
+          .attr({ title: "Previous match" })
+          .on("click", this.onPrevious)
+          .append($$(Icon).addProps({ icon: "fa-chevron-up" })),
+        $$("button").key("next").addClass("search-next")
+          .attr({ title: "Next match" })
+          .on("click", this.onNext)
+          .append($$(Icon).addProps({ icon: "fa-chevron-down" }))
+      )
+    );
+    content.append(
+      $$("input").key("replacement")
+        .addClass("search-replacement")
+        .attr({ type: "text", placeholder: "Replace with", value: state.replacement })
+        .on("input", this.onReplacementChange),
+      $$("div").key("replace").addClass("search-replace").append(
+        $$("button").key("replaceOne").addClass("search-replace-one")
+          .on("click", this.onReplace)
+          .append("Replace"),
+        $$("button").key("replaceAll").addClass("search-replace-all")
+          .on("click", this.onReplaceAll)
+          .append("Replace all")
+      )
+    );
+    el.append(content);
+    return el;
+  };
+
+  this.renderOption = function(name, label) {
+    var checkbox = $$("input").key(name)
+      .attr({ type: "checkbox", "data-option": name })
+      .on("change", this.onOptionChange);
+    if (this.state[name]) {
+      checkbox.attr("checked", "checked");
+    }
+    return $$("label").addClass("search-option").append(checkbox, label);
+  };
+
+  this.getStatus = function() {
+    var state = this.state;
+    if (state.error) {
+      return state.error;
+    } else if (!state.query) {
+      return "";
+    } else if (state.matches.length === 0) {
+      return "No matches";
+    } else if (state.current < 0) {
+      return state.matches.length + " matches";
+    } else {
+      return (state.current + 1) + " of " + state.matches.length;
+    }
+  };
+
+  this.didMount = function() {
+    var doc = this.getDocument();
+    doc.connect(this, {
+      'document:changed': this.onDocumentChange
+    });
+  };
+
+  this.willUnmount = function() {
+    var doc = this.getDocument();
+    doc.disconnect(this);
+  };
+
+  // Searching
+  // ---------
+
+  this.getSearchOptions = function(state) {
+    return {
+      containerId: this.props.containerId,
+      caseSensitive: state.caseSensitive,
+      wholeWord: state.wholeWord,
+      regex: state.regex
+    };
+  };
+
+  // Updates the matches for a new query or new options, keeping the current position if possible.
+  this.search = function(newState) {
+    var state = _.extend({}, this.state, newState);
+    var doc = this.getDocument();
+    try {
+      state.matches = doc.findText(state.query, this.getSearchOptions(state));
+      state.error = null;
+    } catch (err) {
+      // e.g., an invalid regular expression
+      state.matches = [];
+      state.error = err.message;
+    }
+    state.current = Math.min(state.current, state.matches.length - 1);
+    this.setState(state);
+  };
+
+  this.selectMatch = function(idx) {
+    var matches = this.state.matches;
+    if (matches.length === 0) return;
+    idx = (idx + matches.length) % matches.length;
+    this.extendState({ current: idx });
+    var match = matches[idx];
+    var surface = this.getSurface();
+    if (surface) {
+      surface.setSelection(match);
+    }
+    var doc = this.getDocument();
+    doc.emit('search:match-selected', match);
+  };
+
+  this.nextMatch = function() {
+    this.selectMatch(this.state.current + 1);
+  };
+
+  this.previousMatch = function() {
+    // starting from no match, the previous one is the last one
+    this.selectMatch(Math.max(this.state.current, 0) - 1);
+  };
+
+  this.getSurface = function() {
+    var surfaceManager = this.context.surfaceManager;
+    if (!surfaceManager) return null;
+    var surface = surfaceManager.getFocusedSurface();
+    if (!surface) {
+      surface = _.find(surfaceManager.surfaces, function(surface) {
+        return surface.getContainerName() === this.props.containerId;
+      }, this);
+    }
+    return surface;
+  };
+
+  // Replacing
+  // ---------
+
+  this.replace = function() {
+    var state = this.state;
+    var match = state.matches[state.current];
+    if (!match) {
+      return this.selectMatch(0);
+    }
+    var text = state.replacement;
+    this._transaction(function(tx) {
+      return Transformations.replaceText(tx, { selection: match, text: text });
+    });
+    // the replaced match is gone now, so that the current index points to the next one
+    if (this.state.matches.length > 0) {
+      this.selectMatch(Math.min(this.state.current, this.state.matches.length - 1));
+    }
+  };
+
+  this.replaceAll = function() {
+    var state = this.state;
+    if (!state.query) return;
+    var args = _.extend(this.getSearchOptions(state), {
+      pattern: state.query,
+      text: state.replacement
+    });
+    this._transaction(function(tx, txArgs) {
+      return Transformations.replaceAll(tx, _.extend(args, { selection: txArgs.selection }));
+    });
+  };
+
+  this._transaction = function(transformation) {
+    var surface = this.getSurface();
+    if (surface) {
+      surface.transaction(transformation);
+    } else {
+      this.getDocument().transaction(function(tx) {
+        return transformation(tx, {});
+      });
+    }
+  };
+
+  // Event handlers
+  // --------------
+
+  this.onQueryChange = function(e) {
+    this.search({ query: e.currentTarget.value, current: -1 });
+  };
+
+  this.onQueryKeyDown = function(e) {
+    // Enter: next match, Shift+Enter: previous match
+    if (e.keyCode === 13) {
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.previousMatch();
+      } else {
+        this.nextMatch();
+      }
+    }
+  };
+
+  this.onReplacementChange = function(e) {
+    this.extendState({ replacement: e.currentTarget.value });
+  };
+
+  this.onOptionChange = function(e) {
+    var newState = {};
+    newState[e.currentTarget.dataset.option] = e.currentTarget.checked;
+    this.search(newState);
+  };
+
+  this.onPrevious = function(e) {
+    e.preventDefault();
+    this.previousMatch();
+  };
+
+  this.onNext = function(e) {
+    e.preventDefault();
+    this.nextMatch();
+  };
+
+  this.onReplace = function(e) {
+    e.preventDefault();
+    this.replace();
+  };
+
+  this.onReplaceAll = function(e) {
+    e.preventDefault();
+    this.replaceAll();
+  };
+
+  this.onDocumentChange = function() {
+    if (this.state.query) {
+      this.search({});
+    }
+  };
+};
+
+OO.inherit(SearchPanel, Panel);
+
+// Panel Configuration
+// -----------------
+
+SearchPanel.contextId = "search";
+SearchPanel.icon = "fa-search";
+SearchPanel.displayName = "Search";
+
+module.exports = SearchPanel;
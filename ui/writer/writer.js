@@ -16,6 +16,7 @@ var ContextToggles = require('./context_toggles');
 var ContentPanel = require("./content_panel");
 var StatusBar = require("./status_bar");
 var ModalPanel = require('./modal_panel');
+var SearchPanel = require('./search_panel');
 
 // TODO: re-establish a means to set which tools are enabled for which surface
 
@@ -198,6 +199,11 @@ Writer.Prototype = function() {
       this.saveDocument();
       handled = true;
     }
+    // Search: cmd+f, if a search panel is registered
+    else if (e.keyCode === 70 && (e.metaKey||e.ctrlKey) && this.componentRegistry.contains(SearchPanel.contextId)) {
+      this.switchContext(SearchPanel.contextId);
+      handled = true;
+    }
     if (handled) {
       e.preventDefault();
       e.stopPropagation();
@@ -352,6 +358,7 @@ Writer.Prototype = function() {
   this._panelPropsFromState = function (state) {
     var props = _.omit(state, 'contextId');
     props.doc = this.props.doc;
+    props.containerId = this.config.containerId;
     return props;
   };
 
@@ -379,4 +386,7 @@ Writer.Prototype = function() {
 
 OO.inherit(Writer, Component);
 
+// Panels which can be registered via `config.components`
+Writer.SearchPanel = SearchPanel;
+
 module.exports = Writer;